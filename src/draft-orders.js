@@ -2,6 +2,9 @@
 
 import express from 'express';
 import QRCode from 'qrcode';
+import { pricingService } from './services/pricing.js';
+import { storageService } from './utils/storage.js';
+import { orderLinkService } from './services/order-links.js';
 
 const router = express.Router();
 
@@ -17,20 +20,31 @@ class DraftOrderManager {
     async createDraftOrder(priceListData) {
         const draftOrderPayload = {
             draft_order: {
-                line_items: priceListData.products.map(product => {
+                // Products with several selected variants become one line item per variant
+                line_items: pricingService.expandVariantLines(priceListData.products).map(product => {
                     const variant = product.variants && product.variants[0] ? product.variants[0] : {};
                     const variantId = variant.id ? variant.id.split('/').pop() : product.id.split('/').pop();
                     const basePrice = variant.price || 0;
-                    const finalPrice = product.pricing ? product.pricing.finalPrice : basePrice;
+                    const quantity = product.quantity || 1;
+                    
+                    // Use the quantity-break price for the line quantity when a schedule is present
+                    // Expanded variant lines carry no pricing of their own, so they fall back to the variant price
+                    let finalPrice = product.pricing ? product.pricing.finalPrice : basePrice;
+                    if (product.pricing?.breaks?.length) {
+                        finalPrice = pricingService.getPriceForQuantity(product.pricing, quantity);
+                    }
                     
                     return {
                         variant_id: variantId,
-                        quantity: product.quantity || 1,
+                        quantity,
                         price: finalPrice.toString()
                     };
                 }),
                 
-                customer: {
+                // Agreements linked to a Shopify customer attach the order to that customer
+                customer: priceListData.priceAgreement?.customerId ? {
+                    id: priceListData.priceAgreement.customerId
+                } : {
                     email: priceListData.clientEmail,
                     first_name: priceListData.clientName?.split(' ')[0] || '',
                     last_name: priceListData.clientName?.split(' ').slice(1).join(' ') || '',
@@ -48,12 +62,14 @@ class DraftOrderManager {
                 note: `Price List Generated: ${priceListData.listId || 'Unknown'}
 Client: ${priceListData.clientName}
 Pricing Tier: ${priceListData.pricingTier}
+${priceListData.priceAgreement ? `Price Agreement: ${priceListData.priceAgreement.reference}\n` : ''}${pricingService.describeCurrency(priceListData.currency)}
 Generated: ${new Date().toISOString()}`,
 
                 tags: [
                     'price-list-generated',
                     `tier-${priceListData.pricingTier}`,
-                    `list-${priceListData.listId}`
+                    `list-${priceListData.listId}`,
+                    ...(priceListData.priceAgreement ? [`agreement-${priceListData.priceAgreement.reference}`] : [])
                 ].join(','),
 
                 // Set expiration (30 days default)
@@ -63,7 +79,9 @@ Generated: ${new Date().toISOString()}`,
                 note_attributes: [
                     { name: 'price_list_id', value: priceListData.listId },
                     { name: 'pricing_tier', value: priceListData.pricingTier },
-                    { name: 'generated_by', value: 'price-list-generator' }
+                    { name: 'generated_by', value: 'price-list-generator' },
+                    ...this.buildCurrencyAttributes(priceListData.currency),
+                    ...this.buildAgreementAttributes(priceListData.priceAgreement)
                 ]
             }
         };
@@ -138,6 +156,30 @@ Generated: ${new Date().toISOString()}`,
         return cartURL;
     }
 
+    // Line prices stay in the shop currency; the quoted currency and rate travel as attributes
+    buildCurrencyAttributes(currency) {
+        if (!currency?.code) return [];
+        
+        const attributes = [
+            { name: 'price_list_currency', value: currency.code },
+            { name: 'exchange_rate', value: String(currency.rate) }
+        ];
+        if (currency.effectiveFrom) {
+            attributes.push({ name: 'exchange_rate_effective', value: currency.effectiveFrom });
+        }
+        return attributes;
+    }
+
+    // Negotiated prices are traceable back to the customer's price agreement
+    buildAgreementAttributes(priceAgreement) {
+        if (!priceAgreement?.reference) return [];
+        
+        return [
+            { name: 'price_agreement_id', value: priceAgreement.id },
+            { name: 'price_agreement_reference', value: priceAgreement.reference }
+        ];
+    }
+
     // Helper methods
     calculateDiscountedPrice(product, discountPercent) {
         const basePrice = parseFloat(product.price || product.basePrice || 0);
@@ -194,7 +236,7 @@ Generated: ${new Date().toISOString()}`,
     }
 }
 
-// Express routes
+// Express routes - req.shopify is the requesting shop's client (resolved in index.js)
 router.post('/create-draft-order', async (req, res) => {
     try {
         const { priceListData } = req.body;
@@ -206,10 +248,7 @@ router.post('/create-draft-order', async (req, res) => {
             });
         }
 
-        const draftOrderManager = new DraftOrderManager({
-            shop: process.env.SHOPIFY_SHOP_NAME,
-            accessToken: process.env.SHOPIFY_ACCESS_TOKEN
-        });
+        const draftOrderManager = new DraftOrderManager(req.shopify.getCredentials());
 
         const draftOrder = await draftOrderManager.createDraftOrder(priceListData);
         const qrData = draftOrderManager.generateQRData(draftOrder, priceListData);
@@ -246,10 +285,7 @@ router.post('/create-cart-permalink', async (req, res) => {
             });
         }
 
-        const draftOrderManager = new DraftOrderManager({
-            shop: process.env.SHOPIFY_SHOP_NAME,
-            accessToken: process.env.SHOPIFY_ACCESS_TOKEN
-        });
+        const draftOrderManager = new DraftOrderManager(req.shopify.getCredentials());
 
         const cartURL = draftOrderManager.createCartPermalink(products, discountCode);
 
@@ -272,10 +308,7 @@ router.get('/check-conversion/:draftOrderId', async (req, res) => {
     try {
         const { draftOrderId } = req.params;
 
-        const draftOrderManager = new DraftOrderManager({
-            shop: process.env.SHOPIFY_SHOP_NAME,
-            accessToken: process.env.SHOPIFY_ACCESS_TOKEN
-        });
+        const draftOrderManager = new DraftOrderManager(req.shopify.getCredentials());
 
         const conversion = await draftOrderManager.checkConversion(draftOrderId);
 
@@ -296,17 +329,26 @@ router.get('/check-conversion/:draftOrderId', async (req, res) => {
 // Simplified create endpoint for QR checkout
 router.post('/create', async (req, res) => {
     try {
-        const { customerEmail, customerName, customerPhone, customerAddress, items, listId, source } = req.body;
+        const { customerEmail, customerName, customerPhone, customerAddress, items: requestedItems, listId, source } = req.body;
         
-        console.log('📝 Creating draft order for checkout, items:', items?.length);
+        console.log('📝 Creating draft order for checkout, items:', requestedItems?.length);
         
-        if (!items || items.length === 0) {
+        if (!requestedItems || requestedItems.length === 0) {
             return res.status(400).json({ 
                 success: false, 
                 error: 'Items are required' 
             });
         }
 
+        // Only signed lines can be ordered, at their signed price
+        const { items, status, error: linkError } = orderLinkService.resolveItems(requestedItems, req.shopDomain);
+        if (linkError) {
+            return res.status(status).json({
+                success: false,
+                error: linkError
+            });
+        }
+
         // Create simplified draft order data
         const priceListData = {
             products: items.map(item => ({
@@ -324,15 +366,18 @@ router.post('/create', async (req, res) => {
             pricingTier: 'wholesale'
         };
 
-        const draftOrderManager = new DraftOrderManager({
-            shop: process.env.SHOPIFY_SHOP_NAME || 'demo-shop',
-            accessToken: process.env.SHOPIFY_ACCESS_TOKEN || 'demo-token'
-        });
+        const draftOrderManager = new DraftOrderManager(req.shopify.getCredentials());
 
         try {
             // Try to create real draft order if Shopify is configured
             const draftOrder = await draftOrderManager.createDraftOrder(priceListData);
             
+            // Orders from saved lists count towards the list's conversion rate
+            if (listId && await storageService.getPriceList(listId)) {
+                await storageService.recordDraftOrder(listId, draftOrder)
+                    .catch(error => console.error('Failed to record draft order:', error));
+            }
+            
             res.json({
                 success: true,
                 orderNumber: `DO-${draftOrder.id}`,
@@ -3,6 +3,7 @@ import express from 'express';
 import { fileURLToPath } from 'url';
 import path from 'path';
 import fs from 'fs';
+import crypto from 'crypto';
 import cors from 'cors';
 import session from 'express-session';
 import { shopifyApi } from '@shopify/shopify-api';
@@ -16,26 +17,152 @@ const PORT = process.env.PORT || 3000;
 
 // Import draft orders router and QR code functionality
 import draftOrdersRouter, { DraftOrderManager } from './draft-orders.js';
+import authRouter from './routes/auth.js';
 import QRCode from 'qrcode';
+import multer from 'multer';
 
 // Import enhanced services
 import { PDFService } from './services/pdf.js';
-import { PricingService } from './services/pricing.js';
-import { StorageService } from './utils/storage.js';
+import { PricingService, BASE_CURRENCY, CURRENCIES, TAX_DISPLAY_MODES, DEFAULT_TAX_SETTINGS, RULE_FIELDS, PROMOTION_ACTIONS } from './services/pricing.js';
+import {
+  storageService,
+  PRICE_LIST_STATUSES,
+  DEFAULT_VALIDITY_DAYS,
+  DEFAULT_PAGE_SIZE,
+  SORT_FIELDS,
+  getValidUntil,
+  getEffectiveStatus,
+  canTransition,
+  decodeCursor,
+  diffPriceLists,
+  ANALYTICS_WEEKS
+} from './utils/storage.js';
 import { QRService } from './utils/qr.js';
+import { archiveService, IMPORT_MODES } from './services/archive.js';
+import { scheduleService, RUN_STATUSES } from './services/schedule.js';
+import { deliveryService } from './services/delivery.js';
+import { templateService, TEMPLATE_COLUMNS, TEMPLATE_COLOURS, PREVIEW_PRODUCTS, PREVIEW_COLLECTIONS } from './services/template.js';
+import { pdfRenderer, DEFAULT_TEMPLATE, TEMPLATE_FONTS, LOGO_PLACEMENTS, SECTION_GROUPINGS } from './services/pdf-renderer.js';
+import { imageCache } from './services/image-cache.js';
+import { orderLinkService } from './services/order-links.js';
+import {
+  PRICING_CONFIG_FIELDS,
+  getPricingConfigs,
+  getPricingConfigById,
+  createPricingConfig,
+  updatePricingConfig,
+  setPricingConfigArchived,
+  deletePricingConfig,
+  getProductCosts,
+  getExchangeRates,
+  getExchangeRate,
+  getExchangeRateById,
+  createExchangeRate,
+  deleteExchangeRate,
+  getTaxSettings,
+  saveTaxSettings,
+  getCompanySettings,
+  saveCompanySettings,
+  setDefaultTemplate,
+  getTemplates,
+  getTemplateById,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  getPromotions,
+  getPromotionById,
+  createPromotion,
+  updatePromotion,
+  deletePromotion,
+  getPriceAgreements,
+  getPriceAgreementById,
+  findPriceAgreement,
+  createPriceAgreement,
+  updatePriceAgreement,
+  deletePriceAgreement,
+  getShop,
+  getDefaultShopDomain,
+  normaliseShopDomain
+} from './services/database.js';
 
 dotenv.config();
 
 // ===========================================
 // SHOPIFY SERVICE CLASS (EMBEDDED)
 // ===========================================
+
+// Product fields shared by the product queries
+const PRODUCT_FIELDS = `
+  id
+  title
+  handle
+  description
+  productType
+  vendor
+  tags
+  status
+  createdAt
+  updatedAt
+  featuredImage {
+    url
+    altText
+    width
+    height
+  }
+  images(first: 5) {
+    edges {
+      node {
+        url
+        altText
+        width
+        height
+      }
+    }
+  }
+  variants(first: 10) {
+    edges {
+      node {
+        id
+        title
+        price
+        compareAtPrice
+        sku
+        barcode
+        inventoryQuantity
+        availableForSale
+        taxable
+      }
+    }
+  }
+  options {
+    id
+    name
+    values
+  }
+  collections(first: 10) {
+    edges {
+      node {
+        id
+        title
+        handle
+      }
+    }
+  }
+`;
+
 class ShopifyService {
-  constructor() {
-    this.shopDomain = process.env.SHOPIFY_SHOP_NAME || 'cycle1-test.myshopify.com';
-    this.accessToken = process.env.SHOPIFY_ACCESS_TOKEN;
+  // Defaults to the store configured in the environment; installed shops pass their OAuth token
+  constructor(shopDomain = getDefaultShopDomain(), accessToken = process.env.SHOPIFY_ACCESS_TOKEN) {
+    this.shopDomain = shopDomain;
+    this.accessToken = accessToken;
     this.apiVersion = '2024-07';
   }
 
+  // Shop and token in the shape DraftOrderManager expects
+  getCredentials() {
+    return { shop: this.shopDomain, accessToken: this.accessToken };
+  }
+
   // Make GraphQL request to Shopify
   async graphqlRequest(query, variables = {}) {
     const url = `https://${this.shopDomain}/admin/api/${this.apiVersion}/graphql.json`;
@@ -72,52 +199,7 @@ class ShopifyService {
         products(first: $first, after: $after, query: "status:active") {
           edges {
             node {
-              id
-              title
-              handle
-              description
-              productType
-              vendor
-              tags
-              status
-              createdAt
-              updatedAt
-              featuredImage {
-                url
-                altText
-                width
-                height
-              }
-              images(first: 5) {
-                edges {
-                  node {
-                    url
-                    altText
-                    width
-                    height
-                  }
-                }
-              }
-              variants(first: 10) {
-                edges {
-                  node {
-                    id
-                    title
-                    price
-                    compareAtPrice
-                    sku
-                    barcode
-                    inventoryQuantity
-                    availableForSale
-                    taxable
-                  }
-                }
-              }
-              options {
-                id
-                name
-                values
-              }
+              ${PRODUCT_FIELDS}
             }
             cursor
           }
@@ -137,18 +219,30 @@ class ShopifyService {
     });
 
     // Transform the data to a cleaner format
-    const products = result.products.edges.map(edge => ({
-      id: edge.node.id,
-      title: edge.node.title,
-      handle: edge.node.handle,
-      description: edge.node.description,
-      productType: edge.node.productType || 'Uncategorized',
-      vendor: edge.node.vendor || 'Unknown Vendor',
-      tags: edge.node.tags,
-      status: edge.node.status,
-      featuredImage: edge.node.featuredImage,
-      images: edge.node.images.edges.map(img => img.node),
-      variants: edge.node.variants.edges.map(variant => ({
+    const products = result.products.edges.map(edge => this.transformProduct(edge.node));
+
+    return {
+      products,
+      pageInfo: result.products.pageInfo,
+      hasNextPage: result.products.pageInfo.hasNextPage,
+      endCursor: result.products.pageInfo.endCursor
+    };
+  }
+
+  // Flatten a product node from PRODUCT_FIELDS into the shape the app uses
+  transformProduct(node) {
+    return {
+      id: node.id,
+      title: node.title,
+      handle: node.handle,
+      description: node.description,
+      productType: node.productType || 'Uncategorized',
+      vendor: node.vendor || 'Unknown Vendor',
+      tags: node.tags,
+      status: node.status,
+      featuredImage: node.featuredImage,
+      images: node.images.edges.map(img => img.node),
+      variants: node.variants.edges.map(variant => ({
         id: variant.node.id,
         title: variant.node.title,
         price: parseFloat(variant.node.price || '0'),
@@ -159,17 +253,38 @@ class ShopifyService {
         availableForSale: variant.node.availableForSale,
         taxable: variant.node.taxable
       })),
-      options: edge.node.options
-    }));
-
-    return {
-      products,
-      pageInfo: result.products.pageInfo,
-      hasNextPage: result.products.pageInfo.hasNextPage,
-      endCursor: result.products.pageInfo.endCursor
+      options: node.options,
+      collections: node.collections.edges.map(collection => collection.node)
     };
   }
 
+  // Current state of specific products (any status), keyed by ID
+  // Deleted products are missing from the result
+  async getProductsByIds(ids) {
+    const query = `
+      query getProductsByIds($ids: [ID!]!) {
+        nodes(ids: $ids) {
+          ... on Product {
+            ${PRODUCT_FIELDS}
+          }
+        }
+      }
+    `;
+
+    const products = new Map();
+    const uniqueIds = [...new Set(ids)];
+    
+    // nodes() accepts up to 250 IDs per request
+    for (let i = 0; i < uniqueIds.length; i += 250) {
+      const result = await this.graphqlRequest(query, { ids: uniqueIds.slice(i, i + 250) });
+      result.nodes
+        .filter(node => node && node.id)
+        .forEach(node => products.set(node.id, this.transformProduct(node)));
+    }
+
+    return products;
+  }
+
   // Get shop information
   async getShopInfo() {
     const query = `
@@ -222,6 +337,7 @@ class ShopifyService {
               id
               title
               handle
+              description
               productType
               vendor
               tags
@@ -256,6 +372,7 @@ class ShopifyService {
       id: edge.node.id,
       title: edge.node.title,
       handle: edge.node.handle,
+      description: edge.node.description,
       productType: edge.node.productType || 'Uncategorized',
       vendor: edge.node.vendor || 'Unknown Vendor',
       tags: edge.node.tags,
@@ -269,6 +386,67 @@ class ShopifyService {
     }));
   }
 
+  // Get collections, sorted by title
+  async getCollections(limit = 50) {
+    const query = `
+      query getCollections($first: Int!) {
+        collections(first: $first, sortKey: TITLE) {
+          edges {
+            node {
+              id
+              title
+              handle
+              productsCount {
+                count
+              }
+            }
+          }
+        }
+      }
+    `;
+
+    const result = await this.graphqlRequest(query, { first: limit });
+    return result.collections.edges.map(edge => ({
+      id: edge.node.id,
+      title: edge.node.title,
+      handle: edge.node.handle,
+      productsCount: edge.node.productsCount?.count || 0
+    }));
+  }
+
+  // IDs of every product in a collection, a page at a time
+  async getProductsByCollection(collectionId, pageSize = 250) {
+    const query = `
+      query getProductsByCollection($collectionId: ID!, $first: Int!, $after: String) {
+        collection(id: $collectionId) {
+          products(first: $first, after: $after) {
+            edges {
+              node {
+                id
+              }
+            }
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
+          }
+        }
+      }
+    `;
+
+    const productIds = [];
+    let after = null;
+    do {
+      const result = await this.graphqlRequest(query, { collectionId, first: pageSize, after });
+      const products = result.collection?.products;
+      if (!products) break;
+      productIds.push(...products.edges.map(edge => edge.node.id));
+      after = products.pageInfo.hasNextPage ? products.pageInfo.endCursor : null;
+    } while (after);
+
+    return productIds;
+  }
+
   // Test connection
   async testConnection() {
     try {
@@ -293,32 +471,315 @@ class ShopifyService {
   }
 }
 
-// Create Shopify service instance
+// Create Shopify service instance (the environment's store - used in single-store mode)
 const shopifyService = new ShopifyService();
 
+// One service per shop, rebuilt when the shop's stored token changes
+const shopifyServices = new Map();
+
+// Shopify client for a shop, using the access token saved by the OAuth flow in routes/auth.js
+// The environment's store falls back to SHOPIFY_ACCESS_TOKEN until it has been installed through OAuth
+async function getShopifyService(shopDomain) {
+  const shop = await getShop(shopDomain);
+  const accessToken = shop?.accessToken ||
+    (shopDomain === shopifyService.shopDomain ? shopifyService.accessToken : null);
+  
+  const cached = shopifyServices.get(shopDomain);
+  if (cached && cached.accessToken === accessToken) return cached;
+  
+  const service = new ShopifyService(shopDomain, accessToken);
+  shopifyServices.set(shopDomain, service);
+  return service;
+}
+
 // Create enhanced service instances
 const pdfService = new PDFService();
 const pricingService = new PricingService();
-const storageService = new StorageService();
 const qrService = new QRService();
 
 // ===========================================
-// IN-MEMORY PRICE LIST STORAGE
+// FLEXIBLE PRICING FUNCTIONS
 // ===========================================
-// In a real app, this would be a database
-let savedPriceLists = [];
+
+// Attach the shop's promotions to a pricing config, priced as of now
+// Promotions are always read fresh, so a regenerated list drops any that have ended
+async function withPromotions(pricingConfig = {}, shopDomain, pricingDate = new Date()) {
+  const promotions = await getPromotions(shopDomain, { activeAt: pricingDate });
+  return { ...pricingConfig, promotions, pricingDate: new Date(pricingDate).toISOString() };
+}
+
+// Fill in product.cost from the shop's supplier prices (productSuppliers, then processed quotes)
+// A cost sent with the product is kept as-is
+async function attachProductCosts(products = [], shopDomain) {
+  const { byProductId, bySku } = await getProductCosts(shopDomain);
+  
+  products.forEach(product => {
+    if (pricingService.getProductCost(product) !== null) return;
+    
+    const productId = String(product.id).split('/').pop();
+    const sku = product.variants?.[0]?.sku;
+    const match = byProductId[productId] || (sku && bySku[sku]);
+    if (match) {
+      product.cost = match.cost;
+      product.costSource = match.source;
+    }
+  });
+  
+  return products;
+}
+
+// Price expanded lines for display: savings, break prices, currency conversion and tax
+// Internal requests keep supplier costs and margin details; clients never see them
+function priceLines(lines, pricingConfig, customPrices, currencyContext, taxSettings, internal = false) {
+  const calculatedProducts = lines.map(product => {
+    // appliedRule reports which pricing rule (if any) set the price
+    const pricing = pricingService.calculateProductPricing(product, pricingConfig, customPrices, currencyContext);
+    const { basePrice, finalPrice } = pricing;
+
+    const savings = basePrice - finalPrice;
+    const savingsPercent = basePrice > 0 ? ((savings / basePrice) * 100) : 0;
+
+    const { cost, costSource, ...clientProduct } = product;
+
+    return {
+      ...(internal ? product : clientProduct),
+      pricing: {
+        basePrice,
+        finalPrice,
+        savings,
+        savingsPercent: parseFloat(savingsPercent.toFixed(2)),
+        unroundedPrice: pricing.unroundedPrice,
+        roundedPrice: pricing.roundedPrice,
+        roundingStrategy: pricing.roundingStrategy,
+        priceSource: pricing.priceSource,
+        appliedRule: pricing.appliedRule,
+        promotion: pricing.promotion || null,
+        breaks: pricing.breaks,
+        marginViolation: pricing.marginViolation,
+        marginClamped: pricing.marginClamped,
+        ...(internal && {
+          cost: pricing.cost,
+          marginPercent: pricing.marginPercent,
+          minimumPrice: pricing.minimumPrice,
+          unclampedPrice: pricing.unclampedPrice ?? null
+        })
+      }
+    };
+  });
+
+  // Every product is reported against the same set of break columns
+  const breakColumns = pricingService.getBreakColumns(calculatedProducts);
+  calculatedProducts.forEach(product => {
+    product.pricing.breakPrices = pricingService.alignBreakPrices(product.pricing, breakColumns);
+    product.pricing.tax = pricingService.calculateTax(product.pricing.finalPrice, pricingService.isTaxable(product), taxSettings);
+  });
+  
+  return { calculatedProducts, breakColumns };
+}
+
+function isInternalRequest(req) {
+  return req.body?.audience === 'internal' || req.query.audience === 'internal';
+}
+
+// Currency context for a price list: the stored rate in force on the given date
+// Returns null when the currency is unsupported or has no rate yet
+async function resolveCurrencyContext(currencyCode, shopDomain, date = new Date()) {
+  const code = String(currencyCode || BASE_CURRENCY).toUpperCase();
+  const currency = pricingService.getCurrency(code);
+  if (!currency) return null;
+  if (code === BASE_CURRENCY) return pricingService.getBaseCurrencyContext();
+  
+  const exchangeRate = await getExchangeRate(shopDomain, code, date);
+  if (!exchangeRate) return null;
+  
+  return {
+    code,
+    baseCurrency: BASE_CURRENCY,
+    symbol: currency.symbol,
+    rate: exchangeRate.rate,
+    rateId: exchangeRate.id,
+    effectiveFrom: exchangeRate.effectiveFrom,
+    // A stored rate can override the currency's default rounding
+    rounding: exchangeRate.rounding || currency.rounding
+  };
+}
+
+// Tax settings for a shop, falling back to the South African VAT defaults
+async function resolveTaxSettings(shopDomain) {
+  const stored = await getTaxSettings(shopDomain);
+  return { ...DEFAULT_TAX_SETTINGS, ...(stored || {}) };
+}
+
+// Template by built-in name or the shop's own template ID; with no ID, the shop's default
+// Returns null when a requested template doesn't exist for this shop
+async function resolveTemplate(shopDomain, templateId = null) {
+  const id = templateId || (await getCompanySettings(shopDomain))?.defaultTemplate || DEFAULT_TEMPLATE;
+  if (templateService.isBuiltIn(id)) {
+    return templateService.getBuiltInTemplates().find(template => template.id === id);
+  }
+  
+  const stored = await getTemplateById(id);
+  if (stored?.shopDomain === shopDomain) return stored;
+  // A deleted default falls back to the built-in default rather than failing every PDF
+  return templateId ? null : resolveTemplate(shopDomain, DEFAULT_TEMPLATE);
+}
+
+// Collections and their product IDs, loaded only for templates that section products by collection
+// When Shopify can't be reached the PDF falls back to the collections saved with each product
+async function resolveSectionCollections(shopDomain, renderTemplate) {
+  if (pdfRenderer.resolveTemplate(renderTemplate).sections.groupBy !== 'collection') return [];
+  
+  try {
+    const shopify = await getShopifyService(shopDomain);
+    if (!shopify.isConfigured()) return [];
+    
+    // One collection at a time keeps well inside Shopify's query cost limits
+    const collections = [];
+    for (const collection of await shopify.getCollections()) {
+      if (collection.productsCount === 0) continue;
+      collections.push({ title: collection.title, productIds: await shopify.getProductsByCollection(collection.id) });
+    }
+    return collections;
+  } catch (error) {
+    console.warn('⚠️ Could not load collections for price list sections:', error.message);
+    return [];
+  }
+}
+
+// A price list's VAT display mode, or the shop default
+function resolveTaxDisplay(taxDisplay, taxSettings) {
+  return TAX_DISPLAY_MODES.includes(taxDisplay) ? taxDisplay : taxSettings.defaultDisplay;
+}
+
+// Validity stamped on PDFs of unsaved lists - they would get the default validity if saved now
+function resolveValidity(validUntil) {
+  const date = new Date(validUntil || getValidUntil());
+  return {
+    validUntil: date.toISOString(),
+    expired: date < new Date()
+  };
+}
+
+// One line per selected variant, with supplier costs attached for cost-plus tiers and the margin floor
+async function prepareLines(products, shopDomain) {
+  return attachProductCosts(pricingService.expandVariantLines(products || []), shopDomain);
+}
+
+// Company details exactly as sent - blank fields stay blank instead of showing placeholder contacts
+function asSentCompany(company = {}) {
+  const blank = Object.fromEntries(Object.keys(pdfService.defaultCompanyConfig).map(key => [key, null]));
+  return { ...blank, name: 'Your Company', ...company };
+}
+
+// Shop that stored records belong to - set from the session by resolveShop
+function getShopDomain(req) {
+  return req.shopDomain;
+}
 
 // ===========================================
-// FLEXIBLE PRICING FUNCTIONS
+// SHOP RESOLUTION (MULTI-TENANT)
 // ===========================================
 
-// Flexible pricing calculator - user-defined discounts
-function calculateFlexiblePricing(basePrice, tierConfig) {
-  // tierConfig example: { discountPercent: 15, customPrices: { productId: customPrice } }
-  const discountMultiplier = (100 - (tierConfig.discountPercent || 0)) / 100;
-  return parseFloat(basePrice) * discountMultiplier;
+// With OAuth credentials every shop signs in through /auth; without them the app serves
+// the single store configured in the environment
+const isMultiShop = () => !!(process.env.SHOPIFY_API_KEY && process.env.SHOPIFY_API_SECRET);
+
+// Customer-facing checkout routes have no admin session - they act for the shop owning the list
+const PUBLIC_PATHS = ['/checkout', '/api/create-checkout', '/api/draft-orders/create'];
+const OPEN_PATHS = ['/auth', '/auth/callback', '/auth/status', '/auth/logout', '/login.html', '/api/health'];
+
+// App Bridge session tokens (HS256 JWTs signed with the app secret) identify the shop inside the Shopify admin
+function getSessionTokenShop(req) {
+  const token = req.headers.authorization?.replace(/^Bearer /, '');
+  const secret = process.env.SHOPIFY_API_SECRET;
+  if (!token || !secret) return null;
+  
+  const [header, payload, signature] = token.split('.');
+  if (!header || !payload || !signature) return null;
+  
+  const expected = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest('base64url');
+  if (expected.length !== signature.length || !crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature))) {
+    return null;
+  }
+  
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    const now = Date.now() / 1000;
+    if (claims.exp < now || claims.nbf > now + 5 || claims.aud !== process.env.SHOPIFY_API_KEY) return null;
+    return normaliseShopDomain(claims.dest);
+  } catch {
+    return null;
+  }
+}
+
+// Work out which shop a request acts for and attach its Shopify client
+// Admin requests use the signed-in shop; nothing in the query or body can pick another shop's data
+async function resolveShop(req, res, next) {
+  try {
+    let shopDomain = null;
+    
+    // A list's own shop wins on checkout routes, so its lines are always ordered from the right store
+    if (PUBLIC_PATHS.includes(req.path)) {
+      const listId = req.query.list || req.query.priceList || req.body?.listId;
+      const savedList = listId ? await storageService.getPriceList(listId) : null;
+      // Signed order links carry the shop they were issued for
+      const signedItem = orderLinkService.verify(req.query.item || req.body?.items?.find(item => item?.token)?.token);
+      shopDomain = savedList?.shopDomain || signedItem?.shopDomain ||
+        (req.query.shop && await getShop(req.query.shop) ? normaliseShopDomain(req.query.shop) : null);
+    }
+    
+    shopDomain = shopDomain || req.session?.shop || getSessionTokenShop(req);
+    
+    if (!shopDomain && !isMultiShop()) {
+      shopDomain = shopifyService.shopDomain;
+    }
+    
+    if (shopDomain) {
+      req.shopDomain = shopDomain;
+      req.shopify = await getShopifyService(shopDomain);
+      return next();
+    }
+    
+    if (OPEN_PATHS.includes(req.path)) {
+      return next();
+    }
+    
+    if (PUBLIC_PATHS.includes(req.path)) {
+      return req.path.startsWith('/api/')
+        ? res.status(404).json({ success: false, message: 'Price list not found' })
+        : res.status(404).send('Price list not found');
+    }
+    
+    if (req.path.startsWith('/api/')) {
+      return res.status(401).json({
+        success: false,
+        message: 'Shop session required - install or open the app from your Shopify admin'
+      });
+    }
+    
+    // Pages opened from the Shopify admin carry ?shop=, which starts the install/sign-in flow
+    res.redirect(req.query.shop ? `/auth?shop=${encodeURIComponent(req.query.shop)}` : '/login.html');
+  } catch (error) {
+    next(error);
+  }
 }
 
+// Records addressed by ID in the URL must belong to the requesting shop - others are reported as not found
+const scopeToShop = (label, findById) => async (req, res, next) => {
+  try {
+    const record = await findById(req.params.id);
+    if (record && record.shopDomain !== getShopDomain(req)) {
+      return res.status(404).json({
+        success: false,
+        message: `${label} not found`
+      });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 // ===========================================
 // MIDDLEWARE SETUP  
 // ===========================================
@@ -336,6 +797,16 @@ app.use(session({
   saveUninitialized: false,
 }));
 
+// OAuth install / sign-in, then every other route is scoped to a shop
+app.use(authRouter);
+app.use(resolveShop);
+
+app.use('/api/price-lists/:id', scopeToShop('Price list', id => storageService.getPriceList(id)));
+app.use('/api/pricing-configs/:id', scopeToShop('Pricing configuration', getPricingConfigById));
+app.use('/api/exchange-rates/:id', scopeToShop('Exchange rate', getExchangeRateById));
+app.use('/api/promotions/:id', scopeToShop('Promotion', getPromotionById));
+app.use('/api/price-agreements/:id', scopeToShop('Price agreement', getPriceAgreementById));
+
 // ===========================================
 // API ROUTES
 // ===========================================
@@ -371,7 +842,7 @@ app.get('/api/shopify/debug', async (req, res) => {
     
     console.log('📋 Environment Check:', envCheck);
     
-    if (!shopifyService.isConfigured()) {
+    if (!req.shopify.isConfigured()) {
       return res.json({
         success: false,
         message: 'Shopify not configured',
@@ -381,7 +852,7 @@ app.get('/api/shopify/debug', async (req, res) => {
     }
     
     // Test basic API call
-    const url = `https://${shopifyService.shopDomain}/admin/api/${shopifyService.apiVersion}/graphql.json`;
+    const url = `https://${req.shopify.shopDomain}/admin/api/${req.shopify.apiVersion}/graphql.json`;
     console.log('🔗 Testing URL:', url);
     
     const testQuery = `query { shop { name id } }`;
@@ -390,7 +861,7 @@ app.get('/api/shopify/debug', async (req, res) => {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
-        'X-Shopify-Access-Token': shopifyService.accessToken
+        'X-Shopify-Access-Token': req.shopify.accessToken
       },
       body: JSON.stringify({
         query: testQuery
@@ -465,7 +936,7 @@ app.get('/api/shopify/products', async (req, res) => {
     console.log('🛍️ Fetching products from Shopify...');
     
     // Check if Shopify is configured
-    if (!shopifyService.isConfigured()) {
+    if (!req.shopify.isConfigured()) {
       console.log('⚠️ Shopify not configured, using mock data');
       
       // Return mock data if Shopify not configured
@@ -529,7 +1000,7 @@ app.get('/api/shopify/products', async (req, res) => {
 
     if (search) {
       console.log(`🔍 Searching products for: "${search}"`);
-      const products = await shopifyService.searchProducts(search, limit);
+      const products = await req.shopify.searchProducts(search, limit);
       result = {
         products: products,
         hasNextPage: false,
@@ -537,7 +1008,7 @@ app.get('/api/shopify/products', async (req, res) => {
       };
     } else {
       console.log(`📦 Getting all products (limit: ${limit})`);
-      result = await shopifyService.getProducts(limit, cursor);
+      result = await req.shopify.getProducts(limit, cursor);
     }
 
     console.log(`✅ Successfully fetched ${result.products.length} products from Shopify`);
@@ -568,14 +1039,14 @@ app.get('/api/shopify/products', async (req, res) => {
 // Get shop information endpoint
 app.get('/api/shopify/shop', async (req, res) => {
   try {
-    if (!shopifyService.isConfigured()) {
+    if (!req.shopify.isConfigured()) {
       return res.status(400).json({
         success: false,
         message: 'Shopify not configured'
       });
     }
 
-    const shop = await shopifyService.getShopInfo();
+    const shop = await req.shopify.getShopInfo();
     
     res.json({
       success: true,
@@ -596,7 +1067,7 @@ app.get('/api/shopify/shop', async (req, res) => {
 // Test Shopify connection endpoint
 app.get('/api/shopify/test', async (req, res) => {
   try {
-    const connectionTest = await shopifyService.testConnection();
+    const connectionTest = await req.shopify.testConnection();
     
     if (connectionTest.success) {
       res.json({
@@ -622,7 +1093,7 @@ app.get('/api/shopify/test', async (req, res) => {
   }
 });
 
-// Enhanced PDF generation with QR codes, clickable links, and professional layout
+// Price list PDF with a QR code and order link in the letterhead (classic template)
 app.post('/api/price-lists/generate-pdf-with-qr', async (req, res) => {
   try {
     const { 
@@ -630,524 +1101,95 @@ app.post('/api/price-lists/generate-pdf-with-qr', async (req, res) => {
       currency, 
       products, 
       company, 
-      pricingConfig = {},
+      pricingConfig: requestedConfig = {},
       customPrices = {},
       clientInfo = {},
-      includeQR = true
+      includeQR = true,
+      taxDisplay,
+      validUntil
     } = req.body;
     
     console.log('📄 Generating enhanced PDF with QR codes');
     
-    // Import jsPDF
-    const { jsPDF } = await import('jspdf');
-    await import('jspdf-autotable');
+    const currencyContext = await resolveCurrencyContext(currency, getShopDomain(req));
+    if (!currencyContext) {
+      return res.status(400).json({
+        success: false,
+        message: `No exchange rate available for ${currency}`
+      });
+    }
     
-    const doc = new jsPDF();
+    const taxSettings = await resolveTaxSettings(getShopDomain(req));
+    const doc = await pdfService.generateEnhancedPDF(await prepareLines(products, getShopDomain(req)), {
+      template: 'classic',
+      title: title || 'Custom Price List',
+      companyConfig: asSentCompany(company),
+      clientConfig: { ...clientInfo, showClientDetails: !!(clientInfo.name || clientInfo.email) },
+      pricingTier: requestedConfig.tierName || 'custom',
+      pricingConfig: await withPromotions(requestedConfig, getShopDomain(req)),
+      customPrices,
+      includeQR,
+      currency: currencyContext,
+      taxSettings,
+      taxDisplay: resolveTaxDisplay(taxDisplay, taxSettings),
+      validity: resolveValidity(validUntil)
+    });
     
-    // Create QR code with simple approach
-    let qrCodeDataURL = null;
-    let checkoutURL = null;
+    sendPDF(res, doc.output('arraybuffer'), 'price-list-with-qr');
     
-    if (includeQR && products && products.length > 0) {
-      try {
-        // For now, create a simple QR code with a basic URL
-        // In production, this would be a real checkout URL
-        const baseURL = process.env.APP_URL || 'http://localhost:3000';
-        checkoutURL = `${baseURL}/checkout?list=${Date.now()}`;
-        
-        // Generate QR code using the qrcode library
-        const QRCode = await import('qrcode');
-        qrCodeDataURL = await QRCode.toDataURL(checkoutURL, {
-          errorCorrectionLevel: 'M',
-          type: 'image/png',
-          quality: 0.92,
-          margin: 1,
-          color: {
-            dark: '#000000',
-            light: '#FFFFFF'
-          },
-          width: 150
-        });
-        
-        console.log('✅ QR code generated successfully');
-      } catch (qrError) {
-        console.warn('⚠️ QR code generation failed, proceeding without QR:', qrError.message);
-      }
-    }
-
-    // Header with company branding
-    doc.setFontSize(24);
-    doc.setFont(undefined, 'bold');
-    doc.setTextColor(44, 62, 80); // Dark blue-gray
-    doc.text(company?.name || 'Your Company', 20, 30);
+    console.log('✅ Enhanced PDF with QR code generated successfully');
     
-    doc.setFontSize(18);
-    doc.setFont(undefined, 'normal');
-    doc.setTextColor(52, 73, 94);
-    doc.text(title || 'Custom Price List', 20, 45);
+  } catch (error) {
+    console.error('❌ Enhanced PDF generation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Enhanced PDF generation failed',
+      error: error.message
+    });
+  }
+});
+
+// Price list PDF with vendor and stock columns and clickable product names (catalogue template)
+app.post('/api/price-lists/generate-pdf-flexible', async (req, res) => {
+  try {
+    const { 
+      title, 
+      currency, 
+      products, 
+      company, 
+      pricingConfig: requestedConfig = {},
+      customPrices = {},
+      taxDisplay,
+      validUntil
+    } = req.body;
     
-    doc.setFontSize(10);
-    doc.setTextColor(127, 140, 141);
-    doc.text(`Generated: ${new Date().toLocaleDateString()}`, 20, 55);
+    console.log('📄 Generating enhanced PDF with clickable links');
     
-    // Add QR code if available
-    if (qrCodeDataURL) {
-      try {
-        doc.addImage(qrCodeDataURL, 'PNG', 140, 20, 40, 40);
-        doc.setFontSize(8);
-        doc.setTextColor(52, 73, 94);
-        doc.text('Scan for instant ordering', 145, 65);
-        doc.text('Quick checkout available', 145, 72);
-        
-        // Add clickable "Order Here" link
-        if (checkoutURL) {
-          doc.setFontSize(10);
-          doc.setTextColor(52, 152, 219); // Blue color
-          doc.text('ORDER HERE', 145, 82);
-          
-          // Make it clickable
-          doc.link(145, 76, 35, 8, { url: checkoutURL });
-          
-          // Add underline for visual indication
-          doc.setDrawColor(52, 152, 219);
-          doc.setLineWidth(0.3);
-          doc.line(145, 83, 180, 83);
-        }
-        
-        console.log('✅ QR code and order link added to PDF');
-      } catch (err) {
-        console.warn('⚠️ Failed to add QR code to PDF:', err.message);
-      }
-    } else {
-      console.warn('⚠️ No QR code available for PDF');
+    const currencyContext = await resolveCurrencyContext(currency, getShopDomain(req));
+    if (!currencyContext) {
+      return res.status(400).json({
+        success: false,
+        message: `No exchange rate available for ${currency}`
+      });
     }
     
-    // Show pricing tier info
-    let yPos = qrCodeDataURL ? 90 : 65;
-    if (pricingConfig.tierName) {
-      doc.setFontSize(10);
-      doc.setTextColor(44, 62, 80);
-      doc.text(`Pricing Tier: ${pricingConfig.tierName}`, 20, yPos);
-      yPos += 8;
-    }
-    if (pricingConfig.discountPercent) {
-      doc.text(`Base Discount: ${pricingConfig.discountPercent}%`, 20, yPos);
-      yPos += 8;
-    }
-    
-    // Client information section
-    if (clientInfo.name || clientInfo.email) {
-      doc.setFontSize(12);
-      doc.setFont(undefined, 'bold');
-      doc.setTextColor(44, 62, 80);
-      doc.text('CLIENT INFORMATION', 20, yPos);
-      yPos += 8;
-      
-      doc.setFontSize(10);
-      doc.setFont(undefined, 'normal');
-      if (clientInfo.name) {
-        doc.text(`Name: ${clientInfo.name}`, 20, yPos);
-        yPos += 6;
-      }
-      if (clientInfo.email) {
-        doc.text(`Email: ${clientInfo.email}`, 20, yPos);
-        yPos += 6;
-      }
-      yPos += 5;
-    }
-    
-    // Company contact info
-    doc.setFontSize(12);
-    doc.setFont(undefined, 'bold');
-    doc.setTextColor(44, 62, 80);
-    doc.text('COMPANY INFORMATION', 20, yPos);
-    yPos += 8;
-    
-    doc.setFontSize(10);
-    doc.setFont(undefined, 'normal');
-    
-    if (company?.email) {
-      doc.text(`Email: ${company.email}`, 20, yPos);
-      yPos += 6;
-    }
-    if (company?.phone) {
-      doc.text(`Phone: ${company.phone}`, 20, yPos);
-      yPos += 6;
-    }
-    if (company?.website) {
-      doc.text(`Website: ${company.website}`, 20, yPos);
-      yPos += 6;
-    }
-    
-    yPos += 10;
-    
-    // Enhanced table
-    const tableColumns = [
-      { header: 'Product Name', dataKey: 'name' },
-      { header: 'Model/SKU', dataKey: 'sku' },
-      { header: 'Base Price', dataKey: 'basePrice' },
-      { header: 'Your Price', dataKey: 'finalPrice' },
-      { header: 'Savings', dataKey: 'savings' }
-    ];
-    
-    const tableRows = (products || []).map(product => {
-      const variant = product.variants && product.variants[0] ? product.variants[0] : {};
-      const basePrice = variant.price || 0;
-      
-      const hasCustomPrice = customPrices[product.id] !== undefined;
-      let finalPrice;
-      
-      if (hasCustomPrice) {
-        finalPrice = parseFloat(customPrices[product.id]);
-      } else {
-        const discountMultiplier = (100 - (pricingConfig.discountPercent || 0)) / 100;
-        finalPrice = basePrice * discountMultiplier;
-      }
-      
-      const savings = basePrice - finalPrice;
-      const savingsPercent = basePrice > 0 ? ((savings / basePrice) * 100).toFixed(1) : '0';
-      
-      return {
-        name: product.title || 'Unknown Product',
-        sku: variant.sku || 'N/A',
-        basePrice: `R ${basePrice.toFixed(2)}`,
-        finalPrice: `R ${finalPrice.toFixed(2)}` + (hasCustomPrice ? ' *' : ''),
-        savings: savings > 0 ? `-${savingsPercent}%` : '0%',
-        productId: product.id,
-        productHandle: product.handle,
-        productUrl: company?.website ? `${company.website}/products/${product.handle || product.id}` : null
-      };
-    });
-    
-    // Generate table
-    doc.autoTable({
-      columns: tableColumns,
-      body: tableRows,
-      startY: yPos,
-      theme: 'striped',
-      styles: { 
-        fontSize: 9, 
-        cellPadding: 4,
-        textColor: [44, 62, 80],
-        lineColor: [189, 195, 199],
-        lineWidth: 0.1
-      },
-      headStyles: { 
-        fillColor: [52, 152, 219], 
-        textColor: [255, 255, 255],
-        fontStyle: 'bold',
-        fontSize: 10
-      },
-      alternateRowStyles: {
-        fillColor: [248, 249, 250]
-      },
-      columnStyles: {
-        0: { cellWidth: 70 },
-        1: { cellWidth: 30 },
-        2: { cellWidth: 25, halign: 'right' },
-        3: { cellWidth: 25, halign: 'right', fillColor: [240, 248, 255] },
-        4: { cellWidth: 20, halign: 'center' }
-      },
-      didDrawCell: (data) => {
-        if (data.column.dataKey === 'name' && data.cell.section === 'body') {
-          const rowData = tableRows[data.row.index];
-          if (rowData.productUrl) {
-            doc.link(
-              data.cell.x, 
-              data.cell.y, 
-              data.cell.width, 
-              data.cell.height, 
-              { url: rowData.productUrl }
-            );
-          }
-        }
-      }
-    });
-    
-    // Enhanced footer
-    const pageHeight = doc.internal.pageSize.height;
-    let footerY = pageHeight - 60;
-    
-    doc.setFontSize(10);
-    doc.setTextColor(44, 62, 80);
-    
-    if (qrCodeDataURL) {
-      doc.setFont(undefined, 'bold');
-      doc.text('🔥 INSTANT ORDERING', 20, footerY);
-      footerY += 8;
-      
-      doc.setFont(undefined, 'normal');
-      doc.setFontSize(9);
-      doc.text('1. Scan the QR code above with your phone', 20, footerY);
-      footerY += 6;
-      doc.text('2. Review your personalized order', 20, footerY);
-      footerY += 6;
-      doc.text('3. Complete checkout instantly', 20, footerY);
-      footerY += 10;
-    }
-    
-    doc.setFontSize(8);
-    doc.setTextColor(127, 140, 141);
-    
-    if (Object.keys(customPrices).length > 0) {
-      doc.text('* Custom pricing applied for specific products', 20, footerY);
-      footerY += 6;
-    }
-    
-    if (company?.website) {
-      doc.text('Product names are clickable links to our online store', 20, footerY);
-      footerY += 6;
-    }
-    
-    if (pricingConfig.notes) {
-      doc.text(`Notes: ${pricingConfig.notes}`, 20, footerY);
-      footerY += 6;
-    }
-    
-    if (company?.terms) {
-      doc.text(`Terms: ${company.terms}`, 20, footerY);
-      footerY += 6;
-    }
-    
-    // Footer line
-    doc.setDrawColor(189, 195, 199);
-    doc.setLineWidth(0.5);
-    doc.line(20, pageHeight - 15, 190, pageHeight - 15);
-    
-    // Generation info
-    doc.setFontSize(7);
-    doc.text(
-      `Generated on ${new Date().toLocaleDateString()} at ${new Date().toLocaleTimeString()}`, 
-      20, 
-      pageHeight - 8
-    );
-    
-    const pdfBuffer = doc.output('arraybuffer');
-    
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `attachment; filename="price-list-with-qr-${Date.now()}.pdf"`);
-    res.setHeader('Content-Length', pdfBuffer.byteLength);
-    res.end(Buffer.from(pdfBuffer));
-    
-    console.log('✅ Enhanced PDF with QR code generated successfully');
-    
-  } catch (error) {
-    console.error('❌ Enhanced PDF generation error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Enhanced PDF generation failed',
-      error: error.message
-    });
-  }
-});
-
-// Enhanced PDF generation with FIXED characters, full names, and clickable links (original endpoint)
-app.post('/api/price-lists/generate-pdf-flexible', async (req, res) => {
-  try {
-    const { 
-      title, 
-      currency, 
-      products, 
-      company, 
-      pricingConfig = {},
-      customPrices = {} 
-    } = req.body;
-    
-    console.log('📄 Generating enhanced PDF with clickable links');
-    
-    // Import jsPDF
-    const { jsPDF } = await import('jspdf');
-    await import('jspdf-autotable');
-    
-    const doc = new jsPDF();
-    
-    // Header with company branding
-    doc.setFontSize(24);
-    doc.setFont(undefined, 'bold');
-    doc.setTextColor(44, 62, 80); // Dark blue-gray
-    doc.text(company?.name || 'Your Company', 20, 30);
-    
-    doc.setFontSize(18);
-    doc.setFont(undefined, 'normal');
-    doc.setTextColor(52, 73, 94);
-    doc.text(title || 'Custom Price List', 20, 45);
-    
-    doc.setFontSize(10);
-    doc.setTextColor(127, 140, 141);
-    doc.text(`Generated: ${new Date().toLocaleDateString()}`, 20, 55);
-    
-    // Show pricing tier info on the right
-    if (pricingConfig.tierName) {
-      doc.text(`Pricing Tier: ${pricingConfig.tierName}`, 120, 55);
-    }
-    if (pricingConfig.discountPercent) {
-      doc.text(`Base Discount: ${pricingConfig.discountPercent}%`, 120, 65);
-    }
-    
-    // Company contact info - FIXED: No more random characters!
-    let yPos = 75;
-    doc.setFontSize(10);
-    doc.setTextColor(44, 62, 80);
-    
-    if (company?.email) {
-      doc.text(`Email: ${company.email}`, 20, yPos);
-      yPos += 8;
-    }
-    if (company?.phone) {
-      doc.text(`Phone: ${company.phone}`, 120, yPos - 8); // Place phone on the right
-    }
-    if (company?.website) {
-      doc.text(`Website: ${company.website}`, 20, yPos);
-      yPos += 15;
-    }
-    
-    // Table with enhanced formatting
-    const tableColumns = [
-      { header: 'Product Name', dataKey: 'name' },
-      { header: 'Vendor', dataKey: 'vendor' },
-      { header: 'Base Price', dataKey: 'basePrice' },
-      { header: 'Your Price', dataKey: 'finalPrice' },
-      { header: 'Savings', dataKey: 'savings' },
-      { header: 'Stock', dataKey: 'stock' }
-    ];
-    
-    const tableRows = (products || []).map(product => {
-      const variant = product.variants && product.variants[0] ? product.variants[0] : {};
-      const basePrice = variant.price || 0;
-      
-      // Check for custom pricing
-      const hasCustomPrice = customPrices[product.id] !== undefined;
-      let finalPrice;
-      
-      if (hasCustomPrice) {
-        finalPrice = parseFloat(customPrices[product.id]);
-      } else {
-        const discountMultiplier = (100 - (pricingConfig.discountPercent || 0)) / 100;
-        finalPrice = basePrice * discountMultiplier;
-      }
-      
-      const savings = basePrice - finalPrice;
-      const savingsPercent = basePrice > 0 ? ((savings / basePrice) * 100).toFixed(1) : '0';
-      
-      return {
-        name: product.title || 'Unknown Product', // FIXED: Full product name!
-        vendor: product.vendor || 'Unknown',
-        basePrice: `R ${basePrice.toFixed(2)}`,
-        finalPrice: `R ${finalPrice.toFixed(2)}` + (hasCustomPrice ? ' *' : ''),
-        savings: savings > 0 ? `-${savingsPercent}%` : '0%',
-        stock: variant.inventoryQuantity > 0 ? 'Available' : 'Out of Stock',
-        // Store product data for links
-        productId: product.id,
-        productHandle: product.handle,
-        productUrl: company?.website ? `${company.website}/products/${product.handle || product.id}` : null
-      };
-    });
-    
-    // Enhanced table with clickable product links
-    doc.autoTable({
-      columns: tableColumns,
-      body: tableRows,
-      startY: yPos,
-      theme: 'striped',
-      styles: { 
-        fontSize: 8, 
-        cellPadding: 4,
-        textColor: [44, 62, 80],
-        lineColor: [189, 195, 199],
-        lineWidth: 0.1
-      },
-      headStyles: { 
-        fillColor: [52, 152, 219], 
-        textColor: [255, 255, 255],
-        fontStyle: 'bold',
-        fontSize: 9
-      },
-      alternateRowStyles: {
-        fillColor: [248, 249, 250]
-      },
-      columnStyles: {
-        0: { cellWidth: 60 }, // Product name - wider for full names
-        1: { cellWidth: 25 }, // Vendor
-        2: { cellWidth: 25, halign: 'right' }, // Base price
-        3: { cellWidth: 25, halign: 'right', fillColor: [240, 248, 255] }, // Final price
-        4: { cellWidth: 20, halign: 'center' }, // Savings
-        5: { cellWidth: 20, halign: 'center' } // Stock
-      },
-      didDrawCell: (data) => {
-        // FIXED: Add clickable links for product names!
-        if (data.column.dataKey === 'name' && data.cell.section === 'body') {
-          const rowData = tableRows[data.row.index];
-          if (rowData.productUrl) {
-            // Add clickable link
-            doc.link(
-              data.cell.x, 
-              data.cell.y, 
-              data.cell.width, 
-              data.cell.height, 
-              { url: rowData.productUrl }
-            );
-            
-            // Add subtle visual indicator for clickable area
-            doc.setDrawColor(52, 152, 219);
-            doc.setLineWidth(0.2);
-            doc.line(
-              data.cell.x + 2, 
-              data.cell.y + data.cell.height - 1, 
-              data.cell.x + data.cell.width - 2, 
-              data.cell.y + data.cell.height - 1
-            );
-          }
-        }
-      }
+    const taxSettings = await resolveTaxSettings(getShopDomain(req));
+    const doc = await pdfService.generateEnhancedPDF(await prepareLines(products, getShopDomain(req)), {
+      template: 'catalogue',
+      title: title || 'Custom Price List',
+      companyConfig: asSentCompany(company),
+      clientConfig: { showClientDetails: false },
+      pricingTier: requestedConfig.tierName || 'custom',
+      pricingConfig: await withPromotions(requestedConfig, getShopDomain(req)),
+      customPrices,
+      includeQR: false,
+      currency: currencyContext,
+      taxSettings,
+      taxDisplay: resolveTaxDisplay(taxDisplay, taxSettings),
+      validity: resolveValidity(validUntil)
     });
     
-    // Enhanced footer
-    const pageHeight = doc.internal.pageSize.height;
-    doc.setFontSize(8);
-    doc.setTextColor(127, 140, 141);
-    
-    let footerY = pageHeight - 40;
-    
-    // Legend for custom pricing
-    doc.text('* Custom pricing applied for specific products', 20, footerY);
-    footerY += 8;
-    
-    // Clickable products note
-    if (company?.website) {
-      doc.text('Click product names to visit our online store', 20, footerY);
-      footerY += 8;
-    }
-    
-    // Configuration notes
-    if (pricingConfig.notes) {
-      doc.text(`Notes: ${pricingConfig.notes}`, 20, footerY);
-      footerY += 8;
-    }
-    
-    // Terms and conditions
-    if (company?.terms) {
-      doc.text(`Terms: ${company.terms}`, 20, footerY);
-    }
-    
-    // Add footer line
-    doc.setDrawColor(189, 195, 199);
-    doc.setLineWidth(0.5);
-    doc.line(20, pageHeight - 15, 190, pageHeight - 15);
-    
-    // Generation info
-    doc.setFontSize(7);
-    doc.text(
-      `Generated on ${new Date().toLocaleDateString()} at ${new Date().toLocaleTimeString()}`, 
-      20, 
-      pageHeight - 8
-    );
-    
-    const pdfBuffer = doc.output('arraybuffer');
-    
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `attachment; filename="enhanced-price-list-${Date.now()}.pdf"`);
-    res.setHeader('Content-Length', pdfBuffer.byteLength);
-    res.end(Buffer.from(pdfBuffer));
+    sendPDF(res, doc.output('arraybuffer'), 'enhanced-price-list');
     
     console.log('✅ Enhanced PDF with clickable links generated successfully');
     
@@ -1169,28 +1211,58 @@ app.post('/api/price-lists/generate-enhanced-pdf', async (req, res) => {
       companyConfig = {},
       clientConfig = {},
       pricingTier = 'wholesale',
+      pricingConfig = null,
       customPrices = {},
       includeQR = true,
-      title = 'Professional Price List'
+      currency = BASE_CURRENCY,
+      taxDisplay,
+      validUntil,
+      title = 'Professional Price List',
+      template: templateId = null
     } = req.body;
     
     console.log('🎨 Generating professional PDF with enhanced design');
     
-    // Use the new PDF service
-    const doc = await pdfService.generateEnhancedPDF(products, {
+    const template = await resolveTemplate(getShopDomain(req), templateId);
+    if (!template) {
+      return res.status(400).json({
+        success: false,
+        message: `Template not found: ${templateId}`
+      });
+    }
+    
+    const currencyContext = await resolveCurrencyContext(currency, getShopDomain(req));
+    if (!currencyContext) {
+      return res.status(400).json({
+        success: false,
+        message: `No exchange rate available for ${currency}`
+      });
+    }
+    
+    const taxSettings = await resolveTaxSettings(getShopDomain(req));
+    
+    // Running promotions ride along with the tier config
+    const activeConfig = await withPromotions(pricingConfig || pricingService.getTierConfig(pricingTier), getShopDomain(req));
+    
+    const renderTemplate = templateService.toRenderTemplate(template);
+    const doc = await pdfService.generateEnhancedPDF(await prepareLines(products, getShopDomain(req)), {
+      template: renderTemplate,
+      collections: await resolveSectionCollections(getShopDomain(req), renderTemplate),
+      orderLinks: { shopDomain: getShopDomain(req) },
+      title,
       companyConfig,
       clientConfig,
       pricingTier,
+      pricingConfig: activeConfig,
       customPrices,
-      includeQR
+      includeQR,
+      currency: currencyContext,
+      taxSettings,
+      taxDisplay: resolveTaxDisplay(taxDisplay, taxSettings),
+      validity: resolveValidity(validUntil)
     });
     
-    const pdfBuffer = doc.output('arraybuffer');
-    
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `attachment; filename="${title.replace(/[^a-zA-Z0-9]/g, '-')}-${Date.now()}.pdf"`);
-    res.setHeader('Content-Length', pdfBuffer.byteLength);
-    res.end(Buffer.from(pdfBuffer));
+    sendPDF(res, doc.output('arraybuffer'), title);
     
     console.log('✅ Enhanced PDF with professional design generated successfully');
     
@@ -1209,8 +1281,6 @@ app.post('/api/company-config/save', async (req, res) => {
   try {
     const companyConfig = req.body;
     
-    // In a real app, this would save to database
-    // For now, we'll just validate and return success
     const requiredFields = ['name', 'email', 'phone'];
     const missingFields = requiredFields.filter(field => !companyConfig[field]);
     
@@ -1222,12 +1292,14 @@ app.post('/api/company-config/save', async (req, res) => {
       });
     }
     
-    console.log('💼 Company configuration saved:', companyConfig.name);
+    const config = await saveCompanySettings(getShopDomain(req), companyConfig);
+    
+    console.log('💼 Company configuration saved:', config.name);
     
     res.json({
       success: true,
       message: 'Company configuration saved successfully',
-      config: companyConfig
+      config
     });
     
   } catch (error) {
@@ -1240,42 +1312,63 @@ app.post('/api/company-config/save', async (req, res) => {
   }
 });
 
-// Get company configuration
-app.get('/api/company-config', (req, res) => {
-  // Return default config - in real app would fetch from database
+// Get company configuration - saved settings over the defaults
+app.get('/api/company-config', async (req, res) => {
+  const saved = await getCompanySettings(getShopDomain(req));
   res.json({
     success: true,
-    config: pdfService.defaultCompanyConfig
+    config: { ...pdfService.defaultCompanyConfig, ...(saved || {}) }
   });
 });
 
-// API endpoint to save pricing configurations
+// API endpoint to save pricing configurations (creates a new config, or a new version when an id is given)
 app.post('/api/pricing-configs/save', async (req, res) => {
   try {
-    const { 
-      configName, 
-      tierName, 
-      discountPercent, 
-      customPrices, 
-      notes,
-      shopDomain 
-    } = req.body;
+    const { id, configName, tierName, discountPercent } = req.body;
+    
+    if (!tierName) {
+      return res.status(400).json({
+        success: false,
+        message: 'Tier name is required'
+      });
+    }
+    
+    const configError = pricingService.validatePricingConfig(req.body);
+    if (configError) {
+      return res.status(400).json({
+        success: false,
+        message: configError
+      });
+    }
     
-    // In a real app, you'd save this to a database
-    // For now, we'll just return the config
-    const pricingConfig = {
-      id: Date.now(),
+    // Every versioned field the request carries is stored, with defaults for the basics
+    const configData = {
+      ...Object.fromEntries(PRICING_CONFIG_FIELDS
+        .filter(field => req.body[field] !== undefined)
+        .map(field => [field, req.body[field]])),
       configName: configName || `${tierName} Pricing`,
-      tierName,
       discountPercent: parseFloat(discountPercent) || 0,
-      customPrices: customPrices || {},
-      notes: notes || '',
-      shopDomain,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
+      customPrices: req.body.customPrices || {},
+      quantityBreaks: req.body.quantityBreaks || [],
+      productBreaks: req.body.productBreaks || {},
+      notes: req.body.notes || '',
+      shopDomain: getShopDomain(req)
     };
     
-    console.log('💾 Saving pricing config:', pricingConfig.configName);
+    // Another shop's config is treated as missing
+    const existing = id ? await getPricingConfigById(id) : null;
+    const pricingConfig = id
+      ? (existing?.shopDomain === configData.shopDomain ? await updatePricingConfig(id, configData) : null)
+      : await createPricingConfig(configData);
+    
+    if (!pricingConfig) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pricing configuration not found'
+      });
+    }
+    
+    console.log('💾 Saved pricing config:', pricingConfig.configName, `(v${pricingConfig.version})`);
     
     res.json({
       success: true,
@@ -1296,40 +1389,13 @@ app.post('/api/pricing-configs/save', async (req, res) => {
 // API endpoint to load saved pricing configurations
 app.get('/api/pricing-configs', async (req, res) => {
   try {
-    const { shopDomain } = req.query;
-    
-    // In a real app, you'd fetch from database
-    // For now, return sample configs
-    const sampleConfigs = [
-      {
-        id: 1,
-        configName: 'Standard Wholesale',
-        tierName: 'Wholesale',
-        discountPercent: 15,
-        customPrices: {},
-        notes: 'Standard wholesale pricing for regular customers'
-      },
-      {
-        id: 2,
-        configName: 'Premium Installer',
-        tierName: 'Installer',
-        discountPercent: 25,
-        customPrices: {},
-        notes: 'Premium pricing for high-volume installers'
-      },
-      {
-        id: 3,
-        configName: 'VIP Distributor',
-        tierName: 'Distributor',
-        discountPercent: 30,
-        customPrices: {},
-        notes: 'Special pricing for key distribution partners'
-      }
-    ];
+    const includeArchived = req.query.includeArchived === 'true';
+    const configs = await getPricingConfigs(getShopDomain(req), { includeArchived });
     
     res.json({
       success: true,
-      configs: sampleConfigs,
+      configs,
+      count: configs.length,
       message: 'Pricing configurations loaded'
     });
     
@@ -1343,566 +1409,4689 @@ app.get('/api/pricing-configs', async (req, res) => {
   }
 });
 
-// API endpoint for real-time price calculation
-app.post('/api/calculate-pricing', async (req, res) => {
+// Get a single pricing configuration (includes its version history)
+app.get('/api/pricing-configs/:id', async (req, res) => {
   try {
-    const { products, pricingConfig, customPrices = {} } = req.body;
+    const config = await getPricingConfigById(req.params.id);
     
-    const calculatedProducts = products.map(product => {
-      const variant = product.variants && product.variants[0] ? product.variants[0] : {};
-      const basePrice = variant.price || 0;
-      
-      let finalPrice;
-      let priceSource;
-      
-      if (customPrices[product.id] !== undefined) {
-        finalPrice = parseFloat(customPrices[product.id]);
-        priceSource = 'custom';
-      } else {
-        finalPrice = calculateFlexiblePricing(basePrice, pricingConfig);
-        priceSource = 'tier';
-      }
-      
-      const savings = basePrice - finalPrice;
-      const savingsPercent = basePrice > 0 ? ((savings / basePrice) * 100) : 0;
-      
-      return {
-        ...product,
-        pricing: {
-          basePrice,
-          finalPrice,
-          savings,
-          savingsPercent: parseFloat(savingsPercent.toFixed(2)),
-          priceSource
-        }
-      };
-    });
+    if (!config) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pricing configuration not found'
+      });
+    }
     
     res.json({
       success: true,
-      products: calculatedProducts,
-      summary: {
-        totalProducts: calculatedProducts.length,
-        customPriced: calculatedProducts.filter(p => p.pricing.priceSource === 'custom').length,
-        tierPriced: calculatedProducts.filter(p => p.pricing.priceSource === 'tier').length,
-        averageSavings: calculatedProducts.reduce((acc, p) => acc + p.pricing.savingsPercent, 0) / calculatedProducts.length
-      }
+      config
     });
     
   } catch (error) {
-    console.error('❌ Error calculating pricing:', error);
+    console.error('❌ Error loading pricing config:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to calculate pricing',
+      message: 'Failed to load pricing configuration',
       error: error.message
     });
   }
 });
 
-// ===========================================
-// PRICE LIST STORAGE ENDPOINTS
-// ===========================================
-
-// Save price list
-app.post('/api/price-lists/save', async (req, res) => {
+// Update a pricing configuration (bumps its version)
+app.put('/api/pricing-configs/:id', async (req, res) => {
   try {
-    const priceListData = req.body;
+    const updates = { ...req.body };
+    if (updates.discountPercent !== undefined) {
+      updates.discountPercent = parseFloat(updates.discountPercent) || 0;
+    }
     
-    if (!priceListData.name || !priceListData.products || priceListData.products.length === 0) {
+    const configError = pricingService.validatePricingConfig(updates);
+    if (configError) {
       return res.status(400).json({
         success: false,
-        message: 'Name and products are required'
+        message: configError
       });
     }
-
-    // Generate unique ID
-    const id = `pl_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     
-    // Enhanced price list data
-    const savedPriceList = {
-      id,
-      ...priceListData,
-      savedAt: new Date().toISOString(),
-      status: 'active'
-    };
-
-    // Save to in-memory storage
-    savedPriceLists.push(savedPriceList);
-    console.log('💾 Saving price list:', savedPriceList.name);
-    console.log('📊 Total saved price lists:', savedPriceLists.length);
+    const config = await updatePricingConfig(req.params.id, updates);
+    
+    if (!config) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pricing configuration not found'
+      });
+    }
     
     res.json({
       success: true,
-      message: 'Price list saved successfully',
-      priceList: {
-        id: savedPriceList.id,
-        name: savedPriceList.name,
-        totalProducts: savedPriceList.totalProducts,
-        totalValue: savedPriceList.totalValue,
-        pricingTier: savedPriceList.pricingConfig.tierName,
-        createdAt: savedPriceList.createdAt,
-        savedAt: savedPriceList.savedAt
-      }
+      message: 'Pricing configuration updated successfully',
+      config
     });
     
   } catch (error) {
-    console.error('❌ Error saving price list:', error);
+    console.error('❌ Error updating pricing config:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to save price list',
+      message: 'Failed to update pricing configuration',
       error: error.message
     });
   }
 });
 
-// Get all saved price lists
-app.get('/api/price-lists', async (req, res) => {
+// Archive or restore a pricing configuration
+app.post('/api/pricing-configs/:id/:action(archive|unarchive)', async (req, res) => {
   try {
-    // Return real saved price lists
-    const priceLists = savedPriceLists.map(pl => ({
-      id: pl.id,
-      name: pl.name,
-      totalProducts: pl.totalProducts,
-      totalValue: pl.totalValue,
-      pricingTier: pl.pricingConfig ? pl.pricingConfig.tierName : pl.pricingTier,
-      createdAt: pl.createdAt,
-      savedAt: pl.savedAt,
-      status: pl.status
-    }));
+    const archived = req.params.action === 'archive';
+    const config = await setPricingConfigArchived(req.params.id, archived);
     
-    console.log('📋 Loading price lists:', priceLists.length, 'found');
+    if (!config) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pricing configuration not found'
+      });
+    }
     
     res.json({
       success: true,
-      priceLists: priceLists,
-      count: priceLists.length,
-      message: 'Price lists loaded successfully'
+      message: archived ? 'Pricing configuration archived' : 'Pricing configuration restored',
+      config
     });
     
   } catch (error) {
-    console.error('❌ Error loading price lists:', error);
+    console.error('❌ Error archiving pricing config:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to load price lists',
+      message: 'Failed to update pricing configuration',
       error: error.message
     });
   }
 });
 
-// Get specific price list
-app.get('/api/price-lists/:id', async (req, res) => {
+// Delete a pricing configuration
+app.delete('/api/pricing-configs/:id', async (req, res) => {
   try {
-    const { id } = req.params;
-    
-    // Find the price list in storage
-    const priceList = savedPriceLists.find(pl => pl.id === id);
+    const deleted = await deletePricingConfig(req.params.id);
     
-    if (!priceList) {
+    if (!deleted) {
       return res.status(404).json({
         success: false,
-        message: 'Price list not found'
+        message: 'Pricing configuration not found'
       });
     }
     
-    console.log('📋 Loading price list:', priceList.name);
-    
     res.json({
       success: true,
-      priceList: priceList,
-      message: 'Price list loaded successfully'
+      message: 'Pricing configuration deleted successfully'
     });
     
   } catch (error) {
-    console.error('❌ Error loading price list:', error);
+    console.error('❌ Error deleting pricing config:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to load price list',
+      message: 'Failed to delete pricing configuration',
       error: error.message
     });
   }
 });
 
-// Delete price list
-app.delete('/api/price-lists/:id', async (req, res) => {
+// API endpoint for real-time price calculation
+app.post('/api/calculate-pricing', async (req, res) => {
   try {
-    const { id } = req.params;
+    const { products, pricingConfig: requestedConfig = {}, customPrices = {}, currency = BASE_CURRENCY } = req.body;
+    const internal = isInternalRequest(req);
     
-    // Find and remove from in-memory storage
-    const initialLength = savedPriceLists.length;
-    savedPriceLists = savedPriceLists.filter(pl => pl.id !== id);
-    const deleted = savedPriceLists.length < initialLength;
+    const configError = pricingService.validatePricingConfig(requestedConfig);
+    if (configError) {
+      return res.status(400).json({
+        success: false,
+        message: configError
+      });
+    }
     
-    console.log('🗑️ Deleting price list:', id, deleted ? 'Success' : 'Not found');
+    const pricingConfig = await withPromotions(requestedConfig, getShopDomain(req));
     
-    if (deleted) {
-      res.json({
-        success: true,
-        message: 'Price list deleted successfully'
-      });
-    } else {
-      res.status(404).json({
+    const currencyContext = await resolveCurrencyContext(currency, getShopDomain(req));
+    if (!currencyContext) {
+      return res.status(400).json({
         success: false,
-        message: 'Price list not found'
+        message: `No exchange rate available for ${currency}`
       });
     }
     
+    const taxSettings = await resolveTaxSettings(getShopDomain(req));
+    
+    // Each selected variant is priced as its own line
+    const lines = pricingService.expandVariantLines(products);
+    await attachProductCosts(lines, getShopDomain(req));
+    
+    const { calculatedProducts, breakColumns } = priceLines(lines, pricingConfig, customPrices, currencyContext, taxSettings, internal);
+    
+    res.json({
+      success: true,
+      products: calculatedProducts,
+      currency: currencyContext,
+      taxSettings,
+      promotions: pricingConfig.promotions.map(promotion => pricingService.describePromotion(promotion)),
+      summary: {
+        totalProducts: products.length,
+        totalLines: calculatedProducts.length,
+        customPriced: calculatedProducts.filter(p => p.pricing.priceSource === 'custom').length,
+        rulePriced: calculatedProducts.filter(p => p.pricing.priceSource === 'rule').length,
+        tierPriced: calculatedProducts.filter(p => p.pricing.priceSource === 'tier').length,
+        promotionPriced: calculatedProducts.filter(p => p.pricing.priceSource === 'promotion').length,
+        averageSavings: calculatedProducts.reduce((acc, p) => acc + p.pricing.savingsPercent, 0) / calculatedProducts.length,
+        rounded: calculatedProducts.filter(p => p.pricing.roundingStrategy !== 'none').length,
+        marginViolations: calculatedProducts.filter(p => p.pricing.marginViolation).length,
+        marginClamped: calculatedProducts.filter(p => p.pricing.marginClamped).length,
+        tax: pricingService.summariseTax(calculatedProducts.map(p => ({
+          price: p.pricing.finalPrice,
+          quantity: p.quantity || 1,
+          taxable: p.pricing.tax.taxable
+        })), taxSettings),
+        breakColumns
+      }
+    });
+    
   } catch (error) {
-    console.error('❌ Error deleting price list:', error);
+    console.error('❌ Error calculating pricing:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to delete price list',
+      message: 'Failed to calculate pricing',
       error: error.message
     });
   }
 });
 
 // ===========================================
-// CHECKOUT ENDPOINTS
+// TAX SETTINGS ENDPOINTS
 // ===========================================
 
-// Create Shopify checkout URL
-app.post('/api/create-checkout', async (req, res) => {
+// Get the shop's VAT settings (defaults until saved)
+app.get('/api/tax-settings', async (req, res) => {
   try {
-    const { items, listId, source, clientInfo } = req.body;
-    
-    console.log('🛒 Creating checkout for list:', listId, 'items:', items?.length);
+    res.json({
+      success: true,
+      settings: await resolveTaxSettings(getShopDomain(req)),
+      displayModes: TAX_DISPLAY_MODES
+    });
+  } catch (error) {
+    console.error('❌ Error loading tax settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load tax settings',
+      error: error.message
+    });
+  }
+});
+
+// Save the shop's VAT settings
+app.post('/api/tax-settings', async (req, res) => {
+  try {
+    const { label = 'VAT', ratePercent, pricesIncludeTax = false, defaultDisplay = 'excl', registrationNumber } = req.body;
     
-    if (!items || items.length === 0) {
+    const rate = parseFloat(ratePercent);
+    if (isNaN(rate) || rate < 0 || rate >= 100) {
       return res.status(400).json({
         success: false,
-        message: 'Items are required for checkout'
+        message: 'Tax rate must be between 0 and 100'
       });
     }
-    
-    // Check if Shopify is properly configured for draft orders
-    const hasShopifyConfig = process.env.SHOPIFY_ACCESS_TOKEN && process.env.SHOPIFY_SHOP_NAME;
-    
-    if (hasShopifyConfig) {
-      try {
-        // Create actual Shopify draft order
-        console.log('📝 Creating Shopify draft order...');
-        
-        const draftOrderManager = new DraftOrderManager({
-          shop: process.env.SHOPIFY_SHOP_NAME,
-          accessToken: process.env.SHOPIFY_ACCESS_TOKEN
-        });
-        
-        // Transform items to match draft order format
-        const priceListData = {
-          listId: listId || `list_${Date.now()}`,
-          products: items.map(item => ({
-            id: item.id,
-            variants: [{
-              id: item.id,
-              price: item.price
-            }],
-            quantity: item.quantity || 1,
-            pricing: {
-              finalPrice: item.price
-            }
-          })),
-          clientName: clientInfo?.name || 'Customer',
-          clientEmail: clientInfo?.email || 'customer@example.com',
-          pricingTier: 'quote'
-        };
-        
-        const draftOrder = await draftOrderManager.createDraftOrder(priceListData);
-        
-        console.log('✅ Shopify draft order created:', draftOrder.id);
-        
-        res.json({
-          success: true,
-          checkoutUrl: draftOrder.invoice_url,
-          totalAmount: parseFloat(draftOrder.total_price),
-          itemCount: draftOrder.line_items.length,
-          listId: listId,
-          draftOrderId: draftOrder.id,
-          message: 'Draft order created successfully in Shopify'
-        });
-        
-      } catch (shopifyError) {
-        console.error('❌ Shopify draft order failed:', shopifyError);
-        
-        // Fall back to mock checkout if Shopify fails
-        const totalAmount = items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-        const shopDomain = process.env.SHOPIFY_SHOP_NAME || 'demo-shop';
-        const cleanDomain = shopDomain.replace('.myshopify.com', '');
-        const mockCheckoutUrl = `https://${cleanDomain}.myshopify.com/cart/add?id=mock&return_to=/checkout`;
-        
-        res.json({
-          success: true,
-          checkoutUrl: mockCheckoutUrl,
-          totalAmount: totalAmount,
-          itemCount: items.length,
-          listId: listId,
-          message: 'Using fallback checkout (Shopify draft order failed)',
-          error: shopifyError.message
-        });
-      }
-    } else {
-      // No Shopify config - use mock checkout
-      console.log('⚠️ No Shopify config, using mock checkout');
-      
-      const totalAmount = items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-      const mockCheckoutUrl = `https://demo-shop.myshopify.com/cart/add?id=mock&return_to=/checkout`;
-      
-      res.json({
-        success: true,
-        checkoutUrl: mockCheckoutUrl,
-        totalAmount: totalAmount,
-        itemCount: items.length,
-        listId: listId,
-        message: 'Mock checkout created (Shopify not configured)'
+    if (!TAX_DISPLAY_MODES.includes(defaultDisplay)) {
+      return res.status(400).json({
+        success: false,
+        message: `Display mode must be one of: ${TAX_DISPLAY_MODES.join(', ')}`
       });
     }
     
+    const settings = await saveTaxSettings(getShopDomain(req), {
+      label,
+      ratePercent: rate,
+      pricesIncludeTax: pricesIncludeTax === true || pricesIncludeTax === 'true',
+      defaultDisplay,
+      registrationNumber
+    });
+    
+    console.log(`🧾 Tax settings saved: ${settings.label} ${settings.ratePercent}%`);
+    
+    res.json({
+      success: true,
+      message: 'Tax settings saved successfully',
+      settings
+    });
   } catch (error) {
-    console.error('❌ Error creating checkout:', error);
+    console.error('❌ Error saving tax settings:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to create checkout',
+      message: 'Failed to save tax settings',
       error: error.message
     });
   }
 });
 
 // ===========================================
-// QR CODE GENERATION ENDPOINTS
+// EXCHANGE RATE ENDPOINTS
 // ===========================================
 
-// Generate QR code for any URL
-app.post('/api/generate-qr', async (req, res) => {
+// List stored exchange rates with the supported currencies
+app.get('/api/exchange-rates', async (req, res) => {
   try {
-    const { url, options = {} } = req.body;
+    const rates = await getExchangeRates(getShopDomain(req), req.query.currency || null);
     
-    if (!url) {
-      return res.status(400).json({
+    res.json({
+      success: true,
+      baseCurrency: BASE_CURRENCY,
+      currencies: CURRENCIES,
+      rates
+    });
+  } catch (error) {
+    console.error('❌ Error loading exchange rates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load exchange rates',
+      error: error.message
+    });
+  }
+});
+
+// Rate in force for a currency (optionally on a given date)
+app.get('/api/exchange-rates/current', async (req, res) => {
+  try {
+    const { currency, date } = req.query;
+    const currencyContext = await resolveCurrencyContext(currency, getShopDomain(req), date ? new Date(date) : new Date());
+    
+    if (!currencyContext) {
+      return res.status(404).json({
         success: false,
-        message: 'URL is required'
+        message: `No exchange rate available for ${currency}`
       });
     }
-
-    // QR code generation options
-    const qrOptions = {
-      errorCorrectionLevel: 'M',
-      type: 'image/png',
-      quality: 0.92,
-      margin: 1,
-      color: {
-        dark: '#000000',
-        light: '#FFFFFF'
-      },
-      width: 200,
-      ...options
-    };
-
-    const qrCodeDataURL = await QRCode.toDataURL(url, qrOptions);
     
     res.json({
       success: true,
-      qrCodeDataURL,
-      url,
-      message: 'QR code generated successfully'
+      currency: currencyContext
     });
-
   } catch (error) {
-    console.error('❌ QR generation error:', error);
+    console.error('❌ Error resolving exchange rate:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to generate QR code',
+      message: 'Failed to resolve exchange rate',
       error: error.message
     });
   }
 });
 
-// Generate QR code and create draft order for price list
-app.post('/api/generate-qr-with-draft-order', async (req, res) => {
+// Add an exchange rate (1 ZAR = rate units of the currency from effectiveFrom)
+app.post('/api/exchange-rates', async (req, res) => {
   try {
-    const { 
-      products, 
-      company, 
-      pricingConfig, 
-      customPrices = {},
-      clientInfo = {} 
-    } = req.body;
+    const { currency, rate, effectiveFrom, rounding, notes } = req.body;
     
-    if (!products || products.length === 0) {
+    if (!pricingService.getCurrency(currency) || String(currency).toUpperCase() === BASE_CURRENCY) {
       return res.status(400).json({
         success: false,
-        message: 'Products are required'
+        message: `Unsupported currency: ${currency}`
       });
     }
-
-    // Create draft order manager
-    const draftOrderManager = new DraftOrderManager({
-      shop: process.env.SHOPIFY_SHOP_NAME,
-      accessToken: process.env.SHOPIFY_ACCESS_TOKEN
+    if (!(parseFloat(rate) > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rate must be a positive number'
+      });
+    }
+    if (effectiveFrom && isNaN(new Date(effectiveFrom).getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid effective date'
+      });
+    }
+    
+    const exchangeRate = await createExchangeRate({
+      shopDomain: getShopDomain(req),
+      currency,
+      rate,
+      effectiveFrom,
+      rounding,
+      notes
     });
-
-    // Prepare price list data for draft order
-    const priceListData = {
-      products: products.map(product => ({
-        ...product,
-        quantity: 1,
-        pricing: {
-          finalPrice: customPrices[product.id] !== undefined 
-            ? parseFloat(customPrices[product.id])
-            : (product.variants[0]?.price || 0) * (1 - (pricingConfig.discountPercent || 0) / 100)
-        }
-      })),
-      clientName: clientInfo.name || 'Customer',
-      clientEmail: clientInfo.email || 'customer@example.com',
-      pricingTier: pricingConfig.tierName || 'retail',
-      listId: `PL-${Date.now()}`,
-      discount: pricingConfig.discountPercent || 0
-    };
-
-    // Create draft order
-    const draftOrder = await draftOrderManager.createDraftOrder(priceListData);
     
-    // Generate QR code for the checkout URL
-    const qrCodeDataURL = await draftOrderManager.generateQRCodeImage(draftOrder.invoice_url);
+    console.log(`💱 Exchange rate saved: ${exchangeRate.currency} ${exchangeRate.rate}`);
     
-    // Generate QR data
-    const qrData = draftOrderManager.generateQRData(draftOrder, priceListData);
-
     res.json({
       success: true,
-      draftOrder: {
-        id: draftOrder.id,
-        checkoutURL: draftOrder.invoice_url,
-        totalPrice: draftOrder.total_price,
-        itemCount: draftOrder.line_items.length
-      },
-      qrCodeDataURL,
-      qrData,
-      message: 'QR code and draft order created successfully'
+      message: 'Exchange rate saved successfully',
+      rate: exchangeRate
+    });
+  } catch (error) {
+    console.error('❌ Error saving exchange rate:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save exchange rate',
+      error: error.message
     });
+  }
+});
 
+// Delete an exchange rate
+app.delete('/api/exchange-rates/:id', async (req, res) => {
+  try {
+    const deleted = await deleteExchangeRate(req.params.id);
+    
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exchange rate not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Exchange rate deleted successfully'
+    });
   } catch (error) {
-    console.error('❌ QR + Draft Order generation error:', error);
+    console.error('❌ Error deleting exchange rate:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to generate QR code and draft order',
+      message: 'Failed to delete exchange rate',
       error: error.message
     });
   }
 });
 
 // ===========================================
-// FRONTEND ROUTES
+// PROMOTION ENDPOINTS
 // ===========================================
 
-// Home page
-app.get('/', (req, res) => {
-  const homeHTML = `
-    <!DOCTYPE html>
-    <html lang="en">
-    <head>
-        <meta charset="UTF-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>Price List Generator</title>
-        <script src="https://cdn.tailwindcss.com"></script>
-    </head>
-    <body class="bg-gray-50 min-h-screen">
-        <!-- Header -->
-        <header class="bg-white shadow-sm border-b">
-            <div class="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
-                <div class="flex justify-between items-center py-4">
-                    <div class="flex items-center space-x-4">
-                        <h1 class="text-2xl font-bold text-gray-900">Price List Generator</h1>
-                        <span class="bg-green-100 text-green-800 px-3 py-1 rounded-full text-sm font-medium">
-                            APP STATUS: ONLINE
-                        </span>
-                    </div>
-                    <nav class="hidden md:flex space-x-6">
-                        <a href="/" class="text-blue-600 font-medium border-b-2 border-blue-600">Home</a>
+// Check a promotion payload; returns an error message or null
+function validatePromotion(promotion) {
+  if (!String(promotion.name || '').trim()) {
+    return 'Promotion name is required';
+  }
+  if (promotion.field !== 'all' && !RULE_FIELDS.includes(promotion.field)) {
+    return `Invalid promotion scope: ${promotion.field}`;
+  }
+  if (promotion.field !== 'all' && !String(promotion.value || '').trim()) {
+    return 'Promotion scope needs a value';
+  }
+  if (!PROMOTION_ACTIONS.includes(promotion.action)) {
+    return `Invalid promotion action: ${promotion.action}`;
+  }
+  if (!(parseFloat(promotion.amount) >= 0)) {
+    return 'Promotion amount must be a number';
+  }
+  if (promotion.action === 'discountPercent' && parseFloat(promotion.amount) > 100) {
+    return 'Promotion discount cannot exceed 100%';
+  }
+  if (!promotion.startsAt || isNaN(new Date(promotion.startsAt).getTime())) {
+    return 'Invalid start date';
+  }
+  if (!promotion.endsAt || isNaN(new Date(promotion.endsAt).getTime())) {
+    return 'Invalid end date';
+  }
+  if (new Date(promotion.endsAt) <= new Date(promotion.startsAt)) {
+    return 'Promotion must end after it starts';
+  }
+  return null;
+}
+
+// List promotions (?active=true for only those running now)
+app.get('/api/promotions', async (req, res) => {
+  try {
+    const activeAt = req.query.active === 'true' ? new Date() : null;
+    const promotions = await getPromotions(getShopDomain(req), { activeAt });
+    
+    res.json({
+      success: true,
+      promotions: promotions.map(promotion => ({
+        ...promotion,
+        active: pricingService.isPromotionActive(promotion)
+      })),
+      fields: ['all', ...RULE_FIELDS],
+      actions: PROMOTION_ACTIONS
+    });
+  } catch (error) {
+    console.error('❌ Error loading promotions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load promotions',
+      error: error.message
+    });
+  }
+});
+
+// Promotion end as an ISO timestamp - a date-only end ("2026-10-31") runs to the end of that day
+function toPromotionEnd(endsAt) {
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(String(endsAt).trim());
+  const date = new Date(dateOnly ? `${String(endsAt).trim()}T23:59:59.999` : endsAt);
+  // Invalid dates are passed through for validatePromotion to reject
+  return isNaN(date.getTime()) ? endsAt : date.toISOString();
+}
+
+// Create a promotion
+app.post('/api/promotions', async (req, res) => {
+  try {
+    const endsAt = req.body.endsAt && toPromotionEnd(req.body.endsAt);
+    const error = validatePromotion({ ...req.body, endsAt });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    
+    const promotion = await createPromotion({
+      ...req.body,
+      amount: parseFloat(req.body.amount),
+      startsAt: new Date(req.body.startsAt).toISOString(),
+      endsAt,
+      shopDomain: getShopDomain(req)
+    });
+    
+    console.log(`🏷️ Promotion saved: ${promotion.name} until ${promotion.endsAt}`);
+    
+    res.json({
+      success: true,
+      message: 'Promotion saved successfully',
+      promotion
+    });
+  } catch (error) {
+    console.error('❌ Error saving promotion:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save promotion',
+      error: error.message
+    });
+  }
+});
+
+// Update a promotion (e.g. extend the end date or switch it off)
+app.put('/api/promotions/:id', async (req, res) => {
+  try {
+    const existing = await getPromotionById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+    
+    const updates = { ...req.body };
+    if (updates.endsAt) updates.endsAt = toPromotionEnd(updates.endsAt);
+    
+    // Validate the merged result so a new end date is checked against the stored start
+    const error = validatePromotion({ ...existing, ...updates });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    
+    if (updates.amount !== undefined) updates.amount = parseFloat(updates.amount);
+    if (updates.startsAt) updates.startsAt = new Date(updates.startsAt).toISOString();
+    
+    const promotion = await updatePromotion(req.params.id, updates);
+    
+    res.json({
+      success: true,
+      message: 'Promotion updated successfully',
+      promotion
+    });
+  } catch (error) {
+    console.error('❌ Error updating promotion:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update promotion',
+      error: error.message
+    });
+  }
+});
+
+// Delete a promotion
+app.delete('/api/promotions/:id', async (req, res) => {
+  try {
+    const deleted = await deletePromotion(req.params.id);
+    
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Promotion deleted successfully'
+    });
+  } catch (error) {
+    console.error('❌ Error deleting promotion:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete promotion',
+      error: error.message
+    });
+  }
+});
+
+// ===========================================
+// TEMPLATE ENDPOINTS
+// ===========================================
+
+// Built-in and saved templates, the shop's default, and the options a template can set
+app.get('/api/templates', async (req, res) => {
+  try {
+    const shopDomain = getShopDomain(req);
+    const [templates, defaultTemplate] = await Promise.all([
+      getTemplates(shopDomain),
+      resolveTemplate(shopDomain)
+    ]);
+    
+    res.json({
+      success: true,
+      builtIn: templateService.getBuiltInTemplates(),
+      templates,
+      defaultTemplate: defaultTemplate.id,
+      options: {
+        columns: TEMPLATE_COLUMNS,
+        colours: TEMPLATE_COLOURS,
+        fonts: TEMPLATE_FONTS,
+        logoPlacements: LOGO_PLACEMENTS,
+        groupings: SECTION_GROUPINGS
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error loading templates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load templates',
+      error: error.message
+    });
+  }
+});
+
+// Render sample lines with a template - saved (by ID or built-in name) or unsaved (the request body)
+async function sendTemplatePreview(req, res, template) {
+  const shopDomain = getShopDomain(req);
+  const taxSettings = await resolveTaxSettings(shopDomain);
+  const company = await getCompanySettings(shopDomain);
+  
+  const doc = await pdfService.generateEnhancedPDF(PREVIEW_PRODUCTS, {
+    template: templateService.toRenderTemplate(template),
+    collections: PREVIEW_COLLECTIONS,
+    orderLinks: { shopDomain },
+    title: `${template.label || template.name} (preview)`,
+    companyConfig: company || {},
+    clientConfig: { name: 'Sample Client Ltd', email: 'buyer@example.com' },
+    pricingTier: 'wholesale',
+    pricingConfig: pricingService.getTierConfig('wholesale'),
+    includeQR: true,
+    currency: pricingService.getBaseCurrencyContext(),
+    taxSettings,
+    taxDisplay: taxSettings.defaultDisplay,
+    validity: resolveValidity()
+  });
+  
+  sendPDF(res, doc.output('arraybuffer'), `template-preview-${template.name}`);
+}
+
+app.post('/api/templates/preview', async (req, res) => {
+  try {
+    const { errors, template } = templateService.validateTemplate({ name: 'Unsaved template', ...req.body });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join('; '),
+        errors
+      });
+    }
+    
+    await sendTemplatePreview(req, res, template);
+  } catch (error) {
+    console.error('❌ Error previewing template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview template',
+      error: error.message
+    });
+  }
+});
+
+app.get('/api/templates/:id/preview', async (req, res) => {
+  try {
+    const template = await resolveTemplate(getShopDomain(req), req.params.id);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+    
+    await sendTemplatePreview(req, res, template);
+  } catch (error) {
+    console.error('❌ Error previewing template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview template',
+      error: error.message
+    });
+  }
+});
+
+// Create a template
+app.post('/api/templates', async (req, res) => {
+  try {
+    const { errors, template } = templateService.validateTemplate(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join('; '),
+        errors
+      });
+    }
+    
+    const saved = await createTemplate({ ...template, shopDomain: getShopDomain(req) });
+    console.log(`🎨 Template saved: ${saved.name}`);
+    
+    res.json({
+      success: true,
+      message: 'Template saved successfully',
+      template: saved
+    });
+  } catch (error) {
+    console.error('❌ Error saving template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save template',
+      error: error.message
+    });
+  }
+});
+
+// Update a template - lists already saved with it keep their copy of the old layout
+app.put('/api/templates/:id', async (req, res) => {
+  try {
+    const existing = await getTemplateById(req.params.id);
+    if (!existing || existing.shopDomain !== getShopDomain(req)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+    
+    const { errors, template } = templateService.validateTemplate(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join('; '),
+        errors
+      });
+    }
+    
+    const updated = await updateTemplate(req.params.id, template);
+    
+    res.json({
+      success: true,
+      message: 'Template updated successfully',
+      template: updated
+    });
+  } catch (error) {
+    console.error('❌ Error updating template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update template',
+      error: error.message
+    });
+  }
+});
+
+// Delete a template
+app.delete('/api/templates/:id', async (req, res) => {
+  try {
+    const existing = await getTemplateById(req.params.id);
+    if (!existing || existing.shopDomain !== getShopDomain(req)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+    
+    await deleteTemplate(req.params.id);
+    
+    res.json({
+      success: true,
+      message: 'Template deleted successfully'
+    });
+  } catch (error) {
+    console.error('❌ Error deleting template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete template',
+      error: error.message
+    });
+  }
+});
+
+// Choose the template new price lists use by default
+app.post('/api/templates/default', async (req, res) => {
+  try {
+    const template = req.body.templateId ? await resolveTemplate(getShopDomain(req), req.body.templateId) : null;
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+    
+    await setDefaultTemplate(getShopDomain(req), template.id);
+    console.log(`🎨 Default template for ${getShopDomain(req)}: ${template.id}`);
+    
+    res.json({
+      success: true,
+      message: `${template.label || template.name} is now the default template`,
+      defaultTemplate: template.id
+    });
+  } catch (error) {
+    console.error('❌ Error setting default template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to set default template',
+      error: error.message
+    });
+  }
+});
+
+// ===========================================
+// PRICE AGREEMENT ENDPOINTS
+// ===========================================
+
+// Check a price agreement payload; returns an error message or null
+function validatePriceAgreement(agreement) {
+  if (!agreement.customerId && !agreement.customerEmail) {
+    return 'A Shopify customer ID or email is required';
+  }
+  const invalid = Object.entries(agreement.prices || {}).find(([, price]) => !(parseFloat(price) >= 0));
+  if (invalid) {
+    return `Invalid agreed price for product ${invalid[0]}`;
+  }
+  return null;
+}
+
+// Agreement prices keyed by each product's own ID, ready to merge into customPrices
+function getAgreementPrices(agreement, products = []) {
+  if (!agreement) return {};
+  
+  const prices = {};
+  products.forEach(product => {
+    const price = agreement.prices?.[String(product.id).split('/').pop()];
+    if (price !== undefined) {
+      prices[product.id] = price;
+    }
+  });
+  return prices;
+}
+
+// Reference carried onto saved lists and draft orders
+function describePriceAgreement(agreement) {
+  return agreement ? { id: agreement.id, reference: agreement.reference, customerId: agreement.customerId || null } : null;
+}
+
+// List price agreements
+app.get('/api/price-agreements', async (req, res) => {
+  try {
+    const agreements = await getPriceAgreements(getShopDomain(req), {
+      includeArchived: req.query.includeArchived === 'true'
+    });
+    
+    res.json({
+      success: true,
+      agreements,
+      count: agreements.length
+    });
+  } catch (error) {
+    console.error('❌ Error loading price agreements:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load price agreements',
+      error: error.message
+    });
+  }
+});
+
+// Find the agreement for a customer (?customerId= or ?email=)
+app.get('/api/price-agreements/lookup', async (req, res) => {
+  try {
+    const agreement = await findPriceAgreement(getShopDomain(req), {
+      customerId: req.query.customerId,
+      email: req.query.email
+    });
+    
+    res.json({
+      success: true,
+      agreement
+    });
+  } catch (error) {
+    console.error('❌ Error looking up price agreement:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to look up price agreement',
+      error: error.message
+    });
+  }
+});
+
+// Get a price agreement
+app.get('/api/price-agreements/:id', async (req, res) => {
+  try {
+    const agreement = await getPriceAgreementById(req.params.id);
+    
+    if (!agreement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Price agreement not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      agreement
+    });
+  } catch (error) {
+    console.error('❌ Error loading price agreement:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load price agreement',
+      error: error.message
+    });
+  }
+});
+
+// Create a price agreement
+app.post('/api/price-agreements', async (req, res) => {
+  try {
+    const error = validatePriceAgreement(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    
+    // One active agreement per customer
+    const existing = await findPriceAgreement(getShopDomain(req), {
+      customerId: req.body.customerId,
+      email: req.body.customerEmail
+    });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: `Customer already has agreement ${existing.reference}`,
+        agreement: existing
+      });
+    }
+    
+    const agreement = await createPriceAgreement({
+      ...req.body,
+      shopDomain: getShopDomain(req)
+    });
+    
+    console.log(`🤝 Price agreement saved: ${agreement.reference}`);
+    
+    res.json({
+      success: true,
+      message: 'Price agreement saved successfully',
+      agreement
+    });
+  } catch (error) {
+    console.error('❌ Error saving price agreement:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save price agreement',
+      error: error.message
+    });
+  }
+});
+
+// Update a price agreement
+app.put('/api/price-agreements/:id', async (req, res) => {
+  try {
+    const existing = await getPriceAgreementById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Price agreement not found'
+      });
+    }
+    
+    const error = validatePriceAgreement({ ...existing, ...req.body });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    
+    const agreement = await updatePriceAgreement(req.params.id, req.body);
+    
+    res.json({
+      success: true,
+      message: 'Price agreement updated successfully',
+      agreement
+    });
+  } catch (error) {
+    console.error('❌ Error updating price agreement:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update price agreement',
+      error: error.message
+    });
+  }
+});
+
+// Delete a price agreement
+app.delete('/api/price-agreements/:id', async (req, res) => {
+  try {
+    const deleted = await deletePriceAgreement(req.params.id);
+    
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Price agreement not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Price agreement deleted successfully'
+    });
+  } catch (error) {
+    console.error('❌ Error deleting price agreement:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete price agreement',
+      error: error.message
+    });
+  }
+});
+
+// ===========================================
+// PRICE LIST STORAGE ENDPOINTS
+// ===========================================
+
+// Save price list
+app.post('/api/price-lists/save', async (req, res) => {
+  try {
+    // author and changeNote describe this save and are kept on the revision, not the list
+    const { author, changeNote, ...priceListData } = req.body;
+    
+    if (!priceListData.name || !priceListData.products || priceListData.products.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name and products are required'
+      });
+    }
+
+    const configError = pricingService.validatePricingConfig(priceListData.pricingConfig || {});
+    if (configError) {
+      return res.status(400).json({
+        success: false,
+        message: configError
+      });
+    }
+
+    // Saving with an ID edits that list and adds a revision
+    const storedList = priceListData.id ? await storageService.getPriceList(priceListData.id) : null;
+    const existingList = storedList?.shopDomain === getShopDomain(req) ? storedList : null;
+    if (priceListData.id && !existingList) {
+      return res.status(404).json({
+        success: false,
+        message: 'Price list not found'
+      });
+    }
+
+    // Validity defaults to DEFAULT_VALIDITY_DAYS from the first save
+    const validFrom = priceListData.validFrom || existingList?.validFrom || new Date().toISOString();
+    const validUntil = priceListData.validUntil
+      ? new Date(priceListData.validUntil)
+      : new Date(existingList?.validUntil || getValidUntil(validFrom, parseInt(priceListData.validityDays) || DEFAULT_VALIDITY_DAYS));
+    if (isNaN(validUntil.getTime()) || validUntil <= new Date(validFrom)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid until must be a date after the list becomes valid'
+      });
+    }
+
+    // Edits keep the list's status; an expired list given a new validity date reopens as a draft
+    let status = existingList?.status || 'draft';
+    if (status === 'expired' && validUntil > new Date()) {
+      status = 'draft';
+    }
+
+    // The rate in force at save time is stored with the list
+    const currencyContext = await resolveCurrencyContext(priceListData.currency, getShopDomain(req));
+    if (!currencyContext) {
+      return res.status(400).json({
+        success: false,
+        message: `No exchange rate available for ${priceListData.currency}`
+      });
+    }
+
+    // Lists built for a client with a price agreement carry its reference
+    const priceAgreement = await findPriceAgreement(getShopDomain(req), {
+      customerId: priceListData.clientInfo?.customerId,
+      email: priceListData.clientInfo?.email
+    });
+
+    // The layout is copied onto the list; edits keep it unless another template is picked
+    const { templateId = null, ...listData } = priceListData;
+    let template = existingList?.template;
+    if (templateId || !template) {
+      const chosen = await resolveTemplate(getShopDomain(req), templateId);
+      if (!chosen) {
+        return res.status(400).json({
+          success: false,
+          message: `Template not found: ${templateId}`
+        });
+      }
+      template = templateService.snapshot(chosen);
+    }
+
+    // Enhanced price list data
+    const priceListRecord = {
+      ...listData,
+      template,
+      shopDomain: getShopDomain(req),
+      pricingTier: priceListData.pricingConfig?.tierName || priceListData.pricingTier || null,
+      priceAgreement: describePriceAgreement(priceAgreement),
+      currency: currencyContext.code,
+      exchangeRate: {
+        rate: currencyContext.rate,
+        rateId: currencyContext.rateId,
+        effectiveFrom: currencyContext.effectiveFrom
+      },
+      savedAt: new Date().toISOString(),
+      validFrom,
+      validUntil: validUntil.toISOString(),
+      status
+    };
+
+    // Persist through the storage service
+    const savedPriceList = await storageService.savePriceList(priceListRecord, { author, changeNote });
+    console.log('💾 Saving price list:', savedPriceList.name, `(revision ${savedPriceList.revision})`);
+    console.log('📊 Total saved price lists:', await storageService.size());
+    
+    res.json({
+      success: true,
+      message: 'Price list saved successfully',
+      priceList: {
+        id: savedPriceList.id,
+        name: savedPriceList.name,
+        totalProducts: savedPriceList.totalProducts,
+        totalValue: savedPriceList.totalValue,
+        pricingTier: savedPriceList.pricingTier,
+        currency: savedPriceList.currency,
+        revision: savedPriceList.revision,
+        status: savedPriceList.status,
+        validUntil: savedPriceList.validUntil,
+        template: savedPriceList.template,
+        createdAt: savedPriceList.createdAt,
+        savedAt: savedPriceList.savedAt
+      }
+    });
+    
+  } catch (error) {
+    console.error('❌ Error saving price list:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save price list',
+      error: error.message
+    });
+  }
+});
+
+// Get all saved price lists
+app.get('/api/price-lists', async (req, res) => {
+  try {
+    const { q, status, tier, client, from, to, sort = 'updatedAt', order = 'desc', cursor } = req.query;
+    const limit = req.query.limit ? parseInt(req.query.limit) : DEFAULT_PAGE_SIZE;
+    
+    if (status && !PRICE_LIST_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${PRICE_LIST_STATUSES.join(', ')}`
+      });
+    }
+    
+    if (!SORT_FIELDS.includes(sort) || !['asc', 'desc'].includes(order)) {
+      return res.status(400).json({
+        success: false,
+        message: `Sort must be one of: ${SORT_FIELDS.join(', ')} (order asc or desc)`
+      });
+    }
+    
+    if (isNaN(limit) || limit < 1 || limit > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'Limit must be between 1 and 100'
+      });
+    }
+    
+    if ([from, to].some(date => date && isNaN(new Date(date).getTime()))) {
+      return res.status(400).json({
+        success: false,
+        message: 'From and to must be dates'
+      });
+    }
+    
+    if (cursor && !decodeCursor(cursor)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
+    
+    // A date-only "to" includes the whole of that day
+    const toDate = to && /^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to}T23:59:59.999` : to;
+    
+    const result = await storageService.queryPriceLists({
+      shopDomain: getShopDomain(req),
+      q,
+      status,
+      tier,
+      client,
+      from,
+      to: toDate,
+      sort,
+      order,
+      limit,
+      cursor
+    });
+    
+    const priceLists = result.priceLists.map(pl => ({
+      id: pl.id,
+      name: pl.name,
+      clientName: pl.clientInfo?.name || pl.clientName || null,
+      totalProducts: pl.totalProducts,
+      totalValue: pl.totalValue,
+      pricingTier: pl.pricingConfig ? pl.pricingConfig.tierName : pl.pricingTier,
+      currency: pl.currency || BASE_CURRENCY,
+      revision: pl.revision || 1,
+      createdAt: pl.createdAt,
+      updatedAt: pl.updatedAt,
+      savedAt: pl.savedAt,
+      status: getEffectiveStatus(pl),
+      validUntil: pl.validUntil,
+      matchedProducts: pl.matchedProducts
+    }));
+    
+    // Counts for the status filter and the tiers in use, across every list for the shop
+    const shopLists = await storageService.getAllPriceLists({ shopDomain: getShopDomain(req) });
+    const statusCounts = PRICE_LIST_STATUSES.reduce((counts, listStatus) => ({
+      ...counts,
+      [listStatus]: shopLists.filter(pl => getEffectiveStatus(pl) === listStatus).length
+    }), {});
+    const tiers = [...new Set(shopLists.map(pl => pl.pricingTier).filter(Boolean))].sort();
+    
+    console.log('📋 Loading price lists:', priceLists.length, 'of', result.total, 'found');
+    
+    res.json({
+      success: true,
+      priceLists: priceLists,
+      count: priceLists.length,
+      total: result.total,
+      nextCursor: result.nextCursor,
+      statusCounts,
+      tiers,
+      message: 'Price lists loaded successfully'
+    });
+    
+  } catch (error) {
+    console.error('❌ Error loading price lists:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load price lists',
+      error: error.message
+    });
+  }
+});
+
+// Get specific price list
+app.get('/api/price-lists/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // Find the price list in storage
+    const priceList = await storageService.getPriceList(id);
+    
+    if (!priceList) {
+      return res.status(404).json({
+        success: false,
+        message: 'Price list not found'
+      });
+    }
+    
+    console.log('📋 Loading price list:', priceList.name);
+    
+    res.json({
+      success: true,
+      priceList: priceList,
+      message: 'Price list loaded successfully'
+    });
+    
+  } catch (error) {
+    console.error('❌ Error loading price list:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load price list',
+      error: error.message
+    });
+  }
+});
+
+// Render a saved price list with generateEnhancedPDF
+// Promotions are those active at pricingDate
+async function renderSavedPriceListPDF(priceList, shopDomain, currencyContext, pricingDate = new Date()) {
+  const taxSettings = await resolveTaxSettings(shopDomain);
+  const pricingTier = priceList.pricingConfig?.tierName || priceList.pricingTier || 'wholesale';
+  const pricingConfig = await withPromotions(priceList.pricingConfig || pricingService.getTierConfig(pricingTier), shopDomain, pricingDate);
+  
+  await attachProductCosts(priceList.products, shopDomain);
+  
+  // Lists saved before templates existed use the shop's current default
+  const template = templateService.toRenderTemplate(priceList.template || await resolveTemplate(shopDomain));
+  
+  const doc = await pdfService.generateEnhancedPDF(priceList.products, {
+    template,
+    collections: await resolveSectionCollections(shopDomain, template),
+    orderLinks: { shopDomain, listId: priceList.id },
+    title: priceList.name,
+    companyConfig: priceList.company || {},
+    clientConfig: priceList.clientInfo || {},
+    pricingTier,
+    pricingConfig,
+    customPrices: priceList.customPrices || {},
+    currency: currencyContext,
+    taxSettings,
+    taxDisplay: resolveTaxDisplay(priceList.taxDisplay, taxSettings),
+    validity: {
+      validUntil: priceList.validUntil,
+      expired: getEffectiveStatus(priceList) === 'expired'
+    }
+  });
+  
+  return { pdfBuffer: doc.output('arraybuffer'), promotions: pricingConfig.promotions };
+}
+
+function sendPDF(res, pdfBuffer, filename) {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename.replace(/[^a-zA-Z0-9]/g, '-')}-${Date.now()}.pdf"`);
+  res.setHeader('Content-Length', pdfBuffer.byteLength);
+  res.end(Buffer.from(pdfBuffer));
+}
+
+// Regenerate the PDF for a saved price list
+// Prices are recalculated now, so promotions that have ended since the list was saved drop out
+app.post('/api/price-lists/:id/regenerate-pdf', async (req, res) => {
+  try {
+    const priceList = await storageService.getPriceList(req.params.id);
+    
+    if (!priceList) {
+      return res.status(404).json({
+        success: false,
+        message: 'Price list not found'
+      });
+    }
+    
+    // Keep the exchange rate the list was saved with
+    const currencyContext = await resolveCurrencyContext(priceList.currency, getShopDomain(req), priceList.savedAt);
+    if (!currencyContext) {
+      return res.status(400).json({
+        success: false,
+        message: `No exchange rate available for ${priceList.currency}`
+      });
+    }
+    
+    // Costs are attached for margin checks - render from a copy so they never reach storage
+    const { pdfBuffer, promotions } = await renderSavedPriceListPDF(structuredClone(priceList), getShopDomain(req), currencyContext);
+    
+    console.log(`📄 Regenerated PDF for ${priceList.name} (${promotions.length} active promotions)`);
+    
+    sendPDF(res, pdfBuffer, priceList.name);
+    
+  } catch (error) {
+    console.error('❌ Error regenerating price list PDF:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to regenerate PDF',
+      error: error.message
+    });
+  }
+});
+
+// Move a price list through draft → sent → accepted (or reopen an expired list as a draft)
+app.post('/api/price-lists/:id/status', async (req, res) => {
+  try {
+    const { status, validUntil, author, changeNote } = req.body;
+    
+    if (!PRICE_LIST_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${PRICE_LIST_STATUSES.join(', ')}`
+      });
+    }
+    
+    if (validUntil && isNaN(new Date(validUntil).getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid until must be a date'
+      });
+    }
+    
+    const priceList = await storageService.getPriceList(req.params.id);
+    
+    if (!priceList) {
+      return res.status(404).json({
+        success: false,
+        message: 'Price list not found'
+      });
+    }
+    
+    const currentStatus = getEffectiveStatus(priceList);
+    if (!canTransition(currentStatus, status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot move a price list from ${currentStatus} to ${status}`
+      });
+    }
+    
+    const updated = await storageService.setStatus(priceList.id, status, { validUntil, author, changeNote });
+    
+    console.log(`🔖 ${updated.name}: ${currentStatus} → ${updated.status}`);
+    
+    res.json({
+      success: true,
+      message: `Price list marked ${updated.status}`,
+      priceList: {
+        id: updated.id,
+        status: updated.status,
+        validUntil: updated.validUntil,
+        revision: updated.revision
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error updating price list status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update price list status',
+      error: error.message
+    });
+  }
+});
+
+// ===========================================
+// PRICE LIST REVISION ENDPOINTS
+// ===========================================
+
+// Revision history for a price list, newest first
+app.get('/api/price-lists/:id/revisions', async (req, res) => {
+  try {
+    const priceList = await storageService.getPriceList(req.params.id);
+    
+    if (!priceList) {
+      return res.status(404).json({
+        success: false,
+        message: 'Price list not found'
+      });
+    }
+    
+    const revisions = await storageService.getRevisions(priceList.id);
+    
+    res.json({
+      success: true,
+      currentRevision: priceList.revision,
+      revisions,
+      count: revisions.length
+    });
+  } catch (error) {
+    console.error('❌ Error loading price list revisions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load revisions',
+      error: error.message
+    });
+  }
+});
+
+// Compare two revisions (?from=1&to=3, to defaults to the current revision)
+app.get('/api/price-lists/:id/revisions/diff', async (req, res) => {
+  try {
+    const priceList = await storageService.getPriceList(req.params.id);
+    
+    if (!priceList) {
+      return res.status(404).json({
+        success: false,
+        message: 'Price list not found'
+      });
+    }
+    
+    const to = req.query.to || priceList.revision;
+    const from = req.query.from || Math.max(Number(to) - 1, 1);
+    const diff = await storageService.diffRevisions(priceList.id, from, to);
+    
+    if (!diff) {
+      return res.status(404).json({
+        success: false,
+        message: `Revision ${from} or ${to} not found`
+      });
+    }
+    
+    res.json({
+      success: true,
+      diff
+    });
+  } catch (error) {
+    console.error('❌ Error comparing price list revisions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to compare revisions',
+      error: error.message
+    });
+  }
+});
+
+// Get one revision, including the list as it was saved
+app.get('/api/price-lists/:id/revisions/:revision', async (req, res) => {
+  try {
+    const revision = await storageService.getRevision(req.params.id, req.params.revision);
+    
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      revision
+    });
+  } catch (error) {
+    console.error('❌ Error loading price list revision:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load revision',
+      error: error.message
+    });
+  }
+});
+
+// Make a past revision the current version of the list
+app.post('/api/price-lists/:id/revisions/:revision/restore', async (req, res) => {
+  try {
+    const revision = await storageService.getRevision(req.params.id, req.params.revision);
+    
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+    
+    const priceList = await storageService.restoreRevision(req.params.id, revision.revision, {
+      author: req.body.author,
+      changeNote: req.body.changeNote
+    });
+    
+    console.log(`⏪ Restored ${priceList.name} to revision ${revision.revision} (now revision ${priceList.revision})`);
+    
+    res.json({
+      success: true,
+      message: `Revision ${revision.revision} restored as revision ${priceList.revision}`,
+      priceList
+    });
+  } catch (error) {
+    console.error('❌ Error restoring price list revision:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to restore revision',
+      error: error.message
+    });
+  }
+});
+
+// PDF of a past revision as it was sent - promotions are those active when it was saved
+app.post('/api/price-lists/:id/revisions/:revision/pdf', async (req, res) => {
+  try {
+    const revision = await storageService.getRevision(req.params.id, req.params.revision);
+    
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+    
+    // Render from a copy so the stored snapshot is never touched
+    const priceList = structuredClone(revision.priceList);
+    
+    // Keep the exchange rate the list was saved with
+    const currencyContext = await resolveCurrencyContext(priceList.currency, getShopDomain(req), priceList.savedAt);
+    if (!currencyContext) {
+      return res.status(400).json({
+        success: false,
+        message: `No exchange rate available for ${priceList.currency}`
+      });
+    }
+    
+    const { pdfBuffer } = await renderSavedPriceListPDF(priceList, getShopDomain(req), currencyContext, new Date(revision.createdAt));
+    
+    console.log(`📄 Generated PDF for ${priceList.name} revision ${revision.revision}`);
+    
+    sendPDF(res, pdfBuffer, `${priceList.name}-rev${revision.revision}`);
+    
+  } catch (error) {
+    console.error('❌ Error generating revision PDF:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate revision PDF',
+      error: error.message
+    });
+  }
+});
+
+// Match a saved list's lines to the products as they are in Shopify now
+// Returns products ready for pricing (variant selections kept) and the lines that can't be carried over
+function matchCurrentProducts(lines, currentProducts) {
+  const products = new Map();
+  const dropped = [];
+  
+  lines.forEach(line => {
+    const product = currentProducts.get(line.id);
+    const title = pricingService.getLineTitle(line);
+    
+    if (!product || product.status !== 'ACTIVE') {
+      dropped.push({
+        productId: line.id,
+        variantId: line.variantId || null,
+        title,
+        reason: product ? product.status.toLowerCase() : 'deleted'
+      });
+      return;
+    }
+    
+    if (line.variantId && !product.variants.some(variant => variant.id === line.variantId)) {
+      dropped.push({ productId: line.id, variantId: line.variantId, title, reason: 'variant removed' });
+      return;
+    }
+    
+    const entry = products.get(product.id) || { ...product, quantity: line.quantity || 1 };
+    if (line.variantId) {
+      entry.selectedVariantIds = [...(entry.selectedVariantIds || []), line.variantId];
+      entry.variantQuantities = { ...entry.variantQuantities, [line.variantId]: line.quantity || 1 };
+    }
+    products.set(product.id, entry);
+  });
+  
+  return { products: [...products.values()], dropped };
+}
+
+// Price products for a saved list with current promotions, supplier costs and tax settings
+async function repriceProducts(products, pricingConfig, customPrices, currencyContext, shopDomain) {
+  const lines = pricingService.expandVariantLines(products);
+  await attachProductCosts(lines, shopDomain);
+  
+  const activeConfig = await withPromotions(pricingConfig, shopDomain);
+  const taxSettings = await resolveTaxSettings(shopDomain);
+  const { calculatedProducts } = priceLines(lines, activeConfig, customPrices, currencyContext, taxSettings);
+  return calculatedProducts;
+}
+
+// Clone a saved list for another client and/or tier, repriced against current Shopify prices
+app.post('/api/price-lists/:id/clone', async (req, res) => {
+  try {
+    const { name, clientInfo, pricingTier, pricingConfigId, author } = req.body;
+    const source = await storageService.getPriceList(req.params.id);
+    
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        message: 'Price list not found'
+      });
+    }
+    
+    if (!clientInfo && !pricingTier && !pricingConfigId) {
+      return res.status(400).json({
+        success: false,
+        message: 'A client, pricing tier or pricing config is required'
+      });
+    }
+    
+    if (pricingTier && !pricingService.getAllTiers()[pricingTier]) {
+      return res.status(400).json({
+        success: false,
+        message: `Pricing tier must be one of: ${Object.keys(pricingService.getAllTiers()).join(', ')}`
+      });
+    }
+    
+    if (!req.shopify.isConfigured()) {
+      return res.status(503).json({
+        success: false,
+        message: 'Shopify is not configured - cloning needs current product prices'
+      });
+    }
+    
+    // A saved config wins over a bare tier; otherwise the source list's config is kept
+    let pricingConfig = source.pricingConfig || pricingService.getTierConfig(source.pricingTier);
+    if (pricingConfigId) {
+      const savedConfig = await getPricingConfigById(pricingConfigId);
+      if (!savedConfig || savedConfig.shopDomain !== getShopDomain(req)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Pricing config not found'
+        });
+      }
+      // The config's edit history stays with the config
+      const { versions, ...config } = savedConfig;
+      pricingConfig = config;
+    } else if (pricingTier) {
+      pricingConfig = { ...pricingService.getTierConfig(pricingTier), tierName: pricingTier };
+    }
+    
+    const currencyContext = await resolveCurrencyContext(source.currency, getShopDomain(req));
+    if (!currencyContext) {
+      return res.status(400).json({
+        success: false,
+        message: `No exchange rate available for ${source.currency}`
+      });
+    }
+    
+    const currentProducts = await req.shopify.getProductsByIds(source.products.map(line => line.id));
+    const { products, dropped } = matchCurrentProducts(source.products, currentProducts);
+    
+    // Custom prices were negotiated with the source client; a new client gets their own agreement instead
+    const targetClient = clientInfo || source.clientInfo || {};
+    const sameClient = !clientInfo;
+    const priceAgreement = await findPriceAgreement(getShopDomain(req), {
+      customerId: targetClient.customerId,
+      email: targetClient.email
+    });
+    
+    const customPrices = sameClient ? (source.customPrices || {}) : getAgreementPrices(priceAgreement, products);
+    const calculatedProducts = await repriceProducts(products, pricingConfig, customPrices, currencyContext, getShopDomain(req));
+    
+    const clone = await storageService.savePriceList({
+      name: name || `${source.name} (${clientInfo?.name || pricingConfig.tierName || 'copy'})`,
+      company: source.company,
+      clientInfo: targetClient,
+      shopDomain: getShopDomain(req),
+      pricingConfig,
+      pricingTier: pricingConfig.tierName || pricingTier || source.pricingTier,
+      customPrices,
+      priceAgreement: describePriceAgreement(priceAgreement),
+      currency: currencyContext.code,
+      exchangeRate: {
+        rate: currencyContext.rate,
+        rateId: currencyContext.rateId,
+        effectiveFrom: currencyContext.effectiveFrom
+      },
+      taxDisplay: source.taxDisplay,
+      template: source.template,
+      products: calculatedProducts,
+      totalProducts: calculatedProducts.length,
+      totalValue: calculatedProducts.reduce((sum, line) => sum + line.pricing.finalPrice, 0),
+      clonedFrom: { id: source.id, revision: source.revision },
+      savedAt: new Date().toISOString(),
+      validFrom: new Date().toISOString(),
+      validUntil: getValidUntil(),
+      status: 'draft'
+    }, {
+      author,
+      changeNote: `Cloned from "${source.name}" (revision ${source.revision})`
+    });
+    
+    console.log(`📋 Cloned ${source.name} → ${clone.name}: ${calculatedProducts.length} lines, ${dropped.length} dropped`);
+    
+    res.json({
+      success: true,
+      message: dropped.length > 0
+        ? `Price list cloned - ${dropped.length} lines dropped because they are no longer active in Shopify`
+        : 'Price list cloned',
+      priceList: {
+        id: clone.id,
+        name: clone.name,
+        pricingTier: clone.pricingTier,
+        clientName: clone.clientInfo?.name || null,
+        totalProducts: clone.totalProducts,
+        totalValue: clone.totalValue,
+        currency: clone.currency,
+        status: clone.status
+      },
+      dropped,
+      changes: diffPriceLists(source, clone).summary
+    });
+  } catch (error) {
+    console.error('❌ Error cloning price list:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to clone price list',
+      error: error.message
+    });
+  }
+});
+
+// Lines that can't be ordered right now - untracked inventory is only judged by availableForSale
+function findOutOfStockLines(lines) {
+  return lines
+    .filter(line => {
+      const variant = line.variants?.[0];
+      if (!variant) return false;
+      return variant.availableForSale === false ||
+        (variant.availableForSale === undefined && variant.inventoryQuantity <= 0);
+    })
+    .map(line => ({
+      productId: line.id,
+      variantId: line.variantId || line.variants[0].id,
+      title: pricingService.getLineTitle(line),
+      inventoryQuantity: line.variants[0].inventoryQuantity
+    }));
+}
+
+// Check a saved list against live Shopify data; the change report is kept until accepted or discarded
+app.post('/api/price-lists/:id/refresh', async (req, res) => {
+  try {
+    const priceList = await storageService.getPriceList(req.params.id);
+    
+    if (!priceList) {
+      return res.status(404).json({
+        success: false,
+        message: 'Price list not found'
+      });
+    }
+    
+    if (!req.shopify.isConfigured()) {
+      return res.status(503).json({
+        success: false,
+        message: 'Shopify is not configured - refreshing needs live product data'
+      });
+    }
+    
+    // Refreshed prices use today's exchange rate
+    const currencyContext = await resolveCurrencyContext(priceList.currency, getShopDomain(req));
+    if (!currencyContext) {
+      return res.status(400).json({
+        success: false,
+        message: `No exchange rate available for ${priceList.currency}`
+      });
+    }
+    
+    const currentProducts = await req.shopify.getProductsByIds(priceList.products.map(line => line.id));
+    const { products, dropped } = matchCurrentProducts(priceList.products, currentProducts);
+    const pricingConfig = priceList.pricingConfig || pricingService.getTierConfig(priceList.pricingTier);
+    const refreshedLines = await repriceProducts(products, pricingConfig, priceList.customPrices || {}, currencyContext, getShopDomain(req));
+    
+    const diff = diffPriceLists(priceList, { ...priceList, products: refreshedLines });
+    const previousTitles = new Map(priceList.products.map(line => [String(line.variantId || line.id), line.title]));
+    // Renamed products are reported once, however many of their variants are on the list
+    const titleChanges = refreshedLines
+      .filter((line, index) => refreshedLines.findIndex(other => other.id === line.id) === index)
+      .filter(line => {
+        const previousTitle = previousTitles.get(String(line.variantId || line.id));
+        return previousTitle && previousTitle !== line.title;
+      })
+      .map(line => ({
+        productId: line.id,
+        previousTitle: previousTitles.get(String(line.variantId || line.id)),
+        title: line.title
+      }));
+    const outOfStock = findOutOfStockLines(refreshedLines);
+    
+    const report = {
+      priceChanges: diff.priceChanges,
+      discontinued: dropped,
+      outOfStock,
+      titleChanges,
+      summary: {
+        priceChanges: diff.priceChanges.length,
+        discontinued: dropped.length,
+        outOfStock: outOfStock.length,
+        titleChanges: titleChanges.length,
+        unchanged: diff.summary.unchanged
+      }
+    };
+    const hasChanges = diff.priceChanges.length + dropped.length + titleChanges.length > 0;
+    
+    console.log(`🔄 Refreshed ${priceList.name}: ${report.summary.priceChanges} price changes, ${report.summary.discontinued} discontinued, ${report.summary.outOfStock} out of stock`);
+    
+    if (!hasChanges) {
+      return res.json({
+        success: true,
+        message: 'Price list is up to date with Shopify',
+        hasChanges,
+        refreshId: null,
+        report
+      });
+    }
+    
+    const refresh = await storageService.savePendingRefresh(priceList.id, {
+      basedOnRevision: priceList.revision,
+      report,
+      summaryNote: `Refreshed from Shopify: ${report.summary.priceChanges} price changes, ${report.summary.discontinued} discontinued`,
+      updates: {
+        products: refreshedLines,
+        totalProducts: refreshedLines.length,
+        totalValue: refreshedLines.reduce((sum, line) => sum + line.pricing.finalPrice, 0),
+        exchangeRate: {
+          rate: currencyContext.rate,
+          rateId: currencyContext.rateId,
+          effectiveFrom: currencyContext.effectiveFrom
+        },
+        savedAt: new Date().toISOString()
+      }
+    });
+    
+    res.json({
+      success: true,
+      message: 'Review the changes and accept them to save a new revision',
+      hasChanges,
+      refreshId: refresh.id,
+      basedOnRevision: refresh.basedOnRevision,
+      report
+    });
+  } catch (error) {
+    console.error('❌ Error refreshing price list:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refresh price list',
+      error: error.message
+    });
+  }
+});
+
+// Accept a refresh report - the updated prices become a new revision
+app.post('/api/price-lists/:id/refresh/:refreshId/accept', async (req, res) => {
+  try {
+    const priceList = await storageService.getPriceList(req.params.id);
+    const refresh = await storageService.getPendingRefresh(req.params.id, req.params.refreshId);
+    
+    if (!priceList || !refresh) {
+      return res.status(404).json({
+        success: false,
+        message: 'Refresh not found - run the refresh again'
+      });
+    }
+    
+    if (priceList.revision !== refresh.basedOnRevision) {
+      return res.status(409).json({
+        success: false,
+        message: 'The price list was changed after this refresh - run the refresh again'
+      });
+    }
+    
+    const updated = await storageService.acceptRefresh(priceList.id, refresh.id, {
+      author: req.body.author,
+      changeNote: req.body.changeNote
+    });
+    
+    console.log(`✅ Accepted refresh for ${updated.name} (revision ${updated.revision})`);
+    
+    res.json({
+      success: true,
+      message: `Refresh accepted as revision ${updated.revision}`,
+      priceList: {
+        id: updated.id,
+        name: updated.name,
+        revision: updated.revision,
+        totalProducts: updated.totalProducts,
+        totalValue: updated.totalValue
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error accepting price list refresh:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to accept refresh',
+      error: error.message
+    });
+  }
+});
+
+// Discard a refresh report without changing the list
+app.delete('/api/price-lists/:id/refresh/:refreshId', async (req, res) => {
+  try {
+    const discarded = await storageService.discardPendingRefresh(req.params.id, req.params.refreshId);
+    
+    if (!discarded) {
+      return res.status(404).json({
+        success: false,
+        message: 'Refresh not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Refresh discarded'
+    });
+  } catch (error) {
+    console.error('❌ Error discarding price list refresh:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to discard refresh',
+      error: error.message
+    });
+  }
+});
+
+// Delete price list
+app.delete('/api/price-lists/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // Scheduled run PDFs go with the list
+    const runs = await storageService.getScheduleRuns({ priceListId: id });
+    const deleted = await storageService.deletePriceList(id);
+    if (deleted) {
+      await scheduleService.removeOutputs(runs);
+    }
+    
+    console.log('🗑️ Deleting price list:', id, deleted ? 'Success' : 'Not found');
+    
+    if (deleted) {
+      res.json({
+        success: true,
+        message: 'Price list deleted successfully'
+      });
+    } else {
+      res.status(404).json({
+        success: false,
+        message: 'Price list not found'
+      });
+    }
+    
+  } catch (error) {
+    console.error('❌ Error deleting price list:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete price list',
+      error: error.message
+    });
+  }
+});
+
+// ===========================================
+// SCHEDULED REGENERATION
+// ===========================================
+
+// Reprice a saved list for today and regenerate its PDF, then store and deliver the output
+// The saved list itself is left alone - price changes still go through refresh and accept
+async function runPriceListSchedule(schedule, { trigger = 'schedule' } = {}) {
+  const startedAt = new Date();
+  const run = {
+    id: `run_${startedAt.getTime()}_${Math.random().toString(36).substr(2, 6)}`,
+    scheduleId: schedule.id,
+    priceListId: schedule.priceListId,
+    trigger,
+    status: 'failed',
+    startedAt: startedAt.toISOString(),
+    output: null,
+    delivery: null,
+    error: null
+  };
+  
+  try {
+    const priceList = await storageService.getPriceList(schedule.priceListId);
+    if (!priceList) {
+      throw new Error('Price list no longer exists');
+    }
+    run.revision = priceList.revision;
+    
+    const shopDomain = priceList.shopDomain;
+    const currencyContext = await resolveCurrencyContext(priceList.currency, shopDomain);
+    if (!currencyContext) {
+      throw new Error(`No exchange rate available for ${priceList.currency}`);
+    }
+    
+    // Live Shopify prices when the shop is connected; otherwise the stored lines are repriced as they are
+    const shopify = await getShopifyService(shopDomain);
+    let lines = structuredClone(priceList.products);
+    let dropped = [];
+    if (shopify.isConfigured()) {
+      const currentProducts = await shopify.getProductsByIds(priceList.products.map(line => line.id));
+      ({ products: lines, dropped } = matchCurrentProducts(priceList.products, currentProducts));
+    }
+    const pricingConfig = priceList.pricingConfig || pricingService.getTierConfig(priceList.pricingTier);
+    const repricedLines = await repriceProducts(lines, pricingConfig, priceList.customPrices || {}, currencyContext, shopDomain);
+    
+    // Each run is a fresh copy, valid from the day it was generated
+    const validUntil = getValidUntil(startedAt);
+    const { pdfBuffer } = await renderSavedPriceListPDF({
+      ...priceList,
+      products: repricedLines,
+      validUntil,
+      status: 'sent'
+    }, shopDomain, currencyContext, startedAt);
+    
+    Object.assign(run, {
+      totalProducts: repricedLines.length,
+      totalValue: repricedLines.reduce((sum, line) => sum + line.pricing.finalPrice, 0),
+      currency: currencyContext.code,
+      priceChanges: diffPriceLists(priceList, { ...priceList, products: repricedLines }).priceChanges.length,
+      dropped: dropped.length,
+      validUntil
+    });
+    run.output = await scheduleService.saveOutput(run.id, pdfBuffer);
+    
+    const filename = `${priceList.name.replace(/[^a-zA-Z0-9]/g, '-')}-${startedAt.toISOString().slice(0, 10)}.pdf`;
+    run.delivery = await deliveryService.deliver(schedule.delivery.channel, {
+      to: schedule.delivery.recipients,
+      subject: `Price list: ${priceList.name}`,
+      text: `Please find attached the latest ${priceList.name} price list (${repricedLines.length} products), valid until ${new Date(validUntil).toDateString()}.`,
+      attachment: { filename, content: Buffer.from(pdfBuffer), contentType: 'application/pdf' },
+      shopDomain,
+      runId: run.id
+    });
+    run.status = 'success';
+  } catch (error) {
+    run.error = error.message;
+  }
+  
+  run.finishedAt = new Date().toISOString();
+  const nextRunAt = trigger === 'schedule' ? scheduleService.getNextRunAt(schedule, startedAt) : null;
+  return storageService.recordScheduleRun(run, { nextRunAt });
+}
+
+// Schedules are checked at startup and then on an interval; overlapping checks are skipped
+const SCHEDULE_CHECK_INTERVAL = (parseInt(process.env.SCHEDULE_CHECK_INTERVAL_MINUTES) || 15) * 60 * 1000;
+let schedulesRunning = false;
+
+async function runDueSchedules() {
+  if (schedulesRunning) return;
+  schedulesRunning = true;
+  
+  try {
+    const due = await storageService.getDueSchedules();
+    for (const schedule of due) {
+      const run = await runPriceListSchedule(schedule);
+      if (run.status === 'success') {
+        console.log(`⏰ Scheduled run for ${schedule.priceListId} delivered via ${run.delivery.channel}`);
+      } else {
+        console.error(`❌ Scheduled run for ${schedule.priceListId} failed:`, run.error);
+      }
+    }
+  } catch (error) {
+    console.error('❌ Error running price list schedules:', error);
+  } finally {
+    schedulesRunning = false;
+  }
+}
+
+function formatSchedule(schedule) {
+  return schedule ? { ...schedule, description: scheduleService.describeSchedule(schedule) } : null;
+}
+
+// A list's schedule with its recent runs
+app.get('/api/price-lists/:id/schedule', async (req, res) => {
+  try {
+    const priceList = await storageService.getPriceList(req.params.id);
+    
+    if (!priceList) {
+      return res.status(404).json({
+        success: false,
+        message: 'Price list not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      schedule: formatSchedule(await storageService.getSchedule(priceList.id)),
+      runs: await storageService.getScheduleRuns({ shopDomain: getShopDomain(req), priceListId: priceList.id }),
+      channels: deliveryService.getChannelNames()
+    });
+  } catch (error) {
+    console.error('❌ Error loading price list schedule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load schedule',
+      error: error.message
+    });
+  }
+});
+
+// Create or replace a list's schedule
+app.post('/api/price-lists/:id/schedule', async (req, res) => {
+  try {
+    const priceList = await storageService.getPriceList(req.params.id);
+    
+    if (!priceList) {
+      return res.status(404).json({
+        success: false,
+        message: 'Price list not found'
+      });
+    }
+    
+    const { errors, schedule } = scheduleService.validateSchedule(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid schedule',
+        errors
+      });
+    }
+    
+    const saved = await storageService.saveSchedule(priceList.id, {
+      ...schedule,
+      nextRunAt: schedule.enabled ? scheduleService.getNextRunAt(schedule) : null
+    });
+    
+    console.log(`⏰ Scheduled ${priceList.name}: ${scheduleService.describeSchedule(saved)}`);
+    
+    res.json({
+      success: true,
+      message: 'Schedule saved',
+      schedule: formatSchedule(saved)
+    });
+  } catch (error) {
+    console.error('❌ Error saving price list schedule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save schedule',
+      error: error.message
+    });
+  }
+});
+
+// Stop regenerating a list - its run history is kept
+app.delete('/api/price-lists/:id/schedule', async (req, res) => {
+  try {
+    const deleted = await storageService.deleteSchedule(req.params.id);
+    
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Schedule removed'
+    });
+  } catch (error) {
+    console.error('❌ Error removing price list schedule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove schedule',
+      error: error.message
+    });
+  }
+});
+
+// Run a list's schedule now without moving its next run
+app.post('/api/price-lists/:id/schedule/run', async (req, res) => {
+  try {
+    const schedule = await storageService.getSchedule(req.params.id);
+    
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule not found'
+      });
+    }
+    
+    const run = await runPriceListSchedule(schedule, { trigger: 'manual' });
+    
+    res.status(run.status === 'success' ? 200 : 502).json({
+      success: run.status === 'success',
+      message: run.status === 'success' ? 'Price list regenerated and delivered' : `Run failed: ${run.error}`,
+      run
+    });
+  } catch (error) {
+    console.error('❌ Error running price list schedule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run schedule',
+      error: error.message
+    });
+  }
+});
+
+// Run history across the shop's lists, with every schedule for the history page
+app.get('/api/schedule-runs', async (req, res) => {
+  try {
+    const { status, priceListId } = req.query;
+    const limit = req.query.limit ? parseInt(req.query.limit) : 100;
+    
+    if (status && !RUN_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${RUN_STATUSES.join(', ')}`
+      });
+    }
+    
+    if (isNaN(limit) || limit < 1 || limit > 500) {
+      return res.status(400).json({
+        success: false,
+        message: 'Limit must be between 1 and 500'
+      });
+    }
+    
+    const shopDomain = getShopDomain(req);
+    const priceLists = new Map((await storageService.getAllPriceLists({ shopDomain })).map(list => [list.id, list.name]));
+    const withName = entry => ({ ...entry, priceListName: priceLists.get(entry.priceListId) || null });
+    
+    res.json({
+      success: true,
+      schedules: (await storageService.getSchedules({ shopDomain })).map(formatSchedule).map(withName),
+      runs: (await storageService.getScheduleRuns({ shopDomain, priceListId, status, limit })).map(withName)
+    });
+  } catch (error) {
+    console.error('❌ Error loading schedule runs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load run history',
+      error: error.message
+    });
+  }
+});
+
+// Download the PDF a run produced
+app.get('/api/schedule-runs/:runId/pdf', async (req, res) => {
+  try {
+    const run = await storageService.getScheduleRun(req.params.runId);
+    const priceList = run && await storageService.getPriceList(run.priceListId);
+    
+    if (!priceList || priceList.shopDomain !== getShopDomain(req) || !run.output) {
+      return res.status(404).json({
+        success: false,
+        message: 'Run output not found'
+      });
+    }
+    
+    const pdf = await scheduleService.readOutput(run.output.file);
+    if (!pdf) {
+      return res.status(404).json({
+        success: false,
+        message: 'Run output file is missing'
+      });
+    }
+    
+    sendPDF(res, pdf, priceList.name);
+  } catch (error) {
+    console.error('❌ Error downloading run output:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download run output',
+      error: error.message
+    });
+  }
+});
+
+// ===========================================
+// ANALYTICS
+// ===========================================
+
+// Open draft orders are re-checked with Shopify at most this often
+const CONVERSION_CHECK_MINUTES = 15;
+
+// Ask the shop whether draft orders raised from its saved lists have been completed
+async function refreshConversions(shopify) {
+  if (!shopify.isConfigured()) return 0;
+  
+  const staleBefore = Date.now() - CONVERSION_CHECK_MINUTES * 60 * 1000;
+  const pending = (await storageService.getDraftOrders({ shopDomain: shopify.shopDomain }))
+    .filter(order => order.status !== 'completed')
+    .filter(order => !order.checkedAt || new Date(order.checkedAt).getTime() < staleBefore);
+  if (pending.length === 0) return 0;
+  
+  const draftOrderManager = new DraftOrderManager(shopify.getCredentials());
+  
+  let checked = 0;
+  for (const order of pending) {
+    const conversion = await draftOrderManager.checkConversion(order.id);
+    if (!conversion) continue;
+    await storageService.updateDraftOrderConversion(order.id, conversion);
+    checked++;
+  }
+  return checked;
+}
+
+// Price list analytics: lists per rep and week, discount by tier, most-quoted products and conversion
+app.get('/api/analytics', async (req, res) => {
+  try {
+    const weeks = req.query.weeks ? parseInt(req.query.weeks) : ANALYTICS_WEEKS;
+    if (!(weeks >= 1 && weeks <= 52)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Weeks must be between 1 and 52'
+      });
+    }
+    
+    const shopDomain = getShopDomain(req);
+    const checked = await refreshConversions(req.shopify);
+    if (checked > 0) {
+      console.log(`🔎 Checked ${checked} draft orders for conversion`);
+    }
+    
+    const statistics = await storageService.getStatistics({ shopDomain, weeks });
+    const { oldestList, newestList, ...analytics } = statistics;
+    
+    res.json({
+      success: true,
+      analytics: {
+        ...analytics,
+        oldestList: oldestList && { id: oldestList.id, name: oldestList.name, createdAt: oldestList.createdAt },
+        newestList: newestList && { id: newestList.id, name: newestList.name, createdAt: newestList.createdAt }
+      },
+      generatedAt: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('❌ Error building analytics:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build analytics',
+      error: error.message
+    });
+  }
+});
+
+// ===========================================
+// ADMIN EXPORT / IMPORT
+// ===========================================
+
+// Archives are uploaded as a multipart "archive" file (ZIP or JSON) or posted as a JSON body
+const archiveUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 50 * 1024 * 1024 }
+});
+
+// Export the shop's price lists, pricing configs and company settings
+app.get('/api/admin/export', async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+    if (!['json', 'zip'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be json or zip'
+      });
+    }
+    
+    const archive = await archiveService.exportArchive(getShopDomain(req));
+    const filename = `price-lists-${archive.shopDomain.replace(/[^a-zA-Z0-9]/g, '-')}-${archive.exportedAt.slice(0, 10)}`;
+    
+    console.log(`📦 Exporting ${archive.data.priceLists.length} price lists as ${format}`);
+    
+    if (format === 'zip') {
+      const buffer = archiveService.toZip(archive);
+      res.setHeader('Content-Type', 'application/zip');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.zip"`);
+      res.setHeader('Content-Length', buffer.length);
+      return res.end(buffer);
+    }
+    
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.json"`);
+    res.json(archive);
+    
+  } catch (error) {
+    console.error('❌ Error exporting archive:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export price lists',
+      error: error.message
+    });
+  }
+});
+
+// Import an archive - dryRun=true returns the report without writing anything
+app.post('/api/admin/import', archiveUpload.single('archive'), async (req, res) => {
+  try {
+    const mode = req.query.mode || req.body?.mode || 'merge';
+    const dryRun = String(req.query.dryRun ?? req.body?.dryRun ?? 'false') === 'true';
+    
+    if (!IMPORT_MODES.includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        message: `Mode must be one of: ${IMPORT_MODES.join(', ')}`
+      });
+    }
+    
+    let input;
+    try {
+      if (req.file) {
+        const isZip = req.file.buffer.subarray(0, 2).toString() === 'PK';
+        input = isZip ? archiveService.fromZip(req.file.buffer) : JSON.parse(req.file.buffer.toString('utf8'));
+      } else {
+        input = req.body?.archive || req.body;
+      }
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Could not read archive',
+        error: error.message
+      });
+    }
+    
+    const { errors, archive } = archiveService.validateArchive(input);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Archive failed validation',
+        errors
+      });
+    }
+    
+    const options = { mode, shopDomain: getShopDomain(req) };
+    
+    if (dryRun) {
+      const report = await archiveService.previewImport(archive, options);
+      return res.json({
+        success: true,
+        message: 'Dry run - nothing was written',
+        dryRun: true,
+        report
+      });
+    }
+    
+    const report = await archiveService.applyImport(archive, options);
+    console.log(`📥 Imported ${report.priceLists.created} price lists (${mode})`);
+    
+    res.json({
+      success: true,
+      message: 'Archive imported successfully',
+      dryRun: false,
+      report
+    });
+    
+  } catch (error) {
+    console.error('❌ Error importing archive:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import archive',
+      error: error.message
+    });
+  }
+});
+
+// ===========================================
+// CHECKOUT ENDPOINTS
+// ===========================================
+
+// Create Shopify checkout URL
+app.post('/api/create-checkout', async (req, res) => {
+  try {
+    const { items: requestedItems, listId, source, clientInfo } = req.body;
+    
+    console.log('🛒 Creating checkout for list:', listId, 'items:', requestedItems?.length);
+    
+    if (!requestedItems || requestedItems.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Items are required for checkout'
+      });
+    }
+    
+    // Only signed lines (PDF row QR codes, or items signed by the checkout page) are ordered, at their signed price
+    const { items, status, error: linkError } = orderLinkService.resolveItems(requestedItems, getShopDomain(req));
+    if (linkError) {
+      return res.status(status).json({
+        success: false,
+        message: linkError
+      });
+    }
+    
+    // Expired lists can no longer be ordered from
+    const savedList = listId ? await storageService.getPriceList(listId) : null;
+    if (savedList && getEffectiveStatus(savedList) === 'expired') {
+      return res.status(410).json({
+        success: false,
+        message: `This price list expired on ${new Date(savedList.validUntil).toLocaleDateString()}`,
+        validUntil: savedList.validUntil
+      });
+    }
+    
+    // Check if Shopify is properly configured for draft orders
+    const hasShopifyConfig = req.shopify.isConfigured();
+    
+    if (hasShopifyConfig) {
+      try {
+        // Create actual Shopify draft order
+        console.log('📝 Creating Shopify draft order...');
+        
+        const draftOrderManager = new DraftOrderManager(req.shopify.getCredentials());
+        
+        // Transform items to match draft order format
+        const priceListData = {
+          listId: listId || `list_${Date.now()}`,
+          products: items.map(item => ({
+            id: item.productId || item.id,
+            variants: [{
+              id: item.variantId || item.id,
+              price: item.price
+            }],
+            quantity: item.quantity || 1,
+            pricing: {
+              finalPrice: item.price
+            }
+          })),
+          clientName: clientInfo?.name || 'Customer',
+          clientEmail: clientInfo?.email || 'customer@example.com',
+          pricingTier: 'quote',
+          // Lists saved for a customer with a price agreement keep the reference through checkout
+          priceAgreement: savedList?.priceAgreement || null
+        };
+        
+        const draftOrder = await draftOrderManager.createDraftOrder(priceListData);
+        
+        console.log('✅ Shopify draft order created:', draftOrder.id);
+        
+        // Orders from saved lists count towards the list's conversion rate
+        if (savedList) {
+          await storageService.recordDraftOrder(savedList.id, draftOrder)
+            .catch(error => console.error('❌ Failed to record draft order:', error));
+        }
+        
+        res.json({
+          success: true,
+          checkoutUrl: draftOrder.invoice_url,
+          totalAmount: parseFloat(draftOrder.total_price),
+          itemCount: draftOrder.line_items.length,
+          listId: listId,
+          draftOrderId: draftOrder.id,
+          message: 'Draft order created successfully in Shopify'
+        });
+        
+      } catch (shopifyError) {
+        console.error('❌ Shopify draft order failed:', shopifyError);
+        
+        // Fall back to mock checkout if Shopify fails
+        const totalAmount = items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+        const cleanDomain = getShopDomain(req).replace('.myshopify.com', '');
+        const mockCheckoutUrl = `https://${cleanDomain}.myshopify.com/cart/add?id=mock&return_to=/checkout`;
+        
+        res.json({
+          success: true,
+          checkoutUrl: mockCheckoutUrl,
+          totalAmount: totalAmount,
+          itemCount: items.length,
+          listId: listId,
+          message: 'Using fallback checkout (Shopify draft order failed)',
+          error: shopifyError.message
+        });
+      }
+    } else {
+      // No Shopify config - use mock checkout
+      console.log('⚠️ No Shopify config, using mock checkout');
+      
+      const totalAmount = items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+      const mockCheckoutUrl = `https://demo-shop.myshopify.com/cart/add?id=mock&return_to=/checkout`;
+      
+      res.json({
+        success: true,
+        checkoutUrl: mockCheckoutUrl,
+        totalAmount: totalAmount,
+        itemCount: items.length,
+        listId: listId,
+        message: 'Mock checkout created (Shopify not configured)'
+      });
+    }
+    
+  } catch (error) {
+    console.error('❌ Error creating checkout:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create checkout',
+      error: error.message
+    });
+  }
+});
+
+// ===========================================
+// QR CODE GENERATION ENDPOINTS
+// ===========================================
+
+// Generate QR code for any URL
+app.post('/api/generate-qr', async (req, res) => {
+  try {
+    const { url, options = {} } = req.body;
+    
+    if (!url) {
+      return res.status(400).json({
+        success: false,
+        message: 'URL is required'
+      });
+    }
+
+    // QR code generation options
+    const qrOptions = {
+      errorCorrectionLevel: 'M',
+      type: 'image/png',
+      quality: 0.92,
+      margin: 1,
+      color: {
+        dark: '#000000',
+        light: '#FFFFFF'
+      },
+      width: 200,
+      ...options
+    };
+
+    const qrCodeDataURL = await QRCode.toDataURL(url, qrOptions);
+    
+    res.json({
+      success: true,
+      qrCodeDataURL,
+      url,
+      message: 'QR code generated successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ QR generation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate QR code',
+      error: error.message
+    });
+  }
+});
+
+// Generate QR code and create draft order for price list
+app.post('/api/generate-qr-with-draft-order', async (req, res) => {
+  try {
+    const { 
+      products, 
+      company, 
+      pricingConfig: requestedConfig, 
+      customPrices = {},
+      clientInfo = {},
+      currency = BASE_CURRENCY
+    } = req.body;
+    
+    // Checkout honours the same promotions the PDF showed
+    const pricingConfig = await withPromotions(requestedConfig, getShopDomain(req));
+    
+    if (!products || products.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Products are required'
+      });
+    }
+
+    const currencyContext = await resolveCurrencyContext(currency, getShopDomain(req));
+    if (!currencyContext) {
+      return res.status(400).json({
+        success: false,
+        message: `No exchange rate available for ${currency}`
+      });
+    }
+
+    // Create draft order manager
+    const draftOrderManager = new DraftOrderManager(req.shopify.getCredentials());
+
+    // One draft order line per selected variant; supplier costs drive cost-plus tiers and the margin floor
+    const lines = pricingService.expandVariantLines(products);
+    await attachProductCosts(lines, getShopDomain(req));
+
+    // The customer's price agreement fills in any product the list didn't price explicitly
+    const priceAgreement = await findPriceAgreement(getShopDomain(req), {
+      customerId: clientInfo.customerId,
+      email: clientInfo.email
+    });
+    const agreedPrices = { ...getAgreementPrices(priceAgreement, lines), ...customPrices };
+
+    // Prepare price list data for draft order
+    const priceListData = {
+      products: lines.map(product => {
+        const { finalPrice, breaks } = pricingService.calculateProductPricing(product, pricingConfig, agreedPrices);
+        
+        return {
+          ...product,
+          quantity: product.quantity || 1,
+          pricing: {
+            finalPrice,
+            breaks
+          }
+        };
+      }),
+      clientName: clientInfo.name || 'Customer',
+      clientEmail: clientInfo.email || 'customer@example.com',
+      pricingTier: pricingConfig.tierName || 'retail',
+      listId: `PL-${Date.now()}`,
+      discount: pricingConfig.discountPercent || 0,
+      currency: currencyContext,
+      priceAgreement: describePriceAgreement(priceAgreement)
+    };
+
+    // Create draft order
+    const draftOrder = await draftOrderManager.createDraftOrder(priceListData);
+    
+    // Generate QR code for the checkout URL
+    const qrCodeDataURL = await draftOrderManager.generateQRCodeImage(draftOrder.invoice_url);
+    
+    // Generate QR data
+    const qrData = draftOrderManager.generateQRData(draftOrder, priceListData);
+
+    res.json({
+      success: true,
+      draftOrder: {
+        id: draftOrder.id,
+        checkoutURL: draftOrder.invoice_url,
+        totalPrice: draftOrder.total_price,
+        itemCount: draftOrder.line_items.length
+      },
+      qrCodeDataURL,
+      qrData,
+      message: 'QR code and draft order created successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ QR + Draft Order generation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate QR code and draft order',
+      error: error.message
+    });
+  }
+});
+
+// ===========================================
+// FRONTEND ROUTES
+// ===========================================
+
+// Home page
+app.get('/', (req, res) => {
+  const homeHTML = `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Price List Generator</title>
+        <script src="https://cdn.tailwindcss.com"></script>
+    </head>
+    <body class="bg-gray-50 min-h-screen">
+        <!-- Header -->
+        <header class="bg-white shadow-sm border-b">
+            <div class="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+                <div class="flex justify-between items-center py-4">
+                    <div class="flex items-center space-x-4">
+                        <h1 class="text-2xl font-bold text-gray-900">Price List Generator</h1>
+                        <span class="bg-green-100 text-green-800 px-3 py-1 rounded-full text-sm font-medium">
+                            APP STATUS: ONLINE
+                        </span>
+                    </div>
+                    <nav class="hidden md:flex space-x-6">
+                        <a href="/" class="text-blue-600 font-medium border-b-2 border-blue-600">Home</a>
                         <a href="/my-price-lists" class="text-gray-700 hover:text-blue-600 font-medium">My Price Lists</a>
                         <a href="/create-price-list" class="text-gray-700 hover:text-blue-600 font-medium">Create New</a>
                         <a href="/import-document" class="text-gray-700 hover:text-blue-600 font-medium">Import Document</a>
                         <a href="/templates" class="text-gray-700 hover:text-blue-600 font-medium">Templates</a>
+                        <a href="/analytics" class="text-gray-700 hover:text-blue-600 font-medium">Analytics</a>
+                        <a href="/schedules" class="text-gray-700 hover:text-blue-600 font-medium">Schedules</a>
+                    </nav>
+                </div>
+            </div>
+        </header>
+
+        <!-- Main Content -->
+        <main class="max-w-7xl mx-auto py-12 px-4 sm:px-6 lg:px-8">
+            <div class="text-center mb-12">
+                <div class="bg-gradient-to-r from-blue-600 to-purple-600 text-white p-12 rounded-2xl mb-8">
+                    <h2 class="text-4xl font-bold mb-4">Professional Price Lists Made Easy</h2>
+                    <p class="text-xl mb-8">Create stunning, professional price lists from your Shopify products in minutes. Import existing documents or build from scratch.</p>
+                    
+                    <div class="flex flex-col sm:flex-row gap-4 justify-center">
+                        <a href="/create-price-list" class="bg-white text-blue-600 py-4 px-8 rounded-lg font-semibold hover:bg-gray-100 transition-colors flex items-center justify-center">
+                            🚀 Create Price List
+                        </a>
+                        <a href="/import-document" class="bg-blue-500 text-white py-4 px-8 rounded-lg font-semibold hover:bg-blue-400 transition-colors flex items-center justify-center">
+                            📄 Import Document
+                        </a>
+                    </div>
+                </div>
+            </div>
+
+            <!-- Features Grid -->
+            <div class="grid md:grid-cols-3 gap-8 mb-12">
+                <div class="bg-white p-6 rounded-lg shadow-md">
+                    <div class="text-3xl mb-4">🏢</div>
+                    <h3 class="text-xl font-semibold mb-2">Company Branding</h3>
+                    <p class="text-gray-600">Add your logo, contact details, and terms to create professional branded price lists.</p>
+                </div>
+                <div class="bg-white p-6 rounded-lg shadow-md">
+                    <div class="text-3xl mb-4">🛍️</div>
+                    <h3 class="text-xl font-semibold mb-2">Shopify Integration</h3>
+                    <p class="text-gray-600">Automatically sync products, prices, and inventory from your Shopify store.</p>
+                </div>
+                <div class="bg-white p-6 rounded-lg shadow-md">
+                    <div class="text-3xl mb-4">📄</div>
+                    <h3 class="text-xl font-semibold mb-2">PDF Export</h3>
+                    <p class="text-gray-600">Generate beautiful, print-ready PDF catalogs that you can share with customers.</p>
+                </div>
+            </div>
+
+            <!-- Quick Actions -->
+            <div class="bg-white rounded-lg shadow-md p-8">
+                <h3 class="text-2xl font-bold mb-6 text-center">Quick Actions</h3>
+                <div class="grid sm:grid-cols-3 gap-4">
+                    <a href="/my-price-lists" class="border-2 border-gray-200 hover:border-blue-300 rounded-lg p-6 text-center transition-colors">
+                        <div class="text-2xl mb-2">📋</div>
+                        <div class="font-semibold">My Price Lists</div>
+                        <div class="text-sm text-gray-600">View and manage existing price lists</div>
+                    </a>
+                    <a href="/templates" class="border-2 border-gray-200 hover:border-blue-300 rounded-lg p-6 text-center transition-colors">
+                        <div class="text-2xl mb-2">🎨</div>
+                        <div class="font-semibold">Templates</div>
+                        <div class="text-sm text-gray-600">Choose from professional templates</div>
+                    </a>
+                    <a href="/analytics" class="border-2 border-gray-200 hover:border-blue-300 rounded-lg p-6 text-center transition-colors">
+                        <div class="text-2xl mb-2">📊</div>
+                        <div class="font-semibold">Analytics</div>
+                        <div class="text-sm text-gray-600">Lists per rep, discounts and conversion</div>
+                    </a>
+                    <a href="/schedules" class="border-2 border-gray-200 hover:border-blue-300 rounded-lg p-6 text-center transition-colors">
+                        <div class="text-2xl mb-2">⏰</div>
+                        <div class="font-semibold">Schedules</div>
+                        <div class="text-sm text-gray-600">Regenerate and deliver lists every week or month</div>
+                    </a>
+                </div>
+            </div>
+        </main>
+
+        <!-- Footer -->
+        <footer class="bg-gray-800 text-white py-8 mt-16">
+            <div class="max-w-7xl mx-auto px-4 text-center">
+                <p>&copy; 2025 Price List Generator. Professional catalogs made simple.</p>
+            </div>
+        </footer>
+    </body>
+    </html>
+  `;
+  
+  res.send(homeHTML);
+});
+
+// Enhanced Create Price List Route
+app.get('/create-price-list', (req, res) => {
+  const createHTML = `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Create Price List - Price List Generator</title>
+        <script src="https://cdn.tailwindcss.com"></script>
+    </head>
+    <body class="bg-gray-50">
+        <!-- Header -->
+        <header class="bg-white shadow-sm border-b">
+            <div class="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+                <div class="flex justify-between items-center py-4">
+                    <div class="flex items-center space-x-4">
+                        <a href="/" class="text-2xl font-bold text-gray-900">Price List Generator</a>
+                        <span class="bg-green-100 text-green-800 px-3 py-1 rounded-full text-sm font-medium">
+                            APP STATUS: ONLINE
+                        </span>
+                    </div>
+                    <nav class="hidden md:flex space-x-6">
+                        <a href="/" class="text-gray-700 hover:text-blue-600 font-medium">Home</a>
+                        <a href="/my-price-lists" class="text-gray-700 hover:text-blue-600 font-medium">My Price Lists</a>
+                        <a href="/create-price-list" class="text-blue-600 font-medium border-b-2 border-blue-600">Create New</a>
+                        <a href="/analytics" class="text-gray-700 hover:text-blue-600 font-medium">Analytics</a>
+                        <a href="/schedules" class="text-gray-700 hover:text-blue-600 font-medium">Schedules</a>
                     </nav>
                 </div>
             </div>
-        </header>
+        </header>
+
+        <!-- Main Content -->
+        <main class="max-w-7xl mx-auto py-8 px-4 sm:px-6 lg:px-8">
+            <div class="mb-8">
+                <h1 class="text-3xl font-bold text-gray-900">Create New Price List</h1>
+                <p class="mt-2 text-gray-600">Build professional price lists with flexible pricing for different customer tiers</p>
+            </div>
+
+            <!-- Status Messages -->
+            <div id="statusMessages" class="mb-6"></div>
+
+            <!-- Main Grid -->
+            <div class="grid grid-cols-1 lg:grid-cols-3 gap-8">
+                <!-- Left Panel -->
+                <div class="lg:col-span-1 space-y-6">
+                    
+                    <!-- Company Information -->
+                    <div class="bg-white rounded-lg shadow-md p-6">
+                        <h3 class="text-lg font-semibold mb-4">🏢 Company Information</h3>
+                        <div class="space-y-4">
+                            <input type="text" id="companyName" placeholder="Your Company Name" class="w-full px-3 py-2 border border-gray-300 rounded-md">
+                            <input type="email" id="companyEmail" placeholder="sales@company.com" class="w-full px-3 py-2 border border-gray-300 rounded-md">
+                            <input type="tel" id="companyPhone" placeholder="+27 11 123 4567" class="w-full px-3 py-2 border border-gray-300 rounded-md">
+                            <input type="url" id="companyWebsite" placeholder="https://yourstore.com" class="w-full px-3 py-2 border border-gray-300 rounded-md">
+                            <input type="text" id="preparedBy" placeholder="Prepared by (your name)" class="w-full px-3 py-2 border border-gray-300 rounded-md">
+                        </div>
+                    </div>
+
+                    <!-- Client Information -->
+                    <div class="bg-white rounded-lg shadow-md p-6">
+                        <h3 class="text-lg font-semibold mb-4">👤 Client Information</h3>
+                        <div class="space-y-4">
+                            <input type="text" id="clientCompanyName" placeholder="Client Company Name" class="w-full px-3 py-2 border border-gray-300 rounded-md">
+                            <input type="email" id="clientEmail" placeholder="client@company.com" class="w-full px-3 py-2 border border-gray-300 rounded-md">
+                            <input type="text" id="clientCustomerId" placeholder="Shopify Customer ID (optional)" class="w-full px-3 py-2 border border-gray-300 rounded-md">
+                            <input type="tel" id="clientPhone" placeholder="+27 11 456 7890" class="w-full px-3 py-2 border border-gray-300 rounded-md">
+                            <input type="text" id="clientAddress" placeholder="Client Address" class="w-full px-3 py-2 border border-gray-300 rounded-md">
+                            <label class="block text-sm text-gray-600">Prices valid until
+                                <input type="date" id="validUntil" class="w-full mt-1 px-3 py-2 border border-gray-300 rounded-md">
+                            </label>
+                        </div>
+                        <p id="priceAgreementInfo" class="text-xs text-gray-500 mt-3">No price agreement for this client</p>
+                        <button id="savePriceAgreementBtn" type="button" class="w-full mt-2 bg-gray-100 hover:bg-gray-200 text-sm py-1 rounded">Save Prices as Client Agreement</button>
+                    </div>
+
+                    <!-- Currency -->
+                    <div class="bg-white rounded-lg shadow-md p-6">
+                        <h3 class="text-lg font-semibold mb-4">💱 Currency &amp; VAT</h3>
+                        <select id="listCurrency" class="w-full px-3 py-2 border border-gray-300 rounded-md">
+                            ${Object.entries(CURRENCIES).map(([code, currency]) => `<option value="${code}">${code} - ${currency.label}</option>`).join('')}
+                        </select>
+                        <p id="currencyRateInfo" class="text-xs text-gray-500 mt-2">Prices in ${BASE_CURRENCY}</p>
+                        <div id="exchangeRateForm" class="hidden mt-3 space-y-2">
+                            <div class="flex space-x-2">
+                                <input type="number" id="newExchangeRate" min="0" step="0.0001" placeholder="Rate per 1 ${BASE_CURRENCY}" class="w-1/2 px-2 py-1 border rounded text-sm">
+                                <input type="date" id="newExchangeRateDate" class="w-1/2 px-2 py-1 border rounded text-sm">
+                            </div>
+                            <button id="addExchangeRateBtn" type="button" class="w-full bg-gray-100 hover:bg-gray-200 text-sm py-1 rounded">Save Exchange Rate</button>
+                        </div>
+                        <label for="taxDisplay" class="block text-sm font-medium mt-4 mb-1">VAT Display</label>
+                        <select id="taxDisplay" class="w-full px-3 py-2 border border-gray-300 rounded-md">
+                            <option value="excl">Excluding VAT (trade)</option>
+                            <option value="incl">Including VAT (retail)</option>
+                            <option value="both">Both columns</option>
+                        </select>
+                        <div class="flex items-center space-x-2 mt-3">
+                            <input type="number" id="vatRate" min="0" max="99" step="0.1" class="w-16 px-2 py-1 border rounded text-sm">
+                            <span class="text-xs text-gray-500">% VAT</span>
+                            <label class="flex items-center space-x-1 text-xs text-gray-600">
+                                <input type="checkbox" id="pricesIncludeTax">
+                                <span>Shopify prices include VAT</span>
+                            </label>
+                        </div>
+                        <button id="saveTaxSettingsBtn" type="button" class="w-full mt-2 bg-gray-100 hover:bg-gray-200 text-sm py-1 rounded">Save Shop VAT Settings</button>
+                        <label for="templateSelect" class="block text-sm font-medium mt-4 mb-1">PDF Template</label>
+                        <select id="templateSelect" class="w-full px-3 py-2 border border-gray-300 rounded-md"></select>
+                        <a href="/templates" class="text-xs text-blue-600 hover:underline">Manage templates</a>
+                    </div>
+
+                    <!-- Promotions -->
+                    <div class="bg-white rounded-lg shadow-md p-6">
+                        <h3 class="text-lg font-semibold mb-4">🏷️ Promotions</h3>
+                        <div id="promotionsList" class="space-y-2 text-sm mb-3">
+                            <p class="text-xs text-gray-500">No promotions yet</p>
+                        </div>
+                        <div class="space-y-2">
+                            <input type="text" id="promoName" placeholder="Name (e.g. Month-end special)" class="w-full px-2 py-1 border rounded text-sm">
+                            <div class="flex space-x-2">
+                                <select id="promoField" class="w-1/2 px-2 py-1 border rounded text-sm">
+                                    <option value="all">All products</option>
+                                    ${RULE_FIELDS.map(field => `<option value="${field}">${field}</option>`).join('')}
+                                </select>
+                                <input type="text" id="promoValue" placeholder="Value" class="w-1/2 px-2 py-1 border rounded text-sm">
+                            </div>
+                            <div class="flex space-x-2">
+                                <select id="promoAction" class="w-1/2 px-2 py-1 border rounded text-sm">
+                                    <option value="discountPercent">% off retail</option>
+                                    <option value="fixedPrice">Fixed price</option>
+                                </select>
+                                <input type="number" id="promoAmount" min="0" step="0.01" placeholder="Amount" class="w-1/2 px-2 py-1 border rounded text-sm">
+                            </div>
+                            <div class="flex space-x-2">
+                                <input type="datetime-local" id="promoStartsAt" class="w-1/2 px-2 py-1 border rounded text-xs">
+                                <input type="datetime-local" id="promoEndsAt" class="w-1/2 px-2 py-1 border rounded text-xs">
+                            </div>
+                            <button id="addPromotionBtn" type="button" class="w-full bg-gray-100 hover:bg-gray-200 text-sm py-1 rounded">Add Promotion</button>
+                        </div>
+                    </div>
+
+                    <!-- Flexible Pricing -->
+                    <div class="bg-white rounded-lg shadow-md p-6">
+                        <h3 class="text-lg font-semibold mb-4">🎯 Flexible Pricing</h3>
+                        
+                        <!-- Tier Selection -->
+                        <div class="grid grid-cols-1 gap-3 mb-4">
+                            <div class="border rounded-lg p-3 cursor-pointer tier-option border-blue-500 bg-blue-50" data-tier="retail">
+                                <div class="flex justify-between items-center mb-2">
+                                    <span class="font-medium">Retail</span>
+                                    <input type="radio" name="tierType" value="retail" checked>
+                                </div>
+                                <div class="flex items-center space-x-2">
+                                    <span class="text-sm">Discount:</span>
+                                    <input type="number" id="retailDiscount" min="0" max="100" step="0.1" value="0" class="w-16 px-2 py-1 border rounded text-sm discount-input">
+                                    <span class="text-sm">%</span>
+                                </div>
+                            </div>
+                            
+                            <div class="border rounded-lg p-3 cursor-pointer tier-option border-gray-300" data-tier="wholesale">
+                                <div class="flex justify-between items-center mb-2">
+                                    <span class="font-medium">Wholesale</span>
+                                    <input type="radio" name="tierType" value="wholesale">
+                                </div>
+                                <div class="flex items-center space-x-2">
+                                    <span class="text-sm">Discount:</span>
+                                    <input type="number" id="wholesaleDiscount" min="0" max="100" step="0.1" value="15" class="w-16 px-2 py-1 border rounded text-sm discount-input">
+                                    <span class="text-sm">%</span>
+                                </div>
+                            </div>
+                            
+                            <div class="border rounded-lg p-3 cursor-pointer tier-option border-gray-300" data-tier="installer">
+                                <div class="flex justify-between items-center mb-2">
+                                    <span class="font-medium">Installer</span>
+                                    <input type="radio" name="tierType" value="installer">
+                                </div>
+                                <div class="flex items-center space-x-2">
+                                    <span class="text-sm">Discount:</span>
+                                    <input type="number" id="installerDiscount" min="0" max="100" step="0.1" value="20" class="w-16 px-2 py-1 border rounded text-sm discount-input">
+                                    <span class="text-sm">%</span>
+                                </div>
+                            </div>
+                        </div>
+                        
+                        <!-- Quantity Breaks -->
+                        <div class="mb-4">
+                            <label for="quantityBreaks" class="block text-sm font-medium mb-1">Quantity Breaks</label>
+                            <input type="text" id="quantityBreaks" placeholder="10:8, 50:15" class="w-full px-3 py-2 border border-gray-300 rounded-md text-sm">
+                            <p class="text-xs text-gray-500 mt-1">Min quantity : discount % off base price</p>
+                        </div>
+                        
+                        <!-- Cost & Margin -->
+                        <div class="mb-4">
+                            <span class="block text-sm font-medium mb-1">Cost &amp; Margin</span>
+                            <div class="grid grid-cols-2 gap-2">
+                                <select id="pricingMode" class="px-2 py-1 border border-gray-300 rounded-md text-sm margin-setting">
+                                    <option value="discount">Discount off retail</option>
+                                    <option value="costPlus">Cost plus markup</option>
+                                </select>
+                                <div class="flex items-center space-x-1">
+                                    <input type="number" id="markupPercent" min="0" step="0.1" value="35" class="w-16 px-2 py-1 border rounded text-sm margin-setting">
+                                    <span class="text-xs text-gray-500">% markup</span>
+                                </div>
+                                <div class="flex items-center space-x-1">
+                                    <input type="number" id="minMarginPercent" min="0" max="99" step="0.1" placeholder="0" class="w-16 px-2 py-1 border rounded text-sm margin-setting">
+                                    <span class="text-xs text-gray-500">% min margin</span>
+                                </div>
+                                <select id="marginPolicy" class="px-2 py-1 border border-gray-300 rounded-md text-sm margin-setting">
+                                    <option value="clamp">Clamp to floor</option>
+                                    <option value="flag">Flag only</option>
+                                </select>
+                            </div>
+                            <p class="text-xs text-gray-500 mt-1">Costs come from supplier prices. Margins are never shown to clients.</p>
+                        </div>
+                        
+                        <!-- Price Rounding -->
+                        <div class="mb-4">
+                            <label for="roundingStrategy" class="block text-sm font-medium mb-1">Price Rounding</label>
+                            <select id="roundingStrategy" class="w-full px-2 py-1 border border-gray-300 rounded-md text-sm rounding-setting">
+                                <option value="none">No rounding</option>
+                                <option value="nearest5">Nearest 5</option>
+                                <option value="nearest10">Nearest 10</option>
+                                <option value="end99">End in .99</option>
+                                <option value="end95">End in .95</option>
+                                <option value="up">Always round up</option>
+                            </select>
+                            <input type="text" id="roundingBands" placeholder="0-500:end99, 500+:nearest10" class="w-full mt-2 px-3 py-2 border border-gray-300 rounded-md text-sm rounding-setting">
+                            <p class="text-xs text-gray-500 mt-1">Optional price bands : strategy, checked before the tier strategy</p>
+                        </div>
+                        
+                        <!-- Pricing Rules -->
+                        <div class="mb-4">
+                            <div class="flex justify-between items-center mb-1">
+                                <span class="block text-sm font-medium">Pricing Rules</span>
+                                <button id="addRuleBtn" type="button" class="text-xs text-blue-600 hover:text-blue-800">+ Add rule</button>
+                            </div>
+                            <div id="pricingRulesList" class="space-y-2"></div>
+                            <p class="text-xs text-gray-500 mt-1">Custom prices win over rules. Product, SKU, tag and collection rules win over type and vendor rules; otherwise the first rule in the list wins.</p>
+                        </div>
+                        
+                        <!-- Actions -->
+                        <div class="space-y-2">
+                            <button id="applyTierPricingBtn" class="w-full bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700">
+                                Apply Tier Pricing
+                            </button>
+                        </div>
+                    </div>
+
+                    <!-- Saved Pricing Configurations -->
+                    <div class="bg-white rounded-lg shadow-md p-6">
+                        <h3 class="text-lg font-semibold mb-4">💾 Saved Configurations</h3>
+                        <select id="savedConfigSelect" class="w-full px-3 py-2 border border-gray-300 rounded-md text-sm mb-3">
+                            <option value="">No saved configurations</option>
+                        </select>
+                        <div class="grid grid-cols-2 gap-2">
+                            <button id="applyConfigBtn" class="bg-blue-600 text-white py-2 px-3 rounded-md hover:bg-blue-700 text-sm">
+                                Apply
+                            </button>
+                            <button id="archiveConfigBtn" class="bg-gray-100 text-gray-700 py-2 px-3 rounded-md hover:bg-gray-200 text-sm">
+                                Archive
+                            </button>
+                            <button id="saveConfigBtn" class="bg-green-600 text-white py-2 px-3 rounded-md hover:bg-green-700 text-sm">
+                                Save as New
+                            </button>
+                            <button id="updateConfigBtn" class="bg-green-100 text-green-700 py-2 px-3 rounded-md hover:bg-green-200 text-sm">
+                                Update Selected
+                            </button>
+                        </div>
+                    </div>
+
+                    <!-- Connection & Actions -->
+                    <div class="bg-white rounded-lg shadow-md p-6">
+                        <div id="connectionStatus" class="p-4 rounded-lg bg-gray-50 mb-4">
+                            <div class="text-sm">Shopify: <span id="connectionText">Not tested</span></div>
+                        </div>
+                        <div class="space-y-3">
+                            <button id="testConnectionBtn" class="w-full bg-gray-600 text-white py-2 px-4 rounded-md hover:bg-gray-700">
+                                Test Connection
+                            </button>
+                            <button id="loadProductsBtn" class="w-full bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700">
+                                Load Products
+                            </button>
+                            <button id="generateEnhancedPdfBtn" class="w-full bg-indigo-600 text-white py-2 px-4 rounded-md hover:bg-indigo-700" disabled>
+                                ✨ Generate Professional Quote
+                            </button>
+                            <button id="savePriceListBtn" class="w-full bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700" disabled>
+                                💾 Save Price List
+                            </button>
+                        </div>
+                    </div>
+                </div>
+
+                <!-- Right Panel - Products -->
+                <div class="lg:col-span-2">
+                    <div class="bg-white rounded-lg shadow-md">
+                        <!-- Search -->
+                        <div class="p-6 border-b">
+                            <div class="flex gap-4 mb-4">
+                                <input type="text" id="searchProducts" placeholder="Search products..." class="flex-1 px-3 py-2 border rounded-md">
+                                <button id="searchBtn" class="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700">
+                                    Search
+                                </button>
+                            </div>
+                            <div class="flex gap-2">
+                                <button id="selectAllBtn" class="px-4 py-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 text-sm">
+                                    Select All
+                                </button>
+                                <button id="clearSelectionBtn" class="px-4 py-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 text-sm">
+                                    Clear
+                                </button>
+                                <button id="resetAllPricesBtn" class="px-3 py-2 bg-yellow-100 text-yellow-700 rounded text-sm hover:bg-yellow-200">
+                                    Reset Prices
+                                </button>
+                            </div>
+                        </div>
+
+                        <!-- Products -->
+                        <div class="p-6">
+                            <div id="loadingState" class="text-center py-12">
+                                <div class="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto mb-4"></div>
+                                <p class="text-gray-600">Click "Load Products" to begin</p>
+                            </div>
+                            
+                            <div id="productTableSection" class="hidden">
+                                <div class="overflow-x-auto">
+                                    <table class="w-full border-collapse text-sm">
+                                        <thead class="bg-gray-50">
+                                            <tr>
+                                                <th class="px-3 py-2 text-left border">Select</th>
+                                                <th class="px-3 py-2 text-left border">Product</th>
+                                                <th class="px-3 py-2 text-left border">Base</th>
+                                                <th class="px-3 py-2 text-left border">Tier</th>
+                                                <th class="px-3 py-2 text-left border">Custom</th>
+                                                <th class="px-3 py-2 text-left border">Final</th>
+                                                <th class="px-3 py-2 text-left border">Save</th>
+                                                <th class="px-3 py-2 text-left border">Margin</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody id="enhancedProductList">
+                                        </tbody>
+                                    </table>
+                                </div>
+                            </div>
+                            
+                            <div id="pricingSummary" class="hidden mt-6 p-4 bg-blue-50 rounded-lg">
+                                <h4 class="font-medium text-blue-900 mb-3">📊 Summary</h4>
+                                <div class="grid grid-cols-2 gap-4 text-sm">
+                                    <div>Selected: <span id="summarySelectedCount" class="font-semibold">0</span></div>
+                                    <div>Custom: <span id="summaryCustomCount" class="font-semibold">0</span></div>
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        </main>
+
+        <script>
+            let state = {
+                products: [],
+                filteredProducts: [],
+                selectedProducts: new Set(),
+                selectedTier: 'retail',
+                tierDiscounts: { retail: 0, wholesale: 15, installer: 20 },
+                customPrices: {},
+                calculatedProducts: [],
+                pricingConfigs: [],
+                rules: [],
+                currency: '${BASE_CURRENCY}',
+                currencyContext: null,
+                taxDisplayChosen: false,
+                templateChosen: false,
+                listTemplate: null,
+                priceAgreement: null,
+                selectedVariants: {},
+                editingPriceList: null
+            };
+
+            const RULE_FIELD_LABELS = {
+                productId: 'Product ID',
+                sku: 'SKU',
+                tag: 'Tag',
+                collection: 'Collection',
+                productType: 'Product type',
+                vendor: 'Vendor'
+            };
+
+            const RULE_ACTION_LABELS = {
+                discountPercent: '% off',
+                fixedPrice: 'Fixed price',
+                costPlus: 'Cost + %'
+            };
+
+            const elements = {
+                testConnectionBtn: document.getElementById('testConnectionBtn'),
+                loadProductsBtn: document.getElementById('loadProductsBtn'),
+                generateEnhancedPdfBtn: document.getElementById('generateEnhancedPdfBtn'),
+                savePriceListBtn: document.getElementById('savePriceListBtn'),
+                searchProducts: document.getElementById('searchProducts'),
+                searchBtn: document.getElementById('searchBtn'),
+                selectAllBtn: document.getElementById('selectAllBtn'),
+                clearSelectionBtn: document.getElementById('clearSelectionBtn'),
+                enhancedProductList: document.getElementById('enhancedProductList'),
+                loadingState: document.getElementById('loadingState'),
+                productTableSection: document.getElementById('productTableSection'),
+                statusMessages: document.getElementById('statusMessages'),
+                connectionText: document.getElementById('connectionText'),
+                pricingSummary: document.getElementById('pricingSummary'),
+                applyTierPricingBtn: document.getElementById('applyTierPricingBtn'),
+                resetAllPricesBtn: document.getElementById('resetAllPricesBtn'),
+                summarySelectedCount: document.getElementById('summarySelectedCount'),
+                summaryCustomCount: document.getElementById('summaryCustomCount')
+            };
+
+            // Initialize tier selection
+            document.querySelectorAll('.tier-option').forEach(option => {
+                option.addEventListener('click', function() {
+                    selectTier(this.dataset.tier);
+                });
+            });
+
+            document.querySelectorAll('.discount-input').forEach(input => {
+                input.addEventListener('change', function() {
+                    const tier = this.id.replace('Discount', '');
+                    state.tierDiscounts[tier] = parseFloat(this.value) || 0;
+                    if (state.selectedTier === tier) {
+                        recalculateAllPricing();
+                    }
+                });
+            });
+
+            function buildPricingConfig() {
+                return {
+                    tierName: state.selectedTier,
+                    discountPercent: state.tierDiscounts[state.selectedTier],
+                    quantityBreaks: getQuantityBreaks(),
+                    rules: state.rules,
+                    ...getMarginSettings(),
+                    rounding: getRoundingConfig(),
+                    notes: ''
+                };
+            }
+
+            function getMarginSettings() {
+                const minMargin = parseFloat(document.getElementById('minMarginPercent').value);
+                return {
+                    pricingMode: document.getElementById('pricingMode').value,
+                    markupPercent: parseFloat(document.getElementById('markupPercent').value) || 0,
+                    minMarginPercent: isNaN(minMargin) ? null : minMargin,
+                    marginPolicy: document.getElementById('marginPolicy').value
+                };
+            }
+
+            // Parse "0-500:end99, 500+:nearest10" into price bands
+            function getRoundingConfig() {
+                const bands = (document.getElementById('roundingBands').value || '').split(',')
+                    .map(entry => entry.split(':').map(part => part.trim()))
+                    .filter(([range, strategy]) => range && strategy)
+                    .map(([range, strategy]) => {
+                        const [minPrice, maxPrice] = range.replace('+', '').split('-').map(parseFloat);
+                        return { minPrice: minPrice || 0, maxPrice: isNaN(maxPrice) ? null : maxPrice, strategy };
+                    });
+                return {
+                    strategy: document.getElementById('roundingStrategy').value,
+                    bands
+                };
+            }
+
+            function applyRoundingSettings(rounding) {
+                document.getElementById('roundingStrategy').value = rounding?.strategy || 'none';
+                document.getElementById('roundingBands').value = (rounding?.bands || [])
+                    .map(band => (band.maxPrice === null ? band.minPrice + '+' : band.minPrice + '-' + band.maxPrice) + ':' + band.strategy)
+                    .join(', ');
+            }
+
+            function applyMarginSettings(config) {
+                document.getElementById('pricingMode').value = config.pricingMode || 'discount';
+                document.getElementById('markupPercent').value = config.markupPercent ?? 35;
+                document.getElementById('minMarginPercent').value = config.minMarginPercent ?? '';
+                document.getElementById('marginPolicy').value = config.marginPolicy || 'clamp';
+            }
+
+            function renderRules() {
+                const list = document.getElementById('pricingRulesList');
+                const options = (labels, selected) => Object.entries(labels)
+                    .map(([value, label]) => '<option value="' + value + '"' + (value === selected ? ' selected' : '') + '>' + label + '</option>')
+                    .join('');
+                
+                list.innerHTML = state.rules.map((rule, index) =>
+                    '<div class="flex gap-1 items-center">' +
+                        '<select data-rule-index="' + index + '" data-rule-key="field" class="px-1 py-1 border rounded text-xs">' + options(RULE_FIELD_LABELS, rule.field) + '</select>' +
+                        '<input data-rule-index="' + index + '" data-rule-key="value" value="' + (rule.value || '') + '" placeholder="Growatt" class="w-20 px-1 py-1 border rounded text-xs">' +
+                        '<select data-rule-index="' + index + '" data-rule-key="action" class="px-1 py-1 border rounded text-xs">' + options(RULE_ACTION_LABELS, rule.action) + '</select>' +
+                        '<input data-rule-index="' + index + '" data-rule-key="amount" type="number" step="0.01" value="' + (rule.amount ?? '') + '" class="w-14 px-1 py-1 border rounded text-xs">' +
+                        '<button type="button" onclick="removeRule(' + index + ')" class="text-red-500 text-xs px-1">✕</button>' +
+                    '</div>'
+                ).join('');
+            }
+
+            function removeRule(index) {
+                state.rules.splice(index, 1);
+                renderRules();
+                recalculateAllPricing();
+            }
+
+            document.getElementById('addRuleBtn').addEventListener('click', () => {
+                state.rules.push({
+                    id: 'rule_' + Date.now(),
+                    field: 'vendor',
+                    value: '',
+                    action: 'discountPercent',
+                    amount: 0
+                });
+                renderRules();
+            });
+
+            document.getElementById('quantityBreaks').addEventListener('change', () => {
+                const breaksError = findQuantityBreakError(getQuantityBreaks());
+                if (breaksError) {
+                    showError(breaksError);
+                    return;
+                }
+                recalculateAllPricing();
+            });
+
+            document.getElementById('listCurrency').addEventListener('change', async (event) => {
+                state.currency = event.target.value;
+                await loadCurrencyRate();
+                recalculateAllPricing();
+            });
+
+            document.getElementById('addExchangeRateBtn').addEventListener('click', async () => {
+                const rate = parseFloat(document.getElementById('newExchangeRate').value);
+                const effectiveFrom = document.getElementById('newExchangeRateDate').value || undefined;
+                if (!(rate > 0)) {
+                    showError('Enter an exchange rate greater than zero');
+                    return;
+                }
+                
+                try {
+                    const response = await fetch('/api/exchange-rates', {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ currency: state.currency, rate, effectiveFrom })
+                    });
+                    const data = await response.json();
+                    
+                    if (data.success) {
+                        showSuccess('Saved exchange rate for ' + state.currency);
+                        document.getElementById('newExchangeRate').value = '';
+                        await loadCurrencyRate();
+                        recalculateAllPricing();
+                    } else {
+                        showError('Failed to save exchange rate: ' + data.message);
+                    }
+                } catch (error) {
+                    showError('Error saving exchange rate: ' + error.message);
+                }
+            });
+
+            // Show the rate in force for the selected currency
+            async function loadCurrencyRate() {
+                const info = document.getElementById('currencyRateInfo');
+                const form = document.getElementById('exchangeRateForm');
+                form.classList.toggle('hidden', state.currency === '${BASE_CURRENCY}');
+                
+                try {
+                    const response = await fetch('/api/exchange-rates/current?currency=' + state.currency);
+                    const data = await response.json();
+                    
+                    if (data.success) {
+                        state.currencyContext = data.currency;
+                        info.textContent = state.currency === '${BASE_CURRENCY}'
+                            ? 'Prices in ${BASE_CURRENCY}'
+                            : '1 ${BASE_CURRENCY} = ' + data.currency.rate + ' ' + state.currency +
+                              ' (effective ' + data.currency.effectiveFrom.split('T')[0] + ')';
+                    } else {
+                        state.currencyContext = null;
+                        info.textContent = 'No exchange rate stored for ' + state.currency + ' - add one below';
+                    }
+                } catch (error) {
+                    console.error('Error loading exchange rate:', error);
+                }
+            }
+
+            // Shop VAT settings; the display mode defaults to the shop's choice
+            async function loadTaxSettings() {
+                try {
+                    const response = await fetch('/api/tax-settings');
+                    const data = await response.json();
+                    
+                    if (data.success) {
+                        document.getElementById('vatRate').value = data.settings.ratePercent;
+                        document.getElementById('pricesIncludeTax').checked = data.settings.pricesIncludeTax;
+                        if (!state.taxDisplayChosen) {
+                            document.getElementById('taxDisplay').value = data.settings.defaultDisplay;
+                        }
+                    }
+                } catch (error) {
+                    console.error('Error loading tax settings:', error);
+                }
+            }
+
+            document.getElementById('taxDisplay').addEventListener('change', () => {
+                state.taxDisplayChosen = true;
+            });
+
+            // Template library, with the shop's default selected
+            async function loadTemplates() {
+                try {
+                    const response = await fetch('/api/templates');
+                    const data = await response.json();
+                    
+                    if (data.success) {
+                        const select = document.getElementById('templateSelect');
+                        select.innerHTML = '';
+                        [...data.builtIn, ...data.templates].forEach(template => {
+                            const option = document.createElement('option');
+                            option.value = template.id;
+                            option.textContent = (template.label || template.name) + (template.id === data.defaultTemplate ? ' (default)' : '');
+                            select.appendChild(option);
+                        });
+                        select.value = data.defaultTemplate;
+                        showListTemplate();
+                    }
+                } catch (error) {
+                    console.error('Error loading templates:', error);
+                }
+            }
+
+            // A list being edited shows the layout it was saved with; a copy of a deleted template keeps its name
+            function showListTemplate() {
+                const select = document.getElementById('templateSelect');
+                const template = state.listTemplate;
+                if (!template || state.templateChosen || select.options.length === 0) return;
+                
+                if (![...select.options].some(option => option.value === template.id)) {
+                    const option = document.createElement('option');
+                    option.value = template.id;
+                    option.textContent = template.name + ' (saved copy)';
+                    select.appendChild(option);
+                }
+                select.value = template.id;
+            }
+
+            document.getElementById('templateSelect').addEventListener('change', () => {
+                state.templateChosen = true;
+            });
+
+            document.getElementById('saveTaxSettingsBtn').addEventListener('click', async () => {
+                try {
+                    const response = await fetch('/api/tax-settings', {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({
+                            ratePercent: parseFloat(document.getElementById('vatRate').value),
+                            pricesIncludeTax: document.getElementById('pricesIncludeTax').checked,
+                            defaultDisplay: document.getElementById('taxDisplay').value
+                        })
+                    });
+                    const data = await response.json();
+                    
+                    if (data.success) {
+                        showSuccess('Saved VAT settings');
+                    } else {
+                        showError('Failed to save VAT settings: ' + data.message);
+                    }
+                } catch (error) {
+                    showError('Error saving VAT settings: ' + error.message);
+                }
+            });
+
+            // Negotiated prices for the client, found by Shopify customer ID or email
+            async function lookupPriceAgreement() {
+                const email = document.getElementById('clientEmail').value.trim();
+                const customerId = document.getElementById('clientCustomerId').value.trim();
+                const info = document.getElementById('priceAgreementInfo');
+                
+                if (!email && !customerId) {
+                    state.priceAgreement = null;
+                    info.textContent = 'No price agreement for this client';
+                    return;
+                }
+                
+                try {
+                    const params = new URLSearchParams({ email, customerId });
+                    const response = await fetch('/api/price-agreements/lookup?' + params.toString());
+                    const data = await response.json();
+                    
+                    if (data.success && data.agreement) {
+                        applyPriceAgreement(data.agreement);
+                    } else {
+                        state.priceAgreement = null;
+                        info.textContent = 'No price agreement for this client';
+                    }
+                } catch (error) {
+                    console.error('Error looking up price agreement:', error);
+                }
+            }
+
+            // Default tier (or saved configuration) first, then the agreed prices on top
+            function applyPriceAgreement(agreement) {
+                state.priceAgreement = agreement;
+                
+                const config = state.pricingConfigs.find(c => c.id === agreement.pricingConfigId);
+                if (config) {
+                    applyPricingConfig(config);
+                } else if (agreement.defaultTier && document.querySelector('[data-tier="' + agreement.defaultTier + '"]')) {
+                    selectTier(agreement.defaultTier);
+                }
+                
+                Object.entries(agreement.prices || {}).forEach(([productId, price]) => {
+                    state.customPrices['gid://shopify/Product/' + productId] = price;
+                });
+                
+                const count = Object.keys(agreement.prices || {}).length;
+                document.getElementById('priceAgreementInfo').textContent =
+                    '🤝 Agreement ' + agreement.reference + ' applied: ' + count + ' agreed prices' +
+                    (agreement.defaultTier ? ', ' + agreement.defaultTier + ' tier' : '');
+                
+                recalculateAllPricing();
+                showSuccess('Applied price agreement ' + agreement.reference);
+            }
+
+            ['clientEmail', 'clientCustomerId'].forEach(id => {
+                document.getElementById(id).addEventListener('change', lookupPriceAgreement);
+            });
+
+            // Store the current custom prices and tier as the client's agreement
+            document.getElementById('savePriceAgreementBtn').addEventListener('click', async () => {
+                const payload = {
+                    customerEmail: document.getElementById('clientEmail').value.trim(),
+                    customerId: document.getElementById('clientCustomerId').value.trim() || undefined,
+                    customerName: document.getElementById('clientCompanyName').value.trim(),
+                    prices: Object.fromEntries(
+                        Object.entries(state.customPrices).map(([productId, price]) => [productId.split('/').pop(), price])
+                    ),
+                    defaultTier: state.selectedTier,
+                    pricingConfigId: document.getElementById('savedConfigSelect').value || null
+                };
+                
+                try {
+                    const response = await fetch(
+                        state.priceAgreement ? '/api/price-agreements/' + state.priceAgreement.id : '/api/price-agreements',
+                        {
+                            method: state.priceAgreement ? 'PUT' : 'POST',
+                            headers: { 'Content-Type': 'application/json' },
+                            body: JSON.stringify(payload)
+                        }
+                    );
+                    const data = await response.json();
+                    
+                    if (data.success) {
+                        state.priceAgreement = data.agreement;
+                        document.getElementById('priceAgreementInfo').textContent =
+                            '🤝 Agreement ' + data.agreement.reference + ' saved';
+                        showSuccess('Saved price agreement ' + data.agreement.reference);
+                    } else {
+                        showError('Failed to save price agreement: ' + data.message);
+                    }
+                } catch (error) {
+                    showError('Error saving price agreement: ' + error.message);
+                }
+            });
+
+            // Promotions are applied server-side whenever prices are calculated
+            async function loadPromotions() {
+                const list = document.getElementById('promotionsList');
+                
+                try {
+                    const response = await fetch('/api/promotions');
+                    const data = await response.json();
+                    if (!data.success) return;
+                    
+                    // Ended promotions are kept for reference but not listed here
+                    const current = data.promotions.filter(promotion => new Date(promotion.endsAt) > new Date());
+                    list.innerHTML = current.length === 0
+                        ? '<p class="text-xs text-gray-500">No current promotions</p>'
+                        : current.map(promotion => \`
+                            <div class="flex justify-between items-center border rounded px-2 py-1">
+                                <div>
+                                    <div class="font-medium">\${promotion.name}
+                                        <span class="text-xs \${promotion.active ? 'text-green-600' : 'text-gray-500'}">\${promotion.active ? 'running' : 'scheduled'}</span>
+                                    </div>
+                                    <div class="text-xs text-gray-500">
+                                        \${promotion.field === 'all' ? 'All products' : promotion.field + '=' + promotion.value} ·
+                                        \${promotion.action === 'fixedPrice' ? 'R ' + promotion.amount : promotion.amount + '% off'} ·
+                                        until \${new Date(promotion.endsAt).toLocaleString('en-ZA')}
+                                    </div>
+                                </div>
+                                <button type="button" onclick="deletePromotion('\${promotion.id}')" class="text-red-500 hover:text-red-700 text-xs">Remove</button>
+                            </div>
+                        \`).join('');
+                } catch (error) {
+                    console.error('Error loading promotions:', error);
+                }
+            }
+
+            document.getElementById('addPromotionBtn').addEventListener('click', async () => {
+                const startsAt = document.getElementById('promoStartsAt').value;
+                const endsAt = document.getElementById('promoEndsAt').value;
+                
+                try {
+                    const response = await fetch('/api/promotions', {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({
+                            name: document.getElementById('promoName').value.trim(),
+                            field: document.getElementById('promoField').value,
+                            value: document.getElementById('promoValue').value.trim(),
+                            action: document.getElementById('promoAction').value,
+                            amount: parseFloat(document.getElementById('promoAmount').value),
+                            startsAt: startsAt ? new Date(startsAt).toISOString() : new Date().toISOString(),
+                            endsAt: endsAt ? new Date(endsAt).toISOString() : null
+                        })
+                    });
+                    const data = await response.json();
+                    
+                    if (data.success) {
+                        showSuccess('Saved promotion "' + data.promotion.name + '"');
+                        document.getElementById('promoName').value = '';
+                        document.getElementById('promoAmount').value = '';
+                        await loadPromotions();
+                        recalculateAllPricing();
+                    } else {
+                        showError('Failed to save promotion: ' + data.message);
+                    }
+                } catch (error) {
+                    showError('Error saving promotion: ' + error.message);
+                }
+            });
+
+            async function deletePromotion(id) {
+                try {
+                    const response = await fetch('/api/promotions/' + id, { method: 'DELETE' });
+                    const data = await response.json();
+                    
+                    if (data.success) {
+                        await loadPromotions();
+                        recalculateAllPricing();
+                    } else {
+                        showError('Failed to remove promotion: ' + data.message);
+                    }
+                } catch (error) {
+                    showError('Error removing promotion: ' + error.message);
+                }
+            }
+
+            function formatMoney(amount) {
+                const symbol = state.currencyContext ? state.currencyContext.symbol : 'R';
+                return symbol + ' ' + (amount || 0).toFixed(2);
+            }
+
+            document.querySelectorAll('.margin-setting, .rounding-setting').forEach(input => {
+                input.addEventListener('change', () => {
+                    recalculateAllPricing();
+                });
+            });
+
+            document.getElementById('pricingRulesList').addEventListener('change', (event) => {
+                const index = event.target.dataset.ruleIndex;
+                const key = event.target.dataset.ruleKey;
+                if (index === undefined || !key) return;
+                
+                const rule = state.rules[index];
+                rule[key] = key === 'amount' ? parseFloat(event.target.value) : event.target.value;
+                rule.name = RULE_FIELD_LABELS[rule.field] + ' = ' + rule.value;
+                recalculateAllPricing();
+            });
+
+            // Parse "10:8, 50:15" into [{ minQty: 10, discountPercent: 8 }, ...]
+            function getQuantityBreaks() {
+                const raw = document.getElementById('quantityBreaks').value || '';
+                return raw.split(',')
+                    .map(entry => entry.split(':').map(part => parseFloat(part.trim())))
+                    .filter(([minQty, discountPercent]) => minQty > 0 && !isNaN(discountPercent))
+                    .map(([minQty, discountPercent]) => ({ minQty, discountPercent }));
+            }
+
+            // Bigger quantities must get at least the discount of smaller ones (checked again server-side)
+            function findQuantityBreakError(breaks) {
+                const sorted = [...breaks].sort((a, b) => a.minQty - b.minQty);
+                const entry = sorted.find((candidate, index) => index > 0 && candidate.discountPercent < sorted[index - 1].discountPercent);
+                return entry ? 'Quantity break for ' + entry.minQty + '+ would cost more per unit than a smaller quantity' : null;
+            }
+
+            function selectTier(tier) {
+                state.selectedTier = tier;
+                
+                document.querySelectorAll('.tier-option').forEach(opt => {
+                    opt.classList.remove('border-blue-500', 'bg-blue-50');
+                    opt.classList.add('border-gray-300');
+                });
+                
+                const selectedOption = document.querySelector(\`[data-tier="\${tier}"]\`);
+                selectedOption.classList.add('border-blue-500', 'bg-blue-50');
+                selectedOption.classList.remove('border-gray-300');
+                
+                document.querySelector(\`input[value="\${tier}"]\`).checked = true;
+                
+                const discountInput = document.getElementById(\`\${tier}Discount\`);
+                state.tierDiscounts[tier] = parseFloat(discountInput.value) || 0;
+                
+                recalculateAllPricing();
+            }
+
+            // Event listeners
+            elements.testConnectionBtn.addEventListener('click', async () => {
+                const btn = elements.testConnectionBtn;
+                btn.disabled = true;
+                btn.textContent = 'Testing...';
+                
+                try {
+                    const response = await fetch('/api/shopify/debug');
+                    const data = await response.json();
+                    
+                    if (data.success) {
+                        elements.connectionText.textContent = '✅ Connected to ' + data.shop.name;
+                        showSuccess('Connected successfully!');
+                    } else {
+                        elements.connectionText.textContent = '❌ Failed';
+                        showError('Connection failed: ' + data.message);
+                    }
+                } catch (error) {
+                    elements.connectionText.textContent = '❌ Error';
+                    showError('Connection test failed: ' + error.message);
+                } finally {
+                    btn.disabled = false;
+                    btn.textContent = 'Test Connection';
+                }
+            });
+
+            elements.loadProductsBtn.addEventListener('click', async () => {
+                await loadProducts();
+            });
+
+            elements.applyTierPricingBtn.addEventListener('click', async () => {
+                try {
+                    const currentTier = state.selectedTier;
+                    const discountInput = document.getElementById(\`\${currentTier}Discount\`);
+                    const discountPercent = parseFloat(discountInput.value) || 0;
+                    
+                    state.tierDiscounts[currentTier] = discountPercent;
+                    await recalculateAllPricing();
+                    showSuccess(\`Applied \${discountPercent}% \${currentTier} discount\`);
+                } catch (error) {
+                    showError('Error applying tier pricing: ' + error.message);
+                }
+            });
+
+            elements.resetAllPricesBtn.addEventListener('click', () => {
+                state.customPrices = {};
+                recalculateAllPricing();
+                showSuccess('All prices reset to tier pricing');
+            });
+
+            elements.searchBtn.addEventListener('click', async () => {
+                const searchTerm = elements.searchProducts.value.trim();
+                await loadProducts(searchTerm);
+            });
+
+            elements.selectAllBtn.addEventListener('click', () => {
+                const allSelected = state.filteredProducts.every(product => 
+                    state.selectedProducts.has(product.id)
+                );
+
+                if (allSelected) {
+                    state.filteredProducts.forEach(product => {
+                        state.selectedProducts.delete(product.id);
+                    });
+                } else {
+                    state.filteredProducts.forEach(product => {
+                        state.selectedProducts.add(product.id);
+                    });
+                }
+                
+                renderEnhancedProductList();
+                updatePricingSummary();
+            });
+
+            elements.clearSelectionBtn.addEventListener('click', () => {
+                state.selectedProducts.clear();
+                renderEnhancedProductList();
+                updatePricingSummary();
+            });
+
+            elements.generateEnhancedPdfBtn.addEventListener('click', async () => {
+                await generateEnhancedPDF();
+            });
+
+            elements.savePriceListBtn.addEventListener('click', async () => {
+                await savePriceList();
+            });
+
+            document.getElementById('applyConfigBtn').addEventListener('click', () => {
+                const config = getSelectedConfig();
+                if (!config) {
+                    showError('Select a saved configuration first');
+                    return;
+                }
+                applyPricingConfig(config);
+            });
+
+            document.getElementById('saveConfigBtn').addEventListener('click', async () => {
+                await savePricingConfig(null);
+            });
+
+            document.getElementById('updateConfigBtn').addEventListener('click', async () => {
+                const config = getSelectedConfig();
+                if (!config) {
+                    showError('Select a saved configuration to update');
+                    return;
+                }
+                await savePricingConfig(config);
+            });
+
+            document.getElementById('archiveConfigBtn').addEventListener('click', async () => {
+                const config = getSelectedConfig();
+                if (!config) {
+                    showError('Select a saved configuration to archive');
+                    return;
+                }
+                if (!confirm('Archive "' + config.configName + '"?')) return;
+                
+                try {
+                    const response = await fetch('/api/pricing-configs/' + config.id + '/archive', { method: 'POST' });
+                    const data = await response.json();
+                    
+                    if (data.success) {
+                        showSuccess('Archived configuration: ' + config.configName);
+                        await loadPricingConfigs();
+                    } else {
+                        showError('Failed to archive configuration: ' + data.message);
+                    }
+                } catch (error) {
+                    showError('Error archiving configuration: ' + error.message);
+                }
+            });
+
+            async function loadPricingConfigs() {
+                try {
+                    const response = await fetch('/api/pricing-configs');
+                    const data = await response.json();
+                    
+                    if (!data.success) {
+                        showError('Failed to load saved configurations: ' + data.message);
+                        return;
+                    }
+                    
+                    state.pricingConfigs = data.configs || [];
+                    const select = document.getElementById('savedConfigSelect');
+                    
+                    if (state.pricingConfigs.length === 0) {
+                        select.innerHTML = '<option value="">No saved configurations</option>';
+                        return;
+                    }
+                    
+                    select.innerHTML = '<option value="">Select a configuration...</option>' +
+                        state.pricingConfigs.map(config =>
+                            '<option value="' + config.id + '">' + config.configName +
+                            ' (' + config.tierName + ', ' + config.discountPercent + '%, v' + config.version + ')</option>'
+                        ).join('');
+                } catch (error) {
+                    showError('Error loading saved configurations: ' + error.message);
+                }
+            }
+
+            function getSelectedConfig() {
+                const id = document.getElementById('savedConfigSelect').value;
+                return state.pricingConfigs.find(config => config.id === id) || null;
+            }
+
+            function applyPricingConfig(config) {
+                const tier = (config.tierName || '').toLowerCase();
+                
+                // Configs for tiers without a card on this page apply to the current tier
+                if (document.querySelector('[data-tier="' + tier + '"]')) {
+                    selectTier(tier);
+                }
+                
+                const discountInput = document.getElementById(state.selectedTier + 'Discount');
+                discountInput.value = config.discountPercent || 0;
+                state.tierDiscounts[state.selectedTier] = config.discountPercent || 0;
+                
+                state.customPrices = { ...(config.customPrices || {}) };
+                document.getElementById('quantityBreaks').value = (config.quantityBreaks || [])
+                    .map(entry => entry.minQty + ':' + entry.discountPercent)
+                    .join(', ');
+                state.rules = (config.rules || []).map(rule => ({ ...rule }));
+                renderRules();
+                applyMarginSettings(config);
+                applyRoundingSettings(config.rounding);
+                
+                recalculateAllPricing();
+                showSuccess('Applied configuration: ' + config.configName);
+            }
+
+            async function savePricingConfig(existingConfig) {
+                const configName = existingConfig
+                    ? existingConfig.configName
+                    : prompt('Enter a name for this pricing configuration:');
+                if (!configName) return;
+                
+                try {
+                    const response = await fetch('/api/pricing-configs/save', {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({
+                            id: existingConfig ? existingConfig.id : undefined,
+                            configName,
+                            tierName: state.selectedTier,
+                            discountPercent: state.tierDiscounts[state.selectedTier],
+                            customPrices: state.customPrices,
+                            quantityBreaks: getQuantityBreaks(),
+                            rules: state.rules,
+                            ...getMarginSettings(),
+                            rounding: getRoundingConfig()
+                        })
+                    });
+                    const data = await response.json();
+                    
+                    if (data.success) {
+                        showSuccess('Saved configuration "' + configName + '" (v' + data.config.version + ')');
+                        await loadPricingConfigs();
+                        document.getElementById('savedConfigSelect').value = data.config.id;
+                    } else {
+                        showError('Failed to save configuration: ' + data.message);
+                    }
+                } catch (error) {
+                    showError('Error saving configuration: ' + error.message);
+                }
+            }
+
+            async function loadProducts(searchTerm = null) {
+                try {
+                    showLoading('Loading products...');
+                    elements.loadProductsBtn.disabled = true;
+                    
+                    let url = '/api/shopify/products?limit=50';
+                    if (searchTerm) {
+                        url += '&search=' + encodeURIComponent(searchTerm);
+                    }
+                    
+                    const response = await fetch(url);
+                    const data = await response.json();
+                    
+                    if (data.success) {
+                        state.products = data.products || [];
+                        state.filteredProducts = [...state.products];
+                        
+                        await recalculateAllPricing();
+                        
+                        showSuccess('Loaded ' + state.products.length + ' products');
+                        
+                        if (data.source === 'mock') {
+                            showInfo('Using mock data. Configure Shopify for real products.');
+                        }
+                    } else {
+                        showError('Failed to load products: ' + data.message);
+                    }
+                } catch (error) {
+                    showError('Error loading products: ' + error.message);
+                } finally {
+                    hideLoading();
+                    elements.loadProductsBtn.disabled = false;
+                }
+            }
+
+            async function recalculateAllPricing() {
+                if (state.products.length === 0) return;
+                
+                try {
+                    // Pricing is resolved server-side so rules, breaks and overrides match the PDFs
+                    const response = await fetch('/api/calculate-pricing', {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({
+                            products: state.products.map(product => state.selectedVariants[product.id]
+                                ? { ...product, selectedVariantIds: state.selectedVariants[product.id] }
+                                : product),
+                            pricingConfig: buildPricingConfig(),
+                            customPrices: state.customPrices,
+                            currency: state.currency,
+                            audience: 'internal'
+                        })
+                    });
+                    const data = await response.json();
+                    
+                    if (!data.success) {
+                        showError('Failed to calculate pricing: ' + data.message);
+                        return;
+                    }
+                    
+                    state.currencyContext = data.currency;
+                    state.calculatedProducts = data.products;
+                    state.filteredProducts = [...state.calculatedProducts];
+                    renderEnhancedProductList();
+                    updatePricingSummary();
+                } catch (error) {
+                    console.error('Error recalculating pricing:', error);
+                }
+            }
+
+            function renderEnhancedProductList() {
+                if (!elements.enhancedProductList) return;
+                
+                if (state.filteredProducts.length === 0) {
+                    elements.enhancedProductList.innerHTML = '<tr><td colspan="8" class="text-center py-8">No products found</td></tr>';
+                    elements.productTableSection.classList.remove('hidden');
+                    elements.loadingState.classList.add('hidden');
+                    return;
+                }
+
+                // Rows are priced lines - one per selected variant, the variant picker shows on the first
+                const pickerShown = new Set();
+                elements.enhancedProductList.innerHTML = state.filteredProducts.map(product => {
+                    const variant = product.variants && product.variants[0] ? product.variants[0] : {};
+                    const isSelected = state.selectedProducts.has(product.id);
+                    const priceKey = product.variantId || product.id;
+                    const hasCustomPrice = state.customPrices[priceKey] !== undefined;
+                    const pricing = product.pricing || {};
+                    const showPicker = !pickerShown.has(product.id);
+                    pickerShown.add(product.id);
+                    
+                    const tierPrice = pricing.basePrice * (1 - state.tierDiscounts[state.selectedTier] / 100);
+                    
+                    return \`
+                        <tr class="hover:bg-gray-50 \${isSelected ? 'bg-blue-50' : ''}">
+                            <td class="px-3 py-2 border">
+                                <input type="checkbox" \${isSelected ? 'checked' : ''} 
+                                       onchange="toggleProductSelection('\${product.id}')"
+                                       class="rounded border-gray-300 text-blue-600">
+                            </td>
+                            <td class="px-3 py-2 border">
+                                <div class="font-medium text-sm">\${product.title?.substring(0, 25) || 'Unknown'}</div>
+                                \${product.variantTitle ? '<div class="text-xs text-blue-700">↳ ' + product.variantTitle + '</div>' : ''}
+                                <div class="text-xs text-gray-500">\${product.vendor || 'Unknown'}</div>
+                                \${showPicker ? renderVariantPicker(product.id) : ''}
+                            </td>
+                            <td class="px-3 py-2 border text-xs">\${formatMoney(pricing.basePrice)}</td>
+                            <td class="px-3 py-2 border text-xs">
+                                \${formatMoney(tierPrice)}
+                                \${pricing.appliedRule ? '<div class="text-purple-600">' + pricing.appliedRule.name + '</div>' : ''}
+                                \${pricing.promotion ? '<div class="text-red-600">' + pricing.promotion.name + '</div>' : ''}
+                            </td>
+                            <td class="px-3 py-2 border">
+                                <input type="number" step="0.01" min="0" 
+                                       value="\${hasCustomPrice ? state.customPrices[priceKey].toFixed(2) : ''}"
+                                       placeholder="Override ${BASE_CURRENCY}"
+                                       onchange="handleCustomPriceInput('\${priceKey}', this.value)"
+                                       class="w-16 px-1 py-1 border rounded text-xs \${hasCustomPrice ? 'border-blue-300 bg-blue-50' : ''}">
+                            </td>
+                            <td class="px-3 py-2 border">
+                                <span class="font-medium text-xs">\${formatMoney(pricing.finalPrice)}</span>
+                                \${hasCustomPrice ? '<span class="text-blue-500 text-xs">*</span>' : ''}
+                                \${pricing.roundingStrategy && pricing.roundingStrategy !== 'none' && pricing.unroundedPrice !== pricing.roundedPrice
+                                    ? '<div class="text-xs text-gray-400" title="Before rounding">' + formatMoney(pricing.unroundedPrice) + '</div>'
+                                    : ''}
+                            </td>
+                            <td class="px-3 py-2 border text-center">
+                                <span class="\${pricing.savingsPercent > 0 ? 'text-green-600' : 'text-gray-400'} text-xs">
+                                    \${pricing.savingsPercent > 0 ? '-' + pricing.savingsPercent.toFixed(1) + '%' : '0%'}
+                                </span>
+                            </td>
+                            <td class="px-3 py-2 border text-center text-xs">
+                                \${renderMarginCell(pricing)}
+                            </td>
+                        </tr>
+                    \`;
+                }).join('');
+
+                elements.productTableSection.classList.remove('hidden');
+                elements.loadingState.classList.add('hidden');
+                updatePricingSummary();
+            }
+
+            // Internal-only margin cell: red when below the floor, amber when clamped up to it
+            function renderMarginCell(pricing) {
+                if (pricing.marginPercent === null || pricing.marginPercent === undefined) {
+                    return '<span class="text-gray-400" title="No supplier cost">—</span>';
+                }
+                
+                const label = pricing.marginPercent.toFixed(1) + '%';
+                if (pricing.marginViolation) {
+                    return '<span class="text-red-600 font-medium" title="Below minimum price ' + formatMoney(pricing.minimumPrice) + '">' + label + ' ⚠</span>';
+                }
+                if (pricing.marginClamped) {
+                    const note = pricing.unclampedPrice !== null
+                        ? 'Raised from ' + formatMoney(pricing.unclampedPrice) + ' to the margin floor'
+                        : 'Quantity breaks raised to the margin floor';
+                    return '<span class="text-amber-600" title="' + note + '">' + label + ' ↑</span>';
+                }
+                return '<span class="text-gray-700" title="Cost ' + formatMoney(pricing.cost) + '">' + label + '</span>';
+            }
+
+            // Variant checkboxes for products with more than one variant
+            // Nothing ticked means the first variant, as before variants could be picked
+            function renderVariantPicker(productId) {
+                const source = state.products.find(p => p.id === productId);
+                const variants = source?.variants || [];
+                if (variants.length < 2) return '';
+                
+                const selected = state.selectedVariants[productId] || [variants[0].id];
+                return '<div class="flex flex-wrap gap-1 mt-1">' + variants.map(variant =>
+                    '<label class="text-xs border rounded px-1 ' + (selected.includes(variant.id) ? 'bg-blue-100 border-blue-300' : '') + '">' +
+                    '<input type="checkbox" class="mr-1" ' + (selected.includes(variant.id) ? 'checked' : '') +
+                    ' onchange="toggleVariantSelection(\\'' + productId + '\\', \\'' + variant.id + '\\')">' +
+                    (variant.title || variant.sku || 'Variant') + '</label>'
+                ).join('') + '</div>';
+            }
+
+            function toggleVariantSelection(productId, variantId) {
+                const source = state.products.find(p => p.id === productId);
+                const current = state.selectedVariants[productId] || [source.variants[0].id];
+                const next = current.includes(variantId)
+                    ? current.filter(id => id !== variantId)
+                    : [...current, variantId];
+                
+                // Keep variant order as Shopify lists them
+                const ordered = source.variants.map(v => v.id).filter(id => next.includes(id));
+                if (ordered.length === 0) {
+                    delete state.selectedVariants[productId];
+                } else {
+                    state.selectedVariants[productId] = ordered;
+                }
+                recalculateAllPricing();
+            }
+
+            function toggleProductSelection(productId) {
+                if (state.selectedProducts.has(productId)) {
+                    state.selectedProducts.delete(productId);
+                } else {
+                    state.selectedProducts.add(productId);
+                }
+                renderEnhancedProductList();
+            }
+
+            function handleCustomPriceInput(productId, newPrice) {
+                if (newPrice === '' || newPrice === null) {
+                    delete state.customPrices[productId];
+                } else {
+                    state.customPrices[productId] = parseFloat(newPrice);
+                }
+                recalculateAllPricing();
+            }
+
+            function updatePricingSummary() {
+                const selectedCount = state.selectedProducts.size;
+                
+                if (selectedCount > 0) {
+                    elements.pricingSummary.classList.remove('hidden');
+                    elements.generateEnhancedPdfBtn.disabled = false;
+                    elements.savePriceListBtn.disabled = false;
+                    
+                    const customPriced = Object.keys(state.customPrices).length;
+                    
+                    elements.summarySelectedCount.textContent = selectedCount;
+                    elements.summaryCustomCount.textContent = customPriced;
+                } else {
+                    elements.pricingSummary.classList.add('hidden');
+                    elements.generateEnhancedPdfBtn.disabled = true;
+                    elements.savePriceListBtn.disabled = true;
+                }
+            }
+
+
+            async function generateQRPDF() {
+                try {
+                    const selectedProductsArray = state.calculatedProducts.filter(p => 
+                        state.selectedProducts.has(p.id)
+                    );
+                    
+                    if (selectedProductsArray.length === 0) {
+                        showError('Please select at least one product');
+                        return;
+                    }
+                    
+                    elements.generateQRPdfBtn.disabled = true;
+                    elements.generateQRPdfBtn.textContent = 'Generating QR PDF...';
+                    
+                    const companyInfo = {
+                        name: document.getElementById('companyName').value || 'Your Company',
+                        email: document.getElementById('companyEmail').value || '',
+                        phone: document.getElementById('companyPhone').value || '',
+                        website: document.getElementById('companyWebsite').value || '',
+                        terms: 'Payment terms are COD. T\\'s & C\\'s Apply.'
+                    };
+                    
+                    const pricingConfig = buildPricingConfig();
+                    
+                    // Add client info for QR code generation
+                    const clientInfo = {
+                        name: 'Customer', // You can add input fields for this later
+                        email: 'customer@example.com'
+                    };
+                    
+                    const response = await fetch('/api/price-lists/generate-pdf-with-qr', {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({
+                            title: \`\${state.selectedTier.charAt(0).toUpperCase() + state.selectedTier.slice(1)} Price List with QR Code\`,
+                            currency: state.currency,
+                            taxDisplay: document.getElementById('taxDisplay').value,
+                            validUntil: getValidUntilInput(),
+                            products: selectedProductsArray,
+                            company: companyInfo,
+                            pricingConfig,
+                            customPrices: state.customPrices,
+                            clientInfo,
+                            includeQR: true
+                        })
+                    });
+                    
+                    if (response.ok) {
+                        const blob = await response.blob();
+                        const url = window.URL.createObjectURL(blob);
+                        const link = document.createElement('a');
+                        link.href = url;
+                        link.download = \`\${state.selectedTier}-price-list-qr-\${Date.now()}.pdf\`;
+                        document.body.appendChild(link);
+                        link.click();
+                        link.remove();
+                        window.URL.revokeObjectURL(url);
+                        
+                        showSuccess('🔥 QR PDF generated and downloaded! Customers can now scan to order instantly!');
+                    } else {
+                        const error = await response.json();
+                        showError('QR PDF generation failed: ' + error.message);
+                    }
+                } catch (error) {
+                    showError('Error generating QR PDF: ' + error.message);
+                } finally {
+                    elements.generateQRPdfBtn.disabled = false;
+                    elements.generateQRPdfBtn.textContent = '🔥 Generate PDF with QR Code';
+                }
+            }
+
+            async function generateEnhancedPDF() {
+                try {
+                    const selectedProductsArray = state.calculatedProducts.filter(p => 
+                        state.selectedProducts.has(p.id)
+                    );
+                    
+                    if (selectedProductsArray.length === 0) {
+                        showError('Please select at least one product');
+                        return;
+                    }
+                    
+                    elements.generateEnhancedPdfBtn.disabled = true;
+                    elements.generateEnhancedPdfBtn.textContent = 'Generating...';
+                    
+                    const companyInfo = {
+                        name: document.getElementById('companyName').value || 'Your Company',
+                        phone: document.getElementById('companyPhone').value || '+27 11 123 4567',
+                        email: document.getElementById('companyEmail').value || 'sales@yourcompany.com',
+                        website: document.getElementById('companyWebsite').value || 'https://yourcompany.com'
+                    };
+                    
+                    const clientInfo = {
+                        name: document.getElementById('clientCompanyName').value || 'Valued Client',
+                        email: document.getElementById('clientEmail').value || 'client@company.com',
+                        phone: document.getElementById('clientPhone').value || '+27 11 456 7890',
+                        address: document.getElementById('clientAddress').value || 'Client Address'
+                    };
+                    
+                    const response = await fetch('/api/price-lists/generate-enhanced-pdf', {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({
+                            products: selectedProductsArray,
+                            companyConfig: {
+                                name: companyInfo.name,
+                                tagline: 'Professional • Reliable • Quality',
+                                email: companyInfo.email,
+                                phone: companyInfo.phone,
+                                website: 'https://yourcompany.com',
+                                address: '123 Business Street, City, Country'
+                            },
+                            clientConfig: {
+                                name: clientInfo.name,
+                                email: clientInfo.email,
+                                phone: clientInfo.phone,
+                                address: clientInfo.address,
+                                category: state.selectedTier,
+                                showClientDetails: true,
+                                showPricingTier: true
+                            },
+                            pricingTier: state.selectedTier,
+                            pricingConfig: buildPricingConfig(),
+                            customPrices: state.customPrices,
+                            includeQR: true,
+                            currency: state.currency,
+                            taxDisplay: document.getElementById('taxDisplay').value,
+                            validUntil: getValidUntilInput(),
+                            template: document.getElementById('templateSelect').value || undefined,
+                            title: \`\${state.selectedTier.charAt(0).toUpperCase() + state.selectedTier.slice(1)} Professional Price List\`
+                        })
+                    });
+                    
+                    if (response.ok) {
+                        const blob = await response.blob();
+                        const url = window.URL.createObjectURL(blob);
+                        const link = document.createElement('a');
+                        link.href = url;
+                        link.download = \`enhanced-\${state.selectedTier}-price-list-\${Date.now()}.pdf\`;
+                        document.body.appendChild(link);
+                        link.click();
+                        link.remove();
+                        window.URL.revokeObjectURL(url);
+                        
+                        showSuccess('✨ Enhanced Professional PDF generated successfully!');
+                    } else {
+                        const error = await response.json();
+                        showError('Enhanced PDF generation failed: ' + error.message);
+                    }
+                } catch (error) {
+                    showError('Error generating enhanced PDF: ' + error.message);
+                } finally {
+                    elements.generateEnhancedPdfBtn.disabled = false;
+                    elements.generateEnhancedPdfBtn.textContent = '✨ Enhanced Professional PDF';
+                }
+            }
 
-        <!-- Main Content -->
-        <main class="max-w-7xl mx-auto py-12 px-4 sm:px-6 lg:px-8">
-            <div class="text-center mb-12">
-                <div class="bg-gradient-to-r from-blue-600 to-purple-600 text-white p-12 rounded-2xl mb-8">
-                    <h2 class="text-4xl font-bold mb-4">Professional Price Lists Made Easy</h2>
-                    <p class="text-xl mb-8">Create stunning, professional price lists from your Shopify products in minutes. Import existing documents or build from scratch.</p>
+            async function savePriceList() {
+                try {
+                    const selectedProductsArray = state.calculatedProducts.filter(p => 
+                        state.selectedProducts.has(p.id)
+                    );
                     
-                    <div class="flex flex-col sm:flex-row gap-4 justify-center">
-                        <a href="/create-price-list" class="bg-white text-blue-600 py-4 px-8 rounded-lg font-semibold hover:bg-gray-100 transition-colors flex items-center justify-center">
-                            🚀 Create Price List
-                        </a>
-                        <a href="/import-document" class="bg-blue-500 text-white py-4 px-8 rounded-lg font-semibold hover:bg-blue-400 transition-colors flex items-center justify-center">
-                            📄 Import Document
-                        </a>
-                    </div>
-                </div>
-            </div>
+                    if (selectedProductsArray.length === 0) {
+                        showError('Please select at least one product');
+                        return;
+                    }
+                    
+                    // Saving an edited list adds a revision to it instead of creating a new list
+                    const editing = state.editingPriceList;
+                    const listName = prompt('Enter a name for this price list:', editing ? editing.name : '');
+                    if (!listName) return;
+                    
+                    const changeNote = editing ? prompt('Describe what changed (kept in the revision history):', '') : null;
+                    if (changeNote === null && editing) return;
+                    
+                    const author = document.getElementById('preparedBy').value.trim();
+                    localStorage.setItem('priceListAuthor', author);
+                    
+                    elements.savePriceListBtn.disabled = true;
+                    elements.savePriceListBtn.textContent = 'Saving...';
+                    
+                    const companyInfo = {
+                        name: document.getElementById('companyName').value || 'Your Company',
+                        email: document.getElementById('companyEmail').value || '',
+                        phone: document.getElementById('companyPhone').value || '',
+                        website: document.getElementById('companyWebsite').value || ''
+                    };
+                    
+                    const pricingConfig = buildPricingConfig();
+                    
+                    const priceListData = {
+                        ...(editing && { id: editing.id }),
+                        name: listName,
+                        author,
+                        changeNote,
+                        products: selectedProductsArray,
+                        company: companyInfo,
+                        pricingConfig,
+                        customPrices: state.customPrices,
+                        currency: state.currency,
+                        taxDisplay: document.getElementById('taxDisplay').value,
+                        validUntil: getValidUntilInput(),
+                        // Edited lists keep their saved layout unless another template is picked
+                        ...((!editing || state.templateChosen) && { templateId: document.getElementById('templateSelect').value }),
+                        clientInfo: {
+                            name: document.getElementById('clientCompanyName').value,
+                            email: document.getElementById('clientEmail').value,
+                            customerId: document.getElementById('clientCustomerId').value
+                        },
+                        createdAt: new Date().toISOString(),
+                        totalProducts: selectedProductsArray.length,
+                        totalValue: selectedProductsArray.reduce((sum, p) => sum + (p.pricing?.finalPrice || 0), 0)
+                    };
+                    
+                    const response = await fetch('/api/price-lists/save', {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify(priceListData)
+                    });
+                    
+                    if (response.ok) {
+                        const result = await response.json();
+                        if (editing) {
+                            state.editingPriceList = { id: result.priceList.id, name: listName };
+                            showSuccess(\`Price list "\${listName}" saved as revision \${result.priceList.revision}\`);
+                        } else {
+                            showSuccess(\`Price list "\${listName}" saved successfully!\`);
+                        }
+                    } else {
+                        const error = await response.json();
+                        showError('Failed to save price list: ' + error.message);
+                    }
+                } catch (error) {
+                    showError('Error saving price list: ' + error.message);
+                } finally {
+                    elements.savePriceListBtn.disabled = false;
+                    elements.savePriceListBtn.textContent = '💾 Save Price List';
+                }
+            }
 
-            <!-- Features Grid -->
-            <div class="grid md:grid-cols-3 gap-8 mb-12">
-                <div class="bg-white p-6 rounded-lg shadow-md">
-                    <div class="text-3xl mb-4">🏢</div>
-                    <h3 class="text-xl font-semibold mb-2">Company Branding</h3>
-                    <p class="text-gray-600">Add your logo, contact details, and terms to create professional branded price lists.</p>
-                </div>
-                <div class="bg-white p-6 rounded-lg shadow-md">
-                    <div class="text-3xl mb-4">🛍️</div>
-                    <h3 class="text-xl font-semibold mb-2">Shopify Integration</h3>
-                    <p class="text-gray-600">Automatically sync products, prices, and inventory from your Shopify store.</p>
-                </div>
-                <div class="bg-white p-6 rounded-lg shadow-md">
-                    <div class="text-3xl mb-4">📄</div>
-                    <h3 class="text-xl font-semibold mb-2">PDF Export</h3>
-                    <p class="text-gray-600">Generate beautiful, print-ready PDF catalogs that you can share with customers.</p>
-                </div>
-            </div>
+            // The list stays valid to the end of the chosen day; empty uses the server default
+            function getValidUntilInput() {
+                const value = document.getElementById('validUntil').value;
+                return value ? value + 'T23:59:59' : null;
+            }
 
-            <!-- Quick Actions -->
-            <div class="bg-white rounded-lg shadow-md p-8">
-                <h3 class="text-2xl font-bold mb-6 text-center">Quick Actions</h3>
-                <div class="grid sm:grid-cols-2 gap-4">
-                    <a href="/my-price-lists" class="border-2 border-gray-200 hover:border-blue-300 rounded-lg p-6 text-center transition-colors">
-                        <div class="text-2xl mb-2">📋</div>
-                        <div class="font-semibold">My Price Lists</div>
-                        <div class="text-sm text-gray-600">View and manage existing price lists</div>
-                    </a>
-                    <a href="/templates" class="border-2 border-gray-200 hover:border-blue-300 rounded-lg p-6 text-center transition-colors">
-                        <div class="text-2xl mb-2">🎨</div>
-                        <div class="font-semibold">Templates</div>
-                        <div class="text-sm text-gray-600">Choose from professional templates</div>
-                    </a>
-                </div>
-            </div>
-        </main>
+            function showLoading(message) {
+                elements.loadingState.innerHTML = \`
+                    <div class="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto mb-4"></div>
+                    <p class="text-gray-600">\${message}</p>
+                \`;
+                elements.loadingState.classList.remove('hidden');
+                elements.productTableSection.classList.add('hidden');
+            }
 
-        <!-- Footer -->
-        <footer class="bg-gray-800 text-white py-8 mt-16">
-            <div class="max-w-7xl mx-auto px-4 text-center">
-                <p>&copy; 2025 Price List Generator. Professional catalogs made simple.</p>
-            </div>
-        </footer>
+            function hideLoading() {
+                elements.loadingState.classList.add('hidden');
+            }
+
+            function showMessage(message, type) {
+                const alertClass = {
+                    success: 'bg-green-100 border-green-400 text-green-700',
+                    error: 'bg-red-100 border-red-400 text-red-700',
+                    info: 'bg-blue-100 border-blue-400 text-blue-700',
+                    warning: 'bg-yellow-100 border-yellow-400 text-yellow-700'
+                }[type];
+
+                const messageEl = document.createElement('div');
+                messageEl.className = 'border-l-4 p-4 mb-4 ' + alertClass;
+                messageEl.innerHTML = \`
+                    <div class="flex justify-between">
+                        <span>\${message}</span>
+                        <button onclick="this.parentElement.parentElement.remove()" class="ml-4 text-sm">✕</button>
+                    </div>
+                \`;
+                
+                elements.statusMessages.appendChild(messageEl);
+                
+                setTimeout(() => {
+                    if (messageEl.parentNode) {
+                        messageEl.remove();
+                    }
+                }, 5000);
+            }
+
+            function showSuccess(message) { showMessage(message, 'success'); }
+            function showError(message) { showMessage(message, 'error'); }
+            function showInfo(message) { showMessage(message, 'info'); }
+            function showWarning(message) { showMessage(message, 'warning'); }
+
+            // Initialize
+            selectTier('retail');
+            loadPricingConfigs();
+            loadTaxSettings();
+            loadTemplates();
+            loadPromotions();
+            document.getElementById('preparedBy').value = localStorage.getItem('priceListAuthor') || '';
+            
+            // Check if we're in edit mode
+            const urlParams = new URLSearchParams(window.location.search);
+            const editId = urlParams.get('edit');
+            
+            if (editId) {
+                const editData = localStorage.getItem('editingPriceList');
+                if (editData) {
+                    try {
+                        const priceList = JSON.parse(editData);
+                        state.editingPriceList = { id: priceList.id, name: priceList.name };
+                        loadEditData(priceList);
+                        showSuccess('Loaded price list for editing: ' + priceList.name);
+                    } catch (error) {
+                        showError('Failed to load edit data: ' + error.message);
+                    }
+                }
+            }
+            
+            function loadEditData(priceList) {
+                // Load company info
+                if (priceList.company) {
+                    if (priceList.company.name) document.getElementById('companyName').value = priceList.company.name;
+                    if (priceList.company.email) document.getElementById('companyEmail').value = priceList.company.email;
+                    if (priceList.company.phone) document.getElementById('companyPhone').value = priceList.company.phone;
+                    if (priceList.company.website) document.getElementById('companyWebsite').value = priceList.company.website;
+                }
+                
+                // Load pricing config
+                if (priceList.pricingConfig) {
+                    if (priceList.pricingConfig.tierName) {
+                        selectTier(priceList.pricingConfig.tierName);
+                    }
+                    if (priceList.pricingConfig.discountPercent) {
+                        const tierInput = document.getElementById(priceList.pricingConfig.tierName + 'Discount');
+                        if (tierInput) {
+                            tierInput.value = priceList.pricingConfig.discountPercent;
+                            state.tierDiscounts[priceList.pricingConfig.tierName] = priceList.pricingConfig.discountPercent;
+                        }
+                    }
+                    if (priceList.pricingConfig.rules) {
+                        state.rules = priceList.pricingConfig.rules.map(rule => ({ ...rule }));
+                        renderRules();
+                    }
+                    if (priceList.pricingConfig.quantityBreaks) {
+                        document.getElementById('quantityBreaks').value = priceList.pricingConfig.quantityBreaks
+                            .map(entry => entry.minQty + ':' + entry.discountPercent)
+                            .join(', ');
+                    }
+                    applyMarginSettings(priceList.pricingConfig);
+                    applyRoundingSettings(priceList.pricingConfig.rounding);
+                }
+                
+                // Load custom prices
+                if (priceList.customPrices) {
+                    state.customPrices = { ...priceList.customPrices };
+                }
+                
+                if (priceList.clientInfo) {
+                    document.getElementById('clientCompanyName').value = priceList.clientInfo.name || '';
+                    document.getElementById('clientEmail').value = priceList.clientInfo.email || '';
+                    document.getElementById('clientCustomerId').value = priceList.clientInfo.customerId || '';
+                }
+                if (priceList.priceAgreement) {
+                    state.priceAgreement = priceList.priceAgreement;
+                    document.getElementById('priceAgreementInfo').textContent = '🤝 Agreement ' + priceList.priceAgreement.reference;
+                }
+                
+                if (priceList.validUntil) {
+                    const validUntil = new Date(priceList.validUntil);
+                    document.getElementById('validUntil').value = [
+                        validUntil.getFullYear(),
+                        String(validUntil.getMonth() + 1).padStart(2, '0'),
+                        String(validUntil.getDate()).padStart(2, '0')
+                    ].join('-');
+                }
+                
+                if (priceList.taxDisplay) {
+                    state.taxDisplayChosen = true;
+                    document.getElementById('taxDisplay').value = priceList.taxDisplay;
+                }
+                
+                if (priceList.template) {
+                    state.listTemplate = priceList.template;
+                    showListTemplate();
+                }
+                
+                if (priceList.currency) {
+                    state.currency = priceList.currency;
+                    document.getElementById('listCurrency').value = priceList.currency;
+                    loadCurrencyRate();
+                }
+                
+                // Load products if available
+                if (priceList.products && priceList.products.length > 0) {
+                    state.products = priceList.products;
+                    state.filteredProducts = [...priceList.products];
+                    
+                    // Select the products that were in the price list
+                    priceList.products.forEach(product => {
+                        state.selectedProducts.add(product.id);
+                    });
+                    
+                    recalculateAllPricing();
+                }
+            }
+        </script>
     </body>
     </html>
   `;
   
-  res.send(homeHTML);
+  res.send(createHTML);
 });
-
-// Enhanced Create Price List Route
-app.get('/create-price-list', (req, res) => {
-  const createHTML = `
+
+// My Price Lists page
+app.get('/my-price-lists', (req, res) => {
+  const myPriceListsHTML = `
     <!DOCTYPE html>
     <html lang="en">
     <head>
         <meta charset="UTF-8">
         <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>Create Price List - Price List Generator</title>
+        <title>My Price Lists - Price List Generator</title>
         <script src="https://cdn.tailwindcss.com"></script>
     </head>
     <body class="bg-gray-50">
@@ -1918,8 +6107,10 @@ app.get('/create-price-list', (req, res) => {
                     </div>
                     <nav class="hidden md:flex space-x-6">
                         <a href="/" class="text-gray-700 hover:text-blue-600 font-medium">Home</a>
-                        <a href="/my-price-lists" class="text-gray-700 hover:text-blue-600 font-medium">My Price Lists</a>
-                        <a href="/create-price-list" class="text-blue-600 font-medium border-b-2 border-blue-600">Create New</a>
+                        <a href="/my-price-lists" class="text-blue-600 font-medium border-b-2 border-blue-600">My Price Lists</a>
+                        <a href="/create-price-list" class="text-gray-700 hover:text-blue-600 font-medium">Create New</a>
+                        <a href="/analytics" class="text-gray-700 hover:text-blue-600 font-medium">Analytics</a>
+                        <a href="/schedules" class="text-gray-700 hover:text-blue-600 font-medium">Schedules</a>
                     </nav>
                 </div>
             </div>
@@ -1928,847 +6119,1346 @@ app.get('/create-price-list', (req, res) => {
         <!-- Main Content -->
         <main class="max-w-7xl mx-auto py-8 px-4 sm:px-6 lg:px-8">
             <div class="mb-8">
-                <h1 class="text-3xl font-bold text-gray-900">Create New Price List</h1>
-                <p class="mt-2 text-gray-600">Build professional price lists with flexible pricing for different customer tiers</p>
+                <h1 class="text-3xl font-bold text-gray-900">My Price Lists</h1>
+                <p class="mt-2 text-gray-600">Manage your saved price lists and generate new ones</p>
             </div>
 
             <!-- Status Messages -->
             <div id="statusMessages" class="mb-6"></div>
 
-            <!-- Main Grid -->
-            <div class="grid grid-cols-1 lg:grid-cols-3 gap-8">
-                <!-- Left Panel -->
-                <div class="lg:col-span-1 space-y-6">
-                    
-                    <!-- Company Information -->
-                    <div class="bg-white rounded-lg shadow-md p-6">
-                        <h3 class="text-lg font-semibold mb-4">🏢 Company Information</h3>
-                        <div class="space-y-4">
-                            <input type="text" id="companyName" placeholder="Your Company Name" class="w-full px-3 py-2 border border-gray-300 rounded-md">
-                            <input type="email" id="companyEmail" placeholder="sales@company.com" class="w-full px-3 py-2 border border-gray-300 rounded-md">
-                            <input type="tel" id="companyPhone" placeholder="+27 11 123 4567" class="w-full px-3 py-2 border border-gray-300 rounded-md">
-                            <input type="url" id="companyWebsite" placeholder="https://yourstore.com" class="w-full px-3 py-2 border border-gray-300 rounded-md">
-                        </div>
-                    </div>
+            <!-- Actions -->
+            <div class="mb-6 flex gap-4">
+                <a href="/create-price-list" class="bg-blue-600 text-white px-6 py-3 rounded-lg hover:bg-blue-700 font-medium">
+                    ➕ Create New Price List
+                </a>
+                <button id="refreshBtn" class="bg-gray-600 text-white px-6 py-3 rounded-lg hover:bg-gray-700 font-medium">
+                    🔄 Refresh
+                </button>
+            </div>
 
-                    <!-- Client Information -->
-                    <div class="bg-white rounded-lg shadow-md p-6">
-                        <h3 class="text-lg font-semibold mb-4">👤 Client Information</h3>
-                        <div class="space-y-4">
-                            <input type="text" id="clientCompanyName" placeholder="Client Company Name" class="w-full px-3 py-2 border border-gray-300 rounded-md">
-                            <input type="email" id="clientEmail" placeholder="client@company.com" class="w-full px-3 py-2 border border-gray-300 rounded-md">
-                            <input type="tel" id="clientPhone" placeholder="+27 11 456 7890" class="w-full px-3 py-2 border border-gray-300 rounded-md">
-                            <input type="text" id="clientAddress" placeholder="Client Address" class="w-full px-3 py-2 border border-gray-300 rounded-md">
-                        </div>
-                    </div>
+            <!-- Status Filter -->
+            <div id="statusFilters" class="mb-6 flex flex-wrap gap-2"></div>
+
+            <!-- Search & Filters -->
+            <div class="mb-6 bg-white rounded-lg shadow-md p-4 grid grid-cols-1 md:grid-cols-6 gap-3">
+                <input type="search" id="searchQuery" placeholder="Search name, client, product or SKU" class="md:col-span-2 px-3 py-2 border border-gray-300 rounded-md">
+                <input type="text" id="clientFilter" placeholder="Client" class="px-3 py-2 border border-gray-300 rounded-md">
+                <select id="tierFilter" class="px-3 py-2 border border-gray-300 rounded-md">
+                    <option value="">All tiers</option>
+                </select>
+                <select id="sortFilter" class="px-3 py-2 border border-gray-300 rounded-md">
+                    <option value="updatedAt:desc">Recently updated</option>
+                    <option value="createdAt:desc">Newest first</option>
+                    <option value="createdAt:asc">Oldest first</option>
+                    <option value="name:asc">Name A-Z</option>
+                    <option value="totalValue:desc">Highest value</option>
+                    <option value="validUntil:asc">Expiring soonest</option>
+                </select>
+                <div class="flex gap-2 md:col-span-6 items-center text-sm text-gray-600">
+                    <span>Created from</span>
+                    <input type="date" id="fromFilter" class="px-3 py-1 border border-gray-300 rounded-md">
+                    <span>to</span>
+                    <input type="date" id="toFilter" class="px-3 py-1 border border-gray-300 rounded-md">
+                    <span id="resultCount" class="ml-auto"></span>
+                </div>
+            </div>
 
-                    <!-- Flexible Pricing -->
-                    <div class="bg-white rounded-lg shadow-md p-6">
-                        <h3 class="text-lg font-semibold mb-4">🎯 Flexible Pricing</h3>
-                        
-                        <!-- Tier Selection -->
-                        <div class="grid grid-cols-1 gap-3 mb-4">
-                            <div class="border rounded-lg p-3 cursor-pointer tier-option border-blue-500 bg-blue-50" data-tier="retail">
-                                <div class="flex justify-between items-center mb-2">
-                                    <span class="font-medium">Retail</span>
-                                    <input type="radio" name="tierType" value="retail" checked>
-                                </div>
-                                <div class="flex items-center space-x-2">
-                                    <span class="text-sm">Discount:</span>
-                                    <input type="number" id="retailDiscount" min="0" max="100" step="0.1" value="0" class="w-16 px-2 py-1 border rounded text-sm discount-input">
-                                    <span class="text-sm">%</span>
-                                </div>
-                            </div>
-                            
-                            <div class="border rounded-lg p-3 cursor-pointer tier-option border-gray-300" data-tier="wholesale">
-                                <div class="flex justify-between items-center mb-2">
-                                    <span class="font-medium">Wholesale</span>
-                                    <input type="radio" name="tierType" value="wholesale">
-                                </div>
-                                <div class="flex items-center space-x-2">
-                                    <span class="text-sm">Discount:</span>
-                                    <input type="number" id="wholesaleDiscount" min="0" max="100" step="0.1" value="15" class="w-16 px-2 py-1 border rounded text-sm discount-input">
-                                    <span class="text-sm">%</span>
-                                </div>
-                            </div>
-                            
-                            <div class="border rounded-lg p-3 cursor-pointer tier-option border-gray-300" data-tier="installer">
-                                <div class="flex justify-between items-center mb-2">
-                                    <span class="font-medium">Installer</span>
-                                    <input type="radio" name="tierType" value="installer">
-                                </div>
-                                <div class="flex items-center space-x-2">
-                                    <span class="text-sm">Discount:</span>
-                                    <input type="number" id="installerDiscount" min="0" max="100" step="0.1" value="20" class="w-16 px-2 py-1 border rounded text-sm discount-input">
-                                    <span class="text-sm">%</span>
-                                </div>
-                            </div>
+            <!-- Price Lists Grid -->
+            <div class="bg-white rounded-lg shadow-md">
+                <div class="p-6">
+                    <div id="loadingState" class="text-center py-12">
+                        <div class="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto mb-4"></div>
+                        <p class="text-gray-600">Loading price lists...</p>
+                    </div>
+                    
+                    <div id="priceListsGrid" class="hidden">
+                        <div class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6" id="priceListCards">
+                            <!-- Price list cards will be inserted here -->
                         </div>
-                        
-                        <!-- Actions -->
-                        <div class="space-y-2">
-                            <button id="applyTierPricingBtn" class="w-full bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700">
-                                Apply Tier Pricing
+                        <div class="text-center mt-6">
+                            <button id="loadMoreBtn" class="hidden bg-gray-100 text-gray-700 px-6 py-2 rounded-lg hover:bg-gray-200 font-medium">
+                                Load more
                             </button>
                         </div>
                     </div>
-
-                    <!-- Connection & Actions -->
-                    <div class="bg-white rounded-lg shadow-md p-6">
-                        <div id="connectionStatus" class="p-4 rounded-lg bg-gray-50 mb-4">
-                            <div class="text-sm">Shopify: <span id="connectionText">Not tested</span></div>
+                    
+                    <!-- Refresh report for the selected list -->
+                    <div id="refreshPanel" class="hidden border rounded-lg p-6 mb-6 bg-yellow-50">
+                        <div class="flex justify-between items-center mb-4">
+                            <h3 id="refreshPanelTitle" class="text-lg font-semibold text-gray-900">Refresh from Shopify</h3>
+                            <button onclick="closeRefresh()" class="text-sm text-gray-600 hover:text-gray-900">✕ Close</button>
                         </div>
-                        <div class="space-y-3">
-                            <button id="testConnectionBtn" class="w-full bg-gray-600 text-white py-2 px-4 rounded-md hover:bg-gray-700">
-                                Test Connection
-                            </button>
-                            <button id="loadProductsBtn" class="w-full bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700">
-                                Load Products
-                            </button>
-                            <button id="generateEnhancedPdfBtn" class="w-full bg-indigo-600 text-white py-2 px-4 rounded-md hover:bg-indigo-700" disabled>
-                                ✨ Generate Professional Quote
-                            </button>
-                            <button id="savePriceListBtn" class="w-full bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700" disabled>
-                                💾 Save Price List
-                            </button>
+                        <div id="refreshReport" class="text-sm space-y-3"></div>
+                        <div id="refreshActions" class="hidden flex space-x-2 mt-4">
+                            <button onclick="acceptRefresh()" class="bg-green-600 text-white px-4 py-2 rounded hover:bg-green-700 text-sm">✅ Accept as new revision</button>
+                            <button onclick="discardRefresh()" class="bg-gray-200 text-gray-800 px-4 py-2 rounded hover:bg-gray-300 text-sm">Discard</button>
+                        </div>
+                    </div>
+                    
+                    <!-- Revision history for the selected list -->
+                    <div id="revisionPanel" class="hidden border rounded-lg p-6 mb-6 bg-gray-50">
+                        <div class="flex justify-between items-center mb-4">
+                            <h3 id="revisionPanelTitle" class="text-lg font-semibold text-gray-900">Revision history</h3>
+                            <button onclick="closeRevisions()" class="text-sm text-gray-600 hover:text-gray-900">✕ Close</button>
                         </div>
+                        <div id="revisionList" class="space-y-2"></div>
+                        <div id="revisionDiff" class="hidden mt-4 bg-white border rounded p-4 text-sm"></div>
+                    </div>
+                    
+                    <div id="emptyState" class="hidden text-center py-12">
+                        <div class="text-6xl mb-4">📋</div>
+                        <h3 class="text-xl font-semibold text-gray-900 mb-2">No price lists yet</h3>
+                        <p class="text-gray-600 mb-6">Create your first price list to get started</p>
+                        <a href="/create-price-list" class="bg-blue-600 text-white px-6 py-3 rounded-lg hover:bg-blue-700 font-medium">
+                            Create Your First Price List
+                        </a>
                     </div>
                 </div>
+            </div>
+        </main>
 
-                <!-- Right Panel - Products -->
-                <div class="lg:col-span-2">
-                    <div class="bg-white rounded-lg shadow-md">
-                        <!-- Search -->
-                        <div class="p-6 border-b">
-                            <div class="flex gap-4 mb-4">
-                                <input type="text" id="searchProducts" placeholder="Search products..." class="flex-1 px-3 py-2 border rounded-md">
-                                <button id="searchBtn" class="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700">
-                                    Search
-                                </button>
+        <script>
+            let priceLists = [];
+            let statusFilter = '';
+            let statusCounts = {};
+            let nextCursor = null;
+            let searchTimer = null;
+
+            const STATUS_STYLES = {
+                draft: 'bg-gray-100 text-gray-800',
+                sent: 'bg-blue-100 text-blue-800',
+                accepted: 'bg-green-100 text-green-800',
+                expired: 'bg-red-100 text-red-800'
+            };
+
+            // Next steps offered on each card
+            const STATUS_ACTIONS = {
+                draft: [{ status: 'sent', label: '📤 Mark sent' }],
+                sent: [{ status: 'accepted', label: '✅ Mark accepted' }, { status: 'draft', label: '↩️ Back to draft' }],
+                accepted: [],
+                expired: [{ status: 'draft', label: '🔄 Reopen' }]
+            };
+
+            const elements = {
+                statusMessages: document.getElementById('statusMessages'),
+                loadingState: document.getElementById('loadingState'),
+                priceListsGrid: document.getElementById('priceListsGrid'),
+                emptyState: document.getElementById('emptyState'),
+                priceListCards: document.getElementById('priceListCards'),
+                refreshBtn: document.getElementById('refreshBtn')
+            };
+
+            // Load price lists on page load
+            document.addEventListener('DOMContentLoaded', async () => {
+                await loadPriceLists();
+            });
+
+            elements.refreshBtn.addEventListener('click', async () => {
+                await loadPriceLists();
+            });
+
+            document.getElementById('loadMoreBtn').addEventListener('click', async () => {
+                await loadPriceLists({ append: true });
+            });
+
+            // Typing waits for a pause before searching; the other filters apply straight away
+            document.getElementById('searchQuery').addEventListener('input', () => {
+                clearTimeout(searchTimer);
+                searchTimer = setTimeout(() => loadPriceLists(), 300);
+            });
+            ['clientFilter', 'tierFilter', 'sortFilter', 'fromFilter', 'toFilter'].forEach(id => {
+                document.getElementById(id).addEventListener('change', () => loadPriceLists());
+            });
+
+            function buildSearchParams(cursor) {
+                const [sort, order] = document.getElementById('sortFilter').value.split(':');
+                const params = new URLSearchParams({ sort, order });
+                const filters = {
+                    q: document.getElementById('searchQuery').value.trim(),
+                    client: document.getElementById('clientFilter').value.trim(),
+                    tier: document.getElementById('tierFilter').value,
+                    from: document.getElementById('fromFilter').value,
+                    to: document.getElementById('toFilter').value,
+                    status: statusFilter,
+                    cursor
+                };
+                Object.entries(filters).forEach(([key, value]) => {
+                    if (value) params.set(key, value);
+                });
+                return params;
+            }
+
+            async function loadPriceLists({ append = false } = {}) {
+                try {
+                    if (!append) showLoading();
+                    elements.refreshBtn.disabled = true;
+                    elements.refreshBtn.textContent = 'Loading...';
+
+                    const response = await fetch('/api/price-lists?' + buildSearchParams(append ? nextCursor : null));
+                    const data = await response.json();
+
+                    if (data.success) {
+                        priceLists = append ? priceLists.concat(data.priceLists) : (data.priceLists || []);
+                        statusCounts = data.statusCounts || {};
+                        nextCursor = data.nextCursor;
+                        renderStatusFilters();
+                        renderTierOptions(data.tiers || []);
+                        renderPriceLists();
+                        document.getElementById('loadMoreBtn').classList.toggle('hidden', !nextCursor);
+                        document.getElementById('resultCount').textContent = \`Showing \${priceLists.length} of \${data.total}\`;
+                    } else {
+                        showError('Failed to load price lists: ' + data.message);
+                    }
+                } catch (error) {
+                    showError('Error loading price lists: ' + error.message);
+                } finally {
+                    elements.refreshBtn.disabled = false;
+                    elements.refreshBtn.textContent = '🔄 Refresh';
+                }
+            }
+
+            function renderTierOptions(tiers) {
+                const select = document.getElementById('tierFilter');
+                const selected = select.value;
+                select.innerHTML = '<option value="">All tiers</option>' + tiers.map(tier => \`
+                    <option value="\${tier}" \${tier === selected ? 'selected' : ''}>\${tier}</option>
+                \`).join('');
+            }
+
+            function renderStatusFilters() {
+                const total = Object.values(statusCounts).reduce((sum, count) => sum + count, 0);
+                const filters = [{ status: '', label: 'All', count: total }].concat(
+                    Object.keys(STATUS_STYLES).map(status => ({
+                        status,
+                        label: status.charAt(0).toUpperCase() + status.slice(1),
+                        count: statusCounts[status] || 0
+                    }))
+                );
+                
+                document.getElementById('statusFilters').innerHTML = filters.map(filter => \`
+                    <button onclick="filterByStatus('\${filter.status}')" class="px-4 py-2 rounded-full text-sm font-medium \${filter.status === statusFilter ? 'bg-blue-600 text-white' : 'bg-white border text-gray-700 hover:bg-gray-100'}">
+                        \${filter.label} (\${filter.count})
+                    </button>
+                \`).join('');
+            }
+            
+            async function filterByStatus(status) {
+                statusFilter = status;
+                await loadPriceLists();
+            }
+            
+            async function changeStatus(id, status) {
+                let validUntil = null;
+                if (status === 'draft') {
+                    validUntil = prompt('New valid until date (YYYY-MM-DD), or leave empty for the default:', '');
+                    if (validUntil === null) return;
+                }
+                
+                try {
+                    const response = await fetch(\`/api/price-lists/\${id}/status\`, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({
+                            status,
+                            validUntil: validUntil ? validUntil + 'T23:59:59' : null,
+                            author: localStorage.getItem('priceListAuthor') || null
+                        })
+                    });
+                    const data = await response.json();
+                    
+                    if (data.success) {
+                        showSuccess(data.message);
+                        await loadPriceLists();
+                    } else {
+                        showError('Failed to update status: ' + data.message);
+                    }
+                } catch (error) {
+                    showError('Error updating status: ' + error.message);
+                }
+            }
+
+            function renderPriceLists() {
+                hideLoading();
+
+                if (priceLists.length === 0) {
+                    const filtered = [...buildSearchParams().keys()].some(key => !['sort', 'order'].includes(key));
+                    elements.emptyState.querySelector('h3').textContent = filtered ? 'No price lists match your search' : 'No price lists yet';
+                    elements.emptyState.classList.remove('hidden');
+                    elements.priceListsGrid.classList.add('hidden');
+                    return;
+                }
+
+                elements.emptyState.classList.add('hidden');
+                elements.priceListsGrid.classList.remove('hidden');
+
+                elements.priceListCards.innerHTML = priceLists.map(priceList => \`
+                    <div class="bg-white border rounded-lg p-6 hover:shadow-md transition-shadow">
+                        <div class="flex justify-between items-start mb-4">
+                            <div class="flex-1">
+                                <h3 class="text-lg font-semibold text-gray-900 mb-2">\${priceList.name}</h3>
+                                <div class="flex items-center space-x-4 text-sm text-gray-600">
+                                    <span class="px-2 py-0.5 rounded-full text-xs font-medium \${STATUS_STYLES[priceList.status] || STATUS_STYLES.draft}">
+                                        \${priceList.status}
+                                    </span>
+                                    <span>\${priceList.pricingTier}</span>
+                                    <span>\${priceList.totalProducts} products</span>
+                                </div>
+                                \${priceList.clientName ? \`<div class="text-sm text-gray-600 mt-1">👤 \${priceList.clientName}</div>\` : ''}
+                                \${priceList.matchedProducts && priceList.matchedProducts.length > 0 ? \`
+                                    <div class="text-xs text-blue-700 mt-1">Matches: \${priceList.matchedProducts.slice(0, 3).join(', ')}\${priceList.matchedProducts.length > 3 ? \` +\${priceList.matchedProducts.length - 3} more\` : ''}</div>
+                                \` : ''}
                             </div>
-                            <div class="flex gap-2">
-                                <button id="selectAllBtn" class="px-4 py-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 text-sm">
-                                    Select All
+                            <div class="flex space-x-2">
+                                <button onclick="viewPriceList('\${priceList.id}')" class="text-blue-600 hover:text-blue-800 p-1">
+                                    👁️
                                 </button>
-                                <button id="clearSelectionBtn" class="px-4 py-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 text-sm">
-                                    Clear
+                                <button onclick="duplicatePriceList('\${priceList.id}')" class="text-green-600 hover:text-green-800 p-1">
+                                    📋
                                 </button>
-                                <button id="resetAllPricesBtn" class="px-3 py-2 bg-yellow-100 text-yellow-700 rounded text-sm hover:bg-yellow-200">
-                                    Reset Prices
+                                <button onclick="deletePriceList('\${priceList.id}')" class="text-red-600 hover:text-red-800 p-1">
+                                    🗑️
                                 </button>
                             </div>
                         </div>
-
-                        <!-- Products -->
-                        <div class="p-6">
-                            <div id="loadingState" class="text-center py-12">
-                                <div class="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto mb-4"></div>
-                                <p class="text-gray-600">Click "Load Products" to begin</p>
-                            </div>
-                            
-                            <div id="productTableSection" class="hidden">
-                                <div class="overflow-x-auto">
-                                    <table class="w-full border-collapse text-sm">
-                                        <thead class="bg-gray-50">
-                                            <tr>
-                                                <th class="px-3 py-2 text-left border">Select</th>
-                                                <th class="px-3 py-2 text-left border">Product</th>
-                                                <th class="px-3 py-2 text-left border">Base</th>
-                                                <th class="px-3 py-2 text-left border">Tier</th>
-                                                <th class="px-3 py-2 text-left border">Custom</th>
-                                                <th class="px-3 py-2 text-left border">Final</th>
-                                                <th class="px-3 py-2 text-left border">Save</th>
-                                            </tr>
-                                        </thead>
-                                        <tbody id="enhancedProductList">
-                                        </tbody>
-                                    </table>
-                                </div>
-                            </div>
-                            
-                            <div id="pricingSummary" class="hidden mt-6 p-4 bg-blue-50 rounded-lg">
-                                <h4 class="font-medium text-blue-900 mb-3">📊 Summary</h4>
-                                <div class="grid grid-cols-2 gap-4 text-sm">
-                                    <div>Selected: <span id="summarySelectedCount" class="font-semibold">0</span></div>
-                                    <div>Custom: <span id="summaryCustomCount" class="font-semibold">0</span></div>
-                                </div>
+                        
+                        <div class="mb-4">
+                            <div class="text-2xl font-bold text-gray-900">\${priceList.currency || '${BASE_CURRENCY}'} \${priceList.totalValue.toLocaleString()}</div>
+                            <div class="text-sm text-gray-600">Total value</div>
+                        </div>
+                        
+                        <div class="text-xs text-gray-500 mb-4">
+                            Created: \${new Date(priceList.createdAt).toLocaleDateString()}
+                            \${priceList.validUntil ? \` · \${priceList.status === 'expired' ? 'Expired' : 'Valid until'} \${new Date(priceList.validUntil).toLocaleDateString()}\` : ''}
+                        </div>
+                        
+                        \${(STATUS_ACTIONS[priceList.status] || []).length > 0 ? \`
+                            <div class="flex space-x-2 mb-2">
+                                \${STATUS_ACTIONS[priceList.status].map(action => \`
+                                    <button onclick="changeStatus('\${priceList.id}', '\${action.status}')" class="flex-1 border border-gray-300 text-gray-700 px-3 py-1 rounded hover:bg-gray-100 text-sm">
+                                        \${action.label}
+                                    </button>
+                                \`).join('')}
                             </div>
+                        \` : ''}
+                        
+                        <div class="flex space-x-2">
+                            <button onclick="generatePDF('\${priceList.id}')" class="flex-1 bg-purple-600 text-white px-4 py-2 rounded hover:bg-purple-700 text-sm">
+                                🔥 Generate PDF
+                            </button>
+                            <button onclick="editPriceList('\${priceList.id}')" class="flex-1 bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 text-sm">
+                                ✏️ Edit
+                            </button>
+                        </div>
+                        <div class="flex mt-2 text-sm">
+                            <button onclick="showRevisions('\${priceList.id}')" class="flex-1 text-gray-600 hover:text-gray-900">
+                                🕘 History (revision \${priceList.revision})
+                            </button>
+                            <button onclick="refreshPriceList('\${priceList.id}')" class="flex-1 text-gray-600 hover:text-gray-900">
+                                🔄 Refresh prices
+                            </button>
+                            <a href="/schedules?list=\${priceList.id}" class="flex-1 text-center text-gray-600 hover:text-gray-900">
+                                ⏰ Schedule
+                            </a>
                         </div>
                     </div>
-                </div>
-            </div>
-        </main>
-
-        <script>
-            let state = {
-                products: [],
-                filteredProducts: [],
-                selectedProducts: new Set(),
-                selectedTier: 'retail',
-                tierDiscounts: { retail: 0, wholesale: 15, installer: 20 },
-                customPrices: {},
-                calculatedProducts: []
-            };
-
-            const elements = {
-                testConnectionBtn: document.getElementById('testConnectionBtn'),
-                loadProductsBtn: document.getElementById('loadProductsBtn'),
-                generateEnhancedPdfBtn: document.getElementById('generateEnhancedPdfBtn'),
-                savePriceListBtn: document.getElementById('savePriceListBtn'),
-                searchProducts: document.getElementById('searchProducts'),
-                searchBtn: document.getElementById('searchBtn'),
-                selectAllBtn: document.getElementById('selectAllBtn'),
-                clearSelectionBtn: document.getElementById('clearSelectionBtn'),
-                enhancedProductList: document.getElementById('enhancedProductList'),
-                loadingState: document.getElementById('loadingState'),
-                productTableSection: document.getElementById('productTableSection'),
-                statusMessages: document.getElementById('statusMessages'),
-                connectionText: document.getElementById('connectionText'),
-                pricingSummary: document.getElementById('pricingSummary'),
-                applyTierPricingBtn: document.getElementById('applyTierPricingBtn'),
-                resetAllPricesBtn: document.getElementById('resetAllPricesBtn'),
-                summarySelectedCount: document.getElementById('summarySelectedCount'),
-                summaryCustomCount: document.getElementById('summaryCustomCount')
-            };
+                \`).join('');
+            }
 
-            // Initialize tier selection
-            document.querySelectorAll('.tier-option').forEach(option => {
-                option.addEventListener('click', function() {
-                    selectTier(this.dataset.tier);
-                });
-            });
+            async function viewPriceList(id) {
+                try {
+                    const response = await fetch(\`/api/price-lists/\${id}\`);
+                    const data = await response.json();
 
-            document.querySelectorAll('.discount-input').forEach(input => {
-                input.addEventListener('change', function() {
-                    const tier = this.id.replace('Discount', '');
-                    state.tierDiscounts[tier] = parseFloat(this.value) || 0;
-                    if (state.selectedTier === tier) {
-                        recalculateAllPricing();
+                    if (data.success) {
+                        const priceList = data.priceList;
+                        alert(\`Price List: \${priceList.name}\\n\\nProducts: \${priceList.totalProducts}\\nValue: \${priceList.currency || '${BASE_CURRENCY}'} \${priceList.totalValue.toLocaleString()}\\nTier: \${priceList.pricingConfig.tierName}\\nCreated: \${new Date(priceList.createdAt).toLocaleString()}\`);
+                    } else {
+                        showError('Failed to load price list details');
                     }
-                });
-            });
+                } catch (error) {
+                    showError('Error loading price list: ' + error.message);
+                }
+            }
 
-            function selectTier(tier) {
-                state.selectedTier = tier;
-                
-                document.querySelectorAll('.tier-option').forEach(opt => {
-                    opt.classList.remove('border-blue-500', 'bg-blue-50');
-                    opt.classList.add('border-gray-300');
-                });
-                
-                const selectedOption = document.querySelector(\`[data-tier="\${tier}"]\`);
-                selectedOption.classList.add('border-blue-500', 'bg-blue-50');
-                selectedOption.classList.remove('border-gray-300');
+            // Clone for another client and/or tier - the server reprices against current Shopify prices
+            async function duplicatePriceList(id) {
+                const source = priceLists.find(list => list.id === id);
+                const clientName = prompt('Clone for which client? Leave empty to keep ' + (source?.clientName || 'the same client') + '.', '');
+                if (clientName === null) return;
                 
-                document.querySelector(\`input[value="\${tier}"]\`).checked = true;
+                let clientEmail = '';
+                if (clientName.trim()) {
+                    clientEmail = prompt('Client email (used to find their price agreement):', '');
+                    if (clientEmail === null) return;
+                }
                 
-                const discountInput = document.getElementById(\`\${tier}Discount\`);
-                state.tierDiscounts[tier] = parseFloat(discountInput.value) || 0;
+                const pricingTier = prompt('Pricing tier (retail, wholesale, installer, distributor). Leave empty to keep ' + (source?.pricingTier || 'the current tier') + '.', '');
+                if (pricingTier === null) return;
                 
-                recalculateAllPricing();
-            }
-
-            // Event listeners
-            elements.testConnectionBtn.addEventListener('click', async () => {
-                const btn = elements.testConnectionBtn;
-                btn.disabled = true;
-                btn.textContent = 'Testing...';
+                if (!clientName.trim() && !pricingTier.trim()) {
+                    showError('Choose a different client or pricing tier to clone to');
+                    return;
+                }
                 
                 try {
-                    const response = await fetch('/api/shopify/debug');
+                    showInfo('Cloning and repricing against current Shopify prices...');
+                    const response = await fetch(\`/api/price-lists/\${id}/clone\`, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({
+                            clientInfo: clientName.trim() ? { name: clientName.trim(), email: clientEmail.trim() } : undefined,
+                            pricingTier: pricingTier.trim() || undefined,
+                            author: localStorage.getItem('priceListAuthor') || null
+                        })
+                    });
                     const data = await response.json();
                     
                     if (data.success) {
-                        elements.connectionText.textContent = '✅ Connected to ' + data.shop.name;
-                        showSuccess('Connected successfully!');
+                        showSuccess(\`Created "\${data.priceList.name}" with \${data.priceList.totalProducts} lines\`);
+                        if (data.dropped.length > 0) {
+                            showWarning('Dropped: ' + data.dropped.map(line => \`\${line.title} (\${line.reason})\`).join(', '));
+                        }
+                        await loadPriceLists();
                     } else {
-                        elements.connectionText.textContent = '❌ Failed';
-                        showError('Connection failed: ' + data.message);
+                        showError('Failed to clone price list: ' + data.message);
                     }
                 } catch (error) {
-                    elements.connectionText.textContent = '❌ Error';
-                    showError('Connection test failed: ' + error.message);
-                } finally {
-                    btn.disabled = false;
-                    btn.textContent = 'Test Connection';
+                    showError('Error cloning price list: ' + error.message);
                 }
-            });
+            }
 
-            elements.loadProductsBtn.addEventListener('click', async () => {
-                await loadProducts();
-            });
+            async function deletePriceList(id) {
+                if (!confirm('Are you sure you want to delete this price list?')) return;
 
-            elements.applyTierPricingBtn.addEventListener('click', async () => {
                 try {
-                    const currentTier = state.selectedTier;
-                    const discountInput = document.getElementById(\`\${currentTier}Discount\`);
-                    const discountPercent = parseFloat(discountInput.value) || 0;
-                    
-                    state.tierDiscounts[currentTier] = discountPercent;
-                    await recalculateAllPricing();
-                    showSuccess(\`Applied \${discountPercent}% \${currentTier} discount\`);
+                    const response = await fetch(\`/api/price-lists/\${id}\`, {
+                        method: 'DELETE'
+                    });
+                    const data = await response.json();
+
+                    if (data.success) {
+                        showSuccess('Price list deleted successfully');
+                        await loadPriceLists();
+                    } else {
+                        showError('Failed to delete price list');
+                    }
                 } catch (error) {
-                    showError('Error applying tier pricing: ' + error.message);
+                    showError('Error deleting price list: ' + error.message);
                 }
-            });
-
-            elements.resetAllPricesBtn.addEventListener('click', () => {
-                state.customPrices = {};
-                recalculateAllPricing();
-                showSuccess('All prices reset to tier pricing');
-            });
-
-            elements.searchBtn.addEventListener('click', async () => {
-                const searchTerm = elements.searchProducts.value.trim();
-                await loadProducts(searchTerm);
-            });
+            }
 
-            elements.selectAllBtn.addEventListener('click', () => {
-                const allSelected = state.filteredProducts.every(product => 
-                    state.selectedProducts.has(product.id)
-                );
+            async function generatePDF(id) {
+                try {
+                    showInfo('Regenerating PDF with current promotions...');
+                    const response = await fetch(\`/api/price-lists/\${id}/regenerate-pdf\`, { method: 'POST' });
+                    
+                    if (!response.ok) {
+                        const error = await response.json();
+                        showError(error.message || 'Failed to regenerate PDF');
+                        return;
+                    }
+                    
+                    const blob = await response.blob();
+                    const url = window.URL.createObjectURL(blob);
+                    const a = document.createElement('a');
+                    a.href = url;
+                    a.download = \`price-list-\${id}.pdf\`;
+                    document.body.appendChild(a);
+                    a.click();
+                    document.body.removeChild(a);
+                    window.URL.revokeObjectURL(url);
+                    
+                    showSuccess('PDF regenerated successfully');
+                } catch (error) {
+                    showError('Error regenerating PDF: ' + error.message);
+                }
+            }
 
-                if (allSelected) {
-                    state.filteredProducts.forEach(product => {
-                        state.selectedProducts.delete(product.id);
-                    });
-                } else {
-                    state.filteredProducts.forEach(product => {
-                        state.selectedProducts.add(product.id);
+            let pendingRefresh = null;
+            
+            async function refreshPriceList(id) {
+                try {
+                    showInfo('Checking the list against live Shopify data...');
+                    const response = await fetch(\`/api/price-lists/\${id}/refresh\`, { method: 'POST' });
+                    const data = await response.json();
+                    
+                    if (!data.success) {
+                        showError('Failed to refresh price list: ' + data.message);
+                        return;
+                    }
+                    
+                    const priceList = priceLists.find(list => list.id === id);
+                    pendingRefresh = data.refreshId ? { priceListId: id, refreshId: data.refreshId } : null;
+                    renderRefreshReport(priceList ? priceList.name : id, data);
+                } catch (error) {
+                    showError('Error refreshing price list: ' + error.message);
+                }
+            }
+            
+            function renderRefreshReport(name, data) {
+                const report = data.report;
+                const section = (title, items) => items.length === 0 ? '' : \`
+                    <div>
+                        <div class="font-medium text-gray-900">\${title} (\${items.length})</div>
+                        <ul class="list-disc ml-5 text-gray-700">\${items.join('')}</ul>
+                    </div>
+                \`;
+                
+                document.getElementById('refreshPanelTitle').textContent = 'Refresh from Shopify - ' + name;
+                document.getElementById('refreshReport').innerHTML = [
+                    \`<p class="text-gray-700">\${data.message}</p>\`,
+                    section('Price changes', report.priceChanges.map(line =>
+                        \`<li>\${line.title}: \${line.previousPrice.toFixed(2)} → \${line.price.toFixed(2)} (\${line.change > 0 ? '+' : ''}\${line.changePercent ?? ''}%)</li>\`)),
+                    section('Discontinued - will be removed', report.discontinued.map(line =>
+                        \`<li>\${line.title} (\${line.reason})</li>\`)),
+                    section('Out of stock', report.outOfStock.map(line =>
+                        \`<li>\${line.title}</li>\`)),
+                    section('Renamed', report.titleChanges.map(line =>
+                        \`<li>\${line.previousTitle} → \${line.title}</li>\`))
+                ].join('');
+                document.getElementById('refreshActions').classList.toggle('hidden', !pendingRefresh);
+                document.getElementById('refreshPanel').classList.remove('hidden');
+            }
+            
+            function closeRefresh() {
+                document.getElementById('refreshPanel').classList.add('hidden');
+            }
+            
+            async function acceptRefresh() {
+                if (!pendingRefresh) return;
+                
+                try {
+                    const response = await fetch(\`/api/price-lists/\${pendingRefresh.priceListId}/refresh/\${pendingRefresh.refreshId}/accept\`, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ author: localStorage.getItem('priceListAuthor') || null })
                     });
+                    const data = await response.json();
+                    
+                    if (data.success) {
+                        showSuccess(data.message);
+                        pendingRefresh = null;
+                        closeRefresh();
+                        await loadPriceLists();
+                    } else {
+                        showError('Failed to accept refresh: ' + data.message);
+                    }
+                } catch (error) {
+                    showError('Error accepting refresh: ' + error.message);
                 }
+            }
+            
+            async function discardRefresh() {
+                if (!pendingRefresh) return;
                 
-                renderEnhancedProductList();
-                updatePricingSummary();
-            });
-
-            elements.clearSelectionBtn.addEventListener('click', () => {
-                state.selectedProducts.clear();
-                renderEnhancedProductList();
-                updatePricingSummary();
-            });
-
-            elements.generateEnhancedPdfBtn.addEventListener('click', async () => {
-                await generateEnhancedPDF();
-            });
-
-            elements.savePriceListBtn.addEventListener('click', async () => {
-                await savePriceList();
-            });
+                try {
+                    await fetch(\`/api/price-lists/\${pendingRefresh.priceListId}/refresh/\${pendingRefresh.refreshId}\`, { method: 'DELETE' });
+                    pendingRefresh = null;
+                    closeRefresh();
+                    showInfo('Refresh discarded');
+                } catch (error) {
+                    showError('Error discarding refresh: ' + error.message);
+                }
+            }
 
-            async function loadProducts(searchTerm = null) {
+            async function showRevisions(id) {
                 try {
-                    showLoading('Loading products...');
-                    elements.loadProductsBtn.disabled = true;
+                    const response = await fetch(\`/api/price-lists/\${id}/revisions\`);
+                    const data = await response.json();
                     
-                    let url = '/api/shopify/products?limit=50';
-                    if (searchTerm) {
-                        url += '&search=' + encodeURIComponent(searchTerm);
+                    if (!data.success) {
+                        showError('Failed to load revision history: ' + data.message);
+                        return;
                     }
                     
-                    const response = await fetch(url);
+                    const priceList = priceLists.find(list => list.id === id);
+                    document.getElementById('revisionPanelTitle').textContent = 'Revision history - ' + (priceList ? priceList.name : id);
+                    document.getElementById('revisionDiff').classList.add('hidden');
+                    document.getElementById('revisionList').innerHTML = data.revisions.map(revision => \`
+                        <div class="flex justify-between items-center bg-white border rounded px-4 py-2">
+                            <div>
+                                <div class="font-medium text-gray-900">
+                                    Revision \${revision.revision}\${revision.revision === data.currentRevision ? ' (current)' : ''}
+                                </div>
+                                <div class="text-xs text-gray-500">
+                                    \${new Date(revision.createdAt).toLocaleString()} · \${revision.author || 'Unknown author'} · \${revision.totalProducts || 0} products
+                                </div>
+                                <div class="text-sm text-gray-700">\${revision.changeNote || ''}</div>
+                            </div>
+                            <div class="flex space-x-2 text-sm">
+                                \${revision.revision > 1 ? \`<button onclick="compareRevisions('\${id}', \${revision.revision - 1}, \${revision.revision})" class="text-blue-600 hover:text-blue-800">Compare</button>\` : ''}
+                                <button onclick="generateRevisionPDF('\${id}', \${revision.revision})" class="text-purple-600 hover:text-purple-800">PDF</button>
+                                \${revision.revision !== data.currentRevision ? \`<button onclick="restoreRevision('\${id}', \${revision.revision})" class="text-green-600 hover:text-green-800">Restore</button>\` : ''}
+                            </div>
+                        </div>
+                    \`).join('');
+                    document.getElementById('revisionPanel').classList.remove('hidden');
+                } catch (error) {
+                    showError('Error loading revision history: ' + error.message);
+                }
+            }
+            
+            function closeRevisions() {
+                document.getElementById('revisionPanel').classList.add('hidden');
+            }
+            
+            async function compareRevisions(id, from, to) {
+                try {
+                    const response = await fetch(\`/api/price-lists/\${id}/revisions/diff?from=\${from}&to=\${to}\`);
+                    const data = await response.json();
+                    
+                    if (!data.success) {
+                        showError('Failed to compare revisions: ' + data.message);
+                        return;
+                    }
+                    
+                    const diff = data.diff;
+                    const lineTitle = line => line.title || line.key;
+                    const sections = [
+                        ...diff.settingsChanged.map(change => \`<li>\${change.field}: \${change.from ?? '-'} → \${change.to ?? '-'}</li>\`),
+                        ...diff.added.map(line => \`<li class="text-green-700">+ \${lineTitle(line)} (\${line.price.toFixed(2)})</li>\`),
+                        ...diff.removed.map(line => \`<li class="text-red-700">− \${lineTitle(line)} (\${line.price.toFixed(2)})</li>\`),
+                        ...diff.priceChanges.map(line => \`<li>\${lineTitle(line)}: \${line.previousPrice.toFixed(2)} → \${line.price.toFixed(2)} (\${line.change > 0 ? '+' : ''}\${line.change.toFixed(2)})</li>\`)
+                    ];
+                    
+                    const diffEl = document.getElementById('revisionDiff');
+                    diffEl.innerHTML = \`
+                        <div class="font-medium mb-2">Revision \${diff.from.revision} → \${diff.to.revision}: \${diff.summary.added} added, \${diff.summary.removed} removed, \${diff.summary.priceChanges} price changes</div>
+                        \${sections.length > 0 ? \`<ul class="space-y-1">\${sections.join('')}</ul>\` : '<p class="text-gray-500">No differences</p>'}
+                    \`;
+                    diffEl.classList.remove('hidden');
+                } catch (error) {
+                    showError('Error comparing revisions: ' + error.message);
+                }
+            }
+            
+            async function restoreRevision(id, revision) {
+                if (!confirm(\`Restore revision \${revision}? It will be saved as a new revision.\`)) return;
+                
+                try {
+                    const response = await fetch(\`/api/price-lists/\${id}/revisions/\${revision}/restore\`, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ author: localStorage.getItem('priceListAuthor') || null })
+                    });
                     const data = await response.json();
                     
                     if (data.success) {
-                        state.products = data.products || [];
-                        state.filteredProducts = [...state.products];
-                        
-                        await recalculateAllPricing();
-                        
-                        showSuccess('Loaded ' + state.products.length + ' products');
-                        
-                        if (data.source === 'mock') {
-                            showInfo('Using mock data. Configure Shopify for real products.');
-                        }
+                        showSuccess(data.message);
+                        await loadPriceLists();
+                        await showRevisions(id);
                     } else {
-                        showError('Failed to load products: ' + data.message);
+                        showError('Failed to restore revision: ' + data.message);
                     }
                 } catch (error) {
-                    showError('Error loading products: ' + error.message);
-                } finally {
-                    hideLoading();
-                    elements.loadProductsBtn.disabled = false;
+                    showError('Error restoring revision: ' + error.message);
                 }
             }
-
-            async function recalculateAllPricing() {
-                if (state.products.length === 0) return;
-                
+            
+            async function generateRevisionPDF(id, revision) {
                 try {
-                    const currentTier = state.selectedTier;
-                    const tierDiscount = state.tierDiscounts[currentTier] / 100;
+                    showInfo(\`Generating PDF for revision \${revision}...\`);
+                    const response = await fetch(\`/api/price-lists/\${id}/revisions/\${revision}/pdf\`, { method: 'POST' });
                     
-                    state.calculatedProducts = state.products.map(product => {
-                        const variant = product.variants && product.variants[0] ? product.variants[0] : {};
-                        const basePrice = variant.price || 0;
-                        
-                        let finalPrice;
-                        let priceSource;
-                        
-                        if (state.customPrices[product.id] !== undefined) {
-                            finalPrice = parseFloat(state.customPrices[product.id]);
-                            priceSource = 'custom';
-                        } else {
-                            finalPrice = basePrice * (1 - tierDiscount);
-                            priceSource = 'tier';
-                        }
+                    if (!response.ok) {
+                        const error = await response.json();
+                        showError(error.message || 'Failed to generate PDF');
+                        return;
+                    }
+                    
+                    const blob = await response.blob();
+                    const url = window.URL.createObjectURL(blob);
+                    const a = document.createElement('a');
+                    a.href = url;
+                    a.download = \`price-list-\${id}-rev\${revision}.pdf\`;
+                    document.body.appendChild(a);
+                    a.click();
+                    document.body.removeChild(a);
+                    window.URL.revokeObjectURL(url);
+                    
+                    showSuccess(\`PDF for revision \${revision} generated\`);
+                } catch (error) {
+                    showError('Error generating PDF: ' + error.message);
+                }
+            }
+
+            async function editPriceList(id) {
+                try {
+                    const response = await fetch(\`/api/price-lists/\${id}\`);
+                    const data = await response.json();
+
+                    if (data.success) {
+                        const priceList = data.priceList;
                         
-                        const savings = basePrice - finalPrice;
-                        const savingsPercent = basePrice > 0 ? ((savings / basePrice) * 100) : 0;
+                        // Store the price list data for editing
+                        localStorage.setItem('editingPriceList', JSON.stringify(priceList));
                         
-                        return {
-                            ...product,
-                            pricing: {
-                                basePrice,
-                                finalPrice,
-                                savings,
-                                savingsPercent: parseFloat(savingsPercent.toFixed(2)),
-                                priceSource
-                            }
-                        };
-                    });
-                    
-                    state.filteredProducts = [...state.calculatedProducts];
-                    renderEnhancedProductList();
-                    updatePricingSummary();
+                        // Redirect to create page with edit mode
+                        window.location.href = \`/create-price-list?edit=\${id}\`;
+                    } else {
+                        showError('Failed to load price list for editing');
+                    }
                 } catch (error) {
-                    console.error('Error recalculating pricing:', error);
+                    showError('Error loading price list: ' + error.message);
                 }
             }
 
-            function renderEnhancedProductList() {
-                if (!elements.enhancedProductList) return;
+            function showLoading() {
+                elements.loadingState.classList.remove('hidden');
+                elements.priceListsGrid.classList.add('hidden');
+                elements.emptyState.classList.add('hidden');
+            }
+
+            function hideLoading() {
+                elements.loadingState.classList.add('hidden');
+            }
+
+            function showMessage(message, type) {
+                const alertClass = {
+                    success: 'bg-green-100 border-green-400 text-green-700',
+                    error: 'bg-red-100 border-red-400 text-red-700',
+                    info: 'bg-blue-100 border-blue-400 text-blue-700',
+                    warning: 'bg-yellow-100 border-yellow-400 text-yellow-700'
+                }[type];
+
+                const messageEl = document.createElement('div');
+                messageEl.className = 'border-l-4 p-4 mb-4 ' + alertClass;
+                messageEl.innerHTML = \`
+                    <div class="flex justify-between">
+                        <span>\${message}</span>
+                        <button onclick="this.parentElement.parentElement.remove()" class="ml-4 text-sm">✕</button>
+                    </div>
+                \`;
                 
-                if (state.filteredProducts.length === 0) {
-                    elements.enhancedProductList.innerHTML = '<tr><td colspan="7" class="text-center py-8">No products found</td></tr>';
-                    elements.productTableSection.classList.remove('hidden');
-                    elements.loadingState.classList.add('hidden');
-                    return;
-                }
+                elements.statusMessages.appendChild(messageEl);
+                
+                setTimeout(() => {
+                    if (messageEl.parentNode) {
+                        messageEl.remove();
+                    }
+                }, 5000);
+            }
 
-                elements.enhancedProductList.innerHTML = state.filteredProducts.map(product => {
-                    const variant = product.variants && product.variants[0] ? product.variants[0] : {};
-                    const isSelected = state.selectedProducts.has(product.id);
-                    const hasCustomPrice = state.customPrices[product.id] !== undefined;
-                    const pricing = product.pricing || {};
-                    
-                    const tierPrice = pricing.basePrice * (1 - state.tierDiscounts[state.selectedTier] / 100);
-                    
-                    return \`
-                        <tr class="hover:bg-gray-50 \${isSelected ? 'bg-blue-50' : ''}">
-                            <td class="px-3 py-2 border">
-                                <input type="checkbox" \${isSelected ? 'checked' : ''} 
-                                       onchange="toggleProductSelection('\${product.id}')"
-                                       class="rounded border-gray-300 text-blue-600">
-                            </td>
-                            <td class="px-3 py-2 border">
-                                <div class="font-medium text-sm">\${product.title?.substring(0, 25) || 'Unknown'}</div>
-                                <div class="text-xs text-gray-500">\${product.vendor || 'Unknown'}</div>
-                            </td>
-                            <td class="px-3 py-2 border text-xs">R \${(pricing.basePrice || 0).toFixed(2)}</td>
-                            <td class="px-3 py-2 border text-xs">R \${tierPrice.toFixed(2)}</td>
-                            <td class="px-3 py-2 border">
-                                <input type="number" step="0.01" min="0" 
-                                       value="\${hasCustomPrice ? state.customPrices[product.id].toFixed(2) : ''}"
-                                       placeholder="Override"
-                                       onchange="handleCustomPriceInput('\${product.id}', this.value)"
-                                       class="w-16 px-1 py-1 border rounded text-xs \${hasCustomPrice ? 'border-blue-300 bg-blue-50' : ''}">
-                            </td>
-                            <td class="px-3 py-2 border">
-                                <span class="font-medium text-xs">R \${(pricing.finalPrice || 0).toFixed(2)}</span>
-                                \${hasCustomPrice ? '<span class="text-blue-500 text-xs">*</span>' : ''}
-                            </td>
-                            <td class="px-3 py-2 border text-center">
-                                <span class="\${pricing.savingsPercent > 0 ? 'text-green-600' : 'text-gray-400'} text-xs">
-                                    \${pricing.savingsPercent > 0 ? '-' + pricing.savingsPercent.toFixed(1) + '%' : '0%'}
-                                </span>
-                            </td>
-                        </tr>
-                    \`;
-                }).join('');
+            function showSuccess(message) { showMessage(message, 'success'); }
+            function showError(message) { showMessage(message, 'error'); }
+            function showInfo(message) { showMessage(message, 'info'); }
+            function showWarning(message) { showMessage(message, 'warning'); }
+        </script>
+    </body>
+    </html>
+  `;
+  
+  res.send(myPriceListsHTML);
+});
+
+app.get('/analytics', (req, res) => {
+  const analyticsHTML = `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Analytics - Price List Generator</title>
+        <script src="https://cdn.tailwindcss.com"></script>
+    </head>
+    <body class="bg-gray-50">
+        <!-- Header -->
+        <header class="bg-white shadow-sm border-b">
+            <div class="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+                <div class="flex justify-between items-center py-4">
+                    <div class="flex items-center space-x-4">
+                        <a href="/" class="text-2xl font-bold text-gray-900">Price List Generator</a>
+                        <span class="bg-green-100 text-green-800 px-3 py-1 rounded-full text-sm font-medium">
+                            APP STATUS: ONLINE
+                        </span>
+                    </div>
+                    <nav class="hidden md:flex space-x-6">
+                        <a href="/" class="text-gray-700 hover:text-blue-600 font-medium">Home</a>
+                        <a href="/my-price-lists" class="text-gray-700 hover:text-blue-600 font-medium">My Price Lists</a>
+                        <a href="/create-price-list" class="text-gray-700 hover:text-blue-600 font-medium">Create New</a>
+                        <a href="/analytics" class="text-blue-600 font-medium border-b-2 border-blue-600">Analytics</a>
+                        <a href="/schedules" class="text-gray-700 hover:text-blue-600 font-medium">Schedules</a>
+                    </nav>
+                </div>
+            </div>
+        </header>
+
+        <!-- Main Content -->
+        <main class="max-w-7xl mx-auto py-8 px-4 sm:px-6 lg:px-8">
+            <div class="mb-8 flex justify-between items-end">
+                <div>
+                    <h1 class="text-3xl font-bold text-gray-900">Analytics</h1>
+                    <p class="mt-2 text-gray-600">How price lists are being created, priced and converted</p>
+                </div>
+                <div class="flex items-center gap-2 text-sm text-gray-600">
+                    <label for="weeksSelect">Period</label>
+                    <select id="weeksSelect" class="px-3 py-2 border border-gray-300 rounded-md">
+                        <option value="4">Last 4 weeks</option>
+                        <option value="12" selected>Last 12 weeks</option>
+                        <option value="26">Last 26 weeks</option>
+                        <option value="52">Last 52 weeks</option>
+                    </select>
+                </div>
+            </div>
+
+            <div id="statusMessages" class="mb-6"></div>
+
+            <div id="loadingState" class="text-center py-12">
+                <div class="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto mb-4"></div>
+                <p class="text-gray-600">Loading analytics...</p>
+            </div>
+
+            <div id="dashboard" class="hidden space-y-6">
+                <!-- Summary -->
+                <div class="grid grid-cols-2 md:grid-cols-4 gap-4">
+                    <div class="bg-white rounded-lg shadow-md p-6">
+                        <div class="text-sm text-gray-600">Price lists</div>
+                        <div id="totalLists" class="text-3xl font-bold text-gray-900"></div>
+                    </div>
+                    <div class="bg-white rounded-lg shadow-md p-6">
+                        <div class="text-sm text-gray-600">Updated this week</div>
+                        <div id="recentLists" class="text-3xl font-bold text-gray-900"></div>
+                    </div>
+                    <div class="bg-white rounded-lg shadow-md p-6">
+                        <div class="text-sm text-gray-600">Draft orders</div>
+                        <div id="draftOrders" class="text-3xl font-bold text-gray-900"></div>
+                    </div>
+                    <div class="bg-white rounded-lg shadow-md p-6">
+                        <div class="text-sm text-gray-600">Conversion rate</div>
+                        <div id="conversionRate" class="text-3xl font-bold text-green-700"></div>
+                        <div id="conversionDetail" class="text-xs text-gray-500 mt-1"></div>
+                    </div>
+                </div>
+
+                <div class="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                    <div class="bg-white rounded-lg shadow-md p-6">
+                        <h2 class="text-lg font-semibold mb-4">Lists created per week</h2>
+                        <div id="weeklyChart" class="space-y-1"></div>
+                    </div>
+                    <div class="bg-white rounded-lg shadow-md p-6">
+                        <h2 class="text-lg font-semibold mb-4">Lists created per rep</h2>
+                        <div id="repChart" class="space-y-2"></div>
+                    </div>
+                    <div class="bg-white rounded-lg shadow-md p-6">
+                        <h2 class="text-lg font-semibold mb-4">Average discount by tier</h2>
+                        <table class="w-full text-sm">
+                            <thead>
+                                <tr class="text-left text-gray-600 border-b">
+                                    <th class="py-2">Tier</th>
+                                    <th class="py-2 text-right">Lists</th>
+                                    <th class="py-2 text-right">Configured</th>
+                                    <th class="py-2 text-right">Realised</th>
+                                </tr>
+                            </thead>
+                            <tbody id="tierTable"></tbody>
+                        </table>
+                    </div>
+                    <div class="bg-white rounded-lg shadow-md p-6">
+                        <h2 class="text-lg font-semibold mb-4">Most-quoted products</h2>
+                        <table class="w-full text-sm">
+                            <thead>
+                                <tr class="text-left text-gray-600 border-b">
+                                    <th class="py-2">Product</th>
+                                    <th class="py-2 text-right">Lists</th>
+                                </tr>
+                            </thead>
+                            <tbody id="productTable"></tbody>
+                        </table>
+                    </div>
+                </div>
+            </div>
+        </main>
 
-                elements.productTableSection.classList.remove('hidden');
-                elements.loadingState.classList.add('hidden');
-                updatePricingSummary();
-            }
+        <script>
+            const elements = {
+                weeksSelect: document.getElementById('weeksSelect'),
+                statusMessages: document.getElementById('statusMessages'),
+                loadingState: document.getElementById('loadingState'),
+                dashboard: document.getElementById('dashboard')
+            };
 
-            function toggleProductSelection(productId) {
-                if (state.selectedProducts.has(productId)) {
-                    state.selectedProducts.delete(productId);
-                } else {
-                    state.selectedProducts.add(productId);
+            document.addEventListener('DOMContentLoaded', () => {
+                elements.weeksSelect.addEventListener('change', loadAnalytics);
+                loadAnalytics();
+            });
+
+            async function loadAnalytics() {
+                try {
+                    const response = await fetch('/api/analytics?weeks=' + elements.weeksSelect.value);
+                    const data = await response.json();
+                    if (!data.success) {
+                        throw new Error(data.message || 'Failed to load analytics');
+                    }
+                    renderAnalytics(data.analytics);
+                } catch (error) {
+                    showError('Error loading analytics: ' + error.message);
+                } finally {
+                    elements.loadingState.classList.add('hidden');
                 }
-                renderEnhancedProductList();
             }
 
-            function handleCustomPriceInput(productId, newPrice) {
-                if (newPrice === '' || newPrice === null) {
-                    delete state.customPrices[productId];
-                } else {
-                    state.customPrices[productId] = parseFloat(newPrice);
-                }
-                recalculateAllPricing();
+            function escapeHtml(value) {
+                const div = document.createElement('div');
+                div.textContent = value == null ? '' : String(value);
+                return div.innerHTML;
             }
 
-            function updatePricingSummary() {
-                const selectedCount = state.selectedProducts.size;
-                
-                if (selectedCount > 0) {
-                    elements.pricingSummary.classList.remove('hidden');
-                    elements.generateEnhancedPdfBtn.disabled = false;
-                    elements.savePriceListBtn.disabled = false;
-                    
-                    const customPriced = Object.keys(state.customPrices).length;
-                    
-                    elements.summarySelectedCount.textContent = selectedCount;
-                    elements.summaryCustomCount.textContent = customPriced;
-                } else {
-                    elements.pricingSummary.classList.add('hidden');
-                    elements.generateEnhancedPdfBtn.disabled = true;
-                    elements.savePriceListBtn.disabled = true;
+            function formatPercent(value) {
+                return value == null ? '—' : value.toFixed(1) + '%';
+            }
+
+            // Horizontal bar rows scaled to the largest value
+            function renderBars(rows, emptyText) {
+                const max = Math.max(...rows.map(row => row.value), 1);
+                if (rows.length === 0) {
+                    return \`<p class="text-sm text-gray-500">\${emptyText}</p>\`;
                 }
+                return rows.map(row => \`
+                    <div class="flex items-center gap-3 text-sm" title="\${escapeHtml(row.title || '')}">
+                        <span class="w-28 shrink-0 text-gray-600 truncate">\${escapeHtml(row.label)}</span>
+                        <div class="flex-1 bg-gray-100 rounded h-4">
+                            <div class="bg-blue-500 h-4 rounded" style="width: \${(row.value / max) * 100}%"></div>
+                        </div>
+                        <span class="w-8 text-right font-medium">\${row.value}</span>
+                    </div>
+                \`).join('');
             }
 
+            function renderAnalytics(analytics) {
+                const conversion = analytics.conversion;
+
+                document.getElementById('totalLists').textContent = analytics.totalLists;
+                document.getElementById('recentLists').textContent = analytics.recentLists;
+                document.getElementById('draftOrders').textContent = conversion.draftOrders;
+                document.getElementById('conversionRate').textContent = formatPercent(conversion.conversionRate);
+                document.getElementById('conversionDetail').textContent =
+                    conversion.listsConverted + ' of ' + analytics.totalLists + ' lists became a completed order' +
+                    (conversion.lastCheckedAt ? ' · checked ' + new Date(conversion.lastCheckedAt).toLocaleString() : '');
+
+                document.getElementById('weeklyChart').innerHTML = renderBars(
+                    analytics.listsByWeek.map(week => ({
+                        label: new Date(week.weekStart).toLocaleDateString(undefined, { day: 'numeric', month: 'short' }),
+                        value: week.count,
+                        title: Object.entries(week.byRep).map(([rep, count]) => rep + ': ' + count).join(', ')
+                    })),
+                    'No lists created in this period'
+                );
 
-            async function generateQRPDF() {
-                try {
-                    const selectedProductsArray = state.calculatedProducts.filter(p => 
-                        state.selectedProducts.has(p.id)
-                    );
-                    
-                    if (selectedProductsArray.length === 0) {
-                        showError('Please select at least one product');
-                        return;
-                    }
-                    
-                    elements.generateQRPdfBtn.disabled = true;
-                    elements.generateQRPdfBtn.textContent = 'Generating QR PDF...';
-                    
-                    const companyInfo = {
-                        name: document.getElementById('companyName').value || 'Your Company',
-                        email: document.getElementById('companyEmail').value || '',
-                        phone: document.getElementById('companyPhone').value || '',
-                        website: document.getElementById('companyWebsite').value || '',
-                        terms: 'Payment terms are COD. T\\'s & C\\'s Apply.'
-                    };
-                    
-                    const pricingConfig = {
-                        tierName: state.selectedTier,
-                        discountPercent: state.tierDiscounts[state.selectedTier],
-                        notes: ''
-                    };
-                    
-                    // Add client info for QR code generation
-                    const clientInfo = {
-                        name: 'Customer', // You can add input fields for this later
-                        email: 'customer@example.com'
-                    };
-                    
-                    const response = await fetch('/api/price-lists/generate-pdf-with-qr', {
-                        method: 'POST',
-                        headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify({
-                            title: \`\${state.selectedTier.charAt(0).toUpperCase() + state.selectedTier.slice(1)} Price List with QR Code\`,
-                            currency: 'ZAR',
-                            products: selectedProductsArray,
-                            company: companyInfo,
-                            pricingConfig,
-                            customPrices: state.customPrices,
-                            clientInfo,
-                            includeQR: true
-                        })
-                    });
-                    
-                    if (response.ok) {
-                        const blob = await response.blob();
-                        const url = window.URL.createObjectURL(blob);
-                        const link = document.createElement('a');
-                        link.href = url;
-                        link.download = \`\${state.selectedTier}-price-list-qr-\${Date.now()}.pdf\`;
-                        document.body.appendChild(link);
-                        link.click();
-                        link.remove();
-                        window.URL.revokeObjectURL(url);
-                        
-                        showSuccess('🔥 QR PDF generated and downloaded! Customers can now scan to order instantly!');
-                    } else {
-                        const error = await response.json();
-                        showError('QR PDF generation failed: ' + error.message);
-                    }
-                } catch (error) {
-                    showError('Error generating QR PDF: ' + error.message);
-                } finally {
-                    elements.generateQRPdfBtn.disabled = false;
-                    elements.generateQRPdfBtn.textContent = '🔥 Generate PDF with QR Code';
-                }
+                document.getElementById('repChart').innerHTML = renderBars(
+                    analytics.listsByRep.map(entry => ({ label: entry.rep, value: entry.count })),
+                    'No price lists yet'
+                );
+
+                document.getElementById('tierTable').innerHTML = analytics.discountByTier.length > 0
+                    ? analytics.discountByTier.map(tier => \`
+                        <tr class="border-b last:border-0">
+                            <td class="py-2 capitalize">\${escapeHtml(tier.tier)}</td>
+                            <td class="py-2 text-right">\${tier.lists}</td>
+                            <td class="py-2 text-right">\${formatPercent(tier.averageConfiguredDiscountPercent)}</td>
+                            <td class="py-2 text-right font-medium">\${formatPercent(tier.averageDiscountPercent)}</td>
+                        </tr>
+                    \`).join('')
+                    : '<tr><td colspan="4" class="py-2 text-gray-500">No price lists yet</td></tr>';
+
+                document.getElementById('productTable').innerHTML = analytics.topProducts.length > 0
+                    ? analytics.topProducts.map(product => \`
+                        <tr class="border-b last:border-0">
+                            <td class="py-2">\${escapeHtml(product.title || product.productId)}</td>
+                            <td class="py-2 text-right font-medium">\${product.lists}</td>
+                        </tr>
+                    \`).join('')
+                    : '<tr><td colspan="2" class="py-2 text-gray-500">No products quoted yet</td></tr>';
+
+                elements.dashboard.classList.remove('hidden');
             }
 
-            async function generateEnhancedPDF() {
-                try {
-                    const selectedProductsArray = state.calculatedProducts.filter(p => 
-                        state.selectedProducts.has(p.id)
-                    );
-                    
-                    if (selectedProductsArray.length === 0) {
-                        showError('Please select at least one product');
-                        return;
-                    }
-                    
-                    elements.generateEnhancedPdfBtn.disabled = true;
-                    elements.generateEnhancedPdfBtn.textContent = 'Generating...';
-                    
-                    const companyInfo = {
-                        name: document.getElementById('companyName').value || 'Your Company',
-                        phone: document.getElementById('companyPhone').value || '+27 11 123 4567',
-                        email: document.getElementById('companyEmail').value || 'sales@yourcompany.com',
-                        website: document.getElementById('companyWebsite').value || 'https://yourcompany.com'
-                    };
-                    
-                    const clientInfo = {
-                        name: document.getElementById('clientCompanyName').value || 'Valued Client',
-                        email: document.getElementById('clientEmail').value || 'client@company.com',
-                        phone: document.getElementById('clientPhone').value || '+27 11 456 7890',
-                        address: document.getElementById('clientAddress').value || 'Client Address'
-                    };
-                    
-                    const response = await fetch('/api/price-lists/generate-enhanced-pdf', {
-                        method: 'POST',
-                        headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify({
-                            products: selectedProductsArray,
-                            companyConfig: {
-                                name: companyInfo.name,
-                                tagline: 'Professional • Reliable • Quality',
-                                email: companyInfo.email,
-                                phone: companyInfo.phone,
-                                website: 'https://yourcompany.com',
-                                address: '123 Business Street, City, Country'
-                            },
-                            clientConfig: {
-                                name: clientInfo.name,
-                                email: clientInfo.email,
-                                phone: clientInfo.phone,
-                                address: clientInfo.address,
-                                category: state.selectedTier,
-                                showClientDetails: true,
-                                showPricingTier: true,
-                                hideVendorStock: true
-                            },
-                            pricingTier: state.selectedTier,
-                            customPrices: state.customPrices,
-                            includeQR: true,
-                            title: \`\${state.selectedTier.charAt(0).toUpperCase() + state.selectedTier.slice(1)} Professional Price List\`
-                        })
-                    });
-                    
-                    if (response.ok) {
-                        const blob = await response.blob();
-                        const url = window.URL.createObjectURL(blob);
-                        const link = document.createElement('a');
-                        link.href = url;
-                        link.download = \`enhanced-\${state.selectedTier}-price-list-\${Date.now()}.pdf\`;
-                        document.body.appendChild(link);
-                        link.click();
-                        link.remove();
-                        window.URL.revokeObjectURL(url);
-                        
-                        showSuccess('✨ Enhanced Professional PDF generated successfully!');
-                    } else {
-                        const error = await response.json();
-                        showError('Enhanced PDF generation failed: ' + error.message);
-                    }
-                } catch (error) {
-                    showError('Error generating enhanced PDF: ' + error.message);
-                } finally {
-                    elements.generateEnhancedPdfBtn.disabled = false;
-                    elements.generateEnhancedPdfBtn.textContent = '✨ Enhanced Professional PDF';
+            function showError(message) {
+                const messageEl = document.createElement('div');
+                messageEl.className = 'border-l-4 p-4 mb-4 bg-red-50 border-red-400 text-red-700';
+                messageEl.textContent = message;
+                elements.statusMessages.appendChild(messageEl);
+            }
+        </script>
+    </body>
+    </html>
+  `;
+  
+  res.send(analyticsHTML);
+});
+
+// Schedules - set up automatic regeneration and review every run's outcome
+app.get('/schedules', (req, res) => {
+  const schedulesHTML = `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Schedules - Price List Generator</title>
+        <script src="https://cdn.tailwindcss.com"></script>
+    </head>
+    <body class="bg-gray-50">
+        <!-- Header -->
+        <header class="bg-white shadow-sm border-b">
+            <div class="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+                <div class="flex justify-between items-center py-4">
+                    <div class="flex items-center space-x-4">
+                        <a href="/" class="text-2xl font-bold text-gray-900">Price List Generator</a>
+                        <span class="bg-green-100 text-green-800 px-3 py-1 rounded-full text-sm font-medium">
+                            APP STATUS: ONLINE
+                        </span>
+                    </div>
+                    <nav class="hidden md:flex space-x-6">
+                        <a href="/" class="text-gray-700 hover:text-blue-600 font-medium">Home</a>
+                        <a href="/my-price-lists" class="text-gray-700 hover:text-blue-600 font-medium">My Price Lists</a>
+                        <a href="/create-price-list" class="text-gray-700 hover:text-blue-600 font-medium">Create New</a>
+                        <a href="/analytics" class="text-gray-700 hover:text-blue-600 font-medium">Analytics</a>
+                        <a href="/schedules" class="text-blue-600 font-medium border-b-2 border-blue-600">Schedules</a>
+                    </nav>
+                </div>
+            </div>
+        </header>
+
+        <!-- Main Content -->
+        <main class="max-w-7xl mx-auto py-8 px-4 sm:px-6 lg:px-8">
+            <div class="mb-8">
+                <h1 class="text-3xl font-bold text-gray-900">Schedules</h1>
+                <p class="mt-2 text-gray-600">Saved lists repriced, regenerated and delivered automatically. Times are UTC.</p>
+            </div>
+
+            <div id="statusMessages" class="mb-6"></div>
+
+            <div class="grid grid-cols-1 lg:grid-cols-3 gap-6 mb-6">
+                <!-- Schedule form -->
+                <div class="bg-white rounded-lg shadow-md p-6">
+                    <h2 class="text-lg font-semibold mb-4">Schedule a price list</h2>
+                    <form id="scheduleForm" class="space-y-3 text-sm">
+                        <div>
+                            <label for="priceListSelect" class="block text-gray-700 mb-1">Price list</label>
+                            <select id="priceListSelect" required class="w-full px-3 py-2 border border-gray-300 rounded-md">
+                                <option value="">Choose a price list...</option>
+                            </select>
+                        </div>
+                        <div class="grid grid-cols-2 gap-3">
+                            <div>
+                                <label for="frequency" class="block text-gray-700 mb-1">Frequency</label>
+                                <select id="frequency" class="w-full px-3 py-2 border border-gray-300 rounded-md">
+                                    <option value="weekly">Weekly</option>
+                                    <option value="monthly">Monthly</option>
+                                </select>
+                            </div>
+                            <div>
+                                <label for="hour" class="block text-gray-700 mb-1">Hour (UTC)</label>
+                                <input id="hour" type="number" min="0" max="23" value="6" class="w-full px-3 py-2 border border-gray-300 rounded-md">
+                            </div>
+                        </div>
+                        <div id="dayOfWeekField">
+                            <label for="dayOfWeek" class="block text-gray-700 mb-1">Day of week</label>
+                            <select id="dayOfWeek" class="w-full px-3 py-2 border border-gray-300 rounded-md">
+                                <option value="1">Monday</option>
+                                <option value="2">Tuesday</option>
+                                <option value="3">Wednesday</option>
+                                <option value="4">Thursday</option>
+                                <option value="5">Friday</option>
+                                <option value="6">Saturday</option>
+                                <option value="0">Sunday</option>
+                            </select>
+                        </div>
+                        <div id="dayOfMonthField" class="hidden">
+                            <label for="dayOfMonth" class="block text-gray-700 mb-1">Day of month (1-28)</label>
+                            <input id="dayOfMonth" type="number" min="1" max="28" value="1" class="w-full px-3 py-2 border border-gray-300 rounded-md">
+                        </div>
+                        <div>
+                            <label for="channel" class="block text-gray-700 mb-1">Delivery</label>
+                            <select id="channel" class="w-full px-3 py-2 border border-gray-300 rounded-md"></select>
+                        </div>
+                        <div>
+                            <label for="recipients" class="block text-gray-700 mb-1">Recipients (comma separated)</label>
+                            <input id="recipients" type="text" placeholder="buyer@distributor.com" class="w-full px-3 py-2 border border-gray-300 rounded-md">
+                        </div>
+                        <label class="flex items-center gap-2 text-gray-700">
+                            <input id="enabled" type="checkbox" checked> Enabled
+                        </label>
+                        <div class="flex gap-2 pt-2">
+                            <button type="submit" class="flex-1 bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700">Save schedule</button>
+                            <button type="button" id="runNowBtn" class="flex-1 bg-gray-600 text-white px-4 py-2 rounded hover:bg-gray-700">Run now</button>
+                        </div>
+                        <button type="button" id="removeBtn" class="w-full text-red-600 hover:text-red-800 py-1">Remove schedule</button>
+                    </form>
+                </div>
+
+                <!-- Active schedules -->
+                <div class="bg-white rounded-lg shadow-md p-6 lg:col-span-2">
+                    <h2 class="text-lg font-semibold mb-4">Scheduled lists</h2>
+                    <table class="w-full text-sm">
+                        <thead>
+                            <tr class="text-left text-gray-600 border-b">
+                                <th class="py-2">Price list</th>
+                                <th class="py-2">When</th>
+                                <th class="py-2">Delivery</th>
+                                <th class="py-2">Next run</th>
+                                <th class="py-2">Last run</th>
+                            </tr>
+                        </thead>
+                        <tbody id="scheduleTable"></tbody>
+                    </table>
+                </div>
+            </div>
+
+            <!-- Run history -->
+            <div class="bg-white rounded-lg shadow-md p-6">
+                <div class="flex justify-between items-center mb-4">
+                    <h2 class="text-lg font-semibold">Run history</h2>
+                    <select id="statusFilter" class="px-3 py-2 border border-gray-300 rounded-md text-sm">
+                        <option value="">All runs</option>
+                        <option value="success">Successful</option>
+                        <option value="failed">Failed</option>
+                    </select>
+                </div>
+                <table class="w-full text-sm">
+                    <thead>
+                        <tr class="text-left text-gray-600 border-b">
+                            <th class="py-2">Started</th>
+                            <th class="py-2">Price list</th>
+                            <th class="py-2">Trigger</th>
+                            <th class="py-2">Result</th>
+                            <th class="py-2 text-right">Products</th>
+                            <th class="py-2 text-right">Value</th>
+                            <th class="py-2">Delivered to</th>
+                            <th class="py-2"></th>
+                        </tr>
+                    </thead>
+                    <tbody id="runTable"></tbody>
+                </table>
+            </div>
+        </main>
+
+        <script>
+            const elements = {
+                form: document.getElementById('scheduleForm'),
+                priceListSelect: document.getElementById('priceListSelect'),
+                frequency: document.getElementById('frequency'),
+                hour: document.getElementById('hour'),
+                dayOfWeek: document.getElementById('dayOfWeek'),
+                dayOfMonth: document.getElementById('dayOfMonth'),
+                channel: document.getElementById('channel'),
+                recipients: document.getElementById('recipients'),
+                enabled: document.getElementById('enabled'),
+                statusFilter: document.getElementById('statusFilter'),
+                statusMessages: document.getElementById('statusMessages')
+            };
+
+            document.addEventListener('DOMContentLoaded', async () => {
+                elements.frequency.addEventListener('change', toggleDayFields);
+                elements.priceListSelect.addEventListener('change', loadSchedule);
+                elements.statusFilter.addEventListener('change', loadRuns);
+                elements.form.addEventListener('submit', saveSchedule);
+                document.getElementById('runNowBtn').addEventListener('click', runNow);
+                document.getElementById('removeBtn').addEventListener('click', removeSchedule);
+
+                await loadPriceLists();
+                const listId = new URLSearchParams(window.location.search).get('list');
+                if (listId) {
+                    elements.priceListSelect.value = listId;
+                    await loadSchedule();
                 }
+                loadRuns();
+            });
+
+            function escapeHtml(value) {
+                const div = document.createElement('div');
+                div.textContent = value == null ? '' : String(value);
+                return div.innerHTML;
             }
 
-            async function savePriceList() {
+            function formatDate(value) {
+                return value ? new Date(value).toLocaleString() : '—';
+            }
+
+            function toggleDayFields() {
+                const weekly = elements.frequency.value === 'weekly';
+                document.getElementById('dayOfWeekField').classList.toggle('hidden', !weekly);
+                document.getElementById('dayOfMonthField').classList.toggle('hidden', weekly);
+            }
+
+            async function loadPriceLists() {
                 try {
-                    const selectedProductsArray = state.calculatedProducts.filter(p => 
-                        state.selectedProducts.has(p.id)
-                    );
-                    
-                    if (selectedProductsArray.length === 0) {
-                        showError('Please select at least one product');
-                        return;
-                    }
-                    
-                    const listName = prompt('Enter a name for this price list:');
-                    if (!listName) return;
-                    
-                    elements.savePriceListBtn.disabled = true;
-                    elements.savePriceListBtn.textContent = 'Saving...';
-                    
-                    const companyInfo = {
-                        name: document.getElementById('companyName').value || 'Your Company',
-                        email: document.getElementById('companyEmail').value || '',
-                        phone: document.getElementById('companyPhone').value || '',
-                        website: document.getElementById('companyWebsite').value || ''
-                    };
-                    
-                    const pricingConfig = {
-                        tierName: state.selectedTier,
-                        discountPercent: state.tierDiscounts[state.selectedTier],
-                        notes: ''
-                    };
-                    
-                    const priceListData = {
-                        name: listName,
-                        products: selectedProductsArray,
-                        company: companyInfo,
-                        pricingConfig,
-                        customPrices: state.customPrices,
-                        createdAt: new Date().toISOString(),
-                        totalProducts: selectedProductsArray.length,
-                        totalValue: selectedProductsArray.reduce((sum, p) => sum + (p.pricing?.finalPrice || 0), 0)
-                    };
-                    
-                    const response = await fetch('/api/price-lists/save', {
-                        method: 'POST',
-                        headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify(priceListData)
+                    const response = await fetch('/api/price-lists?limit=100&sort=name&order=asc');
+                    const data = await response.json();
+                    if (!data.success) throw new Error(data.message);
+                    data.priceLists.forEach(priceList => {
+                        const option = document.createElement('option');
+                        option.value = priceList.id;
+                        option.textContent = priceList.name + (priceList.clientName ? ' - ' + priceList.clientName : '');
+                        elements.priceListSelect.appendChild(option);
                     });
-                    
-                    if (response.ok) {
-                        const result = await response.json();
-                        showSuccess(\`Price list "\${listName}" saved successfully!\`);
-                    } else {
-                        const error = await response.json();
-                        showError('Failed to save price list: ' + error.message);
-                    }
                 } catch (error) {
-                    showError('Error saving price list: ' + error.message);
-                } finally {
-                    elements.savePriceListBtn.disabled = false;
-                    elements.savePriceListBtn.textContent = '💾 Save Price List';
+                    showMessage('Error loading price lists: ' + error.message, 'error');
                 }
             }
 
-            function showLoading(message) {
-                elements.loadingState.innerHTML = \`
-                    <div class="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto mb-4"></div>
-                    <p class="text-gray-600">\${message}</p>
-                \`;
-                elements.loadingState.classList.remove('hidden');
-                elements.productTableSection.classList.add('hidden');
+            // Fill the form from the chosen list's schedule (or the defaults)
+            async function loadSchedule() {
+                const id = elements.priceListSelect.value;
+                if (!id) return;
+                try {
+                    const response = await fetch('/api/price-lists/' + encodeURIComponent(id) + '/schedule');
+                    const data = await response.json();
+                    if (!data.success) throw new Error(data.message);
+
+                    elements.channel.innerHTML = data.channels
+                        .map(channel => '<option value="' + escapeHtml(channel) + '">' + escapeHtml(channel) + '</option>').join('');
+
+                    const schedule = data.schedule || { frequency: 'weekly', hour: 6, dayOfWeek: 1, dayOfMonth: 1, delivery: { channel: 'file', recipients: [] }, enabled: true };
+                    elements.frequency.value = schedule.frequency;
+                    elements.hour.value = schedule.hour;
+                    elements.dayOfWeek.value = schedule.dayOfWeek ?? 1;
+                    elements.dayOfMonth.value = schedule.dayOfMonth ?? 1;
+                    elements.channel.value = schedule.delivery.channel;
+                    elements.recipients.value = schedule.delivery.recipients.join(', ');
+                    elements.enabled.checked = schedule.enabled;
+                    toggleDayFields();
+                } catch (error) {
+                    showMessage('Error loading schedule: ' + error.message, 'error');
+                }
             }
 
-            function hideLoading() {
-                elements.loadingState.classList.add('hidden');
+            async function saveSchedule(event) {
+                event.preventDefault();
+                const id = elements.priceListSelect.value;
+                const body = {
+                    frequency: elements.frequency.value,
+                    hour: parseInt(elements.hour.value),
+                    dayOfWeek: parseInt(elements.dayOfWeek.value),
+                    dayOfMonth: parseInt(elements.dayOfMonth.value),
+                    delivery: {
+                        channel: elements.channel.value,
+                        recipients: elements.recipients.value.split(',').map(email => email.trim()).filter(Boolean)
+                    },
+                    enabled: elements.enabled.checked
+                };
+
+                const response = await fetch('/api/price-lists/' + encodeURIComponent(id) + '/schedule', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(body)
+                });
+                const data = await response.json();
+                if (data.success) {
+                    showMessage('Schedule saved: ' + data.schedule.description, 'success');
+                    loadRuns();
+                } else {
+                    showMessage((data.errors || [data.message]).join('. '), 'error');
+                }
             }
 
-            function showMessage(message, type) {
-                const alertClass = {
-                    success: 'bg-green-100 border-green-400 text-green-700',
-                    error: 'bg-red-100 border-red-400 text-red-700',
-                    info: 'bg-blue-100 border-blue-400 text-blue-700',
-                    warning: 'bg-yellow-100 border-yellow-400 text-yellow-700'
-                }[type];
+            async function runNow() {
+                const id = elements.priceListSelect.value;
+                if (!id) return showMessage('Choose a price list first', 'error');
 
-                const messageEl = document.createElement('div');
-                messageEl.className = 'border-l-4 p-4 mb-4 ' + alertClass;
-                messageEl.innerHTML = \`
-                    <div class="flex justify-between">
-                        <span>\${message}</span>
-                        <button onclick="this.parentElement.parentElement.remove()" class="ml-4 text-sm">✕</button>
-                    </div>
-                \`;
-                
-                elements.statusMessages.appendChild(messageEl);
-                
-                setTimeout(() => {
-                    if (messageEl.parentNode) {
-                        messageEl.remove();
-                    }
-                }, 5000);
+                showMessage('Regenerating...', 'info');
+                const response = await fetch('/api/price-lists/' + encodeURIComponent(id) + '/schedule/run', { method: 'POST' });
+                const data = await response.json();
+                showMessage(data.message, data.success ? 'success' : 'error');
+                loadRuns();
             }
 
-            function showSuccess(message) { showMessage(message, 'success'); }
-            function showError(message) { showMessage(message, 'error'); }
-            function showInfo(message) { showMessage(message, 'info'); }
-            function showWarning(message) { showMessage(message, 'warning'); }
+            async function removeSchedule() {
+                const id = elements.priceListSelect.value;
+                if (!id || !confirm('Stop regenerating this price list? Its run history is kept.')) return;
 
-            // Initialize
-            selectTier('retail');
-            
-            // Check if we're in edit mode
-            const urlParams = new URLSearchParams(window.location.search);
-            const editId = urlParams.get('edit');
-            
-            if (editId) {
-                const editData = localStorage.getItem('editingPriceList');
-                if (editData) {
-                    try {
-                        const priceList = JSON.parse(editData);
-                        loadEditData(priceList);
-                        showSuccess('Loaded price list for editing: ' + priceList.name);
-                    } catch (error) {
-                        showError('Failed to load edit data: ' + error.message);
-                    }
-                }
+                const response = await fetch('/api/price-lists/' + encodeURIComponent(id) + '/schedule', { method: 'DELETE' });
+                const data = await response.json();
+                showMessage(data.message, data.success ? 'success' : 'error');
+                loadRuns();
             }
-            
-            function loadEditData(priceList) {
-                // Load company info
-                if (priceList.company) {
-                    if (priceList.company.name) document.getElementById('companyName').value = priceList.company.name;
-                    if (priceList.company.email) document.getElementById('companyEmail').value = priceList.company.email;
-                    if (priceList.company.phone) document.getElementById('companyPhone').value = priceList.company.phone;
-                    if (priceList.company.website) document.getElementById('companyWebsite').value = priceList.company.website;
-                }
-                
-                // Load pricing config
-                if (priceList.pricingConfig) {
-                    if (priceList.pricingConfig.tierName) {
-                        selectTier(priceList.pricingConfig.tierName);
-                    }
-                    if (priceList.pricingConfig.discountPercent) {
-                        const tierInput = document.getElementById(priceList.pricingConfig.tierName + 'Discount');
-                        if (tierInput) {
-                            tierInput.value = priceList.pricingConfig.discountPercent;
-                            state.tierDiscounts[priceList.pricingConfig.tierName] = priceList.pricingConfig.discountPercent;
-                        }
-                    }
-                }
-                
-                // Load custom prices
-                if (priceList.customPrices) {
-                    state.customPrices = { ...priceList.customPrices };
-                }
-                
-                // Load products if available
-                if (priceList.products && priceList.products.length > 0) {
-                    state.products = priceList.products;
-                    state.filteredProducts = [...priceList.products];
-                    
-                    // Select the products that were in the price list
-                    priceList.products.forEach(product => {
-                        state.selectedProducts.add(product.id);
-                    });
-                    
-                    recalculateAllPricing();
+
+            async function loadRuns() {
+                try {
+                    const status = elements.statusFilter.value;
+                    const response = await fetch('/api/schedule-runs' + (status ? '?status=' + status : ''));
+                    const data = await response.json();
+                    if (!data.success) throw new Error(data.message);
+                    renderSchedules(data.schedules);
+                    renderRuns(data.runs);
+                } catch (error) {
+                    showMessage('Error loading run history: ' + error.message, 'error');
                 }
             }
+
+            function renderStatus(status) {
+                if (!status) return '<span class="text-gray-400">—</span>';
+                const colour = status === 'success' ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800';
+                return '<span class="px-2 py-0.5 rounded-full text-xs font-medium ' + colour + '">' + escapeHtml(status) + '</span>';
+            }
+
+            function renderSchedules(schedules) {
+                document.getElementById('scheduleTable').innerHTML = schedules.length > 0
+                    ? schedules.map(schedule => \`
+                        <tr class="border-b last:border-0">
+                            <td class="py-2"><a href="/schedules?list=\${encodeURIComponent(schedule.priceListId)}" class="text-blue-600 hover:underline">\${escapeHtml(schedule.priceListName)}</a></td>
+                            <td class="py-2">\${escapeHtml(schedule.description)}\${schedule.enabled ? '' : ' <span class="text-gray-400">(paused)</span>'}</td>
+                            <td class="py-2">\${escapeHtml(schedule.delivery.channel)}\${schedule.delivery.recipients.length ? ': ' + escapeHtml(schedule.delivery.recipients.join(', ')) : ''}</td>
+                            <td class="py-2">\${formatDate(schedule.nextRunAt)}</td>
+                            <td class="py-2">\${renderStatus(schedule.lastRunStatus)}</td>
+                        </tr>
+                    \`).join('')
+                    : '<tr><td colspan="5" class="py-2 text-gray-500">No price lists are scheduled yet</td></tr>';
+            }
+
+            function renderRuns(runs) {
+                document.getElementById('runTable').innerHTML = runs.length > 0
+                    ? runs.map(run => \`
+                        <tr class="border-b last:border-0 align-top">
+                            <td class="py-2">\${formatDate(run.startedAt)}</td>
+                            <td class="py-2">\${escapeHtml(run.priceListName || run.priceListId)}</td>
+                            <td class="py-2 capitalize">\${escapeHtml(run.trigger)}</td>
+                            <td class="py-2">
+                                \${renderStatus(run.status)}
+                                \${run.error ? '<div class="text-xs text-red-700 mt-1">' + escapeHtml(run.error) + '</div>' : ''}
+                                \${run.dropped ? '<div class="text-xs text-gray-500 mt-1">' + run.dropped + ' lines no longer in Shopify</div>' : ''}
+                            </td>
+                            <td class="py-2 text-right">\${run.totalProducts ?? '—'}</td>
+                            <td class="py-2 text-right">\${run.totalValue != null ? escapeHtml(run.currency) + ' ' + run.totalValue.toLocaleString(undefined, { maximumFractionDigits: 2 }) : '—'}</td>
+                            <td class="py-2">\${run.delivery ? escapeHtml(run.delivery.channel) + (run.delivery.recipients.length ? ': ' + escapeHtml(run.delivery.recipients.join(', ')) : '') : '—'}</td>
+                            <td class="py-2 text-right">\${run.output ? '<a href="/api/schedule-runs/' + encodeURIComponent(run.id) + '/pdf" class="text-blue-600 hover:underline">PDF</a>' : ''}</td>
+                        </tr>
+                    \`).join('')
+                    : '<tr><td colspan="8" class="py-2 text-gray-500">No runs yet</td></tr>';
+            }
+
+            function showMessage(message, type) {
+                const colours = {
+                    success: 'bg-green-50 border-green-400 text-green-700',
+                    error: 'bg-red-50 border-red-400 text-red-700',
+                    info: 'bg-blue-50 border-blue-400 text-blue-700'
+                };
+                const messageEl = document.createElement('div');
+                messageEl.className = 'border-l-4 p-4 mb-4 ' + colours[type];
+                messageEl.textContent = message;
+                elements.statusMessages.replaceChildren(messageEl);
+            }
         </script>
     </body>
     </html>
   `;
   
-  res.send(createHTML);
+  res.send(schedulesHTML);
 });
 
-// My Price Lists page
-app.get('/my-price-lists', (req, res) => {
-  const myPriceListsHTML = `
+app.get('/import-document', (req, res) => {
+  res.send('<h1>Import Document</h1><p>Coming soon...</p><a href="/">← Back to Home</a>');
+});
+
+// Templates - build, preview and choose the layouts price list PDFs are rendered with
+app.get('/templates', (req, res) => {
+  const templatesHTML = `
     <!DOCTYPE html>
     <html lang="en">
     <head>
         <meta charset="UTF-8">
         <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>My Price Lists - Price List Generator</title>
+        <title>Templates - Price List Generator</title>
         <script src="https://cdn.tailwindcss.com"></script>
     </head>
     <body class="bg-gray-50">
@@ -2784,8 +7474,10 @@ app.get('/my-price-lists', (req, res) => {
                     </div>
                     <nav class="hidden md:flex space-x-6">
                         <a href="/" class="text-gray-700 hover:text-blue-600 font-medium">Home</a>
-                        <a href="/my-price-lists" class="text-blue-600 font-medium border-b-2 border-blue-600">My Price Lists</a>
+                        <a href="/my-price-lists" class="text-gray-700 hover:text-blue-600 font-medium">My Price Lists</a>
                         <a href="/create-price-list" class="text-gray-700 hover:text-blue-600 font-medium">Create New</a>
+                        <a href="/templates" class="text-blue-600 font-medium border-b-2 border-blue-600">Templates</a>
+                        <a href="/schedules" class="text-gray-700 hover:text-blue-600 font-medium">Schedules</a>
                     </nav>
                 </div>
             </div>
@@ -2794,277 +7486,447 @@ app.get('/my-price-lists', (req, res) => {
         <!-- Main Content -->
         <main class="max-w-7xl mx-auto py-8 px-4 sm:px-6 lg:px-8">
             <div class="mb-8">
-                <h1 class="text-3xl font-bold text-gray-900">My Price Lists</h1>
-                <p class="mt-2 text-gray-600">Manage your saved price lists and generate new ones</p>
+                <h1 class="text-3xl font-bold text-gray-900">Templates</h1>
+                <p class="mt-2 text-gray-600">Layouts for your price list PDFs. Saved lists keep the layout they were saved with.</p>
             </div>
 
-            <!-- Status Messages -->
             <div id="statusMessages" class="mb-6"></div>
 
-            <!-- Actions -->
-            <div class="mb-6 flex gap-4">
-                <a href="/create-price-list" class="bg-blue-600 text-white px-6 py-3 rounded-lg hover:bg-blue-700 font-medium">
-                    ➕ Create New Price List
-                </a>
-                <button id="refreshBtn" class="bg-gray-600 text-white px-6 py-3 rounded-lg hover:bg-gray-700 font-medium">
-                    🔄 Refresh
-                </button>
-            </div>
+            <div class="grid grid-cols-1 lg:grid-cols-3 gap-6">
+                <!-- Template library -->
+                <div class="bg-white rounded-lg shadow-md p-6 lg:col-span-1">
+                    <h2 class="text-lg font-semibold mb-4">Library</h2>
+                    <div id="templateList" class="space-y-2 text-sm"></div>
+                    <button type="button" id="newBtn" class="w-full mt-4 border-2 border-dashed border-gray-300 text-gray-600 rounded px-4 py-2 hover:border-blue-400 hover:text-blue-600">+ New template</button>
+                </div>
 
-            <!-- Price Lists Grid -->
-            <div class="bg-white rounded-lg shadow-md">
-                <div class="p-6">
-                    <div id="loadingState" class="text-center py-12">
-                        <div class="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto mb-4"></div>
-                        <p class="text-gray-600">Loading price lists...</p>
-                    </div>
-                    
-                    <div id="priceListsGrid" class="hidden">
-                        <div class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6" id="priceListCards">
-                            <!-- Price list cards will be inserted here -->
+                <!-- Template editor -->
+                <div class="bg-white rounded-lg shadow-md p-6 lg:col-span-2">
+                    <h2 id="editorTitle" class="text-lg font-semibold mb-4">New template</h2>
+                    <form id="templateForm" class="space-y-4 text-sm">
+                        <div class="grid grid-cols-2 gap-3">
+                            <div>
+                                <label for="name" class="block text-gray-700 mb-1">Name</label>
+                                <input id="name" type="text" required class="w-full px-3 py-2 border border-gray-300 rounded-md">
+                            </div>
+                            <div>
+                                <label for="base" class="block text-gray-700 mb-1">Based on</label>
+                                <select id="base" class="w-full px-3 py-2 border border-gray-300 rounded-md"></select>
+                            </div>
+                        </div>
+
+                        <div>
+                            <span class="block text-gray-700 mb-1">Columns</span>
+                            <div id="columns" class="grid grid-cols-3 gap-1"></div>
+                        </div>
+
+                        <div class="grid grid-cols-2 gap-3">
+                            <label class="flex items-center gap-2 text-gray-700">
+                                <input id="descriptions" type="checkbox"> Short product descriptions
+                            </label>
+                            <div>
+                                <label for="imageSize" class="block text-gray-700 mb-1">Thumbnail size (mm)</label>
+                                <input id="imageSize" type="number" min="8" max="30" value="14" class="w-full px-3 py-2 border border-gray-300 rounded-md">
+                            </div>
+                        </div>
+
+                        <div class="grid grid-cols-2 gap-3">
+                            <div>
+                                <label for="font" class="block text-gray-700 mb-1">Font</label>
+                                <select id="font" class="w-full px-3 py-2 border border-gray-300 rounded-md"></select>
+                            </div>
+                            <div>
+                                <span class="block text-gray-700 mb-1">Colours</span>
+                                <div id="colours" class="flex gap-3"></div>
+                            </div>
+                        </div>
+
+                        <div class="grid grid-cols-2 gap-3">
+                            <div>
+                                <label for="logoPlacement" class="block text-gray-700 mb-1">Logo (from company settings)</label>
+                                <select id="logoPlacement" class="w-full px-3 py-2 border border-gray-300 rounded-md"></select>
+                            </div>
+                            <div>
+                                <label for="logoWidth" class="block text-gray-700 mb-1">Logo width (mm)</label>
+                                <input id="logoWidth" type="number" min="10" max="60" value="25" class="w-full px-3 py-2 border border-gray-300 rounded-md">
+                            </div>
+                        </div>
+
+                        <div class="grid grid-cols-2 gap-3">
+                            <div>
+                                <label for="groupBy" class="block text-gray-700 mb-1">Sections</label>
+                                <select id="groupBy" class="w-full px-3 py-2 border border-gray-300 rounded-md"></select>
+                            </div>
+                            <div class="space-y-1 pt-6">
+                                <label class="flex items-center gap-2 text-gray-700">
+                                    <input id="sectionSubtotals" type="checkbox"> Subtotal per section
+                                </label>
+                                <label class="flex items-center gap-2 text-gray-700">
+                                    <input id="sectionContents" type="checkbox"> Table of contents
+                                </label>
+                            </div>
                         </div>
-                    </div>
-                    
-                    <div id="emptyState" class="hidden text-center py-12">
-                        <div class="text-6xl mb-4">📋</div>
-                        <h3 class="text-xl font-semibold text-gray-900 mb-2">No price lists yet</h3>
-                        <p class="text-gray-600 mb-6">Create your first price list to get started</p>
-                        <a href="/create-price-list" class="bg-blue-600 text-white px-6 py-3 rounded-lg hover:bg-blue-700 font-medium">
-                            Create Your First Price List
-                        </a>
-                    </div>
+
+                        <div class="border-t pt-4">
+                            <label class="flex items-center gap-2 text-gray-700 mb-2">
+                                <input id="coverEnabled" type="checkbox"> Cover page
+                            </label>
+                            <input id="coverHeading" type="text" placeholder="Cover heading (defaults to the list name)" class="w-full px-3 py-2 border border-gray-300 rounded-md">
+                        </div>
+
+                        <div class="border-t pt-4">
+                            <label class="flex items-center gap-2 text-gray-700 mb-2">
+                                <input id="termsEnabled" type="checkbox" checked> Terms block
+                            </label>
+                            <input id="termsHeading" type="text" placeholder="Heading" class="w-full px-3 py-2 border border-gray-300 rounded-md mb-2">
+                            <textarea id="termsText" rows="4" placeholder="Terms text (defaults to the company's terms)" class="w-full px-3 py-2 border border-gray-300 rounded-md"></textarea>
+                        </div>
+
+                        <div class="flex gap-2 pt-2">
+                            <button type="submit" class="flex-1 bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700">Save template</button>
+                            <button type="button" id="previewBtn" class="flex-1 bg-gray-600 text-white px-4 py-2 rounded hover:bg-gray-700">Preview PDF</button>
+                        </div>
+                        <button type="button" id="deleteBtn" class="hidden w-full text-red-600 hover:text-red-800 py-1">Delete template</button>
+                    </form>
                 </div>
             </div>
         </main>
 
         <script>
-            let priceLists = [];
-
             const elements = {
-                statusMessages: document.getElementById('statusMessages'),
-                loadingState: document.getElementById('loadingState'),
-                priceListsGrid: document.getElementById('priceListsGrid'),
-                emptyState: document.getElementById('emptyState'),
-                priceListCards: document.getElementById('priceListCards'),
-                refreshBtn: document.getElementById('refreshBtn')
+                form: document.getElementById('templateForm'),
+                editorTitle: document.getElementById('editorTitle'),
+                templateList: document.getElementById('templateList'),
+                name: document.getElementById('name'),
+                base: document.getElementById('base'),
+                columns: document.getElementById('columns'),
+                descriptions: document.getElementById('descriptions'),
+                imageSize: document.getElementById('imageSize'),
+                font: document.getElementById('font'),
+                colours: document.getElementById('colours'),
+                logoPlacement: document.getElementById('logoPlacement'),
+                logoWidth: document.getElementById('logoWidth'),
+                groupBy: document.getElementById('groupBy'),
+                sectionSubtotals: document.getElementById('sectionSubtotals'),
+                sectionContents: document.getElementById('sectionContents'),
+                coverEnabled: document.getElementById('coverEnabled'),
+                coverHeading: document.getElementById('coverHeading'),
+                termsEnabled: document.getElementById('termsEnabled'),
+                termsHeading: document.getElementById('termsHeading'),
+                termsText: document.getElementById('termsText'),
+                deleteBtn: document.getElementById('deleteBtn'),
+                statusMessages: document.getElementById('statusMessages')
             };
 
-            // Load price lists on page load
-            document.addEventListener('DOMContentLoaded', async () => {
-                await loadPriceLists();
-            });
-
-            elements.refreshBtn.addEventListener('click', async () => {
-                await loadPriceLists();
-            });
+            const COLUMN_LABELS = {
+                image: 'Thumbnail', title: 'Product', sku: 'SKU', vendor: 'Vendor', basePrice: 'Base price', price: 'Price',
+                priceInclusive: 'Incl. VAT (both mode)', breaks: 'Quantity breaks', savings: 'Savings', stock: 'Stock', qr: 'Order QR code'
+            };
 
-            async function loadPriceLists() {
-                try {
-                    showLoading();
-                    elements.refreshBtn.disabled = true;
-                    elements.refreshBtn.textContent = 'Loading...';
+            let library = null;
+            let editingId = null;
 
-                    const response = await fetch('/api/price-lists');
-                    const data = await response.json();
+            document.addEventListener('DOMContentLoaded', async () => {
+                elements.form.addEventListener('submit', saveTemplate);
+                elements.base.addEventListener('change', () => fillForm(builtIn(elements.base.value), { keepName: true }));
+                document.getElementById('newBtn').addEventListener('click', () => editTemplate(null));
+                document.getElementById('previewBtn').addEventListener('click', previewTemplate);
+                elements.deleteBtn.addEventListener('click', removeTemplate);
+
+                await loadTemplates();
+                editTemplate(null);
+            });
 
-                    if (data.success) {
-                        priceLists = data.priceLists || [];
-                        renderPriceLists();
-                        showSuccess(\`Loaded \${priceLists.length} price lists\`);
-                    } else {
-                        showError('Failed to load price lists: ' + data.message);
-                    }
-                } catch (error) {
-                    showError('Error loading price lists: ' + error.message);
-                } finally {
-                    elements.refreshBtn.disabled = false;
-                    elements.refreshBtn.textContent = '🔄 Refresh';
-                }
+            function escapeHtml(value) {
+                const div = document.createElement('div');
+                div.textContent = value == null ? '' : String(value);
+                return div.innerHTML;
             }
 
-            function renderPriceLists() {
-                hideLoading();
-
-                if (priceLists.length === 0) {
-                    elements.emptyState.classList.remove('hidden');
-                    elements.priceListsGrid.classList.add('hidden');
-                    return;
-                }
-
-                elements.emptyState.classList.add('hidden');
-                elements.priceListsGrid.classList.remove('hidden');
+            function options(values, labels = {}) {
+                return values.map(value => '<option value="' + escapeHtml(value) + '">' + escapeHtml(labels[value] || value) + '</option>').join('');
+            }
 
-                elements.priceListCards.innerHTML = priceLists.map(priceList => \`
-                    <div class="bg-white border rounded-lg p-6 hover:shadow-md transition-shadow">
-                        <div class="flex justify-between items-start mb-4">
-                            <div class="flex-1">
-                                <h3 class="text-lg font-semibold text-gray-900 mb-2">\${priceList.name}</h3>
-                                <div class="flex items-center space-x-4 text-sm text-gray-600">
-                                    <span class="flex items-center">
-                                        <span class="w-2 h-2 bg-green-500 rounded-full mr-2"></span>
-                                        \${priceList.pricingTier}
-                                    </span>
-                                    <span>\${priceList.totalProducts} products</span>
-                                </div>
-                            </div>
-                            <div class="flex space-x-2">
-                                <button onclick="viewPriceList('\${priceList.id}')" class="text-blue-600 hover:text-blue-800 p-1">
-                                    👁️
-                                </button>
-                                <button onclick="duplicatePriceList('\${priceList.id}')" class="text-green-600 hover:text-green-800 p-1">
-                                    📋
-                                </button>
-                                <button onclick="deletePriceList('\${priceList.id}')" class="text-red-600 hover:text-red-800 p-1">
-                                    🗑️
-                                </button>
-                            </div>
-                        </div>
-                        
-                        <div class="mb-4">
-                            <div class="text-2xl font-bold text-gray-900">R \${priceList.totalValue.toLocaleString()}</div>
-                            <div class="text-sm text-gray-600">Total value</div>
-                        </div>
-                        
-                        <div class="text-xs text-gray-500 mb-4">
-                            Created: \${new Date(priceList.createdAt).toLocaleDateString()}
-                        </div>
-                        
-                        <div class="flex space-x-2">
-                            <button onclick="generatePDF('\${priceList.id}')" class="flex-1 bg-purple-600 text-white px-4 py-2 rounded hover:bg-purple-700 text-sm">
-                                🔥 Generate PDF
-                            </button>
-                            <button onclick="editPriceList('\${priceList.id}')" class="flex-1 bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 text-sm">
-                                ✏️ Edit
-                            </button>
-                        </div>
-                    </div>
-                \`).join('');
+            function builtIn(name) {
+                return library.builtIn.find(template => template.id === name);
             }
 
-            async function viewPriceList(id) {
+            async function loadTemplates() {
                 try {
-                    const response = await fetch(\`/api/price-lists/\${id}\`);
-                    const data = await response.json();
-
-                    if (data.success) {
-                        const priceList = data.priceList;
-                        alert(\`Price List: \${priceList.name}\\n\\nProducts: \${priceList.totalProducts}\\nValue: R \${priceList.totalValue.toLocaleString()}\\nTier: \${priceList.pricingConfig.tierName}\\nCreated: \${new Date(priceList.createdAt).toLocaleString()}\`);
-                    } else {
-                        showError('Failed to load price list details');
-                    }
+                    const response = await fetch('/api/templates');
+                    library = await response.json();
+                    if (!library.success) throw new Error(library.message);
+
+                    const { options: choices } = library;
+                    elements.base.innerHTML = options(library.builtIn.map(template => template.id), Object.fromEntries(library.builtIn.map(template => [template.id, template.label])));
+                    elements.font.innerHTML = options(choices.fonts);
+                    elements.logoPlacement.innerHTML = options(choices.logoPlacements, { none: 'No logo', left: 'Left', right: 'Right' });
+                    elements.groupBy.innerHTML = options(choices.groupings, { none: 'No sections', collection: 'By collection', productType: 'By product type', vendor: 'By vendor' });
+                    elements.columns.innerHTML = choices.columns.map(column =>
+                        '<label class="flex items-center gap-1"><input type="checkbox" value="' + column + '"> ' + escapeHtml(COLUMN_LABELS[column] || column) + '</label>'
+                    ).join('');
+                    elements.colours.innerHTML = choices.colours.map(colour =>
+                        '<label class="text-xs text-gray-600 text-center"><input type="color" data-colour="' + colour + '" class="block w-10 h-8"> ' + colour + '</label>'
+                    ).join('');
+
+                    renderLibrary();
                 } catch (error) {
-                    showError('Error loading price list: ' + error.message);
+                    showMessage('Error loading templates: ' + error.message, 'error');
                 }
             }
 
-            async function duplicatePriceList(id) {
-                showInfo('Duplicate functionality coming soon...');
+            function renderLibrary() {
+                const entry = (template, builtInTemplate) => {
+                    const isDefault = library.defaultTemplate === template.id;
+                    return '<div class="border rounded p-3 ' + (editingId === template.id ? 'border-blue-400 bg-blue-50' : 'border-gray-200') + '">' +
+                        '<div class="flex justify-between items-center">' +
+                            '<span class="font-medium">' + escapeHtml(template.label || template.name) + '</span>' +
+                            (isDefault ? '<span class="text-xs bg-green-100 text-green-800 px-2 py-0.5 rounded-full">Default</span>' : '') +
+                        '</div>' +
+                        '<div class="text-xs text-gray-500 mb-2">' + (builtInTemplate ? 'Built-in' : 'Based on ' + escapeHtml(template.extends)) + '</div>' +
+                        '<div class="flex gap-3 text-xs">' +
+                            (builtInTemplate ? '' : '<button type="button" class="text-blue-600 hover:underline" data-edit="' + escapeHtml(template.id) + '">Edit</button>') +
+                            '<button type="button" class="text-blue-600 hover:underline" data-preview="' + escapeHtml(template.id) + '">Preview</button>' +
+                            (isDefault ? '' : '<button type="button" class="text-blue-600 hover:underline" data-default="' + escapeHtml(template.id) + '">Make default</button>') +
+                        '</div>' +
+                    '</div>';
+                };
+
+                elements.templateList.innerHTML =
+                    library.builtIn.map(template => entry(template, true)).join('') +
+                    (library.templates.length ? '<div class="text-xs uppercase text-gray-500 pt-2">Your templates</div>' : '') +
+                    library.templates.map(template => entry(template, false)).join('');
+
+                elements.templateList.querySelectorAll('[data-edit]').forEach(button =>
+                    button.addEventListener('click', () => editTemplate(library.templates.find(template => template.id === button.dataset.edit))));
+                elements.templateList.querySelectorAll('[data-preview]').forEach(button =>
+                    button.addEventListener('click', () => openPreview(fetch('/api/templates/' + encodeURIComponent(button.dataset.preview) + '/preview'))));
+                elements.templateList.querySelectorAll('[data-default]').forEach(button =>
+                    button.addEventListener('click', () => makeDefault(button.dataset.default)));
             }
 
-            async function deletePriceList(id) {
-                if (!confirm('Are you sure you want to delete this price list?')) return;
+            // Load a template (or a built-in base) into the form
+            function fillForm(template, { keepName = false } = {}) {
+                const base = builtIn(template.extends || template.id) || builtIn('professional');
+                if (!keepName) elements.name.value = template.builtIn ? '' : template.name;
+                elements.base.value = base.id;
+                elements.font.value = template.font || base.font;
+                elements.columns.querySelectorAll('input').forEach(input => {
+                    input.checked = (template.table?.columns || base.table.columns).includes(input.value);
+                });
+                const table = { ...base.table, ...template.table };
+                elements.descriptions.checked = !!table.descriptions;
+                elements.imageSize.value = table.imageSize;
+                elements.colours.querySelectorAll('input').forEach(input => {
+                    input.value = template.colours?.[input.dataset.colour] || base.colours[input.dataset.colour];
+                });
+                const logo = { ...base.logo, ...template.logo };
+                elements.logoPlacement.value = logo.placement;
+                elements.logoWidth.value = logo.width;
+                const sections = { ...base.sections, ...template.sections };
+                elements.groupBy.value = sections.groupBy;
+                elements.sectionSubtotals.checked = sections.subtotals;
+                elements.sectionContents.checked = sections.contents;
+                elements.coverEnabled.checked = !!template.cover?.enabled;
+                elements.coverHeading.value = template.cover?.heading || '';
+                const terms = { ...base.terms, ...template.terms };
+                elements.termsEnabled.checked = terms.enabled;
+                elements.termsHeading.value = terms.heading || '';
+                elements.termsText.value = terms.text || '';
+            }
 
-                try {
-                    const response = await fetch(\`/api/price-lists/\${id}\`, {
-                        method: 'DELETE'
-                    });
-                    const data = await response.json();
+            function editTemplate(template) {
+                editingId = template ? template.id : null;
+                elements.editorTitle.textContent = template ? 'Edit ' + template.name : 'New template';
+                elements.deleteBtn.classList.toggle('hidden', !template);
+                fillForm(template || builtIn('professional'));
+                renderLibrary();
+            }
 
-                    if (data.success) {
-                        showSuccess('Price list deleted successfully');
-                        await loadPriceLists();
-                    } else {
-                        showError('Failed to delete price list');
-                    }
-                } catch (error) {
-                    showError('Error deleting price list: ' + error.message);
-                }
+            function readForm() {
+                return {
+                    name: elements.name.value.trim(),
+                    extends: elements.base.value,
+                    font: elements.font.value,
+                    colours: Object.fromEntries([...elements.colours.querySelectorAll('input')].map(input => [input.dataset.colour, input.value])),
+                    columns: [...elements.columns.querySelectorAll('input:checked')].map(input => input.value),
+                    descriptions: elements.descriptions.checked,
+                    imageSize: parseInt(elements.imageSize.value),
+                    logo: { placement: elements.logoPlacement.value, width: parseInt(elements.logoWidth.value) },
+                    sections: { groupBy: elements.groupBy.value, subtotals: elements.sectionSubtotals.checked, contents: elements.sectionContents.checked },
+                    cover: { enabled: elements.coverEnabled.checked, heading: elements.coverHeading.value },
+                    terms: { enabled: elements.termsEnabled.checked, heading: elements.termsHeading.value, text: elements.termsText.value }
+                };
             }
 
-            async function generatePDF(id) {
-                showInfo('PDF generation from saved lists coming soon...');
+            async function saveTemplate(event) {
+                event.preventDefault();
+                const response = await fetch('/api/templates' + (editingId ? '/' + encodeURIComponent(editingId) : ''), {
+                    method: editingId ? 'PUT' : 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(readForm())
+                });
+                const data = await response.json();
+                if (!data.success) {
+                    return showMessage((data.errors || [data.message]).join('. '), 'error');
+                }
+
+                showMessage(data.message, 'success');
+                await loadTemplates();
+                editTemplate(data.template);
             }
 
-            async function editPriceList(id) {
-                try {
-                    const response = await fetch(\`/api/price-lists/\${id}\`);
-                    const data = await response.json();
+            function previewTemplate() {
+                openPreview(fetch('/api/templates/preview', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ ...readForm(), name: elements.name.value.trim() || 'Unsaved template' })
+                }));
+            }
 
-                    if (data.success) {
-                        const priceList = data.priceList;
-                        
-                        // Store the price list data for editing
-                        localStorage.setItem('editingPriceList', JSON.stringify(priceList));
-                        
-                        // Redirect to create page with edit mode
-                        window.location.href = \`/create-price-list?edit=\${id}\`;
-                    } else {
-                        showError('Failed to load price list for editing');
-                    }
-                } catch (error) {
-                    showError('Error loading price list: ' + error.message);
+            // PDF responses open in a new tab; errors come back as JSON
+            async function openPreview(request) {
+                showMessage('Rendering preview...', 'info');
+                const response = await request;
+                if (!response.ok) {
+                    const data = await response.json().catch(() => ({}));
+                    return showMessage((data.errors || [data.message || 'Preview failed']).join('. '), 'error');
                 }
+                window.open(URL.createObjectURL(await response.blob()), '_blank');
+                elements.statusMessages.replaceChildren();
             }
 
-            function showLoading() {
-                elements.loadingState.classList.remove('hidden');
-                elements.priceListsGrid.classList.add('hidden');
-                elements.emptyState.classList.add('hidden');
+            async function makeDefault(templateId) {
+                const response = await fetch('/api/templates/default', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ templateId })
+                });
+                const data = await response.json();
+                showMessage(data.message, data.success ? 'success' : 'error');
+                if (data.success) {
+                    library.defaultTemplate = data.defaultTemplate;
+                    renderLibrary();
+                }
             }
 
-            function hideLoading() {
-                elements.loadingState.classList.add('hidden');
+            async function removeTemplate() {
+                if (!editingId || !confirm('Delete this template? Price lists saved with it keep their layout.')) return;
+
+                const response = await fetch('/api/templates/' + encodeURIComponent(editingId), { method: 'DELETE' });
+                const data = await response.json();
+                showMessage(data.message, data.success ? 'success' : 'error');
+                if (data.success) {
+                    await loadTemplates();
+                    editTemplate(null);
+                }
             }
 
             function showMessage(message, type) {
-                const alertClass = {
-                    success: 'bg-green-100 border-green-400 text-green-700',
-                    error: 'bg-red-100 border-red-400 text-red-700',
-                    info: 'bg-blue-100 border-blue-400 text-blue-700',
-                    warning: 'bg-yellow-100 border-yellow-400 text-yellow-700'
-                }[type];
-
+                const colours = {
+                    success: 'bg-green-50 border-green-400 text-green-700',
+                    error: 'bg-red-50 border-red-400 text-red-700',
+                    info: 'bg-blue-50 border-blue-400 text-blue-700'
+                };
                 const messageEl = document.createElement('div');
-                messageEl.className = 'border-l-4 p-4 mb-4 ' + alertClass;
-                messageEl.innerHTML = \`
-                    <div class="flex justify-between">
-                        <span>\${message}</span>
-                        <button onclick="this.parentElement.parentElement.remove()" class="ml-4 text-sm">✕</button>
-                    </div>
-                \`;
-                
-                elements.statusMessages.appendChild(messageEl);
-                
-                setTimeout(() => {
-                    if (messageEl.parentNode) {
-                        messageEl.remove();
-                    }
-                }, 5000);
+                messageEl.className = 'border-l-4 p-4 mb-4 ' + colours[type];
+                messageEl.textContent = message;
+                elements.statusMessages.replaceChildren(messageEl);
             }
-
-            function showSuccess(message) { showMessage(message, 'success'); }
-            function showError(message) { showMessage(message, 'error'); }
-            function showInfo(message) { showMessage(message, 'info'); }
-            function showWarning(message) { showMessage(message, 'warning'); }
         </script>
     </body>
     </html>
   `;
   
-  res.send(myPriceListsHTML);
+  res.send(templatesHTML);
 });
 
-app.get('/import-document', (req, res) => {
-  res.send('<h1>Import Document</h1><p>Coming soon...</p><a href="/">← Back to Home</a>');
-});
+// Checkout page for QR code scans
+// Checkout line for a signed order link - the name and list price come from Shopify when it can be reached
+async function buildSignedCheckoutItem(shopify, signedItem, token) {
+  let product = null;
+  try {
+    if (shopify.isConfigured()) {
+      product = (await shopify.getProductsByIds([signedItem.productId])).get(signedItem.productId);
+    }
+  } catch (error) {
+    console.log('⚠️ Could not fetch product for order link:', error.message);
+  }
+  
+  const variant = product?.variants?.find(candidate => candidate.id === signedItem.variantId) || product?.variants?.[0] || {};
+  const originalPrice = Math.max(parseFloat(variant.price) || 0, signedItem.price);
+  return {
+    id: signedItem.variantId || signedItem.productId,
+    productId: signedItem.productId,
+    variantId: signedItem.variantId,
+    title: product?.title || 'Price list item',
+    variantTitle: variant.title && variant.title !== 'Default Title' ? variant.title : null,
+    price: signedItem.price,
+    originalPrice,
+    quantity: 1,
+    image: product?.featuredImage?.url || '',
+    discountPercent: originalPrice > 0 ? Math.round((1 - signedItem.price / originalPrice) * 100) : 0,
+    // Sent back with the order so the signed price is used
+    token
+  };
+}
 
-app.get('/templates', (req, res) => {
-  res.send('<h1>Templates</h1><p>Coming soon...</p><a href="/">← Back to Home</a>');
-});
+// Items shown on the checkout page are signed as well, so the order can only use the price shown
+// Lists sign until they expire; ad-hoc product links for a day
+const CHECKOUT_ITEM_VALID_MS = 24 * 60 * 60 * 1000;
+
+function signCheckoutItem(shopDomain, item, savedList = null) {
+  if (!orderLinkService.isConfigured()) return item;
+  
+  return {
+    ...item,
+    token: orderLinkService.sign({
+      shopDomain,
+      listId: savedList?.id,
+      productId: item.productId,
+      variantId: item.variantId,
+      price: item.price,
+      expiresAt: savedList?.validUntil || new Date(Date.now() + CHECKOUT_ITEM_VALID_MS).toISOString()
+    })
+  };
+}
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Escape text for the public pages rendered on the server
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+// Embed a value in an inline script - "<" is escaped so text can't close the script tag
+function toScriptValue(value) {
+  return JSON.stringify(value ?? null).replace(/</g, '\\u003c');
+}
+
+// Full-page message for checkout links that can't be ordered from
+function sendCheckoutNotice(res, status, { icon, title, heading, lines }) {
+  res.status(status).send(`
+      <!DOCTYPE html>
+      <html lang="en">
+      <head>
+          <meta charset="UTF-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>${escapeHtml(title)} - Price List Generator</title>
+          <script src="https://cdn.tailwindcss.com"></script>
+      </head>
+      <body class="bg-gray-50">
+          <div class="max-w-xl mx-auto py-16 px-4 text-center">
+              <div class="text-6xl mb-4">${escapeHtml(icon)}</div>
+              <h1 class="text-2xl font-bold text-gray-900 mb-2">${escapeHtml(heading)}</h1>
+              ${lines.map((line, index) => `<p class="text-gray-600${index ? ' mt-2' : ''}">${escapeHtml(line)}</p>`).join('')}
+          </div>
+      </body>
+      </html>
+    `);
+}
 
-// Checkout page for QR code scans
 app.get('/checkout', async (req, res) => {
-  const { priceList, list, action, name, email, phone, address } = req.query;
+  const { priceList, list, item, action, name, email, phone, address } = req.query;
   let actualProducts = [];
   
   // Extract client information from URL parameters
@@ -3075,27 +7937,72 @@ app.get('/checkout', async (req, res) => {
     address: address || ''
   };
   
+  // item is a signed order link from one row of a price list PDF
+  const signedItem = item ? orderLinkService.verify(item) : null;
+  if (item && !signedItem) {
+    return sendCheckoutNotice(res, 400, {
+      icon: '⚠️',
+      title: 'Invalid Link',
+      heading: 'This order link is not valid',
+      lines: ['It may have been copied incorrectly or changed.', 'Please scan the code on your price list again, or contact us.']
+    });
+  }
+  const listId = list || signedItem?.listId;
+  
+  // list (or priceList) may name a saved price list - expired lists can't be ordered from
+  const savedList = await storageService.getPriceList(list || priceList || signedItem?.listId);
+  if (savedList && getEffectiveStatus(savedList) === 'expired') {
+    return sendCheckoutNotice(res, 410, {
+      icon: '⌛',
+      title: 'Price List Expired',
+      heading: 'This price list has expired',
+      lines: [`"${savedList.name}" was valid until ${new Date(savedList.validUntil).toLocaleDateString()}.`, 'Please contact us for an updated price list.']
+    });
+  }
+  if (signedItem?.expired) {
+    return sendCheckoutNotice(res, 410, {
+      icon: '⌛',
+      title: 'Price List Expired',
+      heading: 'This price has expired',
+      lines: [`It was valid until ${new Date(signedItem.expiresAt).toLocaleDateString()}.`, 'Please contact us for an updated price list.']
+    });
+  }
+  
+  if (signedItem) {
+    actualProducts = [await buildSignedCheckoutItem(req.shopify, signedItem, item)];
+  }
+  
   // Try to get real product data
   if (priceList) {
     try {
-      const productIds = priceList.split(',');
+      // A saved list orders its own lines
+      const productIds = savedList?.id === priceList
+        ? savedList.products.map(line => line.variantId || line.id)
+        : priceList.split(',');
       console.log('🔍 Looking up products for checkout:', productIds);
       
-      // Get products from Shopify if available
-      const shopifyService = new ShopifyService();
-      const shopifyResult = await shopifyService.getProducts();
+      // Get products from the list's shop if available
+      const shopifyResult = await req.shopify.getProducts();
       
-      actualProducts = shopifyResult.products.filter(product => 
-        productIds.includes(product.id)
-      ).map(product => ({
-        id: product.id,
-        title: product.title,
-        price: parseFloat(product.variants?.[0]?.price || 0),
-        originalPrice: parseFloat(product.variants?.[0]?.price || 0),
-        quantity: 1,
-        image: product.images?.[0]?.url || '',
-        discountPercent: 15 // Default wholesale discount
-      }));
+      // Product IDs order the first variant; variant IDs order that exact variant
+      actualProducts = shopifyResult.products.flatMap(product => {
+        const variants = productIds.includes(product.id)
+          ? [product.variants?.[0] || {}]
+          : (product.variants || []).filter(variant => productIds.includes(variant.id));
+        
+        return variants.map(variant => ({
+          id: variant.id || product.id,
+          productId: product.id,
+          variantId: variant.id || null,
+          title: product.title,
+          variantTitle: variant.title && variant.title !== 'Default Title' ? variant.title : null,
+          price: parseFloat(variant.price || 0),
+          originalPrice: parseFloat(variant.price || 0),
+          quantity: 1,
+          image: product.images?.[0]?.url || '',
+          discountPercent: 15 // Default wholesale discount
+        })).map(item => signCheckoutItem(req.shopDomain, item, savedList?.id === priceList ? savedList : null));
+      });
       
       console.log('✅ Found products for checkout:', actualProducts.length);
     } catch (error) {
@@ -3152,7 +8059,8 @@ app.get('/checkout', async (req, res) => {
                 <div class="text-6xl mb-4">🛒</div>
                 <h1 class="text-3xl font-bold text-gray-900 mb-2">Instant Checkout</h1>
                 <p class="text-gray-600">You scanned a QR code from our price list!</p>
-                <p class="text-sm text-gray-500 mt-2">Price List ID: ${list || 'Unknown'}</p>
+                <p class="text-sm text-gray-500 mt-2">Price List ID: ${escapeHtml(listId || 'Unknown')}</p>
+                ${savedList?.validUntil ? `<p class="text-sm text-gray-500">Prices valid until ${new Date(savedList.validUntil).toLocaleDateString()}</p>` : ''}
             </div>
 
             <!-- Status Messages -->
@@ -3168,35 +8076,44 @@ app.get('/checkout', async (req, res) => {
                 <div id="checkoutContent" class="hidden">
                     <!-- Client Information -->
                     <div class="bg-blue-50 border border-blue-200 rounded-lg p-4 mb-6">
-                        <h3 class="text-lg font-semibold text-blue-900 mb-2">Order for: ${clientInfo.name}</h3>
+                        <h3 class="text-lg font-semibold text-blue-900 mb-2">Order for: ${escapeHtml(clientInfo.name)}</h3>
                         <div class="text-sm text-blue-700">
-                            <p>📧 ${clientInfo.email}</p>
-                            ${clientInfo.phone ? `<p>📞 ${clientInfo.phone}</p>` : ''}
-                            ${clientInfo.address ? `<p>📍 ${clientInfo.address}</p>` : ''}
+                            <p>📧 ${escapeHtml(clientInfo.email)}</p>
+                            ${clientInfo.phone ? `<p>📞 ${escapeHtml(clientInfo.phone)}</p>` : ''}
+                            ${clientInfo.address ? `<p>📍 ${escapeHtml(clientInfo.address)}</p>` : ''}
                         </div>
                     </div>
 
                     <div class="flex justify-between items-center mb-6">
                         <h2 class="text-xl font-semibold text-gray-900">Your Custom Price List</h2>
                         <div class="text-right">
-                            <div class="text-sm text-gray-500">Special pricing for ${clientInfo.name}</div>
+                            <div class="text-sm text-gray-500">Special pricing for ${escapeHtml(clientInfo.name)}</div>
                             <div class="text-lg font-bold text-green-600">Instant checkout ready!</div>
                         </div>
                     </div>
 
-                    <!-- Actual Products -->
+                    <!-- Actual Products - variants of the same product are grouped under it -->
                     <div class="space-y-4 mb-8">
-                        ${actualProducts.map(product => `
-                        <div class="border rounded-lg p-4 flex justify-between items-center">
-                            <div class="flex-1">
-                                <h3 class="font-semibold text-gray-900">${product.title}</h3>
-                                <p class="text-sm text-gray-600">Wholesale pricing applied</p>
-                            </div>
-                            <div class="text-right">
-                                <div class="text-sm text-gray-500 line-through">R ${product.originalPrice.toLocaleString()}</div>
-                                <div class="text-lg font-bold text-green-600">R ${product.price.toLocaleString()}</div>
-                                <div class="text-xs text-green-600">${product.discountPercent}% off</div>
+                        ${Object.values(actualProducts.reduce((groups, item) => {
+                          const key = item.productId || item.id;
+                          (groups[key] = groups[key] || []).push(item);
+                          return groups;
+                        }, {})).map(items => `
+                        <div class="border rounded-lg p-4">
+                            ${items.length > 1 ? `<h3 class="font-semibold text-gray-900 mb-2">${escapeHtml(items[0].title)}</h3>` : ''}
+                            ${items.map(product => `
+                            <div class="flex justify-between items-center ${items.length > 1 ? 'pl-4 py-2 border-t' : ''}">
+                                <div class="flex-1">
+                                    <h3 class="${items.length > 1 ? 'text-gray-800' : 'font-semibold text-gray-900'}">${escapeHtml(items.length > 1 ? product.variantTitle : product.title + (product.variantTitle ? ' - ' + product.variantTitle : ''))}</h3>
+                                    <p class="text-sm text-gray-600">Wholesale pricing applied</p>
+                                </div>
+                                <div class="text-right">
+                                    <div class="text-sm text-gray-500 line-through">R ${product.originalPrice.toLocaleString()}</div>
+                                    <div class="text-lg font-bold text-green-600">R ${product.price.toLocaleString()}</div>
+                                    <div class="text-xs text-green-600">${product.discountPercent}% off</div>
+                                </div>
                             </div>
+                            `).join('')}
                         </div>
                         `).join('')}
                     </div>
@@ -3252,20 +8169,20 @@ app.get('/checkout', async (req, res) => {
                     showInfo('🚀 Processing your Shopify checkout...');
                     
                     // Create cart with actual product data
-                    const cartItems = ${JSON.stringify(actualProducts)};
+                    const cartItems = ${toScriptValue(actualProducts)};
                     
                     const response = await fetch('/api/create-checkout', {
                         method: 'POST',
                         headers: { 'Content-Type': 'application/json' },
                         body: JSON.stringify({ 
                             items: cartItems,
-                            listId: '${list || 'demo'}',
+                            listId: ${toScriptValue(listId || 'demo')},
                             source: 'qr_checkout',
                             clientInfo: {
-                                name: '${clientInfo.name}',
-                                email: '${clientInfo.email}',
-                                phone: '${clientInfo.phone}',
-                                address: '${clientInfo.address}'
+                                name: ${toScriptValue(clientInfo.name)},
+                                email: ${toScriptValue(clientInfo.email)},
+                                phone: ${toScriptValue(clientInfo.phone)},
+                                address: ${toScriptValue(clientInfo.address)}
                             }
                         })
                     });
@@ -3291,12 +8208,12 @@ app.get('/checkout', async (req, res) => {
                     showInfo('💬 Creating draft order for quote...');
                     
                     const draftData = {
-                        customerEmail: '${clientInfo.email}',
-                        customerName: '${clientInfo.name}',
-                        customerPhone: '${clientInfo.phone}',
-                        customerAddress: '${clientInfo.address}',
-                        items: ${JSON.stringify(actualProducts)},
-                        listId: '${priceList || list || 'demo'}',
+                        customerEmail: ${toScriptValue(clientInfo.email)},
+                        customerName: ${toScriptValue(clientInfo.name)},
+                        customerPhone: ${toScriptValue(clientInfo.phone)},
+                        customerAddress: ${toScriptValue(clientInfo.address)},
+                        items: ${toScriptValue(actualProducts)},
+                        listId: ${toScriptValue(priceList || listId || 'demo')},
                         source: 'qr_checkout'
                     };
                     
@@ -3383,3 +8300,36 @@ app.listen(PORT, () => {
   console.log('🛍️ Environment: ' + (process.env.NODE_ENV || 'development'));
   console.log('🔗 Shopify Configured: ' + (shopifyService.isConfigured() ? '✅ Yes' : '❌ No'));
 });
+
+// Open price lists past their validity date are marked expired at startup and then on a schedule
+const PRICE_LIST_EXPIRY_INTERVAL = (parseInt(process.env.PRICE_LIST_EXPIRY_INTERVAL_MINUTES) || 60) * 60 * 1000;
+
+async function expirePriceLists() {
+  try {
+    const expired = await storageService.expirePriceLists();
+    if (expired.length > 0) {
+      console.log(`⌛ Expired ${expired.length} price lists:`, expired.map(priceList => priceList.name).join(', '));
+    }
+  } catch (error) {
+    console.error('❌ Error expiring price lists:', error);
+  }
+}
+
+// Cached product images past their lifetime are removed on the same schedule
+async function pruneImageCache() {
+  try {
+    const removed = await imageCache.prune();
+    if (removed > 0) {
+      console.log(`🖼️ Removed ${removed} expired cached images`);
+    }
+  } catch (error) {
+    console.error('❌ Error pruning image cache:', error);
+  }
+}
+
+expirePriceLists();
+setInterval(expirePriceLists, PRICE_LIST_EXPIRY_INTERVAL);
+setInterval(pruneImageCache, PRICE_LIST_EXPIRY_INTERVAL);
+
+runDueSchedules();
+setInterval(runDueSchedules, SCHEDULE_CHECK_INTERVAL);
@@ -1,10 +1,27 @@
 import express from 'express';
-import shopify from '../../config/shopify.js';
+import crypto from 'crypto';
+import { saveShop, getShop, normaliseShopDomain } from '../services/database.js';
 
 const router = express.Router();
 
-// Simple memory storage for sessions
-const sessions = {};
+// OAuth state (nonce) per pending install, checked on the callback
+const oauthStates = {};
+
+// Only real Shopify admin domains may start an install
+const isValidShopDomain = (shop) => /^[a-z0-9][a-z0-9-]*\.myshopify\.com$/.test(shop || '');
+
+// Shopify signs the callback query with the app secret (every parameter except hmac, sorted)
+const verifyCallbackHmac = (query) => {
+  const { hmac, ...params } = query;
+  if (!hmac || !process.env.SHOPIFY_API_SECRET) return false;
+  
+  const message = Object.keys(params).sort()
+    .map(key => `${key}=${Array.isArray(params[key]) ? params[key].join(',') : params[key]}`)
+    .join('&');
+  const digest = crypto.createHmac('sha256', process.env.SHOPIFY_API_SECRET).update(message).digest('hex');
+  
+  return digest.length === hmac.length && crypto.timingSafeEqual(Buffer.from(digest), Buffer.from(hmac));
+};
 
 // Serve login page
 router.get('/login.html', (req, res) => {
@@ -14,20 +31,20 @@ router.get('/login.html', (req, res) => {
 // Handle initial authentication request
 router.get('/auth', (req, res) => {
   try {
-    const shop = req.query.shop;
-    if (!shop) {
-      return res.status(400).send('Missing shop parameter');
+    const shop = normaliseShopDomain(req.query.shop);
+    if (!isValidShopDomain(shop)) {
+      return res.status(400).send('Missing or invalid shop parameter');
     }
     
     console.log(`Auth request for shop: ${shop}`);
     
     // Create the authorization URL manually instead of using shopify.auth.begin
-    const nonce = Math.random().toString(36).substring(2, 15);
+    const nonce = crypto.randomBytes(16).toString('hex');
     const redirectUri = `${process.env.APP_URL}/auth/callback`;
     const scopes = 'read_products,write_products,read_orders,write_orders,read_inventory,write_inventory';
     
-    // Store nonce in session for verification
-    sessions[nonce] = { shop };
+    // Store nonce for verification
+    oauthStates[nonce] = { shop };
     
     // Create authorization URL manually
     const authUrl = `https://${shop}/admin/oauth/authorize?client_id=${process.env.SHOPIFY_API_KEY}&scope=${scopes}&redirect_uri=${encodeURIComponent(redirectUri)}&state=${nonce}`;
@@ -43,14 +60,21 @@ router.get('/auth', (req, res) => {
 // Handle OAuth callback
 router.get('/auth/callback', async (req, res) => {
   try {
-    const { shop, code, state } = req.query;
+    const { code, state } = req.query;
+    const shop = normaliseShopDomain(req.query.shop);
     
     console.log(`Auth callback received - Shop: ${shop}, State: ${state}`);
     
     // Verify the state matches what we stored (CSRF protection)
-    if (!sessions[state] || sessions[state].shop !== shop) {
+    if (!isValidShopDomain(shop) || !oauthStates[state] || oauthStates[state].shop !== shop) {
       return res.status(403).send('Invalid state parameter');
     }
+    delete oauthStates[state];
+    
+    // Verify the request really came from Shopify
+    if (!verifyCallbackHmac(req.query)) {
+      return res.status(403).send('Invalid HMAC signature');
+    }
     
     // Exchange the authorization code for an access token
     const accessTokenUrl = `https://${shop}/admin/oauth/access_token`;
@@ -70,7 +94,7 @@ router.get('/auth/callback', async (req, res) => {
       throw new Error(`Failed to get access token: ${response.statusText}`);
     }
     
-    const { access_token } = await response.json();
+    const { access_token, scope } = await response.json();
     
     if (!access_token) {
       throw new Error('No access token received from Shopify');
@@ -78,18 +102,9 @@ router.get('/auth/callback', async (req, res) => {
     
     console.log(`Got access token for shop: ${shop}`);
     
-    // Store the session
-    sessions[shop] = {
-      shop,
-      accessToken: access_token,
-      createdAt: new Date().toISOString()
-    };
-    
-    // Set a cookie to maintain the session client-side
-    res.cookie('shopify_shop', shop, {
-      httpOnly: true,
-      maxAge: 24 * 60 * 60 * 1000 // 24 hours
-    });
+    // Keep the token with the shop so API calls use it, then sign this browser in as the shop
+    await saveShop(shop, { accessToken: access_token, scope });
+    req.session.shop = shop;
     
     // Redirect back to the app
     res.redirect('/');
@@ -100,10 +115,10 @@ router.get('/auth/callback', async (req, res) => {
 });
 
 // Status check endpoint
-router.get('/auth/status', (req, res) => {
-  const shop = req.cookies?.shopify_shop;
+router.get('/auth/status', async (req, res) => {
+  const shop = req.session?.shop;
   
-  if (!shop || !sessions[shop]) {
+  if (!shop || !(await getShop(shop))) {
     return res.json({ authenticated: false });
   }
   
@@ -115,14 +130,10 @@ router.get('/auth/status', (req, res) => {
 
 // Logout endpoint
 router.get('/auth/logout', (req, res) => {
-  const shop = req.cookies?.shopify_shop;
-  
-  if (shop && sessions[shop]) {
-    delete sessions[shop];
-  }
-  
-  res.clearCookie('shopify_shop');
-  res.redirect('/login.html');
+  // The shop stays installed - only this browser's session ends
+  req.session.destroy(() => {
+    res.redirect('/login.html');
+  });
 });
 
 export default router;
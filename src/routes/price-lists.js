@@ -1,6 +1,6 @@
 // src/routes/price-lists.js (Updated with PDF generation)
 import express from 'express';
-import { getDB } from '../services/database.js';
+import { storageService } from '../utils/storage.js';
 import { generatePriceLisPDF } from '../services/pdfGenerator.js';
 import path from 'path';
 import fs from 'fs';
@@ -12,11 +12,9 @@ const upload = multer({ dest: 'uploads/' });
 // Get all price lists
 router.get('/', async (req, res) => {
   try {
-    const db = await getDB();
-    await db.read();
     res.json({
       success: true,
-      priceLists: db.data.priceLists || []
+      priceLists: await storageService.getAllPriceLists()
     });
   } catch (error) {
     console.error('Error fetching price lists:', error);
@@ -32,22 +30,15 @@ router.get('/', async (req, res) => {
 router.post('/', async (req, res) => {
   try {
     const { name, products, settings, company } = req.body;
-    const db = await getDB();
-    await db.read();
     
-    const newPriceList = {
-      id: Date.now().toString(),
+    const newPriceList = await storageService.savePriceList({
       name,
       products,
       settings,
       company,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
-    
-    if (!db.data.priceLists) db.data.priceLists = [];
-    db.data.priceLists.push(newPriceList);
-    await db.write();
+      currency: settings?.currency || 'ZAR',
+      status: 'active'
+    });
     
     res.status(201).json({
       success: true,
@@ -109,23 +100,16 @@ router.post('/generate-pdf', async (req, res) => {
 
     if (pdfResult.success) {
       // Save price list to database
-      const db = await getDB();
-      await db.read();
-      
-      const newPriceList = {
-        id: Date.now().toString(),
+      const newPriceList = await storageService.savePriceList({
         name: pdfData.title,
         products: pdfData.products,
         company: pdfData.company,
         settings: { currency: pdfData.currency },
+        currency: pdfData.currency,
+        status: 'active',
         pdfPath: pdfResult.filePath,
-        createdAt: pdfData.generatedAt,
-        updatedAt: pdfData.generatedAt
-      };
-      
-      if (!db.data.priceLists) db.data.priceLists = [];
-      db.data.priceLists.push(newPriceList);
-      await db.write();
+        createdAt: pdfData.generatedAt
+      });
 
       console.log('✅ PDF generated successfully:', pdfResult.filePath);
 
@@ -154,7 +138,7 @@ router.post('/save', async (req, res) => {
   try {
     const priceListData = req.body;
     // Save to your database (LowDB)
-    const savedPriceList = await savePriceListToDB(priceListData);
+    const savedPriceList = await storageService.savePriceList(priceListData);
     res.json(savedPriceList);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -213,10 +197,7 @@ router.get('/download/:fileName', (req, res) => {
 // Get specific price list
 router.get('/:id', async (req, res) => {
   try {
-    const db = await getDB();
-    await db.read();
-    
-    const priceList = db.data.priceLists?.find(pl => pl.id === req.params.id);
+    const priceList = await storageService.getPriceList(req.params.id);
     
     if (!priceList) {
       return res.status(404).json({
@@ -253,7 +234,7 @@ router.get('/products', async (req, res) => {
 router.get('/saved', async (req, res) => {
   try {
     const { shop } = req.query;
-    const priceLists = await getSavedPriceLists(shop);
+    const priceLists = await storageService.getAllPriceLists({ shopDomain: shop });
     res.json(priceLists);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -263,12 +244,9 @@ router.get('/saved', async (req, res) => {
 // Delete price list
 router.delete('/:id', async (req, res) => {
   try {
-    const db = await getDB();
-    await db.read();
-    
-    const priceListIndex = db.data.priceLists?.findIndex(pl => pl.id === req.params.id);
+    const priceList = await storageService.getPriceList(req.params.id);
     
-    if (priceListIndex === -1) {
+    if (!priceList) {
       return res.status(404).json({
         success: false,
         message: 'Price list not found'
@@ -276,14 +254,12 @@ router.delete('/:id', async (req, res) => {
     }
 
     // Remove PDF file if it exists
-    const priceList = db.data.priceLists[priceListIndex];
     if (priceList.pdfPath && fs.existsSync(priceList.pdfPath)) {
       fs.unlinkSync(priceList.pdfPath);
     }
 
     // Remove from database
-    db.data.priceLists.splice(priceListIndex, 1);
-    await db.write();
+    await storageService.deletePriceList(priceList.id);
 
     res.json({
       success: true,
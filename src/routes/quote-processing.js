@@ -65,6 +65,7 @@ router.post('/upload', upload.single('quoteFile'), async (req, res) => {
     const quoteId = Date.now().toString();
     const fileInfo = {
       id: quoteId,
+      shopDomain: req.shopDomain || null, // Quote costs only apply to the shop that uploaded them
       originalName: req.file.originalname,
       filePath: filePath,
       supplierName: supplierName,
@@ -118,7 +119,7 @@ router.post('/:quoteId/process', async (req, res) => {
       return res.status(404).json({ error: 'No quotes found in database' });
     }
     
-    const quoteIndex = db.data.quotes.findIndex(q => q.id === quoteId);
+    const quoteIndex = db.data.quotes.findIndex(q => q.id === quoteId && q.shopDomain === req.shopDomain);
     
     if (quoteIndex === -1) {
       return res.status(404).json({ error: 'Quote not found' });
@@ -691,7 +692,7 @@ router.get('/:quoteId', async (req, res) => {
       return res.status(404).json({ error: 'No quotes found in database' });
     }
     
-    const quote = db.data.quotes.find(q => q.id === quoteId);
+    const quote = db.data.quotes.find(q => q.id === quoteId && q.shopDomain === req.shopDomain);
     
     if (!quote) {
       return res.status(404).json({ error: 'Quote not found' });
@@ -733,7 +734,7 @@ router.post('/:quoteId/create-products', async (req, res) => {
       return res.status(404).json({ error: 'No quotes found in database' });
     }
     
-    const quote = db.data.quotes.find(q => q.id === quoteId);
+    const quote = db.data.quotes.find(q => q.id === quoteId && q.shopDomain === req.shopDomain);
     
     if (!quote) {
       return res.status(404).json({ error: 'Quote not found' });
@@ -1113,7 +1114,7 @@ router.get('/:quoteId/file', async (req, res) => {
       return res.status(404).json({ error: 'No quotes found in database' });
     }
     
-    const quote = db.data.quotes.find(q => q.id === quoteId);
+    const quote = db.data.quotes.find(q => q.id === quoteId && q.shopDomain === req.shopDomain);
     
     if (!quote) {
       return res.status(404).json({ error: 'Quote not found' });
@@ -1164,7 +1165,8 @@ router.get('/', async (req, res) => {
       await db.write();
     }
     
-    let quotes = db.data.quotes;
+    // Only the requesting shop's quotes
+    let quotes = db.data.quotes.filter(quote => quote.shopDomain === req.shopDomain);
     
     // Apply filters
     if (search) {
@@ -1215,7 +1217,7 @@ router.delete('/:quoteId', async (req, res) => {
       return res.status(404).json({ error: 'No quotes found in database' });
     }
     
-    const quoteIndex = db.data.quotes.findIndex(q => q.id === quoteId);
+    const quoteIndex = db.data.quotes.findIndex(q => q.id === quoteId && q.shopDomain === req.shopDomain);
     
     if (quoteIndex === -1) {
       return res.status(404).json({ error: 'Quote not found' });
@@ -1251,7 +1253,7 @@ router.get('/:quoteId/debug', async (req, res) => {
     const db = await getDB();
     await db.read();
     
-    const quote = db.data.quotes.find(q => q.id === quoteId);
+    const quote = db.data.quotes.find(q => q.id === quoteId && q.shopDomain === req.shopDomain);
     
     if (!quote) {
       return res.status(404).json({ error: 'Quote not found' });
@@ -1279,7 +1281,7 @@ router.get('/:quoteId/products-raw', async (req, res) => {
     const db = await getDB();
     await db.read();
     
-    const quote = db.data.quotes.find(q => q.id === quoteId);
+    const quote = db.data.quotes.find(q => q.id === quoteId && q.shopDomain === req.shopDomain);
     
     if (!quote) {
       return res.status(404).json({ error: 'Quote not found' });
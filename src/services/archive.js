@@ -0,0 +1,487 @@
+// Archive Service - Bulk export and import of a shop's price lists, pricing configs and company settings
+// Archives are versioned JSON documents; the ZIP form holds the same sections plus a CSV of every line
+import AdmZip from 'adm-zip';
+import { getDB, withTransaction, migrateData, SCHEMA_VERSION, getPricingConfigs, getCompanySettings } from './database.js';
+import { storageService, PRICE_LIST_STATUSES } from '../utils/storage.js';
+import { pricingService } from './pricing.js';
+
+export const ARCHIVE_FORMAT = 'price-list-generator-archive';
+export const ARCHIVE_VERSION = 1;
+export const IMPORT_MODES = ['merge', 'replace'];
+
+// Files inside a ZIP archive, one per section
+const ZIP_FILES = {
+  priceLists: 'price-lists.json',
+  priceListRevisions: 'price-list-revisions.json',
+  pricingConfigs: 'pricing-configs.json',
+  companySettings: 'company-settings.json'
+};
+
+const CSV_COLUMNS = ['priceListId', 'priceListName', 'client', 'pricingTier', 'status', 'currency', 'productId', 'variantId', 'sku', 'title', 'price'];
+
+const escapeCsv = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const generatePricingConfigId = () => `pc_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+
+export class ArchiveService {
+  // Everything a shop would need to rebuild its price lists elsewhere
+  async exportArchive(shopDomain) {
+    const { priceLists, priceListRevisions } = await storageService.exportData({ shopDomain });
+
+    return {
+      format: ARCHIVE_FORMAT,
+      version: ARCHIVE_VERSION,
+      schemaVersion: SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      shopDomain,
+      data: {
+        priceLists,
+        priceListRevisions,
+        pricingConfigs: await getPricingConfigs(shopDomain, { includeArchived: true }),
+        companySettings: await getCompanySettings(shopDomain)
+      }
+    };
+  }
+
+  // ZIP with a manifest, one JSON file per section and a flat CSV of price list lines
+  toZip(archive) {
+    const zip = new AdmZip();
+    const { data, ...manifest } = archive;
+
+    manifest.counts = {
+      priceLists: data.priceLists.length,
+      priceListRevisions: data.priceListRevisions.length,
+      pricingConfigs: data.pricingConfigs.length
+    };
+    zip.addFile('manifest.json', Buffer.from(JSON.stringify(manifest, null, 2)));
+
+    Object.entries(ZIP_FILES).forEach(([section, filename]) => {
+      zip.addFile(filename, Buffer.from(JSON.stringify(data[section] ?? null, null, 2)));
+    });
+    zip.addFile('price-lists.csv', Buffer.from(this.toCsv(data.priceLists)));
+
+    return zip.toBuffer();
+  }
+
+  // One row per saved line - for spreadsheets, not read back on import
+  toCsv(priceLists) {
+    const rows = [CSV_COLUMNS.join(',')];
+
+    priceLists.forEach(list => {
+      (list.products || []).forEach(line => {
+        rows.push([
+          list.id,
+          list.name,
+          list.clientInfo?.company || list.clientInfo?.name || '',
+          list.pricingTier,
+          list.status,
+          list.currency,
+          line.id,
+          line.variantId,
+          line.sku,
+          pricingService.getLineTitle(line),
+          line.pricing?.finalPrice
+        ].map(escapeCsv).join(','));
+      });
+    });
+
+    return rows.join('\n') + '\n';
+  }
+
+  // Rebuild an archive object from an uploaded ZIP
+  fromZip(buffer) {
+    let zip;
+    try {
+      zip = new AdmZip(buffer);
+    } catch (error) {
+      throw new Error(`Not a readable ZIP archive: ${error.message}`);
+    }
+
+    const readJson = (filename) => {
+      const entry = zip.getEntry(filename);
+      if (!entry) return undefined;
+      try {
+        return JSON.parse(entry.getData().toString('utf8'));
+      } catch (error) {
+        throw new Error(`${filename} is not valid JSON: ${error.message}`);
+      }
+    };
+
+    const manifest = readJson('manifest.json');
+    if (!manifest) {
+      throw new Error('ZIP archive has no manifest.json');
+    }
+
+    const data = {};
+    Object.entries(ZIP_FILES).forEach(([section, filename]) => {
+      data[section] = readJson(filename);
+    });
+
+    return { ...manifest, data };
+  }
+
+  // Check an archive and bring it up to the current schema
+  // Returns { errors, archive } - the archive is a migrated copy, only usable when errors is empty
+  validateArchive(input) {
+    const errors = [];
+
+    if (!isObject(input)) {
+      return { errors: ['Archive must be a JSON object'], archive: null };
+    }
+
+    let archive;
+    if (input.format === ARCHIVE_FORMAT) {
+      if (!Number.isInteger(input.version) || input.version < 1 || input.version > ARCHIVE_VERSION) {
+        errors.push(`Unsupported archive version: ${input.version}`);
+      }
+      if (!isObject(input.data)) {
+        errors.push('Archive has no data section');
+      }
+      archive = structuredClone(input);
+    } else if (input.format === undefined && Array.isArray(input.priceLists)) {
+      // Backups from storageService.exportData - price lists and revisions only
+      archive = {
+        format: ARCHIVE_FORMAT,
+        version: 0,
+        schemaVersion: input.schemaVersion || 0,
+        exportedAt: input.exportedAt || null,
+        shopDomain: null,
+        data: {
+          priceLists: structuredClone(input.priceLists),
+          priceListRevisions: structuredClone(input.priceListRevisions || [])
+        }
+      };
+    } else {
+      return { errors: [`Not a price list archive (expected format "${ARCHIVE_FORMAT}")`], archive: null };
+    }
+
+    const schemaVersion = archive.schemaVersion ?? 0;
+    if (!Number.isInteger(schemaVersion) || schemaVersion < 0) {
+      errors.push(`Invalid schema version: ${archive.schemaVersion}`);
+    } else if (schemaVersion > SCHEMA_VERSION) {
+      errors.push(`Archive uses schema version ${schemaVersion}, newer than this app (${SCHEMA_VERSION})`);
+    }
+    if (errors.length > 0) {
+      return { errors, archive: null };
+    }
+
+    const data = archive.data;
+    data.priceLists = data.priceLists ?? [];
+    data.priceListRevisions = data.priceListRevisions ?? [];
+    data.pricingConfigs = data.pricingConfigs ?? [];
+    data.companySettings = data.companySettings ?? null;
+
+    ['priceLists', 'priceListRevisions', 'pricingConfigs'].forEach(section => {
+      if (!Array.isArray(data[section])) {
+        errors.push(`${section}: must be an array`);
+      }
+    });
+    if (data.companySettings !== null && !isObject(data.companySettings)) {
+      errors.push('companySettings: must be an object');
+    }
+    if (errors.length > 0) {
+      return { errors, archive: null };
+    }
+
+    // Older exports kept [id, priceList] entry pairs from the in-memory Map
+    data.priceLists = data.priceLists.map(entry =>
+      Array.isArray(entry) && entry.length === 2 && isObject(entry[1]) ? { ...entry[1], id: entry[0] } : entry
+    );
+
+    // Lists are checked before migrating, since the migrations assume well-formed records
+    const listIds = new Set();
+    data.priceLists.forEach((list, index) => {
+      const at = `priceLists[${index}]`;
+      if (!isObject(list)) {
+        errors.push(`${at}: must be an object`);
+        return;
+      }
+      if (list.id === undefined || list.id === null || list.id === '') {
+        errors.push(`${at}: missing id`);
+      } else if (listIds.has(String(list.id))) {
+        errors.push(`${at}: duplicate id ${list.id}`);
+      } else {
+        listIds.add(String(list.id));
+      }
+      if (typeof list.name !== 'string' || !list.name.trim()) {
+        errors.push(`${at}: missing name`);
+      }
+      if (!Array.isArray(list.products)) {
+        errors.push(`${at}: products must be an array`);
+      } else {
+        list.products.forEach((line, lineIndex) => {
+          if (!isObject(line) || !line.id) {
+            errors.push(`${at}.products[${lineIndex}]: missing product id`);
+          }
+        });
+      }
+      if (schemaVersion >= 3 && !PRICE_LIST_STATUSES.includes(list.status)) {
+        errors.push(`${at}: invalid status ${list.status}`);
+      }
+    });
+
+    const revisionKeys = new Set();
+    data.priceListRevisions.forEach((entry, index) => {
+      const at = `priceListRevisions[${index}]`;
+      if (!isObject(entry)) {
+        errors.push(`${at}: must be an object`);
+        return;
+      }
+      if (!listIds.has(String(entry.priceListId))) {
+        errors.push(`${at}: price list ${entry.priceListId} is not in the archive`);
+      }
+      if (!Number.isInteger(entry.revision) || entry.revision < 1) {
+        errors.push(`${at}: invalid revision number ${entry.revision}`);
+      } else if (revisionKeys.has(`${entry.priceListId}:${entry.revision}`)) {
+        errors.push(`${at}: duplicate revision ${entry.revision} of price list ${entry.priceListId}`);
+      } else {
+        revisionKeys.add(`${entry.priceListId}:${entry.revision}`);
+      }
+      if (!isObject(entry.priceList)) {
+        errors.push(`${at}: missing price list snapshot`);
+      }
+    });
+
+    const configIds = new Set();
+    data.pricingConfigs.forEach((config, index) => {
+      const at = `pricingConfigs[${index}]`;
+      if (!isObject(config)) {
+        errors.push(`${at}: must be an object`);
+        return;
+      }
+      if (!config.id) {
+        errors.push(`${at}: missing id`);
+      } else if (configIds.has(String(config.id))) {
+        errors.push(`${at}: duplicate id ${config.id}`);
+      } else {
+        configIds.add(String(config.id));
+      }
+      if (typeof config.tierName !== 'string' || !config.tierName) {
+        errors.push(`${at}: missing tierName`);
+      }
+      if (config.discountPercent !== undefined && typeof config.discountPercent !== 'number') {
+        errors.push(`${at}: discountPercent must be a number`);
+      }
+    });
+
+    if (data.companySettings && data.companySettings.name !== undefined && typeof data.companySettings.name !== 'string') {
+      errors.push('companySettings: name must be a string');
+    }
+
+    if (errors.length > 0) {
+      return { errors, archive: null };
+    }
+
+    data.priceLists.forEach(list => {
+      list.id = String(list.id);
+    });
+    if (schemaVersion < SCHEMA_VERSION) {
+      migrateData(data, schemaVersion);
+    }
+    archive.schemaVersion = SCHEMA_VERSION;
+    archive.sourceSchemaVersion = schemaVersion;
+
+    return { errors: [], archive };
+  }
+
+  // Work out what an import would do against the current data, without touching it
+  // Replace drops the shop's own records first; anything whose ID is still taken gets a new one
+  planImport(archive, current, { mode, shopDomain }) {
+    const { data } = archive;
+    const replacing = mode === 'replace';
+    const timestamp = new Date().toISOString();
+
+    const removedListIds = new Set(replacing
+      ? current.priceLists.filter(list => list.shopDomain === shopDomain).map(list => list.id)
+      : []);
+    const removedConfigIds = new Set(replacing
+      ? current.pricingConfigs.filter(config => config.shopDomain === shopDomain).map(config => config.id)
+      : []);
+
+    const takenListIds = new Set(current.priceLists.map(list => list.id).filter(id => !removedListIds.has(id)));
+    const takenConfigIds = new Set(current.pricingConfigs.map(config => String(config.id)).filter(id => !removedConfigIds.has(id)));
+
+    const listIdMap = new Map();
+    data.priceLists.forEach(list => {
+      let id = list.id;
+      while (takenListIds.has(id)) {
+        id = storageService.generateId();
+      }
+      takenListIds.add(id);
+      listIdMap.set(list.id, id);
+    });
+
+    const configIdMap = new Map();
+    data.pricingConfigs.forEach(config => {
+      let id = String(config.id);
+      while (takenConfigIds.has(id)) {
+        id = generatePricingConfigId();
+      }
+      takenConfigIds.add(id);
+      configIdMap.set(String(config.id), id);
+    });
+
+    // Point a list (or revision snapshot) at its new IDs and the importing shop
+    const remapList = (list) => {
+      const remapped = { ...list, id: listIdMap.get(String(list.id)) || String(list.id), shopDomain };
+      if (remapped.clonedFrom?.id && listIdMap.has(String(remapped.clonedFrom.id))) {
+        remapped.clonedFrom = { ...remapped.clonedFrom, id: listIdMap.get(String(remapped.clonedFrom.id)) };
+      }
+      if (remapped.pricingConfig?.id && configIdMap.has(String(remapped.pricingConfig.id))) {
+        remapped.pricingConfig = { ...remapped.pricingConfig, id: configIdMap.get(String(remapped.pricingConfig.id)) };
+      }
+      return remapped;
+    };
+
+    const priceLists = data.priceLists.map(remapList);
+    const priceListRevisions = data.priceListRevisions.map(entry => {
+      const priceListId = listIdMap.get(String(entry.priceListId));
+      return {
+        ...entry,
+        id: `rev_${priceListId}_${entry.revision}`,
+        priceListId,
+        priceList: remapList({ ...entry.priceList, id: entry.priceListId })
+      };
+    });
+
+    // Lists without history (e.g. old backups) start with their imported state as revision 1
+    priceLists.forEach(list => {
+      const revisions = priceListRevisions.filter(entry => entry.priceListId === list.id);
+      if (revisions.length > 0) {
+        list.revision = Math.max(...revisions.map(entry => entry.revision));
+        return;
+      }
+      list.revision = 1;
+      priceListRevisions.push({
+        id: `rev_${list.id}_1`,
+        priceListId: list.id,
+        revision: 1,
+        author: null,
+        changeNote: 'Imported',
+        createdAt: timestamp,
+        priceList: structuredClone(list)
+      });
+    });
+
+    const pricingConfigs = data.pricingConfigs.map(config => ({
+      status: 'active',
+      version: 1,
+      versions: [],
+      createdAt: timestamp,
+      updatedAt: timestamp,
+      ...config,
+      id: configIdMap.get(String(config.id)),
+      shopDomain
+    }));
+
+    const existingSettings = current.settings.find(settings => settings.shopDomain === shopDomain) || null;
+    let companySettingsAction = 'none';
+    if (data.companySettings) {
+      if (!existingSettings) companySettingsAction = 'created';
+      else companySettingsAction = replacing ? 'replaced' : 'kept';
+    } else if (existingSettings && replacing) {
+      companySettingsAction = 'removed';
+    }
+
+    const remappedIds = (idMap) => [...idMap.entries()]
+      .filter(([from, to]) => from !== to)
+      .map(([from, to]) => ({ from, to }));
+
+    const report = {
+      mode,
+      shopDomain,
+      sourceShopDomain: archive.shopDomain || null,
+      sourceSchemaVersion: archive.sourceSchemaVersion,
+      exportedAt: archive.exportedAt || null,
+      priceLists: {
+        incoming: priceLists.length,
+        created: priceLists.length,
+        removed: removedListIds.size,
+        remapped: remappedIds(listIdMap)
+      },
+      priceListRevisions: {
+        incoming: data.priceListRevisions.length,
+        created: priceListRevisions.length,
+        removed: current.priceListRevisions.filter(entry => removedListIds.has(entry.priceListId)).length
+      },
+      // Schedules aren't archived - replacing a list drops its schedules with it
+      priceListSchedules: {
+        removed: (current[storageService.scheduleCollection] || []).filter(entry => removedListIds.has(entry.priceListId)).length
+      },
+      pricingConfigs: {
+        incoming: pricingConfigs.length,
+        created: pricingConfigs.length,
+        removed: removedConfigIds.size,
+        remapped: remappedIds(configIdMap)
+      },
+      companySettings: {
+        incoming: !!data.companySettings,
+        action: companySettingsAction
+      }
+    };
+
+    return {
+      report,
+      records: {
+        priceLists,
+        priceListRevisions,
+        pricingConfigs,
+        companySettings: data.companySettings && companySettingsAction !== 'kept'
+          ? { ...data.companySettings, shopDomain, updatedAt: timestamp }
+          : null
+      },
+      removedListIds,
+      removedConfigIds
+    };
+  }
+
+  // Dry-run report for an archive against the data as it is now
+  async previewImport(archive, options) {
+    const db = await getDB();
+    return this.planImport(archive, db.data, options).report;
+  }
+
+  // Write an archive in one transaction - planned again inside it so the report matches what was written
+  async applyImport(archive, { mode, shopDomain }) {
+    return withTransaction(data => {
+      const plan = this.planImport(archive, data, { mode, shopDomain });
+      const { records, removedListIds, removedConfigIds } = plan;
+
+      data[storageService.collection] = data[storageService.collection]
+        .filter(list => !removedListIds.has(list.id))
+        .concat(records.priceLists);
+      data[storageService.revisionCollection] = data[storageService.revisionCollection]
+        .filter(entry => !removedListIds.has(entry.priceListId))
+        .concat(records.priceListRevisions);
+      // Everything else keyed by a removed list goes with it, as in storageService.deletePriceList
+      [
+        storageService.refreshCollection,
+        storageService.orderCollection,
+        storageService.scheduleCollection,
+        storageService.runCollection
+      ].forEach(collection => {
+        data[collection] = data[collection].filter(entry => !removedListIds.has(entry.priceListId));
+      });
+      data.pricingConfigs = data.pricingConfigs
+        .filter(config => !removedConfigIds.has(config.id))
+        .concat(records.pricingConfigs);
+
+      if (records.companySettings || plan.report.companySettings.action === 'removed') {
+        data.settings = data.settings
+          .filter(settings => settings.shopDomain !== shopDomain)
+          .concat(records.companySettings || []);
+      }
+
+      return plan.report;
+    });
+  }
+}
+
+// Create singleton instance
+export const archiveService = new ArchiveService();
+export default archiveService;
@@ -7,11 +7,197 @@ import fs from 'fs';
 // File path for database
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
-const dbPath = process.env.NODE_ENV === 'production' 
+// DATABASE_PATH should point at a persistent disk in production - /tmp is wiped on restart
+const dbPath = process.env.DATABASE_PATH || (process.env.NODE_ENV === 'production' 
   ? '/tmp/cycle3-shopify-db.json' 
-  : path.join(__dirname, '../../data/cycle3-shopify-db.json');
+  : path.join(__dirname, '../../data/cycle3-shopify-db.json'));
 
 let db = null;
+let adapter = null;
+let initPromise = null;
+
+// Shop domains are stored as lower-case "name.myshopify.com"
+export const normaliseShopDomain = (shop) => {
+  if (!shop) return null;
+  const domain = String(shop).trim().toLowerCase().replace(/^https?:\/\//, '').replace(/\/.*$/, '');
+  return domain.includes('.') ? domain : `${domain}.myshopify.com`;
+};
+
+// The store configured in the environment - the only shop in single-store mode
+// Read lazily since dotenv loads after the imports are evaluated
+export const getDefaultShopDomain = () =>
+  normaliseShopDomain(process.env.SHOPIFY_SHOP_NAME || 'cycle1-test.myshopify.com');
+
+// Collections whose records are owned by a shop
+const SHOP_SCOPED_COLLECTIONS = [
+  'priceLists', 'pricingConfigs', 'exchangeRates', 'taxSettings', 'promotions',
+  'priceAgreements', 'settings', 'suppliers', 'productSuppliers', 'purchaseOrders', 'quotes', 'products',
+  'documents', 'templates'
+];
+
+// JSON file adapter that keeps the data in memory once loaded
+// Handlers call db.read() freely; re-reading the file could swap in a copy that is
+// missing a write still in flight, so only the first read (and reload) touch the disk
+class CachedJSONFile {
+  constructor(filename) {
+    this.file = new JSONFile(filename);
+    this.cache = null;
+  }
+
+  async read() {
+    if (this.cache === null) {
+      this.cache = await this.file.read();
+    }
+    return this.cache;
+  }
+
+  async write(data) {
+    this.cache = data;
+    return this.file.write(data);
+  }
+
+  // Discard in-memory changes and load what was last saved
+  async reload() {
+    this.cache = await this.file.read();
+    return this.cache;
+  }
+}
+
+// Schema migrations, applied in order on startup
+// Each one moves db.data up to its version; add new ones to the end of the list
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'normalise-price-lists',
+    up: (data) => {
+      // Lists saved by the old routes used numeric IDs and kept the currency under settings
+      data.priceLists = (data.priceLists || []).map(priceList => {
+        const createdAt = priceList.createdAt || priceList.savedAt || new Date().toISOString();
+        return {
+          ...priceList,
+          id: String(priceList.id),
+          shopDomain: priceList.shopDomain || null,
+          pricingTier: priceList.pricingTier || priceList.pricingConfig?.tierName || null,
+          currency: priceList.currency || priceList.settings?.currency || 'ZAR',
+          status: priceList.status || 'active',
+          createdAt,
+          savedAt: priceList.savedAt || createdAt,
+          updatedAt: priceList.updatedAt || createdAt
+        };
+      });
+    }
+  },
+  {
+    version: 2,
+    name: 'seed-price-list-revisions',
+    up: (data) => {
+      // Lists saved before revision history start with their current state as revision 1
+      data.priceListRevisions = data.priceListRevisions || [];
+      data.priceLists.forEach(priceList => {
+        if (data.priceListRevisions.some(revision => revision.priceListId === priceList.id)) return;
+        
+        data.priceListRevisions.push({
+          id: `rev_${priceList.id}_1`,
+          priceListId: priceList.id,
+          revision: 1,
+          author: null,
+          changeNote: 'Existing list at upgrade',
+          createdAt: priceList.updatedAt,
+          priceList: { ...priceList, revision: 1 }
+        });
+        priceList.revision = 1;
+      });
+    }
+  },
+  {
+    version: 3,
+    name: 'price-list-lifecycle',
+    up: (data) => {
+      // Lists had no lifecycle - they start as drafts valid for the 30 days quotes have always assumed
+      data.priceLists.forEach(priceList => {
+        if (!['draft', 'sent', 'accepted', 'expired'].includes(priceList.status)) {
+          priceList.status = 'draft';
+        }
+        priceList.validFrom = priceList.validFrom || priceList.savedAt;
+        if (!priceList.validUntil) {
+          const validUntil = new Date(priceList.validFrom);
+          validUntil.setDate(validUntil.getDate() + 30);
+          priceList.validUntil = validUntil.toISOString();
+        }
+      });
+    }
+  },
+  {
+    version: 4,
+    name: 'scope-records-to-shop',
+    up: (data) => {
+      // Everything stored before multi-shop support belongs to the store the app was set up for
+      const shopDomain = getDefaultShopDomain();
+      SHOP_SCOPED_COLLECTIONS.forEach(collection => {
+        (data[collection] || []).forEach(record => {
+          record.shopDomain = normaliseShopDomain(record.shopDomain) || shopDomain;
+        });
+      });
+      // Revisions are scoped through their list; the snapshots just follow suit
+      (data.priceListRevisions || []).forEach(revision => {
+        if (revision.priceList) {
+          revision.priceList.shopDomain = normaliseShopDomain(revision.priceList.shopDomain) || shopDomain;
+        }
+      });
+    }
+  }
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Bring a detached copy of the data (e.g. an imported archive) up from an older schema version
+export const migrateData = (data, fromVersion = 0) => {
+  MIGRATIONS
+    .filter(migration => migration.version > fromVersion)
+    .forEach(migration => migration.up(data));
+  return data;
+};
+
+// Bring db.data up to SCHEMA_VERSION, recording progress in db.data.meta
+const runMigrations = async (database) => {
+  const meta = database.data.meta || { schemaVersion: 0 };
+  const pending = MIGRATIONS.filter(migration => migration.version > meta.schemaVersion);
+  if (pending.length === 0) return;
+  
+  pending.forEach(migration => {
+    console.log(`Running database migration ${migration.version}: ${migration.name}`);
+    migration.up(database.data);
+    meta.schemaVersion = migration.version;
+  });
+  
+  database.data.meta = { ...meta, migratedAt: new Date().toISOString() };
+  await database.write();
+};
+
+// Serialise read-modify-write cycles so concurrent requests can't interleave
+// lowdb writes through steno (temp file + rename), so the file on disk is never half-written
+let transactionQueue = Promise.resolve();
+
+// Run a synchronous mutation against db.data and persist it
+// If the mutation throws, the last saved state is reloaded so nothing partial is kept
+export const withTransaction = (mutate) => {
+  const run = transactionQueue.then(async () => {
+    const database = await getDB();
+    let result;
+    try {
+      result = mutate(database.data);
+    } catch (error) {
+      database.data = await adapter.reload();
+      throw error;
+    }
+    await database.write();
+    return result;
+  });
+  
+  // Keep the queue going after a failed transaction
+  transactionQueue = run.catch(() => {});
+  return run;
+};
 
 // Initialize database
 export const initDB = async () => {
@@ -28,7 +214,18 @@ const defaultData = {
   documents: [],       // RENAMED: from 'quotes'
   templates: [],       // NEW: Layout templates  
   settings: [],        // NEW: Company branding
-  products: []         // KEEP: Cached Shopify products
+  products: [],        // KEEP: Cached Shopify products
+  pricingConfigs: [],  // NEW: Saved pricing configurations per shop
+  exchangeRates: [],   // NEW: Manually maintained exchange rates
+  taxSettings: [],     // NEW: VAT configuration per shop
+  promotions: [],      // NEW: Time-bound promotional pricing
+  priceAgreements: [], // NEW: Negotiated prices per Shopify customer
+  priceListRevisions: [], // NEW: Immutable snapshot of every price list save
+  priceListRefreshes: [], // NEW: Change reports awaiting acceptance, one per list
+  priceListOrders: [], // NEW: Draft orders raised from saved lists, for conversion tracking
+  shops: [],           // NEW: Installed shops and their OAuth access tokens
+  priceListSchedules: [], // NEW: Automatic regeneration schedule per saved list
+  priceListScheduleRuns: [] // NEW: History of scheduled regenerations and their delivery
 };
 
     // Create db file if it doesn't exist
@@ -37,7 +234,7 @@ const defaultData = {
     }
 
     // Initialize lowdb - FIX: Pass defaultData as second argument
-    const adapter = new JSONFile(dbPath);
+    adapter = new CachedJSONFile(dbPath);
     db = new Low(adapter, defaultData); // Pass defaultData here
     await db.read();
 
@@ -53,6 +250,22 @@ if (!db.data.productSuppliers) db.data.productSuppliers = [];
 if (!db.data.purchaseOrders) db.data.purchaseOrders = [];
 if (!db.data.products) db.data.products = [];
 if (!db.data.quotes) db.data.quotes = []; 
+if (!db.data.pricingConfigs) db.data.pricingConfigs = [];
+if (!db.data.exchangeRates) db.data.exchangeRates = [];
+if (!db.data.taxSettings) db.data.taxSettings = [];
+if (!db.data.promotions) db.data.promotions = [];
+if (!db.data.priceAgreements) db.data.priceAgreements = [];
+if (!db.data.priceLists) db.data.priceLists = [];
+if (!db.data.priceListRevisions) db.data.priceListRevisions = [];
+if (!db.data.priceListRefreshes) db.data.priceListRefreshes = [];
+if (!db.data.settings) db.data.settings = [];
+if (!db.data.priceListOrders) db.data.priceListOrders = [];
+if (!db.data.shops) db.data.shops = [];
+if (!db.data.priceListSchedules) db.data.priceListSchedules = [];
+if (!db.data.priceListScheduleRuns) db.data.priceListScheduleRuns = [];
+if (!db.data.templates) db.data.templates = [];
+
+    await runMigrations(db);
 
     console.log(`Database initialized with: ${db.data.suppliers.length} suppliers, ${db.data.productSuppliers.length} product-supplier relationships`);
     return db;
@@ -63,19 +276,24 @@ if (!db.data.quotes) db.data.quotes = [];
 };
 
 // Get database instance
+// Concurrent first calls share one initialisation so only one adapter is ever created
 export const getDB = async () => {
-  if (!db) {
-    await initDB();
+  if (!initPromise) {
+    initPromise = initDB().catch(error => {
+      initPromise = null;
+      throw error;
+    });
   }
+  await initPromise;
   return db;
 };
 
-// Get all suppliers
-export const getSuppliers = async () => {
+// Get all suppliers (optionally for one shop)
+export const getSuppliers = async (shopDomain = null) => {
   try {
     const db = await getDB();
     await db.read();
-    return db.data.suppliers || [];
+    return (db.data.suppliers || []).filter(s => !shopDomain || s.shopDomain === shopDomain);
   } catch (error) {
     console.error('Error getting suppliers:', error);
     return [];
@@ -99,8 +317,9 @@ export const addSupplier = async (supplier) => {
       supplier.createdAt = new Date().toISOString();
     }
     
-    // Check for duplicate supplier names
+    // Check for duplicate supplier names within the shop
     const existingSupplier = db.data.suppliers.find(s => 
+      s.shopDomain === supplier.shopDomain &&
       s.name.toLowerCase() === supplier.name.toLowerCase()
     );
     
@@ -122,7 +341,7 @@ export const addSupplier = async (supplier) => {
 };
 
 // Get product suppliers - fixed version to ensure consistent comparison
-export const getProductSuppliers = async (productId = null) => {
+export const getProductSuppliers = async (productId = null, shopDomain = null) => {
   try {
     const db = await getDB();
     await db.read();
@@ -137,11 +356,13 @@ export const getProductSuppliers = async (productId = null) => {
       console.log(`All product IDs in database: ${allProductIds.join(', ')}`);
     }
     
+    const shopSuppliers = db.data.productSuppliers.filter(ps => !shopDomain || ps.shopDomain === shopDomain);
+    
     if (productId) {
       // IMPORTANT FIX: Always convert both IDs to strings for comparison
       const stringProductId = String(productId);
       
-      const matchingSuppliers = db.data.productSuppliers.filter(ps => 
+      const matchingSuppliers = shopSuppliers.filter(ps => 
         String(ps.productId) === stringProductId
       );
       
@@ -160,7 +381,7 @@ export const getProductSuppliers = async (productId = null) => {
       });
     }
     
-    return db.data.productSuppliers || [];
+    return shopSuppliers;
   } catch (error) {
     console.error('Error getting product suppliers:', error);
     return [];
@@ -191,6 +412,7 @@ export const addProductSupplier = async (productSupplier) => {
     // First check if this relationship already exists (by product ID and supplier ID)
     if (productSupplier.supplierId && productSupplier.productId) {
       const existingRelationship = db.data.productSuppliers.find(ps => 
+        ps.shopDomain === productSupplier.shopDomain &&
         String(ps.productId) === String(productSupplier.productId) && 
         ps.supplierId === productSupplier.supplierId
       );
@@ -213,16 +435,18 @@ export const addProductSupplier = async (productSupplier) => {
     const supplierName = productSupplier.supplierName || productSupplier.name;
     let supplier = null;
     
+    const shopSuppliers = db.data.suppliers.filter(s => s.shopDomain === productSupplier.shopDomain);
     if (productSupplier.supplierId) {
-      supplier = db.data.suppliers.find(s => s.id === productSupplier.supplierId);
+      supplier = shopSuppliers.find(s => s.id === productSupplier.supplierId);
     } else if (supplierName) {
-      supplier = db.data.suppliers.find(s => s.name === supplierName);
+      supplier = shopSuppliers.find(s => s.name === supplierName);
     }
     
     // If not found, add it to suppliers collection
     if (!supplier && supplierName) {
       supplier = {
         id: productSupplier.supplierId || Date.now().toString(),
+        shopDomain: productSupplier.shopDomain || null,
         name: supplierName,
         email: productSupplier.email || `${supplierName.replace(/[^a-z0-9]/gi, '').toLowerCase()}@example.com`,
         leadTime: productSupplier.leadTime || 3,
@@ -260,12 +484,70 @@ export const addProductSupplier = async (productSupplier) => {
   }
 };
 
-// Get purchase orders
-export const getPurchaseOrders = async () => {
+// Normalise Shopify IDs so gid://shopify/Product/123 and 123 compare equal
+const normaliseProductId = (id) => String(id).split('/').pop();
+
+// Build a cost lookup from a shop's supplier prices
+// Preferred supplier (lowest priority number) wins, then the cheapest price.
+// Processed quotes fill in products that have no supplier relationship yet.
+export const getProductCosts = async (shopDomain = null) => {
+  try {
+    const db = await getDB();
+    await db.read();
+    
+    const byProductId = {};
+    const bySku = {};
+    
+    const relationships = [...(db.data.productSuppliers || [])]
+      .filter(ps => !shopDomain || ps.shopDomain === shopDomain)
+      .filter(ps => ps.productId && parseFloat(ps.price) > 0)
+      .sort((a, b) => (a.priority || 99) - (b.priority || 99) || parseFloat(a.price) - parseFloat(b.price));
+    
+    relationships.forEach(ps => {
+      const productId = normaliseProductId(ps.productId);
+      if (!byProductId[productId]) {
+        byProductId[productId] = {
+          cost: parseFloat(ps.price),
+          source: 'supplier',
+          supplierName: ps.supplierName || null
+        };
+      }
+    });
+    
+    // Latest quote wins for quote-derived costs
+    const quotes = [...(db.data.quotes || [])]
+      .filter(quote => !shopDomain || quote.shopDomain === shopDomain)
+      .sort((a, b) => new Date(b.uploadedAt || 0) - new Date(a.uploadedAt || 0));
+    
+    quotes.forEach(quote => {
+      (quote.shopifyProducts || []).forEach(item => {
+        const cost = parseFloat(item.originalPrice);
+        if (!(cost > 0)) return;
+        
+        const entry = { cost, source: 'quote', supplierName: quote.supplierName || null };
+        const productId = item.id ? normaliseProductId(item.id) : null;
+        if (productId && !byProductId[productId]) {
+          byProductId[productId] = entry;
+        }
+        if (item.sku && !bySku[item.sku]) {
+          bySku[item.sku] = entry;
+        }
+      });
+    });
+    
+    return { byProductId, bySku };
+  } catch (error) {
+    console.error('Error building product costs:', error);
+    return { byProductId: {}, bySku: {} };
+  }
+};
+
+// Get purchase orders (optionally for one shop)
+export const getPurchaseOrders = async (shopDomain = null) => {
   try {
     const db = await getDB();
     await db.read();
-    return db.data.purchaseOrders || [];
+    return (db.data.purchaseOrders || []).filter(order => !shopDomain || order.shopDomain === shopDomain);
   } catch (error) {
     console.error('Error getting purchase orders:', error);
     return [];
@@ -301,28 +583,31 @@ export const updateProductSupplierStock = async (id, stockLevel) => {
   }
 };
 
-// Store products
-export const storeProducts = async (products) => {
+// Store a shop's cached products, replacing what was cached for it before
+export const storeProducts = async (products, shopDomain = null) => {
   try {
     const db = await getDB();
     await db.read();
     
-    db.data.products = products;
+    const stamped = products.map(product => ({ ...product, shopDomain }));
+    db.data.products = db.data.products
+      .filter(product => product.shopDomain !== shopDomain)
+      .concat(stamped);
     await db.write();
     
-    return products;
+    return stamped;
   } catch (error) {
     console.error('Error storing products:', error);
     throw error;
   }
 };
 
-// Get all products
-export const getProducts = async () => {
+// Get all cached products (optionally for one shop)
+export const getProducts = async (shopDomain = null) => {
   try {
     const db = await getDB();
     await db.read();
-    return db.data.products || [];
+    return (db.data.products || []).filter(product => !shopDomain || product.shopDomain === shopDomain);
   } catch (error) {
     console.error('Error getting products:', error);
     return [];
@@ -330,7 +615,7 @@ export const getProducts = async () => {
 };
 
 // Get product by ID - fixed version
-export const getProductById = async (productId) => {
+export const getProductById = async (productId, shopDomain = null) => {
   try {
     const db = await getDB();
     await db.read();
@@ -338,7 +623,9 @@ export const getProductById = async (productId) => {
     // IMPORTANT FIX: Always convert both IDs to strings for comparison
     const stringProductId = String(productId);
     
-    const product = db.data.products.find(p => String(p.id) === stringProductId);
+    const product = db.data.products.find(p =>
+      String(p.id) === stringProductId && (!shopDomain || p.shopDomain === shopDomain)
+    );
     
     if (product) {
       console.log(`Found product with ID ${productId} in database`);
@@ -353,3 +640,756 @@ export const getProductById = async (productId) => {
   }
 };
 
+// Fields that make up a pricing configuration version
+export const PRICING_CONFIG_FIELDS = [
+  'configName',
+  'tierName',
+  'discountPercent',
+  'customPrices',
+  'quantityBreaks',
+  'productBreaks',
+  'rules',
+  'pricingMode',
+  'markupPercent',
+  'minMarginPercent',
+  'marginPolicy',
+  'rounding',
+  'notes'
+];
+
+// Snapshot of the versioned fields of a pricing config
+const snapshotPricingConfig = (config) => {
+  const snapshot = {};
+  PRICING_CONFIG_FIELDS.forEach(field => {
+    if (config[field] !== undefined) {
+      snapshot[field] = config[field];
+    }
+  });
+  return snapshot;
+};
+
+// Get pricing configs for a shop (archived configs are hidden unless requested)
+export const getPricingConfigs = async (shopDomain = null, { includeArchived = false } = {}) => {
+  try {
+    const db = await getDB();
+    await db.read();
+    
+    return (db.data.pricingConfigs || [])
+      .filter(config => !shopDomain || config.shopDomain === shopDomain)
+      .filter(config => includeArchived || config.status !== 'archived')
+      .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+  } catch (error) {
+    console.error('Error getting pricing configs:', error);
+    return [];
+  }
+};
+
+// Get a pricing config by ID
+export const getPricingConfigById = async (id) => {
+  try {
+    const db = await getDB();
+    await db.read();
+    return (db.data.pricingConfigs || []).find(config => String(config.id) === String(id)) || null;
+  } catch (error) {
+    console.error(`Error getting pricing config ${id}:`, error);
+    return null;
+  }
+};
+
+// Create a pricing config
+export const createPricingConfig = async (config) => {
+  try {
+    const db = await getDB();
+    await db.read();
+    
+    const timestamp = new Date().toISOString();
+    const pricingConfig = {
+      id: `pc_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+      shopDomain: config.shopDomain || null,
+      ...snapshotPricingConfig(config),
+      status: 'active',
+      version: 1,
+      versions: [],
+      createdAt: timestamp,
+      updatedAt: timestamp
+    };
+    
+    db.data.pricingConfigs.push(pricingConfig);
+    await db.write();
+    
+    console.log(`Created pricing config: ${pricingConfig.configName} (${pricingConfig.id})`);
+    return pricingConfig;
+  } catch (error) {
+    console.error('Error creating pricing config:', error);
+    throw error;
+  }
+};
+
+// Update a pricing config - the previous version is kept in its history
+export const updatePricingConfig = async (id, updates) => {
+  try {
+    const db = await getDB();
+    await db.read();
+    
+    const config = db.data.pricingConfigs.find(c => String(c.id) === String(id));
+    if (!config) {
+      return null;
+    }
+    
+    config.versions.push({
+      version: config.version,
+      ...snapshotPricingConfig(config),
+      savedAt: config.updatedAt
+    });
+    
+    Object.assign(config, snapshotPricingConfig(updates));
+    config.version += 1;
+    config.updatedAt = new Date().toISOString();
+    
+    await db.write();
+    
+    console.log(`Updated pricing config ${id} to version ${config.version}`);
+    return config;
+  } catch (error) {
+    console.error('Error updating pricing config:', error);
+    throw error;
+  }
+};
+
+// Archive or restore a pricing config
+export const setPricingConfigArchived = async (id, archived = true) => {
+  try {
+    const db = await getDB();
+    await db.read();
+    
+    const config = db.data.pricingConfigs.find(c => String(c.id) === String(id));
+    if (!config) {
+      return null;
+    }
+    
+    config.status = archived ? 'archived' : 'active';
+    config.archivedAt = archived ? new Date().toISOString() : null;
+    config.updatedAt = new Date().toISOString();
+    
+    await db.write();
+    return config;
+  } catch (error) {
+    console.error('Error archiving pricing config:', error);
+    throw error;
+  }
+};
+
+// Delete a pricing config
+export const deletePricingConfig = async (id) => {
+  try {
+    const db = await getDB();
+    await db.read();
+    
+    const index = db.data.pricingConfigs.findIndex(c => String(c.id) === String(id));
+    if (index === -1) {
+      return false;
+    }
+    
+    db.data.pricingConfigs.splice(index, 1);
+    await db.write();
+    return true;
+  } catch (error) {
+    console.error('Error deleting pricing config:', error);
+    throw error;
+  }
+};
+
+// Get exchange rates, newest first within each currency
+export const getExchangeRates = async (shopDomain = null, currency = null) => {
+  try {
+    const db = await getDB();
+    await db.read();
+    
+    return (db.data.exchangeRates || [])
+      .filter(rate => !shopDomain || rate.shopDomain === shopDomain)
+      .filter(rate => !currency || rate.currency === currency.toUpperCase())
+      .sort((a, b) => a.currency.localeCompare(b.currency) || new Date(b.effectiveFrom) - new Date(a.effectiveFrom));
+  } catch (error) {
+    console.error('Error getting exchange rates:', error);
+    return [];
+  }
+};
+
+// Rate in force for a currency on a given date (latest effectiveFrom not after the date)
+export const getExchangeRate = async (shopDomain, currency, date = new Date()) => {
+  const rates = await getExchangeRates(shopDomain, currency);
+  const asOf = new Date(date);
+  return rates.find(rate => new Date(rate.effectiveFrom) <= asOf) || null;
+};
+
+// Add an exchange rate - rates are never edited, a new effective date supersedes them
+// rate = units of the target currency per 1 unit of the base currency
+export const createExchangeRate = async (exchangeRate) => {
+  try {
+    const db = await getDB();
+    await db.read();
+    
+    const record = {
+      id: `fx_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+      shopDomain: exchangeRate.shopDomain || null,
+      currency: exchangeRate.currency.toUpperCase(),
+      rate: parseFloat(exchangeRate.rate),
+      effectiveFrom: new Date(exchangeRate.effectiveFrom || Date.now()).toISOString(),
+      rounding: exchangeRate.rounding || null,
+      notes: exchangeRate.notes || '',
+      createdAt: new Date().toISOString()
+    };
+    
+    db.data.exchangeRates.push(record);
+    await db.write();
+    
+    console.log(`Added exchange rate: 1 = ${record.rate} ${record.currency} from ${record.effectiveFrom}`);
+    return record;
+  } catch (error) {
+    console.error('Error adding exchange rate:', error);
+    throw error;
+  }
+};
+
+// Get an exchange rate by ID
+export const getExchangeRateById = async (id) => {
+  try {
+    const db = await getDB();
+    await db.read();
+    return (db.data.exchangeRates || []).find(rate => String(rate.id) === String(id)) || null;
+  } catch (error) {
+    console.error(`Error getting exchange rate ${id}:`, error);
+    return null;
+  }
+};
+
+// Delete an exchange rate
+export const deleteExchangeRate = async (id) => {
+  try {
+    const db = await getDB();
+    await db.read();
+    
+    const index = db.data.exchangeRates.findIndex(rate => String(rate.id) === String(id));
+    if (index === -1) {
+      return false;
+    }
+    
+    db.data.exchangeRates.splice(index, 1);
+    await db.write();
+    return true;
+  } catch (error) {
+    console.error('Error deleting exchange rate:', error);
+    throw error;
+  }
+};
+
+// Get a shop's stored tax settings, or null if it has none yet
+export const getTaxSettings = async (shopDomain) => {
+  try {
+    const db = await getDB();
+    await db.read();
+    return (db.data.taxSettings || []).find(settings => settings.shopDomain === shopDomain) || null;
+  } catch (error) {
+    console.error('Error getting tax settings:', error);
+    return null;
+  }
+};
+
+// Create or replace a shop's tax settings
+export const saveTaxSettings = async (shopDomain, settings) => {
+  try {
+    const db = await getDB();
+    await db.read();
+    
+    const record = {
+      shopDomain,
+      label: settings.label,
+      ratePercent: parseFloat(settings.ratePercent),
+      pricesIncludeTax: settings.pricesIncludeTax === true,
+      defaultDisplay: settings.defaultDisplay,
+      registrationNumber: settings.registrationNumber || '',
+      updatedAt: new Date().toISOString()
+    };
+    
+    const index = db.data.taxSettings.findIndex(existing => existing.shopDomain === shopDomain);
+    if (index === -1) {
+      db.data.taxSettings.push(record);
+    } else {
+      db.data.taxSettings[index] = record;
+    }
+    
+    await db.write();
+    return record;
+  } catch (error) {
+    console.error('Error saving tax settings:', error);
+    throw error;
+  }
+};
+
+// Company details printed on price lists
+export const COMPANY_SETTINGS_FIELDS = ['name', 'tagline', 'phone', 'email', 'website', 'address', 'logo'];
+
+// Get a shop's saved company settings, or null if it has none yet
+export const getCompanySettings = async (shopDomain) => {
+  try {
+    const db = await getDB();
+    await db.read();
+    return (db.data.settings || []).find(settings => settings.shopDomain === shopDomain) || null;
+  } catch (error) {
+    console.error('Error getting company settings:', error);
+    return null;
+  }
+};
+
+// Create or replace a shop's company settings
+export const saveCompanySettings = async (shopDomain, settings) => {
+  try {
+    const db = await getDB();
+    await db.read();
+    
+    const index = db.data.settings.findIndex(existing => existing.shopDomain === shopDomain);
+    
+    // The shop's default template is chosen in the template library, not the company form
+    const record = { shopDomain, defaultTemplate: db.data.settings[index]?.defaultTemplate ?? null };
+    COMPANY_SETTINGS_FIELDS.forEach(field => {
+      record[field] = settings[field] ?? null;
+    });
+    record.updatedAt = new Date().toISOString();
+    
+    if (index === -1) {
+      db.data.settings.push(record);
+    } else {
+      db.data.settings[index] = record;
+    }
+    
+    await db.write();
+    return record;
+  } catch (error) {
+    console.error('Error saving company settings:', error);
+    throw error;
+  }
+};
+
+// Choose the template a shop's price lists use unless another is picked
+export const setDefaultTemplate = async (shopDomain, templateId) => {
+  try {
+    const db = await getDB();
+    await db.read();
+    
+    let record = db.data.settings.find(existing => existing.shopDomain === shopDomain);
+    if (!record) {
+      record = { shopDomain };
+      COMPANY_SETTINGS_FIELDS.forEach(field => {
+        record[field] = null;
+      });
+      db.data.settings.push(record);
+    }
+    record.defaultTemplate = templateId;
+    record.updatedAt = new Date().toISOString();
+    
+    await db.write();
+    return record;
+  } catch (error) {
+    console.error('Error setting default template:', error);
+    throw error;
+  }
+};
+
+// Get a shop's saved templates
+export const getTemplates = async (shopDomain = null) => {
+  try {
+    const db = await getDB();
+    await db.read();
+    return (db.data.templates || [])
+      .filter(template => !shopDomain || template.shopDomain === shopDomain)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  } catch (error) {
+    console.error('Error getting templates:', error);
+    return [];
+  }
+};
+
+// Get a template by ID
+export const getTemplateById = async (id) => {
+  try {
+    const db = await getDB();
+    await db.read();
+    return (db.data.templates || []).find(template => String(template.id) === String(id)) || null;
+  } catch (error) {
+    console.error(`Error getting template ${id}:`, error);
+    return null;
+  }
+};
+
+// Create a template from validated layout options
+export const createTemplate = async (template) => {
+  try {
+    const db = await getDB();
+    await db.read();
+    
+    const timestamp = new Date().toISOString();
+    const record = {
+      ...template,
+      id: `tpl_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+      shopDomain: template.shopDomain || null,
+      createdAt: timestamp,
+      updatedAt: timestamp
+    };
+    
+    db.data.templates.push(record);
+    await db.write();
+    
+    console.log(`Created template: ${record.name} (${record.id})`);
+    return record;
+  } catch (error) {
+    console.error('Error creating template:', error);
+    throw error;
+  }
+};
+
+// Replace a template's layout options
+export const updateTemplate = async (id, layout) => {
+  try {
+    const db = await getDB();
+    await db.read();
+    
+    const index = db.data.templates.findIndex(t => String(t.id) === String(id));
+    if (index === -1) {
+      return null;
+    }
+    
+    const existing = db.data.templates[index];
+    db.data.templates[index] = {
+      ...layout,
+      id: existing.id,
+      shopDomain: existing.shopDomain,
+      createdAt: existing.createdAt,
+      updatedAt: new Date().toISOString()
+    };
+    
+    await db.write();
+    return db.data.templates[index];
+  } catch (error) {
+    console.error('Error updating template:', error);
+    throw error;
+  }
+};
+
+// Delete a template; a shop that had it as default falls back to the built-in default
+export const deleteTemplate = async (id) => {
+  try {
+    const db = await getDB();
+    await db.read();
+    
+    const index = db.data.templates.findIndex(t => String(t.id) === String(id));
+    if (index === -1) {
+      return false;
+    }
+    
+    const [removed] = db.data.templates.splice(index, 1);
+    db.data.settings
+      .filter(settings => settings.shopDomain === removed.shopDomain && settings.defaultTemplate === removed.id)
+      .forEach(settings => {
+        settings.defaultTemplate = null;
+      });
+    
+    await db.write();
+    return true;
+  } catch (error) {
+    console.error('Error deleting template:', error);
+    throw error;
+  }
+};
+
+// Fields a promotion is made of
+const PROMOTION_FIELDS = ['name', 'field', 'value', 'action', 'amount', 'startsAt', 'endsAt', 'enabled'];
+
+const pickPromotionFields = (promotion) => {
+  const picked = {};
+  PROMOTION_FIELDS.forEach(field => {
+    if (promotion[field] !== undefined) {
+      picked[field] = promotion[field];
+    }
+  });
+  return picked;
+};
+
+// Get promotions for a shop, optionally only those running at a given time
+export const getPromotions = async (shopDomain = null, { activeAt = null } = {}) => {
+  try {
+    const db = await getDB();
+    await db.read();
+    
+    const at = activeAt ? new Date(activeAt) : null;
+    return (db.data.promotions || [])
+      .filter(promotion => !shopDomain || promotion.shopDomain === shopDomain)
+      .filter(promotion => !at || (
+        promotion.enabled !== false &&
+        (!promotion.startsAt || new Date(promotion.startsAt) <= at) &&
+        (!promotion.endsAt || new Date(promotion.endsAt) > at)
+      ))
+      .sort((a, b) => new Date(a.endsAt || 0) - new Date(b.endsAt || 0));
+  } catch (error) {
+    console.error('Error getting promotions:', error);
+    return [];
+  }
+};
+
+// Get a promotion by ID
+export const getPromotionById = async (id) => {
+  try {
+    const db = await getDB();
+    await db.read();
+    return (db.data.promotions || []).find(promotion => String(promotion.id) === String(id)) || null;
+  } catch (error) {
+    console.error(`Error getting promotion ${id}:`, error);
+    return null;
+  }
+};
+
+// Create a promotion
+export const createPromotion = async (promotion) => {
+  try {
+    const db = await getDB();
+    await db.read();
+    
+    const timestamp = new Date().toISOString();
+    const record = {
+      id: `promo_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+      shopDomain: promotion.shopDomain || null,
+      enabled: true,
+      ...pickPromotionFields(promotion),
+      createdAt: timestamp,
+      updatedAt: timestamp
+    };
+    
+    db.data.promotions.push(record);
+    await db.write();
+    
+    console.log(`Created promotion: ${record.name} (${record.id})`);
+    return record;
+  } catch (error) {
+    console.error('Error creating promotion:', error);
+    throw error;
+  }
+};
+
+// Update a promotion
+export const updatePromotion = async (id, updates) => {
+  try {
+    const db = await getDB();
+    await db.read();
+    
+    const promotion = db.data.promotions.find(p => String(p.id) === String(id));
+    if (!promotion) {
+      return null;
+    }
+    
+    Object.assign(promotion, pickPromotionFields(updates));
+    promotion.updatedAt = new Date().toISOString();
+    
+    await db.write();
+    return promotion;
+  } catch (error) {
+    console.error('Error updating promotion:', error);
+    throw error;
+  }
+};
+
+// Delete a promotion
+export const deletePromotion = async (id) => {
+  try {
+    const db = await getDB();
+    await db.read();
+    
+    const index = db.data.promotions.findIndex(p => String(p.id) === String(id));
+    if (index === -1) {
+      return false;
+    }
+    
+    db.data.promotions.splice(index, 1);
+    await db.write();
+    return true;
+  } catch (error) {
+    console.error('Error deleting promotion:', error);
+    throw error;
+  }
+};
+
+// Fields a price agreement is made of - the reference is assigned on create and never changes
+const PRICE_AGREEMENT_FIELDS = ['customerId', 'customerEmail', 'customerName', 'prices', 'defaultTier', 'pricingConfigId', 'notes', 'archived'];
+
+// Agreements are matched on the numeric Shopify customer ID and a lower-cased email
+const normaliseCustomerId = (id) => id ? String(id).split('/').pop() : null;
+const normaliseEmail = (email) => email ? String(email).trim().toLowerCase() : null;
+
+const pickPriceAgreementFields = (agreement) => {
+  const picked = {};
+  PRICE_AGREEMENT_FIELDS.forEach(field => {
+    if (agreement[field] !== undefined) {
+      picked[field] = agreement[field];
+    }
+  });
+  if (picked.customerId !== undefined) picked.customerId = normaliseCustomerId(picked.customerId);
+  if (picked.customerEmail !== undefined) picked.customerEmail = normaliseEmail(picked.customerEmail);
+  // Prices are keyed by numeric product ID so gid and plain IDs both match
+  if (picked.prices) {
+    picked.prices = Object.fromEntries(
+      Object.entries(picked.prices).map(([productId, price]) => [normaliseProductId(productId), parseFloat(price)])
+    );
+  }
+  return picked;
+};
+
+// Get price agreements for a shop
+export const getPriceAgreements = async (shopDomain = null, { includeArchived = false } = {}) => {
+  try {
+    const db = await getDB();
+    await db.read();
+    
+    return (db.data.priceAgreements || [])
+      .filter(agreement => !shopDomain || agreement.shopDomain === shopDomain)
+      .filter(agreement => includeArchived || !agreement.archived)
+      .sort((a, b) => (a.customerName || a.customerEmail || '').localeCompare(b.customerName || b.customerEmail || ''));
+  } catch (error) {
+    console.error('Error getting price agreements:', error);
+    return [];
+  }
+};
+
+// Get a price agreement by ID
+export const getPriceAgreementById = async (id) => {
+  try {
+    const db = await getDB();
+    await db.read();
+    return (db.data.priceAgreements || []).find(agreement => String(agreement.id) === String(id)) || null;
+  } catch (error) {
+    console.error(`Error getting price agreement ${id}:`, error);
+    return null;
+  }
+};
+
+// Find the active agreement for a customer - the Shopify customer ID wins over email
+export const findPriceAgreement = async (shopDomain, { customerId = null, email = null } = {}) => {
+  const agreements = await getPriceAgreements(shopDomain);
+  const id = normaliseCustomerId(customerId);
+  const normalisedEmail = normaliseEmail(email);
+  
+  return (id && agreements.find(agreement => agreement.customerId === id)) ||
+    (normalisedEmail && agreements.find(agreement => agreement.customerEmail === normalisedEmail)) ||
+    null;
+};
+
+// Create a price agreement
+export const createPriceAgreement = async (agreement) => {
+  try {
+    const db = await getDB();
+    await db.read();
+    
+    const timestamp = new Date().toISOString();
+    const shopDomain = agreement.shopDomain || null;
+    const prefix = `PA-${new Date().getFullYear()}-`;
+    // Next number after the shop's highest this year, so deleted agreements never free up a reference
+    const sequence = db.data.priceAgreements
+      .filter(existing => existing.shopDomain === shopDomain && existing.reference?.startsWith(prefix))
+      .reduce((highest, existing) => Math.max(highest, parseInt(existing.reference.slice(prefix.length)) || 0), 0) + 1;
+    const record = {
+      id: `pa_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+      shopDomain,
+      reference: `${prefix}${String(sequence).padStart(3, '0')}`,
+      prices: {},
+      archived: false,
+      ...pickPriceAgreementFields(agreement),
+      createdAt: timestamp,
+      updatedAt: timestamp
+    };
+    
+    db.data.priceAgreements.push(record);
+    await db.write();
+    
+    console.log(`Created price agreement: ${record.reference} (${record.customerEmail || record.customerId})`);
+    return record;
+  } catch (error) {
+    console.error('Error creating price agreement:', error);
+    throw error;
+  }
+};
+
+// Update a price agreement
+export const updatePriceAgreement = async (id, updates) => {
+  try {
+    const db = await getDB();
+    await db.read();
+    
+    const agreement = db.data.priceAgreements.find(a => String(a.id) === String(id));
+    if (!agreement) {
+      return null;
+    }
+    
+    Object.assign(agreement, pickPriceAgreementFields(updates));
+    agreement.updatedAt = new Date().toISOString();
+    
+    await db.write();
+    return agreement;
+  } catch (error) {
+    console.error('Error updating price agreement:', error);
+    throw error;
+  }
+};
+
+// Delete a price agreement
+export const deletePriceAgreement = async (id) => {
+  try {
+    const db = await getDB();
+    await db.read();
+    
+    const index = db.data.priceAgreements.findIndex(a => String(a.id) === String(id));
+    if (index === -1) {
+      return false;
+    }
+    
+    db.data.priceAgreements.splice(index, 1);
+    await db.write();
+    return true;
+  } catch (error) {
+    console.error('Error deleting price agreement:', error);
+    throw error;
+  }
+};
+
+// Get an installed shop (with its OAuth access token), or null if it never installed the app
+export const getShop = async (shopDomain) => {
+  try {
+    const db = await getDB();
+    await db.read();
+    return (db.data.shops || []).find(shop => shop.shopDomain === normaliseShopDomain(shopDomain)) || null;
+  } catch (error) {
+    console.error('Error getting shop:', error);
+    return null;
+  }
+};
+
+// Record a shop's access token after OAuth - reinstalling replaces the token
+export const saveShop = async (shopDomain, { accessToken, scope = null }) => {
+  try {
+    const db = await getDB();
+    await db.read();
+    
+    const domain = normaliseShopDomain(shopDomain);
+    const timestamp = new Date().toISOString();
+    const existing = db.data.shops.find(shop => shop.shopDomain === domain);
+    
+    if (existing) {
+      Object.assign(existing, { accessToken, scope, updatedAt: timestamp });
+    } else {
+      db.data.shops.push({ shopDomain: domain, accessToken, scope, installedAt: timestamp, updatedAt: timestamp });
+    }
+    
+    await db.write();
+    console.log(`Saved access token for shop: ${domain}`);
+    return existing || db.data.shops[db.data.shops.length - 1];
+  } catch (error) {
+    console.error('Error saving shop:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,146 @@
+// Delivery Service - Outbound channels for generated price lists
+// Channels are pluggable: anything with a deliver(message) method can be registered under a name
+import path from 'path';
+import fs from 'fs';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Delivered files and messages land here until a real transport picks them up
+const OUTBOX_DIR = process.env.DELIVERY_OUTBOX_DIR || path.join(__dirname, '../../data/outbox');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const writeOutboxFile = async (folder, filename, content) => {
+  const dir = path.join(OUTBOX_DIR, folder);
+  await fs.promises.mkdir(dir, { recursive: true });
+  const location = path.join(dir, filename);
+  await fs.promises.writeFile(location, content);
+  return location;
+};
+
+// One path segment from a shop domain or ID - nothing that could climb out of the outbox
+const toPathSegment = (value) => String(value).replace(/[^a-zA-Z0-9._-]/g, '-').replace(/^\.+/, '') || '-';
+
+// Base64 bodies are wrapped at 76 characters as MIME requires
+const wrapBase64 = (buffer) => buffer.toString('base64').replace(/.{76}/g, '$&\r\n');
+
+// Header values outside printable ASCII are sent as RFC 2047 encoded words
+const encodeHeader = (value) =>
+  /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+
+// Copies the PDF into the outbox - the default for shops without email delivery
+// Files go under files/<shop>/<run>/, so a second run or another shop's list of the same name never overwrites one
+export class FileChannel {
+  constructor() {
+    this.requiresRecipients = false;
+  }
+
+  async deliver({ attachment, shopDomain = 'unknown-shop', runId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}` }) {
+    const folder = path.join('files', toPathSegment(shopDomain), toPathSegment(runId));
+    const location = await writeOutboxFile(folder, attachment.filename, attachment.content);
+    return { location, recipients: [] };
+  }
+}
+
+// SMTP stand-in: writes the message it would send as an .eml file (a mail pickup directory)
+// Swap in a real transport by registering another channel under 'email'
+export class EmailChannel {
+  constructor({ from = process.env.DELIVERY_FROM_EMAIL || 'price-lists@localhost' } = {}) {
+    this.from = from;
+    this.requiresRecipients = true;
+  }
+
+  buildMessage({ to, subject, text, attachment }) {
+    const boundary = `----=_PriceList_${crypto.randomBytes(12).toString('hex')}`;
+    const domain = this.from.split('@')[1] || 'localhost';
+
+    return [
+      `From: ${this.from}`,
+      `To: ${to.join(', ')}`,
+      `Subject: ${encodeHeader(subject)}`,
+      `Date: ${new Date().toUTCString()}`,
+      `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+      'MIME-Version: 1.0',
+      `Content-Type: multipart/mixed; boundary="${boundary}"`,
+      '',
+      `--${boundary}`,
+      'Content-Type: text/plain; charset=utf-8',
+      'Content-Transfer-Encoding: 8bit',
+      '',
+      text,
+      '',
+      `--${boundary}`,
+      `Content-Type: ${attachment.contentType}; name="${attachment.filename}"`,
+      'Content-Transfer-Encoding: base64',
+      `Content-Disposition: attachment; filename="${attachment.filename}"`,
+      '',
+      wrapBase64(attachment.content),
+      `--${boundary}--`,
+      ''
+    ].join('\r\n');
+  }
+
+  async deliver(message) {
+    const filename = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`;
+    const location = await writeOutboxFile('mail', filename, this.buildMessage(message));
+    return { location, recipients: message.to };
+  }
+}
+
+export class DeliveryService {
+  constructor() {
+    this.channels = new Map();
+    this.registerChannel('file', new FileChannel());
+    this.registerChannel('email', new EmailChannel());
+  }
+
+  registerChannel(name, channel) {
+    if (typeof channel?.deliver !== 'function') {
+      throw new Error(`Delivery channel ${name} must implement deliver()`);
+    }
+    this.channels.set(name, channel);
+  }
+
+  getChannelNames() {
+    return [...this.channels.keys()];
+  }
+
+  // Problems with a delivery setting, empty when it can be used
+  validateDelivery({ channel, recipients = [] } = {}) {
+    const errors = [];
+    const target = this.channels.get(channel);
+
+    if (!target) {
+      errors.push(`Delivery channel must be one of: ${this.getChannelNames().join(', ')}`);
+      return errors;
+    }
+    if (!Array.isArray(recipients)) {
+      errors.push('Recipients must be a list of email addresses');
+      return errors;
+    }
+    if (target.requiresRecipients && recipients.length === 0) {
+      errors.push(`The ${channel} channel needs at least one recipient`);
+    }
+    recipients.filter(recipient => !EMAIL_PATTERN.test(recipient))
+      .forEach(recipient => errors.push(`Invalid recipient email: ${recipient}`));
+    return errors;
+  }
+
+  // message: { to, subject, text, attachment: { filename, content, contentType }, shopDomain, runId }
+  async deliver(channelName, message) {
+    const channel = this.channels.get(channelName);
+    if (!channel) {
+      throw new Error(`Unknown delivery channel: ${channelName}`);
+    }
+
+    const result = await channel.deliver({ to: [], ...message });
+    return { channel: channelName, ...result, deliveredAt: new Date().toISOString() };
+  }
+}
+
+// Create singleton instance
+export const deliveryService = new DeliveryService();
+export default deliveryService;
@@ -0,0 +1,195 @@
+// Image Cache - Product images and logos for PDFs, downloaded once and kept on disk
+// Shopify CDN images are resized by the CDN itself (width parameter), so thumbnails stay a few KB each
+import path from 'path';
+import fs from 'fs';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CACHE_DIR = process.env.IMAGE_CACHE_DIR || path.join(__dirname, '../../data/image-cache');
+const CACHE_TTL_MS = (parseFloat(process.env.IMAGE_CACHE_TTL_HOURS) || 168) * 60 * 60 * 1000;
+
+// Images are skipped above this size rather than bloating the PDF - callers can ask for a smaller cap
+const MAX_IMAGE_BYTES = 512 * 1024;
+// Only the Shopify CDN resizes images, so anything else is held to the size of a resized thumbnail
+// rather than embedded full size
+export const THUMBNAIL_MAX_BYTES = 48 * 1024;
+const FETCH_TIMEOUT_MS = 5000;
+
+// Only images on Shopify's CDN (or hosts the shop adds in IMAGE_HOSTS) are fetched, and only over https,
+// so a URL in a product can't point the server at itself or the internal network
+const SHOPIFY_IMAGE_HOSTS = ['cdn.shopify.com', '*.myshopify.com'];
+const getAllowedHosts = () => [
+  ...SHOPIFY_IMAGE_HOSTS,
+  ...(process.env.IMAGE_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean)
+];
+const isAllowedHost = (hostname) => getAllowedHosts().some(host =>
+  host.startsWith('*.') ? hostname.endsWith(host.slice(1)) : hostname === host);
+const FETCH_CONCURRENCY = 6;
+
+// jsPDF embeds PNG and JPEG; the Accept header keeps the CDN from answering with WebP
+const IMAGE_TYPES = { 'image/png': { format: 'PNG', extension: 'png' }, 'image/jpeg': { format: 'JPEG', extension: 'jpg' } };
+const EXTENSION_TYPES = { png: 'image/png', jpg: 'image/jpeg' };
+
+const isShopifyCdn = (url) => url.hostname === 'cdn.shopify.com' ||
+  (url.hostname.endsWith('.myshopify.com') && url.pathname.startsWith('/cdn/shop/'));
+
+export class ImageCacheService {
+  constructor() {
+    // Downloads in progress, so a product listed twice is fetched once
+    this.pending = new Map();
+  }
+
+  // The URL actually fetched - resized and re-encoded by the CDN where it can be
+  buildSourceUrl(source, { width = null, format = null } = {}) {
+    const url = new URL(source);
+    if (isShopifyCdn(url)) {
+      if (width) url.searchParams.set('width', String(width));
+      if (format) url.searchParams.set('format', format);
+    }
+    return url.toString();
+  }
+
+  // Whether a source URL may be fetched at all
+  isAllowedSource(source) {
+    try {
+      const url = new URL(source);
+      return url.protocol === 'https:' && !url.username && !url.password && !url.port && isAllowedHost(url.hostname.toLowerCase());
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Image as { data, format, key } for addImage, or null when it can't be used
+  // options: { width, format } for the CDN to resize to, maxBytes to skip anything larger
+  async getImage(source, options = {}) {
+    if (!source || !/^https?:\/\//i.test(source)) return null;
+    if (!this.isAllowedSource(source)) {
+      console.warn(`⚠️ Skipping image ${String(source).slice(0, 80)}: only https images on Shopify's CDN or IMAGE_HOSTS are fetched`);
+      return null;
+    }
+
+    const url = this.buildSourceUrl(source, options);
+    const limit = isShopifyCdn(new URL(url)) ? MAX_IMAGE_BYTES : THUMBNAIL_MAX_BYTES;
+    const maxBytes = Math.min(options.maxBytes || limit, limit);
+    const key = crypto.createHash('sha1').update(url).digest('hex');
+
+    if (!this.pending.has(key)) {
+      this.pending.set(key, this.load(url, key, maxBytes).finally(() => this.pending.delete(key)));
+    }
+    return this.pending.get(key);
+  }
+
+  // Many images at once with a few downloads in flight - returns a Map of source URL to image
+  async getImages(sources, options = {}) {
+    const unique = [...new Set(sources.filter(Boolean))];
+    const images = new Map();
+    let next = 0;
+
+    const worker = async () => {
+      while (next < unique.length) {
+        const source = unique[next++];
+        images.set(source, await this.getImage(source, options));
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(FETCH_CONCURRENCY, unique.length) }, worker));
+
+    return images;
+  }
+
+  async load(url, key, maxBytes = MAX_IMAGE_BYTES) {
+    try {
+      const cached = await this.readCached(key, maxBytes);
+      if (cached) return cached;
+
+      // Redirects aren't followed - they could lead off the allowed hosts
+      const response = await fetch(url, {
+        headers: { Accept: 'image/jpeg,image/png;q=0.9' },
+        redirect: 'error',
+        signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+      const type = (response.headers.get('content-type') || '').split(';')[0].trim();
+      if (!IMAGE_TYPES[type]) throw new Error(`unsupported image type ${type || 'unknown'}`);
+
+      const length = parseInt(response.headers.get('content-length'));
+      if (length > maxBytes) throw new Error(`image is ${Math.round(length / 1024)} KB`);
+
+      const buffer = await this.readBody(response, maxBytes);
+
+      await fs.promises.mkdir(CACHE_DIR, { recursive: true });
+      await fs.promises.writeFile(path.join(CACHE_DIR, `${key}.${IMAGE_TYPES[type].extension}`), buffer);
+      return this.toImage(buffer, type, key);
+    } catch (error) {
+      console.warn(`⚠️ Skipping image ${url.slice(0, 80)}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Response body as a Buffer - the download is cancelled as soon as it passes maxBytes,
+  // so a server that sends no Content-Length can't make us buffer an oversized image
+  async readBody(response, maxBytes = MAX_IMAGE_BYTES) {
+    const reader = response.body.getReader();
+    const chunks = [];
+    let total = 0;
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      total += value.length;
+      if (total > maxBytes) {
+        await reader.cancel();
+        throw new Error(`image is over ${Math.round(maxBytes / 1024)} KB`);
+      }
+      chunks.push(value);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  async readCached(key, maxBytes = MAX_IMAGE_BYTES) {
+    for (const [extension, type] of Object.entries(EXTENSION_TYPES)) {
+      const file = path.join(CACHE_DIR, `${key}.${extension}`);
+      try {
+        const stats = await fs.promises.stat(file);
+        if (Date.now() - stats.mtimeMs > CACHE_TTL_MS || stats.size > maxBytes) continue;
+        return this.toImage(await fs.promises.readFile(file), type, key);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+    return null;
+  }
+
+  toImage(buffer, type, key) {
+    return { data: `data:${type};base64,${buffer.toString('base64')}`, format: IMAGE_TYPES[type].format, key };
+  }
+
+  // Remove expired files - returns how many were deleted
+  async prune(now = Date.now()) {
+    let files;
+    try {
+      files = await fs.promises.readdir(CACHE_DIR);
+    } catch (error) {
+      if (error.code === 'ENOENT') return 0;
+      throw error;
+    }
+
+    let removed = 0;
+    for (const file of files) {
+      const location = path.join(CACHE_DIR, file);
+      const stats = await fs.promises.stat(location);
+      if (now - stats.mtimeMs > CACHE_TTL_MS) {
+        await fs.promises.rm(location, { force: true });
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+// Create singleton instance
+export const imageCache = new ImageCacheService();
+export default imageCache;
@@ -0,0 +1,107 @@
+// Order Links - Signed links that put one price list line into checkout at the price it was quoted
+// The price travels in the link, so it's signed with HMAC-SHA256 and can't be edited on the way to checkout
+import crypto from 'crypto';
+
+// 16 bytes of signature keep links short enough for a small QR code on every row
+const SIGNATURE_BYTES = 16;
+
+const getSecret = () => process.env.ORDER_LINK_SECRET || process.env.SHOPIFY_API_SECRET || null;
+
+// Shopify IDs travel as their numeric part; anything else is kept as it is
+const shortId = (id) => String(id ?? '').replace(/^gid:\/\/shopify\/(Product|ProductVariant)\//, '');
+const fullId = (id, type) => (/^\d+$/.test(id) ? `gid://shopify/${type}/${id}` : id || null);
+
+export class OrderLinkService {
+  // Links are only signed with a configured secret - never a built-in default
+  isConfigured() {
+    return !!getSecret();
+  }
+
+  signature(payload) {
+    return crypto.createHmac('sha256', getSecret()).update(payload).digest().subarray(0, SIGNATURE_BYTES).toString('base64url');
+  }
+
+  // { shopDomain, listId, productId, variantId, price, expiresAt } as a compact signed token
+  sign(item) {
+    if (!this.isConfigured()) {
+      throw new Error('Order links need ORDER_LINK_SECRET or SHOPIFY_API_SECRET');
+    }
+
+    const fields = [
+      item.shopDomain,
+      item.listId || '',
+      shortId(item.productId),
+      shortId(item.variantId),
+      Number(item.price).toFixed(2),
+      item.expiresAt ? Math.floor(new Date(item.expiresAt).getTime() / 1000) : 0
+    ];
+    const payload = Buffer.from(JSON.stringify(fields)).toString('base64url');
+    return `${payload}.${this.signature(payload)}`;
+  }
+
+  // The signed item with an `expired` flag, or null when the token is malformed or has been altered
+  verify(token, now = Date.now()) {
+    if (!this.isConfigured() || typeof token !== 'string') return null;
+
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature) return null;
+
+    const expected = this.signature(payload);
+    if (expected.length !== signature.length || !crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature))) {
+      return null;
+    }
+
+    try {
+      const [shopDomain, listId, productId, variantId, price, expiresAt] = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      return {
+        shopDomain,
+        listId: listId || null,
+        productId: fullId(productId, 'Product'),
+        variantId: fullId(variantId, 'ProductVariant'),
+        price: parseFloat(price),
+        expiresAt: expiresAt ? new Date(expiresAt * 1000).toISOString() : null,
+        expired: expiresAt > 0 && expiresAt * 1000 < now
+      };
+    } catch {
+      return null;
+    }
+  }
+
+  // Checkout is public, so every item must carry a token for the shop being ordered from
+  // Product, variant and price come from the signature, whatever else was sent
+  // Returns { items }, or { status, error } when an item is unsigned, altered, from another shop or expired
+  resolveItems(items = [], shopDomain = null) {
+    if (!this.isConfigured()) {
+      return { status: 503, error: 'Online ordering is not set up for this shop' };
+    }
+
+    const resolved = [];
+    for (const item of items) {
+      if (!item?.token) return { status: 400, error: 'Items can only be ordered from a price list link' };
+
+      const signed = this.verify(item.token);
+      if (!signed || (shopDomain && signed.shopDomain !== shopDomain)) {
+        return { status: 400, error: 'This order link is invalid or has been altered' };
+      }
+      if (signed.expired) return { status: 410, error: 'This order link has expired' };
+
+      resolved.push({
+        ...item,
+        id: signed.variantId || signed.productId,
+        productId: signed.productId,
+        variantId: signed.variantId,
+        price: signed.price
+      });
+    }
+    return { items: resolved };
+  }
+
+  // Checkout link for one line
+  buildUrl(item, baseUrl = process.env.APP_URL || 'http://localhost:3000') {
+    return `${baseUrl}/checkout?item=${this.sign(item)}`;
+  }
+}
+
+// Create singleton instance
+export const orderLinkService = new OrderLinkService();
+export default orderLinkService;
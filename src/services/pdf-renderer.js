@@ -0,0 +1,937 @@
+// PDF Renderer - The one place price list PDFs are laid out
+// Callers describe what to print (a document); templates describe how (header, blocks, table columns, footer)
+import QRCode from 'qrcode';
+import { imageCache, THUMBNAIL_MAX_BYTES } from './image-cache.js';
+
+// Templates are plain JSON so they can be stored and edited; colours are hex strings
+export const BUILT_IN_TEMPLATES = {
+  // Dark banner with the client on the right, order buttons and QR code after the table
+  professional: {
+    name: 'professional',
+    label: 'Professional',
+    page: { format: 'a4', orientation: 'portrait', margin: 15 },
+    font: 'helvetica',
+    colours: {
+      primary: '#2d3748',
+      secondary: '#4a5568',
+      text: '#2d3748',
+      muted: '#6b7280',
+      panel: '#f8fafc',
+      border: '#e2e8f0',
+      stripe: '#f9fafb',
+      highlight: '#f0f8ff',
+      link: '#3b82f6',
+      accent: '#22c55e'
+    },
+    header: { style: 'banner', showClient: true, qr: false },
+    blocks: ['summary', 'table', 'totals', 'actions', 'notes', 'terms'],
+    table: { columns: ['title', 'sku', 'price', 'priceInclusive', 'breaks'], fontSize: 9, linkTitles: true, imageSize: 14, descriptions: false, descriptionLength: 160 },
+    footer: { contact: true, validity: true, pageNumbers: true, generatedAt: false },
+    logo: { placement: 'none', width: 25 },
+    cover: { enabled: false, heading: '' },
+    terms: { enabled: true, heading: 'Terms & Conditions', text: '' },
+    sections: { groupBy: 'none', subtotals: true, contents: true }
+  },
+
+  // Plain letterhead with a QR code top right and full contact and client details
+  classic: {
+    name: 'classic',
+    label: 'Classic with QR',
+    page: { format: 'a4', orientation: 'portrait', margin: 20 },
+    font: 'helvetica',
+    colours: {
+      primary: '#3498db',
+      secondary: '#34495e',
+      text: '#2c3e50',
+      muted: '#7f8c8d',
+      panel: '#f8f9fa',
+      border: '#bdc3c7',
+      stripe: '#f8f9fa',
+      highlight: '#f0f8ff',
+      link: '#3498db',
+      accent: '#22c55e'
+    },
+    header: { style: 'plain', showClient: false, qr: true },
+    blocks: ['summary', 'client', 'contact', 'table', 'totals', 'notes', 'terms'],
+    table: { columns: ['title', 'sku', 'basePrice', 'price', 'priceInclusive', 'breaks', 'savings'], fontSize: 9, linkTitles: true, imageSize: 14, descriptions: false, descriptionLength: 160 },
+    footer: { contact: false, validity: true, pageNumbers: true, generatedAt: true },
+    logo: { placement: 'none', width: 25 },
+    cover: { enabled: false, heading: '' },
+    terms: { enabled: true, heading: 'Terms & Conditions', text: '' },
+    sections: { groupBy: 'none', subtotals: true, contents: true }
+  },
+
+  // Catalogue columns (vendor and stock) for browsing rather than ordering
+  catalogue: {
+    name: 'catalogue',
+    label: 'Catalogue',
+    page: { format: 'a4', orientation: 'portrait', margin: 20 },
+    font: 'helvetica',
+    colours: {
+      primary: '#3498db',
+      secondary: '#34495e',
+      text: '#2c3e50',
+      muted: '#7f8c8d',
+      panel: '#f8f9fa',
+      border: '#bdc3c7',
+      stripe: '#f8f9fa',
+      highlight: '#f0f8ff',
+      link: '#3498db',
+      accent: '#22c55e'
+    },
+    header: { style: 'plain', showClient: false, qr: false },
+    blocks: ['summary', 'contact', 'table', 'notes', 'terms'],
+    table: { columns: ['title', 'vendor', 'basePrice', 'price', 'breaks', 'savings', 'stock'], fontSize: 8, linkTitles: true, imageSize: 14, descriptions: false, descriptionLength: 160 },
+    footer: { contact: false, validity: true, pageNumbers: true, generatedAt: true },
+    logo: { placement: 'none', width: 25 },
+    cover: { enabled: false, heading: '' },
+    terms: { enabled: true, heading: 'Terms & Conditions', text: '' },
+    sections: { groupBy: 'none', subtotals: true, contents: true }
+  },
+
+  // Catalogue with a thumbnail and short description for every product
+  illustrated: {
+    name: 'illustrated',
+    label: 'Illustrated Catalogue',
+    page: { format: 'a4', orientation: 'portrait', margin: 15 },
+    font: 'helvetica',
+    colours: {
+      primary: '#2d3748',
+      secondary: '#4a5568',
+      text: '#2d3748',
+      muted: '#718096',
+      panel: '#f7fafc',
+      border: '#e2e8f0',
+      stripe: '#f7fafc',
+      highlight: '#ebf8ff',
+      link: '#2b6cb0',
+      accent: '#38a169'
+    },
+    header: { style: 'plain', showClient: false, qr: false },
+    blocks: ['summary', 'contact', 'table', 'totals', 'notes', 'terms'],
+    table: { columns: ['image', 'title', 'sku', 'vendor', 'price', 'breaks', 'stock'], fontSize: 8, linkTitles: true, imageSize: 16, descriptions: true, descriptionLength: 160 },
+    footer: { contact: false, validity: true, pageNumbers: true, generatedAt: true },
+    logo: { placement: 'left', width: 25 },
+    cover: { enabled: false, heading: '' },
+    terms: { enabled: true, heading: 'Terms & Conditions', text: '' },
+    sections: { groupBy: 'none', subtotals: true, contents: true }
+  }
+};
+
+export const DEFAULT_TEMPLATE = 'professional';
+export const BLOCK_TYPES = ['summary', 'client', 'contact', 'table', 'totals', 'actions', 'notes', 'terms'];
+
+// jsPDF's standard fonts - anything else would need embedding
+export const TEMPLATE_FONTS = ['helvetica', 'times', 'courier'];
+export const LOGO_PLACEMENTS = ['none', 'left', 'right'];
+export const SECTION_GROUPINGS = ['none', 'collection', 'productType', 'vendor'];
+
+// Logos must be PNG or JPEG, either inline as a data URL or fetched (and cached) from an allowed https host
+const IMAGE_TYPES = { 'image/png': 'PNG', 'image/jpeg': 'JPEG', 'image/jpg': 'JPEG' };
+const LOGO_IMAGE = { width: 600 };
+
+// Thumbnails are fetched at about 180 dpi for their printed size and re-encoded as JPEG by the CDN
+// Anything bigger than a resized thumbnail is skipped rather than embedded hundreds of times
+const THUMBNAIL_DPI = 180;
+const thumbnailOptions = (sizeMm) => ({ width: Math.ceil(sizeMm / 25.4 * THUMBNAIL_DPI), format: 'jpg', maxBytes: THUMBNAIL_MAX_BYTES });
+
+// Order QR codes on table rows: small, with low error correction so the signed link stays scannable
+// Whole pixels per module keep every module the same printed size
+const LINE_QR_SIZE = 16;
+const LINE_QR_OPTIONS = { errorCorrectionLevel: 'L', scale: 3, margin: 0 };
+
+const FOOTER_HEIGHT = 25;
+const CELL_PADDING = 3;
+// Side padding for fitted columns - tighter, so short figures like prices don't widen the table much
+const FIT_PADDING = 1.5;
+const HEADER_HEIGHT = 45;
+
+const hexToRgb = (hex) => {
+  const value = String(hex || '#000000').replace('#', '');
+  const full = value.length === 3 ? value.split('').map(char => char + char).join('') : value;
+  return [0, 2, 4].map(offset => parseInt(full.substr(offset, 2), 16) || 0);
+};
+
+export class PDFRenderer {
+  // A built-in template by name, or a template object laid over the default
+  resolveTemplate(template = DEFAULT_TEMPLATE) {
+    if (typeof template === 'string') {
+      return BUILT_IN_TEMPLATES[template] || BUILT_IN_TEMPLATES[DEFAULT_TEMPLATE];
+    }
+
+    const base = BUILT_IN_TEMPLATES[template.extends] || BUILT_IN_TEMPLATES[DEFAULT_TEMPLATE];
+    return {
+      ...base,
+      ...template,
+      page: { ...base.page, ...template.page },
+      colours: { ...base.colours, ...template.colours },
+      header: { ...base.header, ...template.header },
+      table: { ...base.table, ...template.table },
+      footer: { ...base.footer, ...template.footer },
+      logo: { ...base.logo, ...template.logo },
+      cover: { ...base.cover, ...template.cover },
+      terms: { ...base.terms, ...template.terms },
+      sections: { ...base.sections, ...template.sections },
+      blocks: template.blocks || base.blocks
+    };
+  }
+
+  // Render a document - { title, company, client, summary, table, totals, actions, notes, terms, validity }
+  // Returns the jsPDF document so callers choose the output form
+  async render(document, templateInput = DEFAULT_TEMPLATE) {
+    const template = this.resolveTemplate(templateInput);
+    const { jsPDF } = await import('jspdf');
+    await import('jspdf-autotable');
+
+    const doc = new jsPDF(template.page.orientation === 'landscape' ? 'l' : 'p', 'mm', template.page.format);
+    const context = {
+      doc,
+      template,
+      document,
+      margin: template.page.margin,
+      pageWidth: doc.internal.pageSize.getWidth(),
+      pageHeight: doc.internal.pageSize.getHeight(),
+      logo: template.logo.placement !== 'none' ? await this.loadImage(document.company?.logo) : null,
+      firstPage: 1,
+      sections: [],
+      y: 0
+    };
+
+    if (template.cover.enabled) {
+      this.renderCover(context);
+      doc.addPage();
+      context.firstPage = 2;
+    }
+
+    await this.renderHeader(context);
+
+    for (const block of template.blocks) {
+      await this.renderBlock(context, block);
+    }
+
+    if (template.sections.contents && context.sections.length > 1) {
+      this.renderContents(context);
+    }
+
+    this.renderFooter(context);
+
+    if (document.validity?.expired) {
+      this.addExpiredWatermark(doc);
+    }
+
+    return doc;
+  }
+
+  async renderBlock(context, block) {
+    switch (block) {
+      case 'summary': return this.renderSummary(context);
+      case 'client': return this.renderClient(context);
+      case 'contact': return this.renderContact(context);
+      case 'table': return this.renderTable(context);
+      case 'totals': return this.renderTotals(context);
+      case 'actions': return this.renderActions(context);
+      case 'notes': return this.renderNotes(context);
+      case 'terms': return this.renderTerms(context);
+      default: console.warn(`⚠️ Unknown PDF block: ${block}`);
+    }
+  }
+
+  setColour(doc, hex, target = 'text') {
+    const rgb = hexToRgb(hex);
+    if (target === 'fill') doc.setFillColor(...rgb);
+    else if (target === 'draw') doc.setDrawColor(...rgb);
+    else doc.setTextColor(...rgb);
+  }
+
+  setFont(context, size, style = 'normal') {
+    context.doc.setFont(context.template.font, style);
+    context.doc.setFontSize(size);
+  }
+
+  // Start a new page when the next `height` mm would run into the footer
+  ensureSpace(context, height) {
+    if (context.y + height > context.pageHeight - FOOTER_HEIGHT - 5) {
+      context.doc.addPage();
+      context.y = context.margin;
+    }
+  }
+
+  // Clickable area with a thin underline so readers can tell it's a link
+  addLink(doc, x, y, width, height, url, colour = '#3b82f6') {
+    doc.link(x, y, width, height, { url });
+    this.setColour(doc, colour, 'draw');
+    doc.setLineWidth(0.2);
+    doc.line(x + 2, y + height - 1, x + width - 2, y + height - 1);
+  }
+
+  // Image as { data, format, key } for addImage, or null when it can't be used
+  async loadImage(source, options = LOGO_IMAGE) {
+    if (!source) return null;
+    if (/^https?:\/\//i.test(source)) {
+      return imageCache.getImage(source, options);
+    }
+
+    const format = IMAGE_TYPES[(String(source).match(/^data:([^;,]+)/) || [])[1]];
+    if (!format) {
+      console.warn('⚠️ Skipping image: only PNG and JPEG images are supported');
+      return null;
+    }
+    return { data: source, format, key: null };
+  }
+
+  // Draw an image inside a box, keeping its aspect ratio; returns the width used
+  // The key lets jsPDF embed an image once however many times it's drawn
+  drawImage(doc, image, x, y, maxWidth, maxHeight, align = 'left') {
+    if (!image) return 0;
+
+    try {
+      const { width, height } = doc.getImageProperties(image.data);
+      const scale = Math.min(maxWidth / width, maxHeight / height);
+      const drawWidth = width * scale;
+      const offset = align === 'right' ? maxWidth - drawWidth : (align === 'center' ? (maxWidth - drawWidth) / 2 : 0);
+      const top = align === 'center' ? y + (maxHeight - height * scale) / 2 : y;
+      // PNGs are stored decoded, so they're compressed again to keep large catalogues small
+      doc.addImage(image.data, image.format, x + offset, top, drawWidth, height * scale, image.key || undefined, image.format === 'PNG' ? 'FAST' : 'NONE');
+      return drawWidth;
+    } catch (error) {
+      console.warn('⚠️ Failed to add image to PDF:', error.message);
+      return 0;
+    }
+  }
+
+  drawLogo(context, x, y, maxWidth, maxHeight, align = 'left') {
+    return this.drawImage(context.doc, context.logo, x, y, maxWidth, maxHeight, align);
+  }
+
+  // Full-page cover: logo, title, who it was prepared for and when
+  renderCover(context) {
+    const { doc, template, document, pageWidth, pageHeight, margin } = context;
+    const { colours } = template;
+    const centre = pageWidth / 2;
+    const bandHeight = pageHeight * 0.45;
+
+    this.setColour(doc, colours.primary, 'fill');
+    doc.rect(0, 0, pageWidth, bandHeight, 'F');
+    this.setColour(doc, colours.secondary, 'fill');
+    doc.rect(0, bandHeight, pageWidth, 4, 'F');
+
+    const logoWidth = template.logo.width * 2;
+    this.drawLogo(context, centre - logoWidth / 2, 25, logoWidth, 35, 'left');
+
+    doc.setTextColor(255, 255, 255);
+    this.setFont(context, 28, 'bold');
+    doc.text(doc.splitTextToSize(template.cover.heading || document.title || 'Price List', pageWidth - margin * 2), centre, bandHeight - 45, { align: 'center' });
+    this.setFont(context, 14);
+    doc.text(document.company?.name || 'Your Company', centre, bandHeight - 15, { align: 'center' });
+
+    let y = bandHeight + 35;
+    if (document.client?.name) {
+      this.setColour(doc, colours.muted);
+      this.setFont(context, 11);
+      doc.text('PREPARED FOR', centre, y, { align: 'center' });
+      this.setColour(doc, colours.text);
+      this.setFont(context, 18, 'bold');
+      doc.text(document.client.name, centre, y + 10, { align: 'center' });
+      y += 30;
+    }
+
+    this.setColour(doc, colours.muted);
+    this.setFont(context, 11);
+    doc.text(this.formatDate(document.generatedAt), centre, y, { align: 'center' });
+    if (document.validityText) doc.text(document.validityText, centre, y + 7, { align: 'center' });
+
+    const company = document.company || {};
+    this.setFont(context, 9);
+    doc.text([company.phone, company.email, company.website].filter(Boolean).join(' • '), centre, pageHeight - 20, { align: 'center' });
+  }
+
+  async renderHeader(context) {
+    if (context.template.header.style === 'banner') {
+      return this.renderBannerHeader(context);
+    }
+    return this.renderPlainHeader(context);
+  }
+
+  renderBannerHeader(context) {
+    const { doc, template, document, pageWidth, margin } = context;
+    const { colours } = template;
+    const company = document.company || {};
+
+    this.setColour(doc, colours.primary, 'fill');
+    doc.rect(0, 0, pageWidth, HEADER_HEIGHT, 'F');
+    this.setColour(doc, colours.secondary, 'fill');
+    doc.rect(0, HEADER_HEIGHT - 10, pageWidth, 10, 'F');
+
+    // A left logo pushes the company details right; a right logo pushes the client details left
+    const { placement, width: logoWidth } = template.logo;
+    const left = margin + (placement === 'left' && this.drawLogo(context, margin, 6, logoWidth, HEADER_HEIGHT - 18) ? logoWidth + 5 : 0);
+    const right = pageWidth - margin - (placement === 'right' && this.drawLogo(context, pageWidth - margin - logoWidth, 6, logoWidth, HEADER_HEIGHT - 18, 'right') ? logoWidth + 5 : 0);
+
+    doc.setTextColor(255, 255, 255);
+    this.setFont(context, 24, 'bold');
+    doc.text(company.name || 'Your Company', left, 25);
+    this.setFont(context, 10);
+    if (company.tagline) doc.text(company.tagline, left, 32);
+    this.setFont(context, 8);
+    if (company.phone) doc.text(company.phone, left, 38);
+    if (company.email) doc.text(company.email, left, 42);
+
+    const client = document.client;
+    if (template.header.showClient && client?.name) {
+      this.setFont(context, 14, 'bold');
+      doc.text('QUOTE FOR:', right, 20, { align: 'right' });
+      this.setFont(context, 12);
+      doc.text(client.name, right, 28, { align: 'right' });
+      this.setFont(context, 8);
+      if (client.email) doc.text(client.email, right, 35, { align: 'right' });
+      if (client.phone) doc.text(client.phone, right, 40, { align: 'right' });
+    } else if (document.title) {
+      this.setFont(context, 14, 'bold');
+      doc.text(document.title, right, 25, { align: 'right' });
+    }
+    this.setFont(context, 8);
+    doc.text(`Date: ${this.formatDate(document.generatedAt)}`, pageWidth - margin, 45 - 1, { align: 'right' });
+
+    context.y = HEADER_HEIGHT + 10;
+  }
+
+  async renderPlainHeader(context) {
+    const { doc, template, document, pageWidth, margin } = context;
+    const { colours } = template;
+    const qrUrl = document.actions?.qrUrl;
+    const showQR = template.header.qr && qrUrl;
+
+    // The logo sits beside the company name, or top right when there's no QR code there
+    const { placement, width: logoWidth } = template.logo;
+    let left = margin;
+    if (placement === 'left' && this.drawLogo(context, margin, 15, logoWidth, 20)) {
+      left += logoWidth + 5;
+    } else if (placement === 'right') {
+      const x = pageWidth - margin - logoWidth - (showQR ? 45 : 0);
+      this.drawLogo(context, x, 15, logoWidth, 20, 'right');
+    }
+
+    this.setColour(doc, colours.text);
+    this.setFont(context, 24, 'bold');
+    doc.text(document.company?.name || 'Your Company', left, 30);
+
+    this.setColour(doc, colours.secondary);
+    this.setFont(context, 18);
+    doc.text(document.title || 'Custom Price List', margin, 45);
+
+    this.setColour(doc, colours.muted);
+    this.setFont(context, 10);
+    doc.text(`Generated: ${this.formatDate(document.generatedAt)}`, margin, 55);
+    context.y = 65;
+
+    if (showQR) {
+      const size = 40;
+      const x = pageWidth - margin - size;
+      try {
+        doc.addImage(await this.createQRCode(qrUrl), 'PNG', x, 20, size, size);
+        this.setColour(doc, colours.secondary);
+        this.setFont(context, 8);
+        doc.text('Scan for instant ordering', x + 2, 65);
+
+        if (document.actions.orderUrl) {
+          this.setColour(doc, colours.link);
+          this.setFont(context, 10);
+          doc.text('ORDER HERE', x + 2, 73);
+          this.addLink(doc, x + 2, 68, 35, 7, document.actions.orderUrl, colours.link);
+        }
+        context.y = 85;
+      } catch (error) {
+        console.warn('⚠️ Failed to add QR code to PDF:', error.message);
+      }
+    }
+  }
+
+  // Tier, currency, VAT mode and validity - heading and lines on the left, aside on the right
+  renderSummary(context) {
+    const summary = context.document.summary;
+    if (!summary) return;
+
+    const { doc, template, pageWidth, margin } = context;
+    const { colours } = template;
+    const lines = summary.lines || [];
+    const aside = summary.aside || [];
+    const height = 12 + Math.max(lines.length, aside.length, 1) * 5;
+
+    this.ensureSpace(context, height);
+    this.setColour(doc, colours.panel, 'fill');
+    this.setColour(doc, colours.border, 'draw');
+    doc.rect(margin, context.y, pageWidth - margin * 2, height, 'FD');
+
+    this.setColour(doc, colours.text);
+    this.setFont(context, 12, 'bold');
+    if (summary.heading) doc.text(summary.heading, margin + 5, context.y + 8);
+
+    this.setFont(context, 8);
+    lines.forEach((line, index) => doc.text(line, margin + 5, context.y + 14 + index * 5));
+    aside.forEach((line, index) => doc.text(line, pageWidth - margin - 5, context.y + 8 + index * 5, { align: 'right' }));
+
+    context.y += height + 8;
+  }
+
+  // Labelled lines under a bold heading
+  renderDetails(context, heading, rows) {
+    const present = rows.filter(([, value]) => value);
+    if (present.length === 0) return;
+
+    const { doc, template, margin } = context;
+    this.ensureSpace(context, 10 + present.length * 6);
+
+    this.setColour(doc, template.colours.text);
+    this.setFont(context, 12, 'bold');
+    doc.text(heading, margin, context.y);
+    context.y += 8;
+
+    this.setFont(context, 10);
+    present.forEach(([label, value]) => {
+      doc.text(`${label}: ${value}`, margin, context.y);
+      context.y += 6;
+    });
+    context.y += 5;
+  }
+
+  renderClient(context) {
+    const client = context.document.client || {};
+    this.renderDetails(context, 'CLIENT INFORMATION', [['Name', client.name], ['Email', client.email], ['Phone', client.phone]]);
+  }
+
+  renderContact(context) {
+    const company = context.document.company || {};
+    this.renderDetails(context, 'COMPANY INFORMATION', [['Email', company.email], ['Phone', company.phone], ['Website', company.website]]);
+  }
+
+  // Columns the template asks for, in its order; 'breaks' stands for every quantity-break column
+  // Thumbnails always come first and order codes last, so descriptions can run between them
+  selectColumns(template, table) {
+    const byKey = new Map(table.columns.map(column => [column.key, column]));
+    const chosen = template.table.columns;
+    const keys = [
+      ...(chosen.includes('image') ? ['image'] : []),
+      ...chosen.filter(key => key !== 'image' && key !== 'qr'),
+      ...(chosen.includes('qr') ? ['qr'] : [])
+    ];
+    return keys.flatMap(key => key === 'breaks'
+      ? table.columns.filter(column => column.group === 'breaks')
+      : (byKey.has(key) ? [byKey.get(key)] : []));
+  }
+
+  // First sentence or so of a product description, cut at a word boundary
+  shortDescription(text, limit) {
+    const clean = String(text || '').replace(/\s+/g, ' ').trim();
+    if (clean.length <= limit) return clean;
+    const cut = clean.slice(0, limit);
+    return `${cut.slice(0, cut.lastIndexOf(' ') > limit / 2 ? cut.lastIndexOf(' ') : limit).replace(/[\s,;:.-]+$/, '')}...`;
+  }
+
+  // Columns marked fit widen to keep their widest cell on one line - every section shares the width
+  fitColumns(doc, template, columns, rows) {
+    doc.setFont(template.font, 'normal');
+    doc.setFontSize(template.table.fontSize);
+    return columns.map(column => {
+      if (!column.fit) return column;
+      const widest = Math.max(0, ...rows.flatMap(row => String(this.cellText(column, row)).split('\n').map(line => doc.getTextWidth(line))));
+      return { ...column, width: Math.max(column.width || 0, Math.ceil(widest + FIT_PADDING * 2)) };
+    });
+  }
+
+  cellText(column, row) {
+    if (column.key === 'image' || column.key === 'qr') return '';
+    if (column.key === 'title') return `${row.indent ? '   - ' : ''}${row.cells.title ?? ''}`;
+    return row.heading ? '' : row.cells[column.key] ?? '';
+  }
+
+  // The product table, split into titled sections when the document groups its rows
+  async renderTable(context) {
+    const table = context.document.table;
+    if (!table?.rows?.length) return;
+
+    const { doc, template } = context;
+    const columns = this.fitColumns(doc, template, this.selectColumns(template, table), table.rows);
+    const assets = {
+      images: columns[0]?.key === 'image'
+        ? await imageCache.getImages(table.rows.map(row => row.image), thumbnailOptions(template.table.imageSize))
+        : new Map(),
+      codes: columns[columns.length - 1]?.key === 'qr' ? await this.createLineCodes(table.rows) : new Map()
+    };
+
+    if (!table.sections?.length) {
+      this.renderRows(context, columns, table.rows, assets);
+      return;
+    }
+
+    for (const section of table.sections) {
+      this.renderSectionHeading(context, section);
+      this.renderRows(context, columns, section.rows, assets, template.sections.subtotals ? section.subtotal : null);
+    }
+  }
+
+  // QR image for every row with an order link, keyed by the link
+  async createLineCodes(rows) {
+    const codes = new Map();
+    for (const url of new Set(rows.map(row => row.orderUrl).filter(Boolean))) {
+      try {
+        codes.set(url, { data: await this.createQRCode(url, LINE_QR_OPTIONS), format: 'PNG', key: null });
+      } catch (error) {
+        console.warn('⚠️ Failed to create order QR code:', error.message);
+      }
+    }
+    return codes;
+  }
+
+  // Section title with its product count; the page it lands on is kept for the table of contents
+  renderSectionHeading(context, section) {
+    const { doc, template, pageWidth, margin } = context;
+    const { colours } = template;
+    this.ensureSpace(context, 40);
+
+    this.setColour(doc, colours.primary);
+    this.setFont(context, 13, 'bold');
+    doc.text(section.title, margin, context.y);
+    if (section.count) {
+      this.setColour(doc, colours.muted);
+      this.setFont(context, 9);
+      doc.text(`${section.count} ${section.count === 1 ? 'product' : 'products'}`, pageWidth - margin, context.y, { align: 'right' });
+    }
+
+    this.setColour(doc, colours.primary, 'draw');
+    doc.setLineWidth(0.5);
+    doc.line(margin, context.y + 2, pageWidth - margin, context.y + 2);
+
+    context.sections.push({ title: section.title, page: doc.getCurrentPageInfo().pageNumber });
+    context.y += 6;
+  }
+
+  // One autoTable of rows, with an optional { label, value } subtotal after the last row
+  renderRows(context, columns, rows, { images, codes }, subtotal = null) {
+    const { doc, template, margin } = context;
+    const { colours } = template;
+    const { fontSize, imageSize, descriptions, descriptionLength } = template.table;
+    const showImages = columns[0]?.key === 'image';
+    const showCodes = columns[columns.length - 1]?.key === 'qr';
+
+    // A description prints as its own row spanning every column after the thumbnail
+    const entries = rows.flatMap((row, index) => {
+      const description = descriptions && row.description ? this.shortDescription(row.description, descriptionLength) : '';
+      return description
+        ? [{ row, index, hasDescription: true }, { row, index, description }]
+        : [{ row, index }];
+    });
+    const textColumns = columns.filter(column => column.key !== 'image' && column.key !== 'qr');
+    const body = entries.map(entry => {
+      if (entry.description) {
+        return { [textColumns[0].key]: { content: entry.description, colSpan: textColumns.length } };
+      }
+      const cells = Object.fromEntries(columns.map(column => [column.key, this.cellText(column, entry.row)]));
+      if (entry.hasDescription) {
+        if (showImages) cells.image = { content: '', rowSpan: 2 };
+        if (showCodes) cells.qr = { content: '', rowSpan: 2 };
+      }
+      return cells;
+    });
+
+    // Striping follows products rather than table rows, so a description shares its product's shade
+    const stripe = (entry) => hexToRgb(entry.index % 2 ? colours.stripe : '#ffffff');
+
+    doc.autoTable({
+      columns: columns.map(column => ({ header: column.header, dataKey: column.key })),
+      body,
+      ...(subtotal && {
+        foot: [[{ content: `${subtotal.label}: ${subtotal.value}`, colSpan: columns.length }]],
+        showFoot: 'lastPage'
+      }),
+      startY: context.y,
+      margin: { left: margin, right: margin, bottom: FOOTER_HEIGHT + 5 },
+      theme: 'striped',
+      styles: {
+        font: template.font,
+        fontSize,
+        cellPadding: CELL_PADDING,
+        overflow: 'linebreak',
+        valign: showImages ? 'middle' : 'top',
+        textColor: hexToRgb(colours.text),
+        lineColor: hexToRgb(colours.border),
+        lineWidth: 0.1
+      },
+      headStyles: {
+        fillColor: hexToRgb(colours.primary),
+        textColor: [255, 255, 255],
+        fontStyle: 'bold',
+        fontSize: fontSize + 1
+      },
+      footStyles: {
+        fillColor: hexToRgb(colours.panel),
+        textColor: hexToRgb(colours.text),
+        fontStyle: 'bold',
+        halign: 'right'
+      },
+      columnStyles: Object.fromEntries(columns.map(column => [column.key, {
+        halign: column.align || 'left',
+        ...(column.key === 'image' && { cellWidth: imageSize + 4, minCellHeight: imageSize + 4 }),
+        ...(column.key === 'qr' && { cellWidth: LINE_QR_SIZE + 4, minCellHeight: LINE_QR_SIZE + 4 }),
+        ...(column.width && { cellWidth: column.width }),
+        ...(column.fit && { cellPadding: { top: CELL_PADDING, bottom: CELL_PADDING, left: FIT_PADDING, right: FIT_PADDING } })
+      }])),
+      didParseCell: (data) => {
+        if (data.section !== 'body') return;
+        const entry = entries[data.row.index];
+        const column = columns.find(candidate => candidate.key === data.column.dataKey);
+
+        data.cell.styles.fillColor = column?.highlight && !entry.description ? hexToRgb(colours.highlight) : stripe(entry);
+        if (entry.description) {
+          data.cell.styles.fontSize = Math.max(fontSize - 1, 6);
+          data.cell.styles.fontStyle = 'italic';
+          data.cell.styles.textColor = hexToRgb(colours.muted);
+          data.cell.styles.valign = 'top';
+          data.cell.styles.cellPadding = { top: 0, right: 3, bottom: 3, left: 3 };
+        } else if (entry.row.heading) {
+          data.cell.styles.fontStyle = 'bold';
+        }
+      },
+      didDrawCell: (data) => {
+        if (data.section !== 'body') return;
+        const entry = entries[data.row.index];
+        if (!entry || entry.description) return;
+
+        // With order codes printed, titles open the same signed order link as the code
+        const titleLink = (showCodes && entry.row.orderUrl) || entry.row.link;
+
+        if (data.column.dataKey === 'image') {
+          const size = Math.min(imageSize, data.cell.height - 2);
+          this.drawImage(doc, images.get(entry.row.image), data.cell.x + 2, data.cell.y + (data.cell.height - size) / 2, imageSize, size, 'center');
+        } else if (data.column.dataKey === 'qr' && codes.has(entry.row.orderUrl)) {
+          const top = data.cell.y + (data.cell.height - LINE_QR_SIZE) / 2;
+          this.drawImage(doc, codes.get(entry.row.orderUrl), data.cell.x + 2, top, LINE_QR_SIZE, LINE_QR_SIZE);
+          doc.link(data.cell.x + 2, top, LINE_QR_SIZE, LINE_QR_SIZE, { url: entry.row.orderUrl });
+        } else if (template.table.linkTitles && data.column.dataKey === 'title' && titleLink) {
+          this.addLink(doc, data.cell.x, data.cell.y, data.cell.width, data.cell.height, titleLink, colours.link);
+        }
+      }
+    });
+
+    context.y = doc.lastAutoTable.finalY + 8;
+  }
+
+  // Contents page(s) inserted ahead of the list, numbered the way the footer numbers pages
+  // Added once the sections are laid out, since only then is each section's page known
+  renderContents(context) {
+    const { doc, template, document, pageWidth, pageHeight, margin, firstPage } = context;
+    const { colours } = template;
+    const top = margin + 25;
+    const lineHeight = 8;
+    const perPage = Math.floor((pageHeight - FOOTER_HEIGHT - 5 - top) / lineHeight);
+    const contentsPages = Math.ceil(context.sections.length / perPage);
+
+    for (let page = 0; page < contentsPages; page++) {
+      doc.insertPage(firstPage + page);
+    }
+
+    context.sections.forEach((section, index) => {
+      doc.setPage(firstPage + Math.floor(index / perPage));
+      if (index % perPage === 0) {
+        this.setColour(doc, colours.primary);
+        this.setFont(context, 18, 'bold');
+        doc.text('Contents', margin, margin + 5);
+        this.setColour(doc, colours.muted);
+        this.setFont(context, 10);
+        doc.text(document.title || 'Price List', margin, margin + 13);
+      }
+
+      // Sections moved down by the pages just inserted
+      const target = section.page + contentsPages;
+      const pageLabel = String(target - firstPage + 1);
+      const y = top + (index % perPage) * lineHeight;
+
+      this.setColour(doc, colours.text);
+      this.setFont(context, 11);
+      const title = doc.splitTextToSize(section.title, pageWidth - margin * 2 - 25)[0];
+      doc.text(title, margin, y);
+      doc.text(pageLabel, pageWidth - margin, y, { align: 'right' });
+
+      this.setColour(doc, colours.border, 'draw');
+      doc.setLineWidth(0.2);
+      doc.setLineDashPattern([0.5, 1], 0);
+      doc.line(margin + doc.getTextWidth(title) + 2, y, pageWidth - margin - doc.getTextWidth(pageLabel) - 2, y);
+      doc.setLineDashPattern([], 0);
+
+      doc.link(margin, y - 5, pageWidth - margin * 2, lineHeight, { pageNumber: target });
+    });
+  }
+
+  // Subtotal, VAT and total, right-aligned under the table
+  renderTotals(context) {
+    const totals = context.document.totals;
+    if (!totals?.length) return;
+
+    const { doc, template, pageWidth, margin } = context;
+    this.ensureSpace(context, totals.length * 6 + 4);
+
+    this.setColour(doc, template.colours.text);
+    totals.forEach(row => {
+      this.setFont(context, 9, row.bold ? 'bold' : 'normal');
+      doc.text(row.label, pageWidth - margin - 75, context.y);
+      doc.text(row.value, pageWidth - margin - 5, context.y, { align: 'right' });
+      context.y += 6;
+    });
+    context.y += 4;
+  }
+
+  // "Next steps" panel: order and quote buttons on the left, QR code on the right
+  async renderActions(context) {
+    const actions = context.document.actions;
+    if (!actions) return;
+
+    const { doc, template, pageWidth, margin } = context;
+    const { colours } = template;
+    const height = 65;
+    this.ensureSpace(context, height);
+    const top = context.y;
+
+    this.setColour(doc, colours.panel, 'fill');
+    this.setColour(doc, colours.border, 'draw');
+    doc.rect(margin, top, pageWidth - margin * 2, height, 'FD');
+
+    this.setColour(doc, colours.text);
+    this.setFont(context, 14, 'bold');
+    doc.text('NEXT STEPS', margin + 10, top + 15);
+    this.setFont(context, 9);
+    doc.text('Choose your preferred method:', margin + 10, top + 25);
+
+    const buttons = [
+      [actions.orderUrl, 'Turn Price List into Order', colours.link],
+      [actions.quoteUrl, 'Turn Price List into Quote', colours.accent]
+    ].filter(([url]) => url);
+    buttons.forEach(([url, label, colour], index) => {
+      const y = top + 30 + index * 15;
+      this.setColour(doc, colour, 'fill');
+      doc.rect(margin + 10, y, 70, 12, 'F');
+      doc.link(margin + 10, y, 70, 12, { url });
+      doc.setTextColor(255, 255, 255);
+      this.setFont(context, 9, 'bold');
+      doc.text(label, margin + 13, y + 8);
+    });
+
+    if (actions.qrUrl) {
+      this.setColour(doc, colours.text);
+      this.setFont(context, 10, 'bold');
+      doc.text('OR SCAN QR CODE', pageWidth - margin - 45, top + 15);
+      try {
+        doc.addImage(await this.createQRCode(actions.qrUrl), 'PNG', pageWidth - margin - 40, top + 20, 35, 35);
+        this.setColour(doc, colours.muted);
+        this.setFont(context, 8);
+        doc.text('Scan to Order', pageWidth - margin - 35, top + 60);
+      } catch (error) {
+        console.error('Error generating QR code:', error);
+        this.setFont(context, 8);
+        doc.text('QR Code Error', pageWidth - margin - 35, top + 35);
+      }
+    }
+
+    context.y = top + height + 8;
+  }
+
+  // Legends, pricing notes and terms, wrapped to the page width
+  renderNotes(context) {
+    const notes = context.document.notes || [];
+    if (notes.length === 0) return;
+
+    const { doc, template, pageWidth, margin } = context;
+    this.setColour(doc, template.colours.muted);
+    this.setFont(context, 8);
+
+    notes.forEach(note => {
+      const lines = doc.splitTextToSize(note, pageWidth - margin * 2);
+      this.ensureSpace(context, lines.length * 4 + 2);
+      doc.text(lines, margin, context.y);
+      context.y += lines.length * 4 + 2;
+    });
+  }
+
+  // Terms block: the template's own wording, or the company's terms when it has none
+  renderTerms(context) {
+    const { terms } = context.template;
+    const text = terms.text || context.document.terms;
+    if (!terms.enabled || !text) return;
+
+    const { doc, template, pageWidth, margin } = context;
+    const lines = doc.splitTextToSize(text, pageWidth - margin * 2);
+    this.ensureSpace(context, lines.length * 4 + 12);
+
+    context.y += 4;
+    this.setColour(doc, template.colours.text);
+    this.setFont(context, 10, 'bold');
+    if (terms.heading) {
+      doc.text(terms.heading, margin, context.y);
+      context.y += 6;
+    }
+
+    this.setColour(doc, template.colours.muted);
+    this.setFont(context, 8);
+    doc.text(lines, margin, context.y);
+    context.y += lines.length * 4 + 2;
+  }
+
+  // Footer on every page after the cover, drawn last so page numbers know the page count
+  renderFooter(context) {
+    const { doc, template, document, pageWidth, pageHeight, margin, firstPage } = context;
+    const { footer, colours } = template;
+    const company = document.company || {};
+    const pageCount = doc.getNumberOfPages() - firstPage + 1;
+
+    for (let page = 1; page <= pageCount; page++) {
+      doc.setPage(page + firstPage - 1);
+
+      this.setColour(doc, colours.panel, 'fill');
+      doc.rect(0, pageHeight - FOOTER_HEIGHT, pageWidth, FOOTER_HEIGHT, 'F');
+      this.setColour(doc, colours.muted);
+      this.setFont(context, 8);
+
+      if (footer.contact) {
+        doc.text([company.name, company.phone, company.email].filter(Boolean).join(' • '), margin, pageHeight - 15);
+        if (company.website) doc.text(company.website, margin, pageHeight - 10);
+      } else if (footer.generatedAt) {
+        const generatedAt = new Date(document.generatedAt || Date.now());
+        doc.text(`Generated on ${generatedAt.toLocaleDateString()} at ${generatedAt.toLocaleTimeString()}`, margin, pageHeight - 10);
+      }
+
+      if (footer.pageNumbers) {
+        doc.text(`Page ${page} of ${pageCount}`, pageWidth - margin, pageHeight - 10, { align: 'right' });
+      }
+      if (footer.validity && document.validityText) {
+        doc.text(`Prices ${document.validityText.charAt(0).toLowerCase()}${document.validityText.slice(1)} • Terms and conditions apply`, pageWidth / 2, pageHeight - 5, { align: 'center' });
+      }
+    }
+  }
+
+  // Faint diagonal "EXPIRED" across every page of a list past its validity date
+  addExpiredWatermark(doc) {
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const pageHeight = doc.internal.pageSize.getHeight();
+
+    for (let page = 1; page <= doc.getNumberOfPages(); page++) {
+      doc.setPage(page);
+      doc.saveGraphicsState();
+      doc.setGState(new doc.GState({ opacity: 0.2 }));
+      doc.setTextColor(220, 38, 38);
+      doc.setFontSize(90);
+      doc.setFont('helvetica', 'bold');
+      doc.text('EXPIRED', pageWidth / 2, pageHeight / 2, { align: 'center', baseline: 'middle', angle: 45 });
+      doc.restoreGraphicsState();
+    }
+  }
+
+  createQRCode(url, options = { width: 200 }) {
+    return QRCode.toDataURL(url, { errorCorrectionLevel: 'M', margin: 1, ...options });
+  }
+
+  formatDate(value) {
+    return new Date(value || Date.now()).toLocaleDateString();
+  }
+}
+
+// Create singleton instance
+export const pdfRenderer = new PDFRenderer();
+export default pdfRenderer;
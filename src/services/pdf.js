@@ -1,5 +1,11 @@
-// PDF Service - Handles PDF generation and enhanced formatting
+// PDF Service - Turns priced products into price list documents for the PDF renderer
 import QRCode from 'qrcode';
+import { pricingService, DEFAULT_TAX_SETTINGS } from './pricing.js';
+import { pdfRenderer, DEFAULT_TEMPLATE } from './pdf-renderer.js';
+import { orderLinkService } from './order-links.js';
+
+// Section for products outside every collection, or without a type or vendor
+const OTHER_SECTION = 'Other products';
 
 export class PDFService {
   constructor() {
@@ -17,316 +23,277 @@ export class PDFService {
       name: "Client Company Name",
       category: "wholesale",
       showClientDetails: true,
-      showPricingTier: true,
-      hideVendorStock: true
+      showPricingTier: true
     };
   }
 
-  // Generate enhanced PDF with professional design
+  // Generate a price list PDF - priced lines laid out by a renderer template
+  // The template decides how rows are sectioned, so it's resolved before the document is built
   async generateEnhancedPDF(products, options = {}) {
+    const template = options.template || DEFAULT_TEMPLATE;
+    const resolved = pdfRenderer.resolveTemplate(template);
+    const document = this.buildPriceListDocument(products, {
+      groupBy: resolved.sections.groupBy,
+      ...options,
+      // Lines are only signed for templates that print order codes
+      orderLinks: resolved.table.columns.includes('qr') ? options.orderLinks : null
+    });
+    return pdfRenderer.render(document, template);
+  }
+
+  // Everything a template can print for a price list; the template picks which blocks and columns appear
+  buildPriceListDocument(products, options = {}) {
     const {
       companyConfig = {},
       clientConfig = {},
+      title = null,
       pricingTier = 'wholesale',
+      pricingConfig = null,
       customPrices = {},
       includeQR = true,
-      format = 'a4'
+      currency = null,
+      taxSettings = DEFAULT_TAX_SETTINGS,
+      taxDisplay = taxSettings.defaultDisplay,
+      validity = null,
+      groupBy = 'none',
+      collections = [],
+      orderLinks = null
     } = options;
 
+    // Prices are converted (then rounded) with the rate resolved by the caller
+    const currencyContext = currency || pricingService.getBaseCurrencyContext();
+    const tierConfig = pricingConfig || pricingService.getTierConfig(pricingTier);
+
     const company = { ...this.defaultCompanyConfig, ...companyConfig };
     const client = { ...this.defaultClientConfig, ...clientConfig };
 
-    // Import jsPDF for server-side use
-    const { jsPDF } = await import('jspdf');
-    await import('jspdf-autotable');
-    const doc = new jsPDF('p', 'mm', format);
+    const pricedProducts = pricingService.calculateBulkPricing(products || [], tierConfig, customPrices, currencyContext);
 
-    // Page setup
-    const pageWidth = doc.internal.pageSize.getWidth();
-    const pageHeight = doc.internal.pageSize.getHeight();
-    let currentY = 0;
-
-    // Add enhanced header
-    currentY = await this.addEnhancedHeader(doc, company, client, currentY);
-    
-    // Add pricing tier information
-    if (client.showPricingTier) {
-      currentY = this.addPricingTierInfo(doc, pricingTier, currentY);
+    // Signed checkout links per line, for order QR codes and title links - { shopDomain, listId }
+    const signLines = !!orderLinks?.shopDomain && orderLinkService.isConfigured();
+    if (orderLinks && !signLines) {
+      console.warn('⚠️ Order links skipped: set ORDER_LINK_SECRET (or SHOPIFY_API_SECRET) and sign in to a shop');
     }
+    const breakColumns = pricingService.getBreakColumns(pricedProducts).slice(1);
+    const taxLabel = pricingService.getTaxDisplayLabel(taxSettings, taxDisplay);
+    const format = (amount) => this.formatTablePrice(amount, currencyContext);
+    const display = (amount, taxable) => pricingService.getDisplayPrice(amount, taxable, taxSettings, taxDisplay);
 
-    // Add products table
-    currentY = await this.addEnhancedProductsTable(doc, products, {
-      pricingTier,
-      customPrices,
-      hideVendorStock: client.hideVendorStock,
-      includeQR,
-      client,
-      startY: currentY
-    });
+    const columns = [
+      { key: 'image', header: '' },
+      { key: 'title', header: 'Product' },
+      { key: 'sku', header: 'SKU', width: 30 },
+      { key: 'vendor', header: 'Vendor', width: 25 },
+      { key: 'basePrice', header: 'Base Price', align: 'right', width: 25 },
+      { key: 'price', header: taxDisplay === 'incl' ? `Incl. ${taxSettings.label}` : `Excl. ${taxSettings.label}`, align: 'right', width: 28, highlight: true },
+      // 'both' shows the incl. VAT price in its own column after the excl. VAT price
+      ...(taxDisplay === 'both' ? [{ key: 'priceInclusive', header: `Incl. ${taxSettings.label}`, align: 'right', width: 25 }] : []),
+      // Break prices widen to fit on one line as more break columns share the page
+      ...breakColumns.map(column => ({ key: `break_${column.minQty}`, header: `${column.label} units`, align: 'right', width: 18, fit: true, highlight: true, group: 'breaks' })),
+      { key: 'savings', header: 'Savings', align: 'center', width: 20 },
+      { key: 'stock', header: 'Stock', align: 'center', width: 20 },
+      { key: 'qr', header: 'Order', align: 'center' }
+    ];
 
-    // Add footer
-    this.addEnhancedFooter(doc, company);
+    // Several selected variants print as indented rows under a product heading
+    const productGroups = pricingService.groupVariantLines(pricedProducts).map(group => {
+      const grouped = group.lines.length > 1;
+      const taxLines = [];
+      const lineRows = group.lines.map(line => {
+        const pricing = line.pricing;
+        const variant = line.variants?.[0] || {};
+        const taxable = pricingService.isTaxable(line);
+        const price = parseFloat(pricing.finalPrice) || 0;
+        taxLines.push({ price, quantity: line.quantity || 1, taxable });
 
-    return doc;
-  }
+        const savings = pricing.basePrice - price;
+        const priceText = format(display(price, taxable)) + (pricing.hasCustomPrice ? ' *' : '') + (taxable ? '' : ' (exempt)');
 
-  // Add enhanced header with company/client layout
-  async addEnhancedHeader(doc, company, client, startY) {
-    const pageWidth = doc.internal.pageSize.getWidth();
-    let currentY = startY + 15;
+        return {
+          indent: grouped,
+          link: this.buildLineUrl(company.website, line),
+          orderUrl: signLines ? orderLinkService.buildUrl({
+            ...orderLinks,
+            productId: line.id,
+            variantId: line.variantId || variant.id,
+            // Orders are placed in the shop's own currency
+            price: pricingService.toBaseCurrency(price, currencyContext),
+            expiresAt: validity?.validUntil
+          }) : null,
+          // Grouped variants share the thumbnail and description on their product heading
+          ...(!grouped && { image: this.getLineImage(line), description: line.description || null }),
+          cells: {
+            title: pricingService.getLineTitle(line, grouped) || 'Unknown Product',
+            sku: variant.sku || 'N/A',
+            vendor: line.vendor || 'Unknown',
+            basePrice: format(display(pricing.basePrice, taxable)),
+            // Promo end date under the price
+            price: pricing.promotion ? `${priceText}\n${pricingService.formatPromotionNote(pricing.promotion)}` : priceText,
+            priceInclusive: format(pricingService.calculateTax(price, taxable, taxSettings).inclusive),
+            savings: savings > 0 && pricing.basePrice > 0 ? `-${((savings / pricing.basePrice) * 100).toFixed(1)}%` : '0%',
+            stock: variant.inventoryQuantity > 0 ? 'Available' : 'Out of Stock',
+            ...Object.fromEntries(breakColumns.map(column => [
+              `break_${column.minQty}`,
+              format(display(pricingService.getPriceForQuantity(pricing, column.minQty), taxable))
+            ]))
+          }
+        };
+      });
+      const rows = grouped
+        ? [{
+          heading: true,
+          link: lineRows[0].link,
+          image: this.getLineImage(group.product),
+          description: group.product.description || null,
+          cells: { title: group.product.title }
+        }, ...lineRows]
+        : lineRows;
+      return { product: group.product, rows, taxLines };
+    });
+    const rows = productGroups.flatMap(group => group.rows);
+    const taxLines = productGroups.flatMap(group => group.taxLines);
 
-    // Add gradient background header
-    doc.setFillColor(45, 55, 72); // Dark blue-gray
-    doc.rect(0, 0, pageWidth, 45, 'F');
-    
-    // Add lighter gradient effect
-    doc.setFillColor(74, 85, 104);
-    doc.rect(0, 35, pageWidth, 10, 'F');
+    const sections = groupBy !== 'none'
+      ? this.buildSections(productGroups, groupBy, collections).map(section => {
+        const sectionTax = pricingService.summariseTax(section.groups.flatMap(group => group.taxLines), taxSettings);
+        return {
+          title: section.title,
+          count: section.groups.length,
+          rows: section.groups.flatMap(group => group.rows),
+          subtotal: { label: `Subtotal (excl. ${sectionTax.label})`, value: format(sectionTax.subtotalExclusive) }
+        };
+      })
+      : null;
 
-    // Company section (left side)
-    doc.setTextColor(255, 255, 255);
-    doc.setFontSize(24);
-    doc.setFont('helvetica', 'bold');
-    doc.text(company.name, 15, 25);
-    
-    doc.setFontSize(10);
-    doc.setFont('helvetica', 'normal');
-    doc.text(company.tagline, 15, 32);
-    
-    doc.setFontSize(8);
-    doc.text(company.phone, 15, 38);
-    doc.text(company.email, 15, 42);
+    const taxSummary = pricingService.summariseTax(taxLines, taxSettings);
+    const totals = [
+      { label: `Subtotal (excl. ${taxSummary.label})`, value: format(taxSummary.subtotalExclusive) },
+      ...(taxSummary.exemptTotal > 0 ? [{ label: `Includes ${taxSummary.label}-exempt items`, value: format(taxSummary.exemptTotal) }] : []),
+      { label: `${taxSummary.label} @ ${taxSummary.ratePercent}%`, value: format(taxSummary.tax) },
+      { label: `Total (incl. ${taxSummary.label})`, value: format(taxSummary.totalInclusive), bold: true }
+    ];
 
-    // Client section (right side)
-    if (client.showClientDetails) {
-      doc.setTextColor(255, 255, 255);
-      doc.setFontSize(14);
-      doc.setFont('helvetica', 'bold');
-      doc.text('QUOTE FOR:', pageWidth - 15, 20, { align: 'right' });
-      
-      doc.setFontSize(12);
-      doc.setFont('helvetica', 'normal');
-      doc.text(client.name, pageWidth - 15, 28, { align: 'right' });
-      
-      doc.setFontSize(8);
-      if (client.email) {
-        doc.text(client.email, pageWidth - 15, 35, { align: 'right' });
-      }
-      if (client.phone) {
-        doc.text(client.phone, pageWidth - 15, 40, { align: 'right' });
-      }
-      doc.text(`Date: ${new Date().toLocaleDateString()}`, pageWidth - 15, 45, { align: 'right' });
+    const notes = [
+      ...(pricedProducts.some(line => line.pricing.hasCustomPrice) ? ['* Custom pricing applied for specific products'] : []),
+      ...(taxLines.some(line => !line.taxable) ? [`(exempt) Not subject to ${taxSettings.label}`] : []),
+      // With order codes printed, product names open the same order link as the code
+      ...(signLines
+        ? ['Scan a code or click a product name to order it online']
+        : (company.website && rows.some(row => row.link) ? ['Product names are clickable links to our online store'] : [])),
+      ...(tierConfig.notes ? [`Notes: ${tierConfig.notes}`] : [])
+    ];
+
+    const summaryLines = [`Prices shown reflect your approved pricing tier. ${this.formatValidity(validity)}.`];
+    if (tierConfig.discountPercent) {
+      summaryLines.push(`Base discount: ${tierConfig.discountPercent}%`);
     }
 
-    return 55;
+    return {
+      title: title || `${pricingTier.charAt(0).toUpperCase() + pricingTier.slice(1)} Price List`,
+      generatedAt: new Date().toISOString(),
+      company,
+      client: client.showClientDetails ? client : null,
+      summary: client.showPricingTier ? {
+        heading: `PRICING TIER: ${(tierConfig.tierName || pricingTier).toUpperCase()}`,
+        lines: summaryLines,
+        aside: [pricingService.describeCurrency(currencyContext), `Prices shown ${taxLabel}`]
+      } : null,
+      table: { columns: client.hideVendorStock ? columns.filter(column => !['vendor', 'stock'].includes(column.key)) : columns, rows, sections },
+      totals,
+      actions: includeQR ? this.buildOrderActions(pricedProducts, client) : null,
+      notes,
+      terms: company.terms || null,
+      validity,
+      validityText: this.formatValidity(validity)
+    };
   }
 
-  // Add pricing tier information
-  addPricingTierInfo(doc, pricingTier, startY) {
-    const pageWidth = doc.internal.pageSize.getWidth();
-    let currentY = startY + 10;
-
-    // Tier information box
-    doc.setFillColor(248, 250, 252); // Light gray background
-    doc.rect(15, currentY, pageWidth - 30, 20, 'F');
-    
-    doc.setDrawColor(226, 232, 240);
-    doc.rect(15, currentY, pageWidth - 30, 20, 'S');
+  // Order and quote links - variant lines order that exact variant
+  buildOrderActions(lines, client) {
+    const baseUrl = process.env.APP_URL || 'http://localhost:3000';
+    const productIds = lines.map(line => line.variantId || line.id).join(',');
+    const clientParams = new URLSearchParams({
+      name: client.name || 'Customer',
+      email: client.email || 'customer@example.com',
+      phone: client.phone || '',
+      address: client.address || ''
+    }).toString();
 
-    doc.setTextColor(45, 55, 72);
-    doc.setFontSize(12);
-    doc.setFont('helvetica', 'bold');
-    doc.text(`PRICING TIER: ${pricingTier.toUpperCase()}`, 20, currentY + 8);
-    
-    doc.setFontSize(8);
-    doc.setFont('helvetica', 'normal');
-    doc.text('Prices shown reflect your approved pricing tier. Valid for 30 days.', 20, currentY + 15);
-
-    return currentY + 30;
+    return {
+      orderUrl: `${baseUrl}/checkout?priceList=${productIds}&action=order&${clientParams}`,
+      quoteUrl: `${baseUrl}/checkout?priceList=${productIds}&action=quote&${clientParams}`,
+      qrUrl: `${baseUrl}/checkout?priceList=${[...new Set(lines.map(line => line.id))].join(',')}`
+    };
   }
 
-  // Add enhanced products table
-  async addEnhancedProductsTable(doc, products, options) {
-    const {
-      pricingTier,
-      customPrices,
-      hideVendorStock,
-      includeQR,
-      client,
-      startY
-    } = options;
-
-    const pageWidth = doc.internal.pageSize.getWidth();
-    let currentY = startY;
-
-    // Table headers (no QR column for individual products)
-    const headers = ['Product', 'SKU', 'Price'];
+  // Product groups sorted into titled sections - by collection (in the order given), product type or vendor
+  // A product in several collections is listed under the first; anything left over goes last
+  // Without current collection data, the collections stored on each product are used instead
+  buildSections(productGroups, groupBy, collections = []) {
+    const sectionTitle = (product) => {
+      if (groupBy === 'collection') {
+        return collections.length
+          ? collections.find(collection => collection.productIds.includes(product.id))?.title
+          : product.collections?.[0]?.title;
+      }
+      return groupBy === 'vendor' ? product.vendor : product.productType;
+    };
 
-    // Table styling
-    doc.setFillColor(45, 55, 72);
-    doc.rect(15, currentY, pageWidth - 30, 10, 'F');
-    
-    doc.setTextColor(255, 255, 255);
-    doc.setFontSize(10);
-    doc.setFont('helvetica', 'bold');
-    
-    // Header positions
-    const colPositions = [20, 90, 140];
-    headers.forEach((header, index) => {
-      doc.text(header, colPositions[index], currentY + 7);
+    const sections = new Map();
+    productGroups.forEach(group => {
+      const title = sectionTitle(group.product) || OTHER_SECTION;
+      if (!sections.has(title)) sections.set(title, []);
+      sections.get(title).push(group);
     });
 
-    currentY += 12;
-
-    // Product rows
-    for (const product of products) {
-      const price = parseFloat(customPrices[product.id] || product.variants?.[0]?.price || 0);
-      const sku = product.variants?.[0]?.sku || 'N/A';
-      
-      // Alternating row colors
-      if ((products.indexOf(product) % 2) === 0) {
-        doc.setFillColor(249, 250, 251);
-        doc.rect(15, currentY, pageWidth - 30, 12, 'F');
-      }
-
-      doc.setTextColor(45, 55, 72);
-      doc.setFontSize(9);
-      doc.setFont('helvetica', 'normal');
-      
-      // Product name (truncated if too long)
-      let productName = product.title;
-      if (productName.length > 35) {
-        productName = productName.substring(0, 32) + '...';
-      }
-      doc.text(productName, colPositions[0], currentY + 7);
-      
-      // SKU
-      doc.text(sku, colPositions[1], currentY + 7);
-      
-      // Price
-      doc.setFont('helvetica', 'bold');
-      doc.text(`R${price.toFixed(2)}`, colPositions[2], currentY + 7);
+    const order = groupBy === 'collection' && collections.length
+      ? collections.map(collection => collection.title)
+      : [...sections.keys()].filter(title => title !== OTHER_SECTION).sort((a, b) => a.localeCompare(b));
+    return [...order, OTHER_SECTION]
+      .filter((title, index, titles) => sections.has(title) && titles.indexOf(title) === index)
+      .map(title => ({ title, groups: sections.get(title) }));
+  }
 
-      currentY += 12;
-      
-      // Page break if needed
-      if (currentY > doc.internal.pageSize.getHeight() - 40) {
-        doc.addPage();
-        currentY = 20;
-      }
-    }
+  // Thumbnail source for a line - products from the Admin API carry featuredImage, older saved lists a plain URL
+  getLineImage(line) {
+    return line.featuredImage?.url || (typeof line.image === 'string' ? line.image : line.image?.url) || null;
+  }
 
-    // Add action buttons and QR code section if enabled
-    if (includeQR) {
-      currentY += 10;
-      
-      // Action section with both buttons and QR code
-      doc.setFillColor(248, 250, 252);
-      doc.rect(15, currentY, pageWidth - 30, 65, 'F');
-      
-      doc.setDrawColor(226, 232, 240);
-      doc.rect(15, currentY, pageWidth - 30, 65, 'S');
-      
-      doc.setTextColor(45, 55, 72);
-      doc.setFontSize(14);
-      doc.setFont('helvetica', 'bold');
-      doc.text('NEXT STEPS', 25, currentY + 15);
-      
-      doc.setFontSize(9);
-      doc.setFont('helvetica', 'normal');
-      doc.text('Choose your preferred method:', 25, currentY + 25);
-      
-      // Order button styling with clickable link
-      const productIds = products.map(p => p.id).join(',');
-      const clientParams = new URLSearchParams({
-        name: client.name || 'Customer',
-        email: client.email || 'customer@example.com',
-        phone: client.phone || '',
-        address: client.address || ''
-      }).toString();
-      const orderUrl = `${process.env.APP_URL || 'http://localhost:3000'}/checkout?priceList=${productIds}&action=order&${clientParams}`;
-      
-      doc.setFillColor(59, 130, 246); // Blue
-      doc.rect(25, currentY + 30, 70, 12, 'F');
-      doc.setTextColor(255, 255, 255);
-      doc.setFontSize(9);
-      doc.setFont('helvetica', 'bold');
-      
-      // Add clickable link for order button
-      doc.link(25, currentY + 30, 70, 12, { url: orderUrl });
-      doc.text('Turn Price List into Order', 28, currentY + 38);
-      
-      // Quote button styling with clickable link
-      const quoteUrl = `${process.env.APP_URL || 'http://localhost:3000'}/checkout?priceList=${productIds}&action=quote&${clientParams}`;
-      
-      doc.setFillColor(34, 197, 94); // Green
-      doc.rect(25, currentY + 45, 70, 12, 'F');
-      doc.setTextColor(255, 255, 255);
-      doc.setFontSize(9);
-      doc.setFont('helvetica', 'bold');
-      
-      // Add clickable link for quote button
-      doc.link(25, currentY + 45, 70, 12, { url: quoteUrl });
-      doc.text('Turn Price List into Quote', 28, currentY + 53);
-      
-      // QR code section (right side)
-      doc.setTextColor(45, 55, 72);
-      doc.setFontSize(10);
-      doc.setFont('helvetica', 'bold');
-      doc.text('OR SCAN QR CODE', pageWidth - 60, currentY + 15);
-      
-      try {
-        const productIds = products.map(p => p.id).join(',');
-        const qrUrl = `${process.env.APP_URL || 'http://localhost:3000'}/checkout?priceList=${productIds}`;
-        const qrDataUrl = await QRCode.toDataURL(qrUrl, { width: 200, margin: 1 });
-        doc.addImage(qrDataUrl, 'PNG', pageWidth - 55, currentY + 20, 35, 35);
-        
-        doc.setTextColor(100, 116, 139);
-        doc.setFontSize(8);
-        doc.setFont('helvetica', 'normal');
-        doc.text('Scan to Order', pageWidth - 50, currentY + 60);
-      } catch (error) {
-        console.error('Error generating QR code:', error);
-        doc.setFontSize(8);
-        doc.text('QR Code Error', pageWidth - 50, currentY + 35);
-      }
-      
-      currentY += 70;
-    }
+  // Storefront link for a line, pointing at the exact variant - none without a handle to build it from
+  buildLineUrl(website, line) {
+    if (!website || !line.handle) return null;
+    const url = `${website}/products/${line.handle}`;
+    return line.variantId ? `${url}?variant=${String(line.variantId).split('/').pop()}` : url;
+  }
 
-    return currentY;
+  // Price already in the list currency, with that currency's symbol
+  formatTablePrice(price, currencyContext) {
+    const context = currencyContext || pricingService.getBaseCurrencyContext();
+    return pricingService.formatAmount(price, context.code);
   }
 
-  // Add enhanced footer
-  addEnhancedFooter(doc, company) {
-    const pageWidth = doc.internal.pageSize.getWidth();
-    const pageHeight = doc.internal.pageSize.getHeight();
-    
-    // Footer background
-    doc.setFillColor(248, 250, 252);
-    doc.rect(0, pageHeight - 25, pageWidth, 25, 'F');
-    
-    // Footer text
-    doc.setTextColor(107, 114, 128);
-    doc.setFontSize(8);
-    doc.setFont('helvetica', 'normal');
-    
-    doc.text(`${company.name} • ${company.phone} • ${company.email}`, 15, pageHeight - 15);
-    doc.text(`${company.website}`, 15, pageHeight - 10);
-    
-    // Page number
-    doc.text(`Page 1`, pageWidth - 15, pageHeight - 10, { align: 'right' });
-    
-    // Terms
-    doc.text('Prices valid for 30 days • Terms and conditions apply', pageWidth / 2, pageHeight - 5, { align: 'center' });
+  // "Valid until 18 Nov 2026" - lists saved before validity dates fall back to the old 30-day wording
+  formatValidity(validity) {
+    if (!validity?.validUntil) return 'Valid for 30 days';
+    const validUntil = new Date(validity.validUntil);
+    return `Valid until ${validUntil.toLocaleDateString('en-ZA', { day: 'numeric', month: 'short', year: 'numeric' })}`;
   }
 
-  // Generate QR code for a product
+  // Generate QR code for a product - a signed link that adds it at this price
+  // options: { shopDomain, listId, variantId, expiresAt, baseUrl } plus the QR colours and size
   async generateProductQR(product, price, options = {}) {
     const baseUrl = options.baseUrl || process.env.APP_URL || 'http://localhost:3000';
-    const qrUrl = `${baseUrl}/checkout?product=${product.id}&price=${price}`;
     
     try {
+      const qrUrl = orderLinkService.buildUrl({
+        shopDomain: options.shopDomain,
+        listId: options.listId,
+        productId: product.id,
+        variantId: options.variantId || product.variants?.[0]?.id,
+        price,
+        expiresAt: options.expiresAt
+      }, baseUrl);
+      
       return await QRCode.toDataURL(qrUrl, {
         width: options.width || 100,
         margin: options.margin || 1,
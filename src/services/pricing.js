@@ -1,4 +1,48 @@
 // Pricing Service - Handles all pricing calculations
+
+// Rule match fields, most specific first. A matching rule on a more specific
+// field always wins; rules on the same field resolve in list order.
+export const RULE_FIELDS = ['productId', 'sku', 'tag', 'collection', 'productType', 'vendor'];
+
+// Rule actions: discount off retail, fixed price, or markup on cost
+export const RULE_ACTIONS = ['discountPercent', 'fixedPrice', 'costPlus'];
+
+// Tier pricing modes: discount off retail, or markup on cost
+export const PRICING_MODES = ['discount', 'costPlus'];
+
+// What happens to prices under the minimum margin: raised to the floor, or only marked
+export const MARGIN_POLICIES = ['clamp', 'flag'];
+
+// Promotion actions - promotions never depend on cost
+export const PROMOTION_ACTIONS = ['discountPercent', 'fixedPrice'];
+
+// Psychological rounding strategies for tier prices
+// end99/end95 move to the nearest price with that ending, 'up' rounds up to the next whole unit
+export const ROUNDING_STRATEGIES = ['none', 'nearest5', 'nearest10', 'end99', 'end95', 'up'];
+
+// VAT display modes for a price list: excluding, including, or both columns
+export const TAX_DISPLAY_MODES = ['excl', 'incl', 'both'];
+
+// Shop tax settings used until a shop saves its own (South African VAT)
+export const DEFAULT_TAX_SETTINGS = {
+  label: 'VAT',
+  ratePercent: 15,
+  pricesIncludeTax: false,
+  defaultDisplay: 'excl'
+};
+
+// Shop prices are held in rand; other currencies are converted with stored exchange rates
+export const BASE_CURRENCY = 'ZAR';
+
+// Supported price list currencies with display locale and default rounding
+// Rounding: round to the nearest (or next, mode 'up') multiple of increment
+export const CURRENCIES = {
+  ZAR: { label: 'South African Rand', symbol: 'R', locale: 'en-ZA', rounding: { increment: 0.01, mode: 'nearest' } },
+  NAD: { label: 'Namibian Dollar', symbol: 'N$', locale: 'en-NA', rounding: { increment: 0.01, mode: 'nearest' } },
+  BWP: { label: 'Botswana Pula', symbol: 'P', locale: 'en-BW', rounding: { increment: 0.05, mode: 'nearest' } },
+  ZMW: { label: 'Zambian Kwacha', symbol: 'K', locale: 'en-ZM', rounding: { increment: 1, mode: 'nearest' } }
+};
+
 export class PricingService {
   constructor() {
     this.defaultTiers = {
@@ -16,39 +60,770 @@ export class PricingService {
   }
 
   // Calculate pricing for a single product
-  calculateProductPricing(product, tierConfig, customPrices = {}) {
+  // Precedence: custom price override > pricing rule > tier discount (or cost-plus)
+  // An active promotion then replaces the price when it's lower, followed by rounding
+  // and the minimum-margin floor, whichever source set the price
+  // Variant lines (see expandVariantLines) are priced from their own variant
+  // With a currency context, prices are converted before rounding so endings like .99 hold in that currency
+  calculateProductPricing(product, tierConfig, customPrices = {}, currencyContext = null) {
     const basePrice = product.variants?.[0]?.price || 0;
-    const productId = product.id;
+    const cost = this.getProductCost(product);
+    const customPrice = this.getCustomPrice(product, customPrices);
+    let pricing;
     
     // Check for custom price override
-    if (customPrices[productId]) {
-      return {
+    if (customPrice !== undefined) {
+      const finalPrice = parseFloat(customPrice);
+      pricing = {
         basePrice,
-        finalPrice: customPrices[productId],
+        finalPrice,
         hasCustomPrice: true,
-        discountPercent: tierConfig.discountPercent || 0
+        priceSource: 'custom',
+        appliedRule: null,
+        discountPercent: tierConfig.discountPercent || 0,
+        breaks: this.buildBreakSchedule(basePrice, finalPrice, [])
+      };
+    } else {
+      // Pricing rules - rule prices are flat, quantity breaks don't stack on them
+      const ruleMatch = this.resolvePricingRule(product, tierConfig.rules);
+      if (ruleMatch) {
+        pricing = {
+          basePrice,
+          finalPrice: ruleMatch.price,
+          hasCustomPrice: false,
+          priceSource: 'rule',
+          appliedRule: this.describeRule(ruleMatch.rule),
+          discountPercent: tierConfig.discountPercent || 0,
+          breaks: this.buildBreakSchedule(basePrice, ruleMatch.price, [])
+        };
+      } else {
+        // Calculate tier pricing
+        const finalPrice = this.calculateTierPrice(basePrice, cost, tierConfig);
+        const quantityBreaks = this.resolveQuantityBreaks(product.id, tierConfig);
+        
+        pricing = {
+          basePrice,
+          finalPrice,
+          hasCustomPrice: false,
+          priceSource: 'tier',
+          appliedRule: null,
+          discountPercent: tierConfig.discountPercent || 0,
+          breaks: this.buildBreakSchedule(basePrice, finalPrice, quantityBreaks)
+        };
+      }
+    }
+    
+    pricing = this.convertPricing(this.applyPromotion(pricing, product, tierConfig), currencyContext);
+    const localCost = cost === null ? null : this.convertPrice(cost, currencyContext);
+    return this.applyMarginFloor(this.applyRounding(pricing, tierConfig.rounding), localCost, tierConfig, currencyContext);
+  }
+
+  // Is a promotion running at a point in time (start inclusive, end exclusive)
+  isPromotionActive(promotion, asOf = new Date()) {
+    if (promotion.enabled === false) return false;
+    const at = new Date(asOf);
+    if (promotion.startsAt && new Date(promotion.startsAt) > at) return false;
+    if (promotion.endsAt && new Date(promotion.endsAt) <= at) return false;
+    return true;
+  }
+
+  // Best active promotion for a product, returns { promotion, price } or null
+  // Promotions use the rule shape; field 'all' covers every product
+  resolvePromotion(product, promotions = [], asOf = new Date()) {
+    if (!Array.isArray(promotions) || promotions.length === 0) return null;
+    
+    const basePrice = parseFloat(product.variants?.[0]?.price) || 0;
+    let best = null;
+    
+    promotions.forEach(promotion => {
+      if (!PROMOTION_ACTIONS.includes(promotion.action)) return;
+      if (!this.isPromotionActive(promotion, asOf)) return;
+      if (promotion.field !== 'all' && !this.ruleMatchesProduct(promotion, product)) return;
+      
+      const price = this.applyRuleAction(promotion, basePrice);
+      if (price !== null && (!best || price < best.price)) {
+        best = { promotion, price };
+      }
+    });
+    
+    return best;
+  }
+
+  // Apply tierConfig.promotions when they beat the resolved price
+  // Custom prices are negotiated, so promotions never override them
+  applyPromotion(pricing, product, tierConfig = {}) {
+    if (pricing.priceSource === 'custom') return pricing;
+    
+    const asOf = tierConfig.pricingDate ? new Date(tierConfig.pricingDate) : new Date();
+    const match = this.resolvePromotion(product, tierConfig.promotions, asOf);
+    if (!match || match.price >= pricing.finalPrice) return pricing;
+    
+    const base = parseFloat(pricing.basePrice) || 0;
+    return {
+      ...pricing,
+      finalPrice: match.price,
+      priceSource: 'promotion',
+      promotion: this.describePromotion(match.promotion),
+      // Volume breaks still apply where they go lower than the promo price
+      breaks: (pricing.breaks || []).map(entry => {
+        const unitPrice = Math.min(entry.unitPrice, match.price);
+        return {
+          ...entry,
+          unitPrice,
+          discountPercent: base > 0 ? parseFloat((((base - unitPrice) / base) * 100).toFixed(2)) : 0
+        };
+      })
+    };
+  }
+
+  // Promotion summary reported alongside a price
+  describePromotion(promotion) {
+    return {
+      id: promotion.id || null,
+      name: promotion.name || 'Promotion',
+      action: promotion.action,
+      amount: parseFloat(promotion.amount),
+      startsAt: promotion.startsAt || null,
+      endsAt: promotion.endsAt || null
+    };
+  }
+
+  // "Promo valid until 31 Oct 2026" for PDFs
+  formatPromotionNote(promotion) {
+    if (!promotion?.endsAt) return 'Promo price';
+    const endsAt = new Date(promotion.endsAt);
+    return `Promo valid until ${endsAt.toLocaleDateString('en-ZA', { day: 'numeric', month: 'short', year: 'numeric' })}`;
+  }
+
+  // Tier price - discount off retail, or markup on cost when the tier is cost-plus
+  // Cost-plus tiers fall back to the discount when a product has no known cost
+  calculateTierPrice(basePrice, cost, tierConfig = {}) {
+    if (tierConfig.pricingMode === 'costPlus' && cost !== null) {
+      return cost * (100 + (parseFloat(tierConfig.markupPercent) || 0)) / 100;
+    }
+    return this.calculateFlexiblePricing(basePrice, tierConfig);
+  }
+
+  // Rounding strategy for a price: the first matching price band, else the tier-wide strategy
+  // Bands are matched against the price in the list's own currency
+  // Rounding config: { strategy: 'end99', bands: [{ minPrice: 1000, maxPrice: null, strategy: 'nearest10' }] }
+  resolveRoundingStrategy(price, rounding = null) {
+    if (!rounding) return 'none';
+    
+    const band = (rounding.bands || []).find(entry => {
+      const min = parseFloat(entry.minPrice) || 0;
+      const max = parseFloat(entry.maxPrice);
+      return price >= min && (isNaN(max) || price < max);
+    });
+    const strategy = band?.strategy || rounding.strategy || 'none';
+    return ROUNDING_STRATEGIES.includes(strategy) ? strategy : 'none';
+  }
+
+  // Apply a single rounding strategy to a price
+  applyRoundingStrategy(price, strategy) {
+    const value = parseFloat(price);
+    if (isNaN(value) || value <= 0) return value;
+    
+    switch (strategy) {
+      case 'nearest5':
+        return Math.max(5, Math.round(value / 5) * 5);
+      case 'nearest10':
+        return Math.max(10, Math.round(value / 10) * 10);
+      case 'end99':
+        return this.roundToEnding(value, 0.99);
+      case 'end95':
+        return this.roundToEnding(value, 0.95);
+      case 'up':
+        // Trim float noise so 1200.0000001 stays 1200
+        return Math.ceil(parseFloat(value.toFixed(6)));
+      default:
+        return value;
+    }
+  }
+
+  // Plain two-decimal amount, without float noise
+  toCents(value) {
+    return Math.round(parseFloat(value) * 100) / 100;
+  }
+
+  // Nearest price with the given cents ending, e.g. 1274.15 -> 1273.99
+  roundToEnding(value, ending) {
+    const below = Math.floor(value) - 1 + ending;
+    const above = Math.floor(value) + ending;
+    const nearest = below > 0 && (value - below) < (above - value) ? below : above;
+    return parseFloat(nearest.toFixed(2));
+  }
+
+  // Smallest price at or above the value that the strategy can produce, e.g. end99: 1274.15 -> 1274.99
+  roundUpWithStrategy(price, strategy) {
+    const value = parseFloat(price);
+    if (isNaN(value) || value <= 0) return value;
+    // Trim float noise so 1200.0000001 stays 1200
+    const exact = parseFloat(value.toFixed(6));
+    
+    switch (strategy) {
+      case 'nearest5':
+        return Math.max(5, Math.ceil(exact / 5) * 5);
+      case 'nearest10':
+        return Math.max(10, Math.ceil(exact / 10) * 10);
+      case 'end99':
+      case 'end95': {
+        const ending = strategy === 'end99' ? 0.99 : 0.95;
+        const candidate = parseFloat((Math.floor(exact) + ending).toFixed(2));
+        return candidate >= exact ? candidate : parseFloat((candidate + 1).toFixed(2));
+      }
+      case 'up':
+        return Math.ceil(exact);
+      default:
+        return value;
+    }
+  }
+
+  // Custom prices and fixed-price rules or promotions are deliberate amounts, so they're never rounded
+  skipsRounding(pricing, rounding = null) {
+    return !rounding || pricing.priceSource === 'custom' ||
+      pricing.appliedRule?.action === 'fixedPrice' ||
+      (pricing.priceSource === 'promotion' && pricing.promotion?.action === 'fixedPrice');
+  }
+
+  // Round the price and every break, keeping the unrounded values alongside
+  applyRounding(pricing, rounding = null) {
+    const skip = this.skipsRounding(pricing, rounding);
+    const base = parseFloat(pricing.basePrice) || 0;
+    
+    const roundEntry = (price) => {
+      const strategy = skip ? 'none' : this.resolveRoundingStrategy(price, rounding);
+      return { price: this.applyRoundingStrategy(price, strategy), strategy };
+    };
+    
+    const rounded = roundEntry(pricing.finalPrice);
+    
+    return {
+      ...pricing,
+      unroundedPrice: this.toCents(pricing.finalPrice),
+      roundedPrice: rounded.price,
+      finalPrice: rounded.price,
+      roundingStrategy: rounded.strategy,
+      breaks: (pricing.breaks || []).map(entry => {
+        const roundedBreak = roundEntry(entry.unitPrice);
+        return {
+          ...entry,
+          unroundedPrice: this.toCents(entry.unitPrice),
+          unitPrice: roundedBreak.price,
+          discountPercent: base > 0 ? parseFloat((((base - roundedBreak.price) / base) * 100).toFixed(2)) : 0
+        };
+      })
+    };
+  }
+
+  // Margin as a percentage of the selling price
+  calculateMarginPercent(price, cost) {
+    const selling = parseFloat(price);
+    if (cost === null || cost === undefined || !(selling > 0)) return null;
+    return parseFloat((((selling - cost) / selling) * 100).toFixed(2));
+  }
+
+  // Lowest price that still earns the minimum margin, rounded up to the cent (or the currency's increment)
+  getMinimumPrice(cost, minMarginPercent, currencyContext = null) {
+    const minimum = Math.ceil((cost / ((100 - minMarginPercent) / 100)) * 100) / 100;
+    if (!currencyContext || currencyContext.code === BASE_CURRENCY) return minimum;
+    return this.roundToIncrement(minimum, { ...currencyContext.rounding, mode: 'up' });
+  }
+
+  // Enforce tierConfig.minMarginPercent against the unit cost
+  // marginPolicy 'clamp' (default) raises violating prices to the floor, 'flag' only marks them.
+  // Custom prices are deliberate overrides, so they are flagged rather than clamped.
+  applyMarginFloor(pricing, cost, tierConfig = {}, currencyContext = null) {
+    const result = {
+      ...pricing,
+      cost,
+      marginPercent: this.calculateMarginPercent(pricing.finalPrice, cost),
+      minimumPrice: null,
+      marginViolation: false,
+      marginClamped: false
+    };
+    
+    const minMargin = parseFloat(tierConfig.minMarginPercent);
+    if (cost === null || isNaN(minMargin) || minMargin <= 0 || minMargin >= 100) {
+      return result;
+    }
+    
+    const minimumPrice = this.getMinimumPrice(cost, minMargin, currencyContext);
+    result.minimumPrice = minimumPrice;
+    
+    const violates = pricing.finalPrice < minimumPrice ||
+      (pricing.breaks || []).some(entry => entry.unitPrice < minimumPrice);
+    if (!violates) return result;
+    
+    if (tierConfig.marginPolicy === 'flag' || pricing.priceSource === 'custom') {
+      result.marginViolation = true;
+      return result;
+    }
+    
+    const base = parseFloat(pricing.basePrice) || 0;
+    // The floor is rounded up with the price's own strategy so clamped prices keep their endings
+    const floorStrategy = this.skipsRounding(pricing, tierConfig.rounding)
+      ? 'none'
+      : this.resolveRoundingStrategy(minimumPrice, tierConfig.rounding);
+    const floorPrice = this.roundUpWithStrategy(minimumPrice, floorStrategy);
+    
+    // Only set when the single-unit price moved; otherwise just break prices were raised
+    result.unclampedPrice = pricing.finalPrice < minimumPrice ? pricing.finalPrice : null;
+    if (result.unclampedPrice !== null) {
+      result.finalPrice = floorPrice;
+      result.roundedPrice = floorPrice;
+      result.roundingStrategy = floorStrategy;
+    }
+    result.marginPercent = this.calculateMarginPercent(result.finalPrice, cost);
+    result.marginClamped = true;
+    result.breaks = (pricing.breaks || []).map(entry => {
+      const unitPrice = entry.unitPrice < minimumPrice ? floorPrice : entry.unitPrice;
+      return {
+        ...entry,
+        unitPrice,
+        discountPercent: base > 0 ? parseFloat((((base - unitPrice) / base) * 100).toFixed(2)) : 0
       };
+    });
+    
+    return result;
+  }
+
+  // Find the rule that prices a product, returns { rule, price } or null
+  // Rule format: { id, name, field: 'vendor', value: 'Growatt', action: 'discountPercent', amount: 12 }
+  resolvePricingRule(product, rules = []) {
+    if (!Array.isArray(rules) || rules.length === 0) return null;
+    
+    const basePrice = parseFloat(product.variants?.[0]?.price) || 0;
+    const cost = this.getProductCost(product);
+    
+    for (const field of RULE_FIELDS) {
+      for (const rule of rules) {
+        if (rule.enabled === false || rule.field !== field) continue;
+        if (!this.ruleMatchesProduct(rule, product)) continue;
+        
+        const price = this.applyRuleAction(rule, basePrice, cost);
+        // Rules that can't produce a price (e.g. cost-plus without a cost) fall through
+        if (price !== null) {
+          return { rule, price };
+        }
+      }
     }
     
-    // Calculate tier pricing
-    const finalPrice = this.calculateFlexiblePricing(basePrice, tierConfig);
+    return null;
+  }
+
+  // Check a single rule's match condition against a product
+  ruleMatchesProduct(rule, product) {
+    const expected = String(rule.value ?? '').trim().toLowerCase();
+    if (!expected) return false;
+    
+    const equals = (actual) => String(actual ?? '').trim().toLowerCase() === expected;
     
+    switch (rule.field) {
+      case 'productId':
+        return equals(product.id) || equals(String(product.id).split('/').pop());
+      case 'sku':
+        return (product.variants || []).some(variant => equals(variant.sku));
+      case 'tag':
+        return (product.tags || []).some(tag => equals(tag));
+      case 'collection':
+        return (product.collections || []).some(collection =>
+          typeof collection === 'string'
+            ? equals(collection)
+            : equals(collection.handle) || equals(collection.title) || equals(collection.id)
+        );
+      case 'productType':
+        return equals(product.productType);
+      case 'vendor':
+        return equals(product.vendor);
+      default:
+        return false;
+    }
+  }
+
+  // Price produced by a rule's action, or null when it can't be applied
+  applyRuleAction(rule, basePrice, cost = null) {
+    const amount = parseFloat(rule.amount);
+    if (isNaN(amount)) return null;
+    
+    switch (rule.action) {
+      case 'discountPercent':
+        return basePrice * (100 - amount) / 100;
+      case 'fixedPrice':
+        return amount;
+      case 'costPlus':
+        return cost !== null ? cost * (100 + amount) / 100 : null;
+      default:
+        return null;
+    }
+  }
+
+  // Unit cost for a product if we know it
+  getProductCost(product) {
+    const cost = product.cost ?? product.variants?.[0]?.cost;
+    const parsed = parseFloat(cost);
+    return isNaN(parsed) ? null : parsed;
+  }
+
+  // Rule summary reported alongside a price
+  describeRule(rule) {
     return {
-      basePrice,
-      finalPrice,
-      hasCustomPrice: false,
-      discountPercent: tierConfig.discountPercent || 0
+      id: rule.id || null,
+      name: rule.name || `${rule.field}: ${rule.value}`,
+      field: rule.field,
+      value: rule.value,
+      action: rule.action,
+      amount: parseFloat(rule.amount)
     };
   }
 
+  // Quantity breaks for a product - per-product schedule wins over the tier schedule
+  // Break format: { minQty: 10, discountPercent: 8 } or { minQty: 10, price: 92 }
+  resolveQuantityBreaks(productId, tierConfig = {}) {
+    const productBreaks = tierConfig.productBreaks?.[productId];
+    if (Array.isArray(productBreaks) && productBreaks.length > 0) {
+      return productBreaks;
+    }
+    return Array.isArray(tierConfig.quantityBreaks) ? tierConfig.quantityBreaks : [];
+  }
+
+  // Turn raw breaks into a sorted schedule with quantity ranges and unit prices
+  // Break discounts come off the tier price, so volume pricing stacks on the customer's tier
+  buildBreakSchedule(basePrice, tierPrice, quantityBreaks = []) {
+    const base = parseFloat(basePrice) || 0;
+    const tier = parseFloat(tierPrice) || 0;
+    
+    const breaks = quantityBreaks
+      .map(entry => ({
+        minQty: Math.max(1, parseInt(entry.minQty) || 1),
+        unitPrice: this.hasBreakPrice(entry)
+          ? parseFloat(entry.price)
+          : tier * (100 - (parseFloat(entry.discountPercent) || 0)) / 100
+      }))
+      .filter(entry => !isNaN(entry.unitPrice))
+      .sort((a, b) => a.minQty - b.minQty)
+      // Keep only the first break for a given quantity
+      .filter((entry, index, list) => index === 0 || list[index - 1].minQty !== entry.minQty);
+    
+    // Single units always get the tier price unless a break says otherwise
+    if (breaks.length === 0 || breaks[0].minQty > 1) {
+      breaks.unshift({ minQty: 1, unitPrice: tier });
+    }
+    
+    // Buying more never costs more per unit than buying fewer
+    breaks.forEach((entry, index) => {
+      if (index > 0) entry.unitPrice = Math.min(entry.unitPrice, breaks[index - 1].unitPrice);
+    });
+    
+    return breaks.map((entry, index) => {
+      const next = breaks[index + 1];
+      const maxQty = next ? next.minQty - 1 : null;
+      return {
+        minQty: entry.minQty,
+        maxQty,
+        unitPrice: entry.unitPrice,
+        discountPercent: base > 0 ? parseFloat((((base - entry.unitPrice) / base) * 100).toFixed(2)) : 0,
+        label: this.formatBreakLabel(entry.minQty, maxQty)
+      };
+    });
+  }
+
+  // A break with a fixed unit price rather than a discount
+  hasBreakPrice(entry) {
+    return entry.price !== undefined && entry.price !== null && entry.price !== '';
+  }
+
+  // Check a break schedule; returns an error message or null
+  // Larger quantities must get at least the discount (or at most the fixed price) of smaller ones
+  validateQuantityBreaks(quantityBreaks = []) {
+    if (!Array.isArray(quantityBreaks)) return 'Quantity breaks must be a list';
+    
+    for (const entry of quantityBreaks) {
+      if (!(parseInt(entry.minQty) >= 1)) {
+        return 'Each quantity break needs a minimum quantity of at least 1';
+      }
+      if (this.hasBreakPrice(entry) ? !(parseFloat(entry.price) >= 0) : !(parseFloat(entry.discountPercent) >= 0 && parseFloat(entry.discountPercent) <= 100)) {
+        return `Quantity break for ${entry.minQty}+ needs a price or a discount from 0 to 100%`;
+      }
+    }
+    
+    const sorted = [...quantityBreaks].sort((a, b) => parseInt(a.minQty) - parseInt(b.minQty));
+    for (let index = 1; index < sorted.length; index++) {
+      const previous = sorted[index - 1];
+      const entry = sorted[index];
+      // Fixed prices and discounts only compare against a product's own tier price, so mixed pairs are left alone
+      if (this.hasBreakPrice(previous) !== this.hasBreakPrice(entry)) continue;
+      
+      const costsMore = this.hasBreakPrice(entry)
+        ? parseFloat(entry.price) > parseFloat(previous.price)
+        : parseFloat(entry.discountPercent) < parseFloat(previous.discountPercent);
+      if (costsMore) {
+        return `Quantity break for ${entry.minQty}+ would cost more per unit than ${previous.minQty}+`;
+      }
+    }
+    return null;
+  }
+
+  // Check the tier and per-product break schedules of a pricing config; returns an error message or null
+  validatePricingBreaks(pricingConfig = {}) {
+    const tierError = this.validateQuantityBreaks(pricingConfig.quantityBreaks || []);
+    if (tierError) return tierError;
+    
+    for (const [productId, breaks] of Object.entries(pricingConfig.productBreaks || {})) {
+      const error = this.validateQuantityBreaks(breaks);
+      if (error) return `${error} (product ${productId})`;
+    }
+    return null;
+  }
+
+  // Check pricing rules; returns an error message or null
+  // Rules without a value yet are allowed - they never match a product
+  validatePricingRules(rules = []) {
+    if (!Array.isArray(rules)) return 'Pricing rules must be a list';
+    
+    for (const rule of rules) {
+      if (!rule || typeof rule !== 'object') return 'Each pricing rule must be an object';
+      if (!RULE_FIELDS.includes(rule.field)) {
+        return `Pricing rule field must be one of: ${RULE_FIELDS.join(', ')}`;
+      }
+      if (!RULE_ACTIONS.includes(rule.action)) {
+        return `Pricing rule action must be one of: ${RULE_ACTIONS.join(', ')}`;
+      }
+      
+      const amount = parseFloat(rule.amount);
+      const valid = rule.action === 'discountPercent' ? amount >= 0 && amount <= 100 : amount >= 0;
+      if (!valid) {
+        return rule.action === 'discountPercent'
+          ? `Pricing rule "${rule.name || rule.value || rule.field}" needs a discount from 0 to 100%`
+          : `Pricing rule "${rule.name || rule.value || rule.field}" needs an amount of 0 or more`;
+      }
+    }
+    return null;
+  }
+
+  // Check the pricing mode, markup and margin floor; returns an error message or null
+  // Missing values fall back to the defaults, so only values that are present are checked
+  validateMarginSettings(pricingConfig = {}) {
+    const { pricingMode, markupPercent, minMarginPercent, marginPolicy } = pricingConfig;
+    const present = (value) => value !== undefined && value !== null && value !== '';
+    
+    if (present(pricingMode) && !PRICING_MODES.includes(pricingMode)) {
+      return `Pricing mode must be one of: ${PRICING_MODES.join(', ')}`;
+    }
+    if (present(marginPolicy) && !MARGIN_POLICIES.includes(marginPolicy)) {
+      return `Margin policy must be one of: ${MARGIN_POLICIES.join(', ')}`;
+    }
+    if (present(markupPercent) && !(parseFloat(markupPercent) >= 0)) {
+      return 'Markup must be 0% or more';
+    }
+    if (present(minMarginPercent) && !(parseFloat(minMarginPercent) >= 0 && parseFloat(minMarginPercent) < 100)) {
+      return 'Minimum margin must be from 0 to below 100%';
+    }
+    return null;
+  }
+
+  // Check a rounding config and its price bands; returns an error message or null
+  validateRounding(rounding = null) {
+    if (rounding === null || rounding === undefined) return null;
+    if (typeof rounding !== 'object') return 'Rounding must be an object';
+    
+    const strategies = ROUNDING_STRATEGIES.join(', ');
+    if (rounding.strategy !== undefined && !ROUNDING_STRATEGIES.includes(rounding.strategy)) {
+      return `Rounding strategy must be one of: ${strategies}`;
+    }
+    if (rounding.bands === undefined) return null;
+    if (!Array.isArray(rounding.bands)) return 'Rounding bands must be a list';
+    
+    for (const band of rounding.bands) {
+      const min = parseFloat(band?.minPrice);
+      if (!(min >= 0)) return 'Each rounding band needs a minimum price of 0 or more';
+      if (band.maxPrice !== null && band.maxPrice !== undefined && !(parseFloat(band.maxPrice) > min)) {
+        return `Rounding band from ${min} needs a maximum price above its minimum`;
+      }
+      if (!ROUNDING_STRATEGIES.includes(band.strategy)) {
+        return `Rounding band from ${min} needs a strategy, one of: ${strategies}`;
+      }
+    }
+    return null;
+  }
+
+  // Check everything a pricing config carries; returns an error message or null
+  validatePricingConfig(pricingConfig = {}) {
+    return this.validatePricingBreaks(pricingConfig) ||
+      this.validatePricingRules(pricingConfig.rules || []) ||
+      this.validateMarginSettings(pricingConfig) ||
+      this.validateRounding(pricingConfig.rounding);
+  }
+
+  // Unit price for an order quantity
+  getPriceForQuantity(pricing, quantity = 1) {
+    const qty = Math.max(1, parseInt(quantity) || 1);
+    const breaks = pricing?.breaks || [];
+    const match = breaks.filter(entry => entry.minQty <= qty).pop();
+    return match ? match.unitPrice : pricing?.finalPrice || 0;
+  }
+
+  // Union of break columns across priced products, e.g. ["1-9", "10-49", "50+"]
+  getBreakColumns(pricedProducts) {
+    const thresholds = new Set();
+    pricedProducts.forEach(product => {
+      (product.pricing?.breaks || []).forEach(entry => thresholds.add(entry.minQty));
+    });
+    
+    const sorted = Array.from(thresholds).sort((a, b) => a - b);
+    if (sorted.length <= 1) return [];
+    
+    return sorted.map((minQty, index) => {
+      const maxQty = sorted[index + 1] ? sorted[index + 1] - 1 : null;
+      return { minQty, maxQty, label: this.formatBreakLabel(minQty, maxQty) };
+    });
+  }
+
+  // Unit price per break column for one product
+  alignBreakPrices(pricing, breakColumns) {
+    return breakColumns.map(column => ({
+      ...column,
+      unitPrice: this.getPriceForQuantity(pricing, column.minQty)
+    }));
+  }
+
+  // Label for a quantity range
+  formatBreakLabel(minQty, maxQty) {
+    if (maxQty === null || maxQty === undefined) return `${minQty}+`;
+    if (maxQty === minQty) return `${minQty}`;
+    return `${minQty}-${maxQty}`;
+  }
+
+  // Custom price for a line - a variant override beats one set on the whole product
+  getCustomPrice(product, customPrices = {}) {
+    if (product.variantId && customPrices[product.variantId] !== undefined) {
+      return customPrices[product.variantId];
+    }
+    return customPrices[product.id];
+  }
+
+  // One line per selected variant; every line keeps the product fields with variants = [variant]
+  // Products without selectedVariantIds stay a single line priced from their first variant
+  expandVariantLines(products = []) {
+    return products.flatMap(product => {
+      const selectedIds = (product.selectedVariantIds || []).map(String);
+      if (selectedIds.length === 0) return [product];
+      
+      const selected = (product.variants || []).filter(variant => selectedIds.includes(String(variant.id)));
+      if (selected.length === 0) return [product];
+      
+      const { selectedVariantIds, pricing, ...fields } = product;
+      return selected.map(variant => ({
+        ...fields,
+        variants: [variant],
+        variantId: variant.id,
+        variantTitle: variant.title,
+        variantCount: selected.length,
+        quantity: product.variantQuantities?.[variant.id] || product.quantity || 1
+      }));
+    });
+  }
+
+  // Group consecutive lines of the same product so tables can print them under one heading
+  groupVariantLines(lines = []) {
+    const groups = [];
+    lines.forEach(line => {
+      const last = groups[groups.length - 1];
+      if (last && line.variantId && last.product.id === line.id) {
+        last.lines.push(line);
+      } else {
+        groups.push({ product: line, lines: [line] });
+      }
+    });
+    return groups;
+  }
+
+  // Row label for a line: "Inverter - 5kW" on its own, just "5kW" under its product heading
+  getLineTitle(line, grouped = false) {
+    const variantTitle = line.variantTitle && line.variantTitle !== 'Default Title' ? line.variantTitle : null;
+    if (grouped && variantTitle) return variantTitle;
+    return variantTitle ? `${line.title} - ${variantTitle}` : line.title;
+  }
+
   // Calculate pricing for multiple products
-  calculateBulkPricing(products, tierConfig, customPrices = {}) {
-    return products.map(product => ({
+  // Returns one priced line per selected variant, in the currency of currencyContext when one is given
+  calculateBulkPricing(products, tierConfig, customPrices = {}, currencyContext = null) {
+    const pricedProducts = this.expandVariantLines(products).map(product => ({
+      ...product,
+      pricing: this.calculateProductPricing(product, tierConfig, customPrices, currencyContext)
+    }));
+    
+    // Line every product up against the same break columns for tables
+    const breakColumns = this.getBreakColumns(pricedProducts);
+    return pricedProducts.map(product => ({
       ...product,
-      pricing: this.calculateProductPricing(product, tierConfig, customPrices)
+      pricing: {
+        ...product.pricing,
+        breakPrices: this.alignBreakPrices(product.pricing, breakColumns)
+      }
     }));
   }
 
+  // Variants are taxable unless Shopify says otherwise
+  isTaxable(product) {
+    return product.variants?.[0]?.taxable !== false;
+  }
+
+  // Split a price into excl./incl. VAT amounts
+  // taxSettings.pricesIncludeTax says which of the two the shop's prices already are
+  calculateTax(price, taxable = true, taxSettings = DEFAULT_TAX_SETTINGS) {
+    const amount = parseFloat(price) || 0;
+    const ratePercent = taxable ? parseFloat(taxSettings.ratePercent) || 0 : 0;
+    const multiplier = 1 + ratePercent / 100;
+    
+    const exclusive = taxSettings.pricesIncludeTax ? amount / multiplier : amount;
+    const inclusive = taxSettings.pricesIncludeTax ? amount : amount * multiplier;
+    
+    return {
+      exclusive: this.toCents(exclusive),
+      inclusive: this.toCents(inclusive),
+      tax: this.toCents(inclusive - exclusive),
+      taxable,
+      ratePercent
+    };
+  }
+
+  // Price shown for a display mode - 'both' leads with the excl. VAT amount
+  getDisplayPrice(price, taxable, taxSettings, taxDisplay = 'excl') {
+    const tax = this.calculateTax(price, taxable, taxSettings);
+    return taxDisplay === 'incl' ? tax.inclusive : tax.exclusive;
+  }
+
+  // Column heading suffix for a display mode, e.g. "excl. VAT"
+  getTaxDisplayLabel(taxSettings, taxDisplay = 'excl') {
+    return `${taxDisplay === 'incl' ? 'incl.' : 'excl.'} ${taxSettings.label || 'VAT'}`;
+  }
+
+  // VAT summary for a list of lines: [{ price, quantity, taxable }]
+  summariseTax(lines, taxSettings = DEFAULT_TAX_SETTINGS) {
+    const summary = lines.reduce((totals, line) => {
+      const quantity = parseInt(line.quantity) || 1;
+      const tax = this.calculateTax(line.price, line.taxable !== false, taxSettings);
+      
+      totals.subtotalExclusive += tax.exclusive * quantity;
+      totals.tax += tax.tax * quantity;
+      totals.totalInclusive += tax.inclusive * quantity;
+      if (!tax.taxable) {
+        totals.exemptTotal += tax.exclusive * quantity;
+      }
+      return totals;
+    }, { subtotalExclusive: 0, tax: 0, totalInclusive: 0, exemptTotal: 0 });
+    
+    return {
+      label: taxSettings.label || 'VAT',
+      ratePercent: parseFloat(taxSettings.ratePercent) || 0,
+      subtotalExclusive: this.toCents(summary.subtotalExclusive),
+      tax: this.toCents(summary.tax),
+      totalInclusive: this.toCents(summary.totalInclusive),
+      exemptTotal: this.toCents(summary.exemptTotal)
+    };
+  }
+
   // Get tier configuration by name
   getTierConfig(tierName) {
     return this.defaultTiers[tierName] || this.defaultTiers.retail;
@@ -59,14 +834,100 @@ export class PricingService {
     return this.defaultTiers;
   }
 
-  // Format price for display
-  formatPrice(price, currencyCode = 'ZAR') {
-    return new Intl.NumberFormat('en-ZA', {
+  // Currency definition by ISO code, or null when unsupported
+  getCurrency(currencyCode) {
+    return CURRENCIES[String(currencyCode || '').toUpperCase()] || null;
+  }
+
+  // Conversion context for prices already in the base currency
+  getBaseCurrencyContext() {
+    return {
+      code: BASE_CURRENCY,
+      baseCurrency: BASE_CURRENCY,
+      symbol: CURRENCIES[BASE_CURRENCY].symbol,
+      rate: 1,
+      rateId: null,
+      effectiveFrom: null,
+      rounding: CURRENCIES[BASE_CURRENCY].rounding
+    };
+  }
+
+  // Round to a multiple of rounding.increment ('nearest', 'up' or 'down')
+  roundToIncrement(amount, rounding = { increment: 0.01, mode: 'nearest' }) {
+    const increment = parseFloat(rounding.increment) || 0.01;
+    const steps = amount / increment;
+    const method = rounding.mode === 'up' ? Math.ceil : rounding.mode === 'down' ? Math.floor : Math.round;
+    // Trim float noise before ceil/floor so 12.000000001 doesn't round up a whole step
+    const rounded = method(parseFloat(steps.toFixed(6))) * increment;
+    return parseFloat(rounded.toFixed(2));
+  }
+
+  // Convert a base-currency amount using a currency context from the exchange-rate table
+  convertPrice(amount, currencyContext = null) {
+    const value = parseFloat(amount);
+    if (isNaN(value)) return amount;
+    if (!currencyContext || currencyContext.code === BASE_CURRENCY) return value;
+    return this.roundToIncrement(value * currencyContext.rate, currencyContext.rounding);
+  }
+
+  // List-currency amount back in the base currency, e.g. for ordering in the shop's own currency
+  toBaseCurrency(amount, currencyContext = null) {
+    const value = parseFloat(amount);
+    if (isNaN(value) || !currencyContext || currencyContext.code === BASE_CURRENCY) return value;
+    return this.toCents(value / currencyContext.rate);
+  }
+
+  // Convert every amount in a pricing result; percentages are left as they are
+  convertPricing(pricing, currencyContext = null) {
+    if (!currencyContext || currencyContext.code === BASE_CURRENCY) return pricing;
+    
+    const converted = { ...pricing };
+    ['basePrice', 'finalPrice', 'unroundedPrice', 'roundedPrice', 'savings', 'cost', 'minimumPrice', 'unclampedPrice'].forEach(field => {
+      if (converted[field] !== null && converted[field] !== undefined) {
+        converted[field] = this.convertPrice(converted[field], currencyContext);
+      }
+    });
+    ['breaks', 'breakPrices'].forEach(field => {
+      if (Array.isArray(converted[field])) {
+        converted[field] = converted[field].map(entry => ({
+          ...entry,
+          unitPrice: this.convertPrice(entry.unitPrice, currencyContext),
+          ...(entry.unroundedPrice !== undefined && {
+            unroundedPrice: this.convertPrice(entry.unroundedPrice, currencyContext)
+          })
+        }));
+      }
+    });
+    
+    return converted;
+  }
+
+  // Format price for display in the currency's own locale
+  formatPrice(price, currencyCode = BASE_CURRENCY) {
+    const currency = this.getCurrency(currencyCode);
+    return new Intl.NumberFormat(currency?.locale || 'en-ZA', {
       style: 'currency',
-      currency: currencyCode
+      currency: String(currencyCode).toUpperCase()
     }).format(price);
   }
 
+  // Compact "R 1234.50" style used in PDF tables
+  formatAmount(price, currencyCode = BASE_CURRENCY) {
+    const symbol = this.getCurrency(currencyCode)?.symbol || String(currencyCode).toUpperCase();
+    return `${symbol} ${(parseFloat(price) || 0).toFixed(2)}`;
+  }
+
+  // One-line description of the currency and rate for PDFs and notes
+  describeCurrency(currencyContext) {
+    if (!currencyContext || currencyContext.code === BASE_CURRENCY) {
+      return `Prices in ${BASE_CURRENCY}`;
+    }
+    const effective = currencyContext.effectiveFrom
+      ? ` (rate effective ${String(currencyContext.effectiveFrom).split('T')[0]})`
+      : '';
+    return `Prices in ${currencyContext.code} at 1 ${BASE_CURRENCY} = ${currencyContext.rate} ${currencyContext.code}${effective}`;
+  }
+
   // Calculate total value for a price list
   calculateTotalValue(products, tierConfig, customPrices = {}) {
     return products.reduce((total, product) => {
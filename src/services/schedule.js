@@ -0,0 +1,114 @@
+// Schedule Service - When scheduled price lists are regenerated, and where each run's PDF is kept
+// Schedules run in UTC: weekly on a day of the week or monthly on a day of the month, at a set hour
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { deliveryService } from './delivery.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const OUTPUT_DIR = process.env.SCHEDULE_OUTPUT_DIR || path.join(__dirname, '../../data/scheduled-runs');
+
+export const SCHEDULE_FREQUENCIES = ['weekly', 'monthly'];
+export const RUN_STATUSES = ['success', 'failed'];
+
+// Day 29-31 would skip shorter months, so monthly runs are limited to the 28th
+const MAX_DAY_OF_MONTH = 28;
+
+const isIntegerBetween = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+export class ScheduleService {
+  // Check a schedule from the API and fill in defaults - returns { errors, schedule }
+  validateSchedule(input = {}) {
+    const errors = [];
+    const frequency = input.frequency;
+    const hour = input.hour === undefined ? 6 : Number(input.hour);
+    const dayOfWeek = input.dayOfWeek === undefined ? 1 : Number(input.dayOfWeek);
+    const dayOfMonth = input.dayOfMonth === undefined ? 1 : Number(input.dayOfMonth);
+
+    if (!SCHEDULE_FREQUENCIES.includes(frequency)) {
+      errors.push(`Frequency must be one of: ${SCHEDULE_FREQUENCIES.join(', ')}`);
+    }
+    if (!isIntegerBetween(hour, 0, 23)) {
+      errors.push('Hour must be a whole number from 0 to 23 (UTC)');
+    }
+    if (frequency === 'weekly' && !isIntegerBetween(dayOfWeek, 0, 6)) {
+      errors.push('Day of week must be from 0 (Sunday) to 6 (Saturday)');
+    }
+    if (frequency === 'monthly' && !isIntegerBetween(dayOfMonth, 1, MAX_DAY_OF_MONTH)) {
+      errors.push(`Day of month must be from 1 to ${MAX_DAY_OF_MONTH}`);
+    }
+
+    const delivery = {
+      channel: input.delivery?.channel || 'file',
+      recipients: input.delivery?.recipients ?? []
+    };
+    errors.push(...deliveryService.validateDelivery(delivery));
+
+    return {
+      errors,
+      schedule: {
+        frequency,
+        hour,
+        dayOfWeek: frequency === 'weekly' ? dayOfWeek : null,
+        dayOfMonth: frequency === 'monthly' ? dayOfMonth : null,
+        delivery,
+        enabled: input.enabled !== false
+      }
+    };
+  }
+
+  // First run time strictly after `from`
+  getNextRunAt(schedule, from = new Date()) {
+    const start = new Date(from);
+    let next;
+
+    if (schedule.frequency === 'weekly') {
+      next = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate(), schedule.hour));
+      next.setUTCDate(next.getUTCDate() + (schedule.dayOfWeek - next.getUTCDay() + 7) % 7);
+      if (next <= start) next.setUTCDate(next.getUTCDate() + 7);
+    } else {
+      next = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), schedule.dayOfMonth, schedule.hour));
+      if (next <= start) next.setUTCMonth(next.getUTCMonth() + 1);
+    }
+
+    return next.toISOString();
+  }
+
+  describeSchedule(schedule) {
+    const time = `${String(schedule.hour).padStart(2, '0')}:00 UTC`;
+    if (schedule.frequency === 'weekly') {
+      const day = new Date(Date.UTC(2024, 0, 7 + schedule.dayOfWeek)).toLocaleDateString('en-GB', { weekday: 'long', timeZone: 'UTC' });
+      return `Every ${day} at ${time}`;
+    }
+    return `Monthly on day ${schedule.dayOfMonth} at ${time}`;
+  }
+
+  // Each run keeps its own PDF; the run record only stores the file name
+  async saveOutput(runId, pdfBuffer) {
+    await fs.promises.mkdir(OUTPUT_DIR, { recursive: true });
+    const file = `${runId}.pdf`;
+    await fs.promises.writeFile(path.join(OUTPUT_DIR, file), Buffer.from(pdfBuffer));
+    return { file, size: pdfBuffer.byteLength };
+  }
+
+  async readOutput(file) {
+    try {
+      return await fs.promises.readFile(path.join(OUTPUT_DIR, path.basename(file)));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async removeOutputs(runs) {
+    await Promise.all(runs
+      .filter(run => run.output?.file)
+      .map(run => fs.promises.rm(path.join(OUTPUT_DIR, path.basename(run.output.file)), { force: true })));
+  }
+}
+
+// Create singleton instance
+export const scheduleService = new ScheduleService();
+export default scheduleService;
@@ -0,0 +1,178 @@
+// Template Service - Shop-defined price list layouts on top of the built-in renderer templates
+// A stored template names a built-in base and overrides columns, font, colours, logo, cover page, terms and sections
+import {
+  BUILT_IN_TEMPLATES,
+  DEFAULT_TEMPLATE,
+  TEMPLATE_FONTS,
+  LOGO_PLACEMENTS,
+  SECTION_GROUPINGS
+} from './pdf-renderer.js';
+
+// Columns the price list document provides, in the order they're offered
+export const TEMPLATE_COLUMNS = ['image', 'title', 'sku', 'vendor', 'basePrice', 'price', 'priceInclusive', 'breaks', 'savings', 'stock', 'qr'];
+export const TEMPLATE_COLOURS = ['primary', 'secondary', 'text', 'accent'];
+
+const HEX_COLOUR = /^#[0-9a-f]{6}$/i;
+const MAX_TERMS_LENGTH = 4000;
+
+// Sample lines for previews, so a layout can be checked without picking products
+export const PREVIEW_PRODUCTS = [
+  { id: 'preview-1', title: 'Heavy Duty Drill 18V', handle: 'heavy-duty-drill', vendor: 'Acme Tools', productType: 'Power Tools', variants: [{ id: 'preview-v1', price: '1499.00', sku: 'HD-18V', inventoryQuantity: 12 }] },
+  { id: 'preview-2', title: 'Impact Driver Bit Set (32 piece)', handle: 'impact-bit-set', vendor: 'Acme Tools', productType: 'Accessories', variants: [{ id: 'preview-v2', price: '289.00', sku: 'BIT-32', inventoryQuantity: 40 }] },
+  { id: 'preview-3', title: 'Safety Glasses', handle: 'safety-glasses', vendor: 'SafeWork', productType: 'Safety', variants: [{ id: 'preview-v3', price: '59.00', sku: 'SG-01', inventoryQuantity: 0 }] }
+];
+
+// Preview collections for templates that section by collection
+export const PREVIEW_COLLECTIONS = [
+  { title: 'Drilling', productIds: ['preview-1', 'preview-2'] },
+  { title: 'Workshop Safety', productIds: ['preview-3'] }
+];
+
+const isBuiltIn = (name) => Object.prototype.hasOwnProperty.call(BUILT_IN_TEMPLATES, name);
+
+export class TemplateService {
+  // Built-ins as they appear in the template library
+  getBuiltInTemplates() {
+    return Object.values(BUILT_IN_TEMPLATES).map(template => ({ id: template.name, builtIn: true, ...template }));
+  }
+
+  isBuiltIn(id) {
+    return isBuiltIn(id);
+  }
+
+  // Check a template from the API and fill in defaults from its base - returns { errors, template }
+  validateTemplate(input = {}) {
+    const errors = [];
+    const name = String(input.name || '').trim();
+    const base = input.extends || DEFAULT_TEMPLATE;
+    const baseTemplate = BUILT_IN_TEMPLATES[base] || BUILT_IN_TEMPLATES[DEFAULT_TEMPLATE];
+
+    if (!name) {
+      errors.push('Template name is required');
+    }
+    if (!isBuiltIn(base)) {
+      errors.push(`Base template must be one of: ${Object.keys(BUILT_IN_TEMPLATES).join(', ')}`);
+    }
+
+    const font = input.font || baseTemplate.font;
+    if (!TEMPLATE_FONTS.includes(font)) {
+      errors.push(`Font must be one of: ${TEMPLATE_FONTS.join(', ')}`);
+    }
+
+    const colours = {};
+    TEMPLATE_COLOURS.forEach(key => {
+      const value = input.colours?.[key];
+      if (value === undefined || value === null || value === '') return;
+      if (!HEX_COLOUR.test(value)) {
+        errors.push(`Colour ${key} must be a hex colour like #2d3748`);
+      } else {
+        colours[key] = value.toLowerCase();
+      }
+    });
+
+    const columns = input.columns ?? baseTemplate.table.columns;
+    if (!Array.isArray(columns) || columns.length === 0) {
+      errors.push('Choose at least one column');
+    } else {
+      columns.filter(column => !TEMPLATE_COLUMNS.includes(column))
+        .forEach(column => errors.push(`Unknown column: ${column}`));
+      if (!columns.includes('title')) {
+        errors.push('The product column (title) is required');
+      }
+    }
+
+    const imageSize = input.imageSize === undefined ? baseTemplate.table.imageSize : Number(input.imageSize);
+    if (!(imageSize >= 8 && imageSize <= 30)) {
+      errors.push('Thumbnail size must be from 8 to 30 mm');
+    }
+    if (input.descriptions !== undefined && typeof input.descriptions !== 'boolean') {
+      errors.push('Descriptions must be true or false');
+    }
+
+    const logo = {
+      placement: input.logo?.placement || baseTemplate.logo.placement,
+      width: input.logo?.width === undefined ? baseTemplate.logo.width : Number(input.logo.width)
+    };
+    if (!LOGO_PLACEMENTS.includes(logo.placement)) {
+      errors.push(`Logo placement must be one of: ${LOGO_PLACEMENTS.join(', ')}`);
+    }
+    if (!(logo.width >= 10 && logo.width <= 60)) {
+      errors.push('Logo width must be from 10 to 60 mm');
+    }
+
+    const terms = {
+      enabled: input.terms?.enabled ?? baseTemplate.terms.enabled,
+      heading: String(input.terms?.heading ?? baseTemplate.terms.heading).trim(),
+      text: String(input.terms?.text ?? '').trim()
+    };
+    if (terms.text.length > MAX_TERMS_LENGTH) {
+      errors.push(`Terms must be at most ${MAX_TERMS_LENGTH} characters`);
+    }
+
+    const sections = {
+      groupBy: input.sections?.groupBy || baseTemplate.sections.groupBy,
+      subtotals: input.sections?.subtotals ?? baseTemplate.sections.subtotals,
+      contents: input.sections?.contents ?? baseTemplate.sections.contents
+    };
+    if (!SECTION_GROUPINGS.includes(sections.groupBy)) {
+      errors.push(`Group by must be one of: ${SECTION_GROUPINGS.join(', ')}`);
+    }
+    if (typeof sections.subtotals !== 'boolean' || typeof sections.contents !== 'boolean') {
+      errors.push('Section subtotals and contents must be true or false');
+    }
+
+    return {
+      errors,
+      template: {
+        name,
+        extends: base,
+        font,
+        colours,
+        table: {
+          columns: Array.isArray(columns) ? [...new Set(columns)] : [],
+          descriptions: input.descriptions ?? baseTemplate.table.descriptions,
+          imageSize
+        },
+        logo,
+        cover: {
+          enabled: input.cover?.enabled === true,
+          heading: String(input.cover?.heading || '').trim()
+        },
+        terms,
+        sections
+      }
+    };
+  }
+
+  // What the renderer needs from a stored template or snapshot - built-ins go by name
+  toRenderTemplate(template) {
+    if (!template) return DEFAULT_TEMPLATE;
+    if (typeof template === 'string') return template;
+    if (template.builtIn) return template.id;
+
+    const { extends: base, font, colours, table, logo, cover, terms, sections } = template;
+    return { extends: base, label: template.label || template.name, font, colours, table, logo, cover, terms, sections };
+  }
+
+  // Copy kept on a saved price list so regenerating it reproduces the same look
+  snapshot(template) {
+    if (!template || typeof template === 'string') {
+      const name = isBuiltIn(template) ? template : DEFAULT_TEMPLATE;
+      return { id: name, name: BUILT_IN_TEMPLATES[name].label, builtIn: true };
+    }
+    if (template.builtIn) {
+      return { id: template.id, name: template.label || template.name, builtIn: true };
+    }
+    return {
+      ...this.toRenderTemplate(template),
+      id: template.id,
+      name: template.name,
+      builtIn: false,
+      snapshotAt: new Date().toISOString()
+    };
+  }
+}
+
+// Create singleton instance
+export const templateService = new TemplateService();
+export default templateService;
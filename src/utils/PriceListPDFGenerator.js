@@ -1,132 +1,81 @@
-import jsPDF from 'jspdf';
-import 'jspdf-autotable';
+import { pdfRenderer } from '../services/pdf-renderer.js';
+
+// Catalogue-style list of products with links to the storefront, laid out by the shared PDF renderer
+const CATALOGUE_TEMPLATE = {
+  extends: 'catalogue',
+  table: { columns: ['title', 'model', 'price', 'stock'], fontSize: 10 }
+};
 
 export class PriceListPDFGenerator {
   constructor(companyInfo, priceListData, settings = {}) {
-    this.doc = new jsPDF();
+    this.doc = null;
     this.companyInfo = companyInfo;
     this.priceListData = priceListData;
     this.settings = {
       enableLinks: true,
       includeImages: true,
+      // QR code per row from each product's orderUrl (a signed link from the order link service)
+      includeOrderCodes: false,
       customPricing: false,
       ...settings
     };
-    this.currentY = 20;
   }
 
   // Generate the complete PDF
-  generatePDF() {
-    this.addHeader();
-    this.addCompanyInfo();
-    this.addProductTable();
-    this.addFooter();
+  async generatePDF() {
+    this.doc = await pdfRenderer.render(this.buildDocument(), {
+      ...CATALOGUE_TEMPLATE,
+      table: {
+        ...CATALOGUE_TEMPLATE.table,
+        columns: [
+          ...(this.settings.includeImages ? ['image'] : []),
+          ...CATALOGUE_TEMPLATE.table.columns,
+          ...(this.settings.includeOrderCodes ? ['qr'] : [])
+        ],
+        linkTitles: this.settings.enableLinks,
+        descriptions: true
+      }
+    });
     return this.doc.output('arraybuffer'); // Return buffer for server response
   }
 
-  // Add company header with branding
-  addHeader() {
-    const { doc } = this;
-    
-    doc.setFontSize(24);
-    doc.setFont(undefined, 'bold');
-    doc.text(this.companyInfo.name || 'Your Company', 20, 30);
-    
-    doc.setFontSize(18);
-    doc.setFont(undefined, 'normal');
-    doc.text(this.priceListData.title || 'Professional Product Catalog', 20, 45);
-    
-    doc.setFontSize(10);
-    doc.text(`Generated: ${new Date().toLocaleDateString()}`, 20, 55);
-    
-    this.currentY = 70;
-  }
-
-  // Add company contact information
-  addCompanyInfo() {
-    const { doc, companyInfo } = this;
-    
-    doc.setFontSize(10);
-    const leftColumn = 20;
-    const rightColumn = 120;
-    
-    if (companyInfo.email) {
-      doc.text(`Email: ${companyInfo.email}`, leftColumn, this.currentY);
-    }
-    
-    if (companyInfo.phone) {
-      doc.text(`Phone: ${companyInfo.phone}`, rightColumn, this.currentY);
-    }
-    
-    this.currentY += 10;
-    
-    if (companyInfo.website) {
-      doc.text(`Website: ${companyInfo.website}`, leftColumn, this.currentY);
-    }
-    
-    this.currentY += 20;
-  }
-
-  // Generate the main product table with clickable links
-  addProductTable() {
-    const { doc, priceListData } = this;
-    
-    const tableColumns = [
-      { header: 'Product', dataKey: 'name' },
-      { header: 'Model/SKU', dataKey: 'model' },
-      { header: 'Price', dataKey: 'price' },
-      { header: 'Stock', dataKey: 'stock' }
-    ];
-    
-    const tableRows = priceListData.products.map(product => ({
-      name: product.name,
-      model: product.model || product.sku,
-      price: this.formatPrice(product.price, product.customPrice),
-      stock: product.stock > 0 ? 'In Stock' : 'Out of Stock'
-    }));
+  // Company header, product table and terms as a renderer document
+  buildDocument() {
+    const { companyInfo, priceListData } = this;
 
-    doc.autoTable({
-      columns: tableColumns,
-      body: tableRows,
-      startY: this.currentY,
-      theme: 'grid',
-      styles: {
-        fontSize: 10,
-        cellPadding: 5
-      },
-      headStyles: {
-        fillColor: [41, 128, 185],
-        textColor: 255,
-        fontStyle: 'bold'
-      },
-      didDrawCell: (data) => {
-        // Add clickable links for product names
-        if (data.column.dataKey === 'name' && data.cell.section === 'body') {
-          const product = priceListData.products[data.row.index];
-          if (product.url && this.settings.enableLinks) {
-            this.addProductLink(
-              data.cell.x,
-              data.cell.y,
-              data.cell.width,
-              data.cell.height,
-              product.url
-            );
+    return {
+      title: priceListData.title || 'Professional Product Catalog',
+      generatedAt: new Date().toISOString(),
+      company: companyInfo,
+      table: {
+        columns: [
+          { key: 'image', header: '' },
+          { key: 'title', header: 'Product' },
+          { key: 'model', header: 'Model/SKU', width: 35 },
+          { key: 'price', header: 'Price', align: 'right', width: 30 },
+          { key: 'stock', header: 'Stock', align: 'center', width: 25 },
+          { key: 'qr', header: 'Order', align: 'center' }
+        ],
+        rows: priceListData.products.map(product => ({
+          link: product.url || null,
+          orderUrl: product.orderUrl || null,
+          image: product.image || product.featuredImage?.url || null,
+          description: product.description || null,
+          cells: {
+            title: product.name || product.title,
+            model: product.model || product.sku || '',
+            price: this.formatPrice(product.price, product.customPrice),
+            stock: product.stock > 0 ? 'In Stock' : 'Out of Stock'
           }
-        }
-      }
-    });
-    
-    this.currentY = doc.lastAutoTable.finalY + 20;
+        }))
+      },
+      terms: companyInfo.terms || null
+    };
   }
 
   // Add clickable link area for products
   addProductLink(x, y, width, height, url) {
-    this.doc.link(x, y, width, height, { url: url });
-    
-    // Visual indicator for clickable area
-    this.doc.setDrawColor(41, 128, 185);
-    this.doc.setLineWidth(0.1);
-    this.doc.line(x + 2, y + height - 2, x + width - 2, y + height - 2);
+    pdfRenderer.addLink(this.doc, x, y, width, height, url, '#2980b9');
   }
 
   // Format price with custom pricing logic
@@ -139,18 +88,6 @@ export class PriceListPDFGenerator {
     }
     return `${currency} ${parseFloat(price).toFixed(2)}`;
   }
-
-  // Add footer with terms
-  addFooter() {
-    const { doc } = this;
-    const pageHeight = doc.internal.pageSize.height;
-    
-    if (this.companyInfo.terms) {
-      doc.setFontSize(8);
-      doc.text('Terms & Conditions:', 20, pageHeight - 30);
-      doc.text(this.companyInfo.terms, 20, pageHeight - 25);
-    }
-  }
 }
 
 // Export function for easy use
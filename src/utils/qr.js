@@ -1,5 +1,6 @@
 // QR Code Service - Handles QR code generation for checkout flows
 import QRCode from 'qrcode';
+import { orderLinkService } from '../services/order-links.js';
 
 export class QRService {
   constructor() {
@@ -14,17 +15,25 @@ export class QRService {
     };
   }
 
-  // Generate QR code for product checkout
+  // Generate QR code for product checkout - a signed link, so the price can't be edited
+  // options: { shopDomain, listId, variantId, expiresAt, baseUrl } plus QR options
   async generateProductQR(product, price, options = {}) {
-    const baseUrl = options.baseUrl || process.env.APP_URL || 'http://localhost:3000';
-    const qrUrl = `${baseUrl}/checkout?product=${product.id}&price=${price}`;
+    const { shopDomain, listId, variantId, expiresAt, baseUrl = process.env.APP_URL || 'http://localhost:3000', ...qrOverrides } = options;
     
     const qrOptions = {
       ...this.defaultOptions,
-      ...options
+      ...qrOverrides
     };
     
     try {
+      const qrUrl = orderLinkService.buildUrl({
+        shopDomain,
+        listId,
+        productId: product.id,
+        variantId: variantId || product.variants?.[0]?.id,
+        price,
+        expiresAt
+      }, baseUrl);
       return await QRCode.toDataURL(qrUrl, qrOptions);
     } catch (error) {
       console.error('Error generating product QR code:', error);
@@ -1,147 +1,839 @@
 // Storage Service - Handles price list storage and management
+// Price lists live in the lowdb file (priceLists collection); every write goes through withTransaction
+import { getDB, withTransaction, SCHEMA_VERSION } from '../services/database.js';
+
+// Each saved line is a product or a single variant of one
+const getLineKey = (line) => String(line.variantId || line.id);
+
+const getLinePrice = (line) =>
+  line.pricing?.finalPrice ?? parseFloat(line.variants?.[0]?.price ?? line.price ?? 0);
+
+const getLineSummary = (line) => ({
+  key: getLineKey(line),
+  productId: line.id,
+  variantId: line.variantId || null,
+  title: line.variantTitle ? `${line.title} - ${line.variantTitle}` : line.title,
+  price: getLinePrice(line)
+});
+
+// Differences between two saved versions of a price list
+export const diffPriceLists = (before, after) => {
+  const beforeLines = new Map((before.products || []).map(line => [getLineKey(line), line]));
+  const afterLines = new Map((after.products || []).map(line => [getLineKey(line), line]));
+
+  const added = [...afterLines.keys()]
+    .filter(key => !beforeLines.has(key))
+    .map(key => getLineSummary(afterLines.get(key)));
+
+  const removed = [...beforeLines.keys()]
+    .filter(key => !afterLines.has(key))
+    .map(key => getLineSummary(beforeLines.get(key)));
+
+  const priceChanges = [...afterLines.keys()]
+    .filter(key => beforeLines.has(key))
+    .map(key => {
+      const { price: previousPrice } = getLineSummary(beforeLines.get(key));
+      const { price, ...line } = getLineSummary(afterLines.get(key));
+      const change = price - previousPrice;
+      return {
+        ...line,
+        previousPrice,
+        price,
+        change: parseFloat(change.toFixed(2)),
+        changePercent: previousPrice > 0 ? parseFloat(((change / previousPrice) * 100).toFixed(2)) : null
+      };
+    })
+    .filter(line => Math.abs(line.change) >= 0.01);
+
+  // List-level settings that affect every price
+  const settingsChanged = ['name', 'pricingTier', 'currency', 'taxDisplay']
+    .filter(field => (before[field] ?? null) !== (after[field] ?? null))
+    .map(field => ({ field, from: before[field] ?? null, to: after[field] ?? null }));
+
+  return {
+    added,
+    removed,
+    priceChanges,
+    settingsChanged,
+    summary: {
+      added: added.length,
+      removed: removed.length,
+      priceChanges: priceChanges.length,
+      unchanged: afterLines.size - added.length - priceChanges.length
+    }
+  };
+};
+
+// Price list lifecycle
+export const PRICE_LIST_STATUSES = ['draft', 'sent', 'accepted', 'expired'];
+export const DEFAULT_VALIDITY_DAYS = 30;
+
+// Statuses a list may move to from each status; only open lists can expire
+const STATUS_TRANSITIONS = {
+  draft: ['sent', 'expired'],
+  sent: ['accepted', 'expired', 'draft'],
+  accepted: [],
+  expired: ['draft']
+};
+
+const OPEN_STATUSES = ['draft', 'sent'];
+
+export const getValidUntil = (from = new Date(), days = DEFAULT_VALIDITY_DAYS) => {
+  const validUntil = new Date(from);
+  validUntil.setDate(validUntil.getDate() + days);
+  return validUntil.toISOString();
+};
+
+// Status as of `now` - an open list past its validity date is expired even before the schedule marks it
+export const getEffectiveStatus = (priceList, now = new Date()) => {
+  const status = priceList.status || 'draft';
+  if (OPEN_STATUSES.includes(status) && priceList.validUntil && new Date(priceList.validUntil) < now) {
+    return 'expired';
+  }
+  return status;
+};
+
+export const canTransition = (from, to) => (STATUS_TRANSITIONS[from] || []).includes(to);
+
+// Saved list search
+export const DEFAULT_PAGE_SIZE = 20;
+export const SORT_FIELDS = ['updatedAt', 'createdAt', 'name', 'totalValue', 'validUntil'];
+
+const getClientFields = (list) => [
+  list.clientName,
+  list.clientInfo?.name,
+  list.clientInfo?.email,
+  list.clientInfo?.customerId
+].filter(Boolean).map(field => String(field).toLowerCase());
+
+// Text a line can be found by: its title, variant title and SKUs
+const getLineSearchText = (line) => [
+  line.title,
+  line.variantTitle,
+  line.sku,
+  ...(line.variants || []).map(variant => variant.sku)
+].filter(Boolean).join(' ').toLowerCase();
+
+// Every term must appear in the list's own fields or one of its lines
+// Returns the titles of lines that matched (empty when the list itself matched), or null for no match
+const matchSearchTerms = (list, terms) => {
+  if (terms.length === 0) return [];
+
+  const listText = [list.name, list.pricingTier, ...getClientFields(list)]
+    .filter(Boolean).join(' ').toLowerCase();
+  const lines = (list.products || []).map(line => ({ line, text: getLineSearchText(line) }));
+
+  const matchesAll = terms.every(term =>
+    listText.includes(term) || lines.some(({ text }) => text.includes(term))
+  );
+  if (!matchesAll) return null;
+
+  return lines
+    .filter(({ text }) => terms.some(term => text.includes(term)))
+    .map(({ line }) => line.variantTitle ? `${line.title} - ${line.variantTitle}` : line.title);
+};
+
+const getSortValue = (list, sort) => {
+  if (sort === 'name') return (list.name || '').toLowerCase();
+  if (sort === 'totalValue') return list.totalValue || 0;
+  return list[sort] ? new Date(list[sort]).getTime() : 0;
+};
+
+// Order by the sort field, then by ID so pages never overlap
+const comparePriceLists = (sort, order) => (a, b) => {
+  const direction = order === 'asc' ? 1 : -1;
+  const aValue = a.sortValue ?? getSortValue(a, sort);
+  const bValue = b.sortValue ?? getSortValue(b, sort);
+  if (aValue < bValue) return -direction;
+  if (aValue > bValue) return direction;
+  return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+};
+
+// Cursors carry the sort value and ID of the last list on a page
+const encodeCursor = (list, sort) =>
+  Buffer.from(JSON.stringify({ sortValue: getSortValue(list, sort), id: list.id })).toString('base64url');
+
+export const decodeCursor = (cursor) => {
+  try {
+    const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    return position && position.id !== undefined ? position : null;
+  } catch {
+    return null;
+  }
+};
+
+// Analytics
+export const ANALYTICS_WEEKS = 12;
+const TOP_PRODUCTS_LIMIT = 10;
+const UNASSIGNED_REP = 'Unassigned';
+
+// Monday (UTC) of the week a date falls in, as YYYY-MM-DD
+const getWeekStart = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+  return day.toISOString().slice(0, 10);
+};
+
+const roundPercent = (value) => Math.round(value * 10) / 10;
+
 export class StorageService {
   constructor() {
-    this.priceLists = new Map();
-    this.nextId = 1;
+    this.collection = 'priceLists';
+    this.revisionCollection = 'priceListRevisions';
+    this.refreshCollection = 'priceListRefreshes';
+    this.orderCollection = 'priceListOrders';
+    this.scheduleCollection = 'priceListSchedules';
+    this.runCollection = 'priceListScheduleRuns';
+  }
+
+  // Current price list records
+  async getRecords() {
+    const db = await getDB();
+    return db.data[this.collection] || [];
   }
 
-  // Save a price list
-  savePriceList(priceList) {
+  // Save a price list (replaces an existing list with the same ID)
+  // Every save is kept as an immutable revision; options carry the author and change note
+  async savePriceList(priceList, options = {}) {
     const id = priceList.id || this.generateId();
+
+    return withTransaction(data => this.writeRevision(data, { ...priceList, id: String(id) }, options));
+  }
+
+  // Upsert the list and append its revision snapshot - runs inside a transaction
+  writeRevision(data, priceList, { author = null, changeNote = null } = {}) {
     const timestamp = new Date().toISOString();
-    
+    const records = data[this.collection];
+    const index = records.findIndex(list => list.id === priceList.id);
+    const existing = index === -1 ? null : records[index];
+
+    const revision = this.getRevisionRecords(data, priceList.id)
+      .reduce((latest, entry) => Math.max(latest, entry.revision), 0) + 1;
+
     const savedList = {
-      id,
       ...priceList,
-      createdAt: priceList.createdAt || timestamp,
+      revision,
+      createdAt: existing?.createdAt || priceList.createdAt || timestamp,
       updatedAt: timestamp
     };
-    
-    this.priceLists.set(id, savedList);
+
+    if (existing) {
+      records[index] = savedList;
+    } else {
+      records.push(savedList);
+    }
+
+    // Snapshots are deep copies so later edits to the live list can't reach them
+    data[this.revisionCollection].push({
+      id: `rev_${savedList.id}_${revision}`,
+      priceListId: savedList.id,
+      revision,
+      author: author || null,
+      changeNote: changeNote || (existing ? null : 'Created'),
+      createdAt: timestamp,
+      priceList: structuredClone(savedList)
+    });
+
     return savedList;
   }
 
   // Get a price list by ID
-  getPriceList(id) {
-    return this.priceLists.get(id);
+  async getPriceList(id) {
+    const records = await this.getRecords();
+    return records.find(list => list.id === String(id)) || null;
   }
 
-  // Get all price lists
-  getAllPriceLists() {
-    return Array.from(this.priceLists.values())
+  // Get all price lists, newest first (optionally for one shop)
+  async getAllPriceLists({ shopDomain = null } = {}) {
+    const records = await this.getRecords();
+    return records
+      .filter(list => !shopDomain || list.shopDomain === shopDomain)
       .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
   }
 
   // Delete a price list
-  deletePriceList(id) {
-    return this.priceLists.delete(id);
+  async deletePriceList(id) {
+    return withTransaction(data => {
+      const records = data[this.collection];
+      const index = records.findIndex(list => list.id === String(id));
+      if (index === -1) return false;
+
+      records.splice(index, 1);
+      data[this.revisionCollection] = data[this.revisionCollection]
+        .filter(entry => entry.priceListId !== String(id));
+      data[this.refreshCollection] = data[this.refreshCollection]
+        .filter(entry => entry.priceListId !== String(id));
+      data[this.orderCollection] = data[this.orderCollection]
+        .filter(entry => entry.priceListId !== String(id));
+      data[this.scheduleCollection] = data[this.scheduleCollection]
+        .filter(entry => entry.priceListId !== String(id));
+      data[this.runCollection] = data[this.runCollection]
+        .filter(entry => entry.priceListId !== String(id));
+      return true;
+    });
   }
 
-  // Update a price list
-  updatePriceList(id, updates) {
-    const existing = this.priceLists.get(id);
-    if (!existing) {
-      throw new Error(`Price list with ID ${id} not found`);
-    }
-    
-    const updated = {
-      ...existing,
-      ...updates,
-      id, // Ensure ID doesn't change
-      updatedAt: new Date().toISOString()
+  // Update a price list (recorded as a new revision)
+  async updatePriceList(id, updates, options = {}) {
+    return withTransaction(data => {
+      const existing = data[this.collection].find(list => list.id === String(id));
+      if (!existing) {
+        throw new Error(`Price list with ID ${id} not found`);
+      }
+
+      return this.writeRevision(data, {
+        ...existing,
+        ...updates,
+        id: existing.id // Ensure ID doesn't change
+      }, options);
+    });
+  }
+
+  // Move a list through its lifecycle (recorded as a revision)
+  async setStatus(id, status, { validUntil = null, author = null, changeNote = null } = {}) {
+    return withTransaction(data => {
+      const existing = data[this.collection].find(list => list.id === String(id));
+      if (!existing) {
+        throw new Error(`Price list with ID ${id} not found`);
+      }
+
+      const currentStatus = getEffectiveStatus(existing);
+      if (!canTransition(currentStatus, status)) {
+        throw new Error(`Cannot move a price list from ${currentStatus} to ${status}`);
+      }
+
+      const now = new Date();
+      const updates = { status, [`${status}At`]: now.toISOString() };
+      if (validUntil) {
+        updates.validUntil = new Date(validUntil).toISOString();
+      }
+      // A reopened list needs a validity date in the future
+      if (status === 'draft' && new Date(updates.validUntil || existing.validUntil) < now) {
+        updates.validUntil = getValidUntil(now);
+      }
+
+      return this.writeRevision(data, { ...existing, ...updates }, {
+        author,
+        changeNote: changeNote || `Marked ${status}`
+      });
+    });
+  }
+
+  // Mark every open list past its validity date as expired - run on a schedule
+  async expirePriceLists(now = new Date()) {
+    return withTransaction(data => {
+      const due = data[this.collection].filter(list =>
+        OPEN_STATUSES.includes(list.status) && getEffectiveStatus(list, now) === 'expired'
+      );
+
+      return due.map(list => this.writeRevision(data, {
+        ...list,
+        status: 'expired',
+        expiredAt: now.toISOString()
+      }, {
+        changeNote: `Expired automatically (valid until ${list.validUntil})`
+      }));
+    });
+  }
+
+  // Keep a refresh report until it is accepted or discarded; a new refresh replaces the old one
+  async savePendingRefresh(priceListId, refresh) {
+    return withTransaction(data => {
+      const pending = {
+        ...refresh,
+        id: `rf_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+        priceListId: String(priceListId),
+        createdAt: new Date().toISOString()
+      };
+
+      data[this.refreshCollection] = data[this.refreshCollection]
+        .filter(entry => entry.priceListId !== pending.priceListId)
+        .concat(pending);
+      return pending;
+    });
+  }
+
+  async getPendingRefresh(priceListId, refreshId) {
+    const db = await getDB();
+    return (db.data[this.refreshCollection] || []).find(entry =>
+      entry.priceListId === String(priceListId) && entry.id === refreshId
+    ) || null;
+  }
+
+  async discardPendingRefresh(priceListId, refreshId) {
+    return withTransaction(data => {
+      const before = data[this.refreshCollection].length;
+      data[this.refreshCollection] = data[this.refreshCollection].filter(entry =>
+        !(entry.priceListId === String(priceListId) && entry.id === refreshId)
+      );
+      return data[this.refreshCollection].length < before;
+    });
+  }
+
+  // Apply an accepted refresh as a new revision
+  // The list must not have changed since the refresh was run
+  async acceptRefresh(priceListId, refreshId, { author = null, changeNote = null } = {}) {
+    return withTransaction(data => {
+      const existing = data[this.collection].find(list => list.id === String(priceListId));
+      const refresh = data[this.refreshCollection].find(entry =>
+        entry.priceListId === String(priceListId) && entry.id === refreshId
+      );
+      if (!existing || !refresh) {
+        throw new Error(`Refresh ${refreshId} for price list ${priceListId} not found`);
+      }
+      if (existing.revision !== refresh.basedOnRevision) {
+        throw new Error(`Price list changed since the refresh (revision ${existing.revision}, refresh was for ${refresh.basedOnRevision})`);
+      }
+
+      data[this.refreshCollection] = data[this.refreshCollection].filter(entry => entry.id !== refresh.id);
+
+      return this.writeRevision(data, {
+        ...existing,
+        ...refresh.updates,
+        refreshedAt: refresh.createdAt
+      }, {
+        author,
+        changeNote: changeNote || refresh.summaryNote
+      });
+    });
+  }
+
+  // Revision records for one list, oldest first
+  getRevisionRecords(data, id) {
+    return (data[this.revisionCollection] || [])
+      .filter(entry => entry.priceListId === String(id))
+      .sort((a, b) => a.revision - b.revision);
+  }
+
+  // Revision history for a list, newest first (without the snapshots)
+  async getRevisions(id) {
+    const db = await getDB();
+    return this.getRevisionRecords(db.data, id).reverse().map(({ priceList, ...entry }) => ({
+      ...entry,
+      name: priceList.name,
+      totalProducts: priceList.totalProducts,
+      totalValue: priceList.totalValue,
+      currency: priceList.currency
+    }));
+  }
+
+  // A single revision, including the list as it was saved
+  async getRevision(id, revision) {
+    const db = await getDB();
+    return this.getRevisionRecords(db.data, id)
+      .find(entry => entry.revision === Number(revision)) || null;
+  }
+
+  // Make a past revision current again - the restore is itself a new revision
+  async restoreRevision(id, revision, { author = null, changeNote = null } = {}) {
+    return withTransaction(data => {
+      const existing = data[this.collection].find(list => list.id === String(id));
+      const entry = this.getRevisionRecords(data, id)
+        .find(record => record.revision === Number(revision));
+      if (!existing || !entry) {
+        throw new Error(`Revision ${revision} of price list ${id} not found`);
+      }
+
+      return this.writeRevision(data, {
+        ...structuredClone(entry.priceList),
+        createdAt: existing.createdAt
+      }, {
+        author,
+        changeNote: changeNote || `Restored revision ${entry.revision}`
+      });
+    });
+  }
+
+  // Compare two revisions of a list: products added/removed and per-line price changes
+  async diffRevisions(id, fromRevision, toRevision) {
+    const from = await this.getRevision(id, fromRevision);
+    const to = await this.getRevision(id, toRevision);
+    if (!from || !to) return null;
+
+    return {
+      priceListId: String(id),
+      from: { revision: from.revision, author: from.author, createdAt: from.createdAt },
+      to: { revision: to.revision, author: to.author, createdAt: to.createdAt },
+      ...diffPriceLists(from.priceList, to.priceList)
+    };
+  }
+
+  // Search price lists (every match, newest first)
+  async searchPriceLists(query) {
+    const { priceLists } = await this.queryPriceLists({ q: query, limit: null });
+    return priceLists;
+  }
+
+  // Server-side search with filters, sorting and cursor pagination
+  // Returns one page plus the cursor for the next; the cursor is only valid for the same query
+  async queryPriceLists({
+    shopDomain = null,
+    q = '',
+    status = null,
+    tier = null,
+    client = null,
+    from = null,
+    to = null,
+    sort = 'updatedAt',
+    order = 'desc',
+    limit = DEFAULT_PAGE_SIZE,
+    cursor = null
+  } = {}) {
+    const terms = String(q || '').toLowerCase().split(/\s+/).filter(Boolean);
+    const clientQuery = client ? String(client).toLowerCase() : null;
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+
+    const matching = (await this.getAllPriceLists({ shopDomain }))
+      .filter(list => !status || getEffectiveStatus(list) === status)
+      .filter(list => !tier || list.pricingTier === tier)
+      .filter(list => !clientQuery || getClientFields(list).some(field => field.includes(clientQuery)))
+      .filter(list => !fromDate || new Date(list.createdAt) >= fromDate)
+      .filter(list => !toDate || new Date(list.createdAt) <= toDate)
+      .map(list => ({ list, matchedProducts: matchSearchTerms(list, terms) }))
+      .filter(({ matchedProducts }) => matchedProducts !== null);
+
+    const compare = comparePriceLists(sort, order);
+    matching.sort((a, b) => compare(a.list, b.list));
+
+    // Resume after the last list of the previous page
+    const position = cursor ? decodeCursor(cursor) : null;
+    const start = position
+      ? matching.findIndex(({ list }) => compare(list, position) > 0)
+      : 0;
+    const remaining = start === -1 ? [] : matching.slice(start);
+    const page = limit ? remaining.slice(0, limit) : remaining;
+    const last = page[page.length - 1];
+
+    return {
+      priceLists: page.map(({ list, matchedProducts }) => ({ ...list, matchedProducts })),
+      total: matching.length,
+      nextCursor: last && remaining.length > page.length ? encodeCursor(last.list, sort) : null
     };
-    
-    this.priceLists.set(id, updated);
-    return updated;
-  }
-
-  // Search price lists
-  searchPriceLists(query) {
-    const lowerQuery = query.toLowerCase();
-    return this.getAllPriceLists().filter(list => 
-      list.name?.toLowerCase().includes(lowerQuery) ||
-      list.clientName?.toLowerCase().includes(lowerQuery) ||
-      list.pricingTier?.toLowerCase().includes(lowerQuery)
-    );
   }
 
   // Get price lists by client
-  getPriceListsByClient(clientName) {
-    return this.getAllPriceLists().filter(list => 
+  async getPriceListsByClient(clientName) {
+    const lists = await this.getAllPriceLists();
+    return lists.filter(list =>
       list.clientName?.toLowerCase() === clientName.toLowerCase()
     );
   }
 
   // Get price lists by tier
-  getPriceListsByTier(tier) {
-    return this.getAllPriceLists().filter(list => 
+  async getPriceListsByTier(tier) {
+    const lists = await this.getAllPriceLists();
+    return lists.filter(list =>
       list.pricingTier === tier
     );
   }
 
   // Generate unique ID
   generateId() {
-    return `pl_${Date.now()}_${this.nextId++}`;
+    return `pl_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  // Remember a draft order raised from a saved list so its conversion can be tracked
+  async recordDraftOrder(priceListId, draftOrder) {
+    return withTransaction(data => {
+      const record = {
+        id: String(draftOrder.id),
+        priceListId: String(priceListId),
+        totalPrice: parseFloat(draftOrder.total_price) || 0,
+        status: draftOrder.status || 'open',
+        orderId: null,
+        completedAt: null,
+        createdAt: new Date().toISOString(),
+        checkedAt: null
+      };
+      data[this.orderCollection].push(record);
+      return record;
+    });
+  }
+
+  // Draft orders raised from saved lists (optionally only those of one shop's lists)
+  async getDraftOrders({ shopDomain = null } = {}) {
+    const ids = new Set((await this.getAllPriceLists({ shopDomain })).map(list => list.id));
+    const db = await getDB();
+    return (db.data[this.orderCollection] || []).filter(entry => ids.has(entry.priceListId));
   }
 
-  // Get statistics
-  getStatistics() {
-    const lists = this.getAllPriceLists();
+  // Store the latest result of DraftOrderManager.checkConversion
+  async updateDraftOrderConversion(id, conversion) {
+    return withTransaction(data => {
+      const record = data[this.orderCollection].find(entry => entry.id === String(id));
+      if (!record) return null;
+
+      record.status = conversion.status || record.status;
+      record.orderId = conversion.orderId || null;
+      record.completedAt = conversion.completedAt || null;
+      if (conversion.totalPaid !== undefined) {
+        record.totalPaid = parseFloat(conversion.totalPaid) || 0;
+      }
+      record.checkedAt = new Date().toISOString();
+      return record;
+    });
+  }
+
+  // Regeneration schedule for a list - at most one per list
+  async getSchedule(priceListId) {
+    const db = await getDB();
+    return (db.data[this.scheduleCollection] || []).find(entry => entry.priceListId === String(priceListId)) || null;
+  }
+
+  // Schedules of one shop's lists (or every list)
+  async getSchedules({ shopDomain = null } = {}) {
+    const ids = new Set((await this.getAllPriceLists({ shopDomain })).map(list => list.id));
+    const db = await getDB();
+    return (db.data[this.scheduleCollection] || []).filter(entry => ids.has(entry.priceListId));
+  }
+
+  // Create or replace a list's schedule; run history is kept when the schedule changes
+  async saveSchedule(priceListId, schedule) {
+    return withTransaction(data => {
+      const index = data[this.scheduleCollection].findIndex(entry => entry.priceListId === String(priceListId));
+      const existing = index === -1 ? null : data[this.scheduleCollection][index];
+      const timestamp = new Date().toISOString();
+
+      const saved = {
+        lastRunAt: null,
+        lastRunStatus: null,
+        ...existing,
+        ...schedule,
+        id: existing?.id || `sch_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+        priceListId: String(priceListId),
+        createdAt: existing?.createdAt || timestamp,
+        updatedAt: timestamp
+      };
+
+      if (existing) {
+        data[this.scheduleCollection][index] = saved;
+      } else {
+        data[this.scheduleCollection].push(saved);
+      }
+      return saved;
+    });
+  }
+
+  async deleteSchedule(priceListId) {
+    return withTransaction(data => {
+      const before = data[this.scheduleCollection].length;
+      data[this.scheduleCollection] = data[this.scheduleCollection]
+        .filter(entry => entry.priceListId !== String(priceListId));
+      return data[this.scheduleCollection].length < before;
+    });
+  }
+
+  // Enabled schedules whose next run time has passed
+  async getDueSchedules(now = new Date()) {
+    const db = await getDB();
+    return (db.data[this.scheduleCollection] || [])
+      .filter(entry => entry.enabled && entry.nextRunAt && new Date(entry.nextRunAt) <= now);
+  }
+
+  // Store a run and update its schedule; scheduled runs also move the schedule on to nextRunAt
+  async recordScheduleRun(run, { nextRunAt = null } = {}) {
+    return withTransaction(data => {
+      const record = {
+        ...run,
+        id: run.id || `run_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+        priceListId: String(run.priceListId)
+      };
+      data[this.runCollection].push(record);
+
+      const schedule = data[this.scheduleCollection].find(entry => entry.priceListId === record.priceListId);
+      if (schedule) {
+        schedule.lastRunAt = record.finishedAt;
+        schedule.lastRunStatus = record.status;
+        if (nextRunAt) schedule.nextRunAt = nextRunAt;
+      }
+      return record;
+    });
+  }
+
+  // Run history, newest first - for one list or all of a shop's lists
+  async getScheduleRuns({ shopDomain = null, priceListId = null, status = null, limit = null } = {}) {
+    const ids = new Set((await this.getAllPriceLists({ shopDomain })).map(list => list.id));
+    const db = await getDB();
+    const runs = (db.data[this.runCollection] || [])
+      .filter(entry => ids.has(entry.priceListId))
+      .filter(entry => !priceListId || entry.priceListId === String(priceListId))
+      .filter(entry => !status || entry.status === status)
+      .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt));
+    return limit ? runs.slice(0, limit) : runs;
+  }
+
+  async getScheduleRun(id) {
+    const db = await getDB();
+    return (db.data[this.runCollection] || []).find(entry => entry.id === id) || null;
+  }
+
+  // Get statistics - list counts plus the analytics dashboard breakdowns
+  // Reps are the author of each list's first revision; conversion uses the tracked draft orders
+  async getStatistics({ shopDomain = null, weeks = ANALYTICS_WEEKS, now = new Date() } = {}) {
+    const lists = await this.getAllPriceLists({ shopDomain });
     const totalLists = lists.length;
-    
+    const db = await getDB();
+
     const tierCounts = lists.reduce((acc, list) => {
       acc[list.pricingTier] = (acc[list.pricingTier] || 0) + 1;
       return acc;
     }, {});
-    
+
     const recentLists = lists.filter(list => {
-      const daysSinceUpdate = (Date.now() - new Date(list.updatedAt)) / (1000 * 60 * 60 * 24);
+      const daysSinceUpdate = (now - new Date(list.updatedAt)) / (1000 * 60 * 60 * 24);
       return daysSinceUpdate <= 7;
     }).length;
-    
+
+    const creators = new Map();
+    (db.data[this.revisionCollection] || []).forEach(entry => {
+      if (entry.revision === 1) creators.set(entry.priceListId, entry.author);
+    });
+    const getRep = (list) => creators.get(list.id) || UNASSIGNED_REP;
+
+    // Lists created per rep, busiest first
+    const repCounts = lists.reduce((acc, list) => {
+      acc[getRep(list)] = (acc[getRep(list)] || 0) + 1;
+      return acc;
+    }, {});
+    const listsByRep = Object.entries(repCounts)
+      .map(([rep, count]) => ({ rep, count }))
+      .sort((a, b) => b.count - a.count || a.rep.localeCompare(b.rep));
+
+    // Lists created per week for the last few weeks, empty weeks included
+    const listsByWeek = [];
+    const firstWeek = new Date(getWeekStart(now));
+    firstWeek.setUTCDate(firstWeek.getUTCDate() - (weeks - 1) * 7);
+    for (let week = 0; week < weeks; week++) {
+      const weekStart = new Date(firstWeek);
+      weekStart.setUTCDate(weekStart.getUTCDate() + week * 7);
+      listsByWeek.push({ weekStart: weekStart.toISOString().slice(0, 10), count: 0, byRep: {} });
+    }
+    lists.forEach(list => {
+      const bucket = listsByWeek.find(entry => entry.weekStart === getWeekStart(list.createdAt));
+      if (!bucket) return;
+      bucket.count += 1;
+      bucket.byRep[getRep(list)] = (bucket.byRep[getRep(list)] || 0) + 1;
+    });
+
+    // Realised discount is measured on the saved lines; configured is the tier setting
+    const tiers = {};
+    lists.forEach(list => {
+      const tier = list.pricingTier || 'unknown';
+      const entry = tiers[tier] || (tiers[tier] = { tier, lists: 0, discounts: [], configured: [] });
+      entry.lists += 1;
+
+      const priced = (list.products || []).filter(line => line.pricing?.basePrice > 0);
+      const base = priced.reduce((sum, line) => sum + line.pricing.basePrice, 0);
+      const final = priced.reduce((sum, line) => sum + getLinePrice(line), 0);
+      if (base > 0) entry.discounts.push((1 - final / base) * 100);
+
+      const configured = parseFloat(list.pricingConfig?.discountPercent);
+      if (!isNaN(configured)) entry.configured.push(configured);
+    });
+    const average = (values) => values.length > 0
+      ? roundPercent(values.reduce((sum, value) => sum + value, 0) / values.length)
+      : null;
+    const discountByTier = Object.values(tiers)
+      .map(({ tier, lists: count, discounts, configured }) => ({
+        tier,
+        lists: count,
+        averageDiscountPercent: average(discounts),
+        averageConfiguredDiscountPercent: average(configured)
+      }))
+      .sort((a, b) => b.lists - a.lists);
+
+    // Products on the most lists; variants count towards their product
+    const products = {};
+    lists.forEach(list => {
+      (list.products || []).forEach(line => {
+        const entry = products[line.id] || (products[line.id] = { productId: line.id, title: line.title, listIds: new Set(), lines: 0 });
+        entry.listIds.add(list.id);
+        entry.lines += 1;
+      });
+    });
+    const topProducts = Object.values(products)
+      .map(({ listIds, ...entry }) => ({ ...entry, lists: listIds.size }))
+      .sort((a, b) => b.lists - a.lists || b.lines - a.lines)
+      .slice(0, TOP_PRODUCTS_LIMIT);
+
+    const listIds = new Set(lists.map(list => list.id));
+    const orders = (db.data[this.orderCollection] || []).filter(entry => listIds.has(entry.priceListId));
+    const completed = orders.filter(entry => entry.status === 'completed');
+    const listsWithDraftOrders = new Set(orders.map(entry => entry.priceListId)).size;
+    const listsConverted = new Set(completed.map(entry => entry.priceListId)).size;
+
     return {
       totalLists,
       tierCounts,
       recentLists,
       oldestList: lists.length > 0 ? lists[lists.length - 1] : null,
-      newestList: lists.length > 0 ? lists[0] : null
+      newestList: lists.length > 0 ? lists[0] : null,
+      listsByRep,
+      listsByWeek,
+      discountByTier,
+      topProducts,
+      conversion: {
+        draftOrders: orders.length,
+        completedOrders: completed.length,
+        listsWithDraftOrders,
+        listsConverted,
+        conversionRate: totalLists > 0 ? roundPercent(listsConverted / totalLists * 100) : 0,
+        completedValue: completed.reduce((sum, entry) => sum + (entry.totalPaid ?? entry.totalPrice), 0),
+        lastCheckedAt: orders.reduce((latest, entry) =>
+          entry.checkedAt && (!latest || entry.checkedAt > latest) ? entry.checkedAt : latest, null)
+      }
     };
   }
 
-  // Export data (for backup/migration)
-  exportData() {
+  // Export data (for backup/migration), optionally only one shop's lists
+  async exportData({ shopDomain = null } = {}) {
+    const priceLists = await this.getAllPriceLists({ shopDomain });
+    const ids = new Set(priceLists.map(list => list.id));
+
     return {
-      priceLists: Array.from(this.priceLists.entries()),
-      nextId: this.nextId,
+      priceLists,
+      priceListRevisions: (await getDB()).data[this.revisionCollection]
+        .filter(entry => ids.has(entry.priceListId)),
+      schemaVersion: SCHEMA_VERSION,
       exportedAt: new Date().toISOString()
     };
   }
 
-  // Import data (for restore/migration)
-  importData(data) {
-    this.priceLists.clear();
-    
-    if (data.priceLists) {
-      data.priceLists.forEach(([id, priceList]) => {
-        this.priceLists.set(id, priceList);
-      });
-    }
-    
-    this.nextId = data.nextId || 1;
+  // Import data (for restore/migration) - replaces every stored price list
+  // Accepts the older [id, priceList] entry pairs exported from the in-memory Map
+  async importData(data) {
+    const priceLists = (data.priceLists || []).map(entry =>
+      Array.isArray(entry) ? { ...entry[1], id: String(entry[0]) } : entry
+    );
+
+    return withTransaction(db => {
+      db[this.collection] = priceLists;
+      db[this.revisionCollection] = data.priceListRevisions || [];
+      return priceLists.length;
+    });
   }
 
   // Clear all data
-  clear() {
-    this.priceLists.clear();
-    this.nextId = 1;
+  async clear() {
+    return withTransaction(data => {
+      data[this.collection] = [];
+      data[this.revisionCollection] = [];
+      data[this.refreshCollection] = [];
+      data[this.orderCollection] = [];
+      data[this.scheduleCollection] = [];
+      data[this.runCollection] = [];
+    });
   }
 
   // Get size
-  size() {
-    return this.priceLists.size;
+  async size() {
+    const records = await this.getRecords();
+    return records.length;
   }
 }
 
 // Create singleton instance
 export const storageService = new StorageService();
-export default storageService;
\ No newline at end of file
+export default storageService;